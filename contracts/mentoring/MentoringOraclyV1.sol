@@ -12,6 +12,7 @@ import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.s
 
 import { ICommissionCollector } from "../interfaces/ICommissionCollector.sol";
 import { IRewardCalculator } from "../interfaces/IRewardCalculator.sol";
+import { MetaOraclyV1 } from "../predicting/MetaOraclyV1.sol";
 
 /**
  * @title OraclyV1 Mentoring Protocol
@@ -86,6 +87,12 @@ contract MentoringOraclyV1 is Ownable, ReentrancyGuard, ICommissionCollector, IR
    */
   address public AUTHORIZED_COMMISSION_GATHERER = address(0);
 
+  /**
+   * @notice The address of the MetaOraclyV1 contract, whose allowed smart contract accounts can join mentors, manage proteges and claim rewards.
+   * @dev Read by the `onlyOffChainCallable` modifier for callers that fail the EOA check.
+   */
+  address immutable public METAORACLY_CONTRACT;
+
   /**
    * @notice Index for tracking the protege's creation timestamp.
    * @dev This constant is used to store the timestamp when the protege was first created in the `_history` mapping.
@@ -115,11 +122,19 @@ contract MentoringOraclyV1 is Ownable, ReentrancyGuard, ICommissionCollector, IR
    *      The contract deployer is automatically assigned as the owner (Oracly Team) of the contract through the `Ownable` constructor.
    *      Additionally, the deployer is designated as the `AUTHORIZED_COMMISSION_GATHERER`, a role required for gathering funds.
    * @notice The deployer will automatically be granted the required permissions to gather funds into the contract.
+   * @param metaoracly_address The address of the MetaOraclyV1 contract holding the smart contract accounts allowed to call the functions restricted to EOA.
    */
-  constructor()
+  constructor(
+    address metaoracly_address
+  )
     Ownable(_msgSender())
   {
+    if (!(metaoracly_address.code.length > 0)) {
+      revert("CannotUseEOAAsMetaOraclyContract");
+    }
+
     AUTHORIZED_COMMISSION_GATHERER = _msgSender();
+    METAORACLY_CONTRACT = metaoracly_address;
   }
 
   /**
@@ -649,17 +664,17 @@ contract MentoringOraclyV1 is Ownable, ReentrancyGuard, ICommissionCollector, IR
   }
 
   /**
-   * @notice Restricts function execution to external accounts (EOA) only.
+   * @notice Restricts function execution to external accounts (EOA) and allowed smart contract accounts only.
    * @dev This modifier ensures that only EOAs (Externally Owned Accounts) can call functions protected by this modifier, preventing contracts from executing such functions.
    *      The check is performed by verifying that the caller has no code associated with it (not a contract) and by comparing `tx.origin` with `_msgSender()`.
+   *      Callers failing the check pass if they are smart contract wallets allowed via `MetaOraclyV1.allowContractCaller`.
    */
   modifier onlyOffChainCallable() {
     address sender = _msgSender();
-    if (sender.code.length > 0) {
-      revert("OnlyEOASendersAllowed");
-    }
-    if (tx.origin != sender) {
-      revert("OnlyEOASendersAllowed");
+    if (sender.code.length > 0 || tx.origin != sender) {
+      if (!MetaOraclyV1(METAORACLY_CONTRACT).isContractCallerAllowed(sender)) {
+        revert("OnlyEOASendersAllowed");
+      }
     }
     _;
   }
@@ -8,6 +8,8 @@ import { Ownable } from "@openzeppelin/contracts/access/Ownable.sol";
 import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 
 import { Game } from "./structs/Game.sol";
+import { GameConfig } from "./structs/GameConfig.sol";
+import { DepositCaps } from "./structs/DepositCaps.sol";
 
 /**
  * @title OraclyV1 Games Metadata Contract
@@ -46,6 +48,48 @@ contract MetaOraclyV1 is Ownable {
    */
   uint constant internal LONGEST_EXPIRATION = 7 days;
 
+  /**
+   * @notice Defines the largest vigorish a game can take from prizes, in basis points.
+   * @dev This constant caps the commission of any game at 10%.
+   */
+  uint16 constant internal LARGEST_VIGORISH = 1000;
+
+  /**
+   * @notice Defines the largest cancellation fee a game can charge on predictions decreased during positioning, in basis points.
+   * @dev This constant caps the cancellation fee of any game at 10%.
+   */
+  uint16 constant internal LARGEST_CANCELLATION_FEE = 1000;
+
+  /**
+   * @notice Defines the shortest claim period a game can give bettors after the round expiration.
+   * @dev This constant enforces a minimum of 30 days before unclaimed funds of a round can be swept.
+   */
+  uint constant internal SHORTEST_CLAIM_PERIOD = 30 days;
+
+  /**
+   * @notice Defines the largest share of the round vigorish a game can pay to the resolver of a round, in basis points.
+   * @dev This constant caps the resolver reward at 50% of the commission, the rest goes to stakers and mentors.
+   */
+  uint16 constant internal LARGEST_RESOLVER_REWARD = 5000;
+
+  /**
+   * @notice Defines the largest tolerance band a game can resolve to Zero, in basis points of the Entry Price.
+   * @dev This constant caps the tolerance of any game at 10% price moves.
+   */
+  uint16 constant internal LARGEST_TOLERANCE = 1000;
+
+  /**
+   * @notice Defines the largest number of bucket edges of a range-bucket game.
+   * @dev This constant caps range-bucket games at 16 buckets, bounding the loops over the positions of a round.
+   */
+  uint constant internal MOST_BUCKET_EDGES = 15;
+
+  /**
+   * @notice Defines the largest price move a bucket edge can be set at, in basis points of the Entry Price.
+   * @dev This constant keeps bucket edges within 50% price moves, larger moves fail the price difference check of the round resolution.
+   */
+  int16 constant internal LARGEST_BUCKET_EDGE = 5000;
+
   /**
    * @notice Tracks all games using a unique identifier.
    * @dev This mapping links each game (identified by a `bytes32` hash) to its corresponding `Game` struct.
@@ -58,6 +102,20 @@ contract MetaOraclyV1 is Ownable {
    */
   mapping(address => EnumerableSet.Bytes32Set) private _activeGames;
 
+  /**
+   * @notice Smart contract accounts allowed to call the Oracly Protocol functions restricted to EOA.
+   * @dev Opt-in list for smart contract wallets (multisigs, ERC-4337 accounts) managed by the contract owner (Oracly Team).
+   *      It is the single list of the protocol, the `onlyOffChainCallable` modifiers of OraclyV1, StakingOraclyV1, MentoringOraclyV1 and DEMO read it.
+   */
+  mapping(address => bool) private _allowedContractCallers;
+
+  /**
+   * @notice Accounts allowed to act on the OraclyV1 recovery flow alongside the contract owner (Oracly Team).
+   * @dev Guardians can recover an ERC20 token blocked after `FATAL_EVENT_INSUFFICIENT_PRIZEPOOL`, they cannot manage games.
+   *      OraclyV1 has no owner, its recovery functions read this list and the owner of this contract.
+   */
+  mapping(address => bool) private _guardians;
+
   /**
    * @dev Initializes the contract by setting the deployer as the initial owner (Oracly Team).
    * @notice The deployer of this contract will automatically be assigned as the contract owner (Oracly Team), who has the privilege to manage game creation, blocking and unblocking the game.
@@ -70,8 +128,14 @@ contract MetaOraclyV1 is Ownable {
    * @notice Adds a new game to the Oracly Protocol, linking it to a Chainlink price feed and an ERC20 token for deposits and payouts.
    *         Can only be called by the contract owner (Oracly Team).
    * @dev This function registers a new game configuration with specified parameters, including the price feed, token, game logic version, and timing rules for rounds.
+   *      The game type settings of `config` cannot be updated later, they are part of the game ID.
    *      Requirements:
    *      - Caller must be the contract owner (Oracly Team) (enforced via `onlyOwner` modifier).
+   *      - The tolerance of `config` must not exceed 1000 basis points (10%).
+   *      - The bucket edges of `config` must be at most 15, in strictly ascending order, each within 5000 basis points (50%) of the Entry Price.
+   *      - A game can't have both a tolerance and bucket edges, range-bucket rounds have no Zero position.
+   *      - The pair price feed of `config`, unless it is the zero address, must be a valid Chainlink price feed other than `pricefeed`.
+   *      - Each of the `caps` must be zero or not below `minDeposit`.
    *      Emits a `GameAdded` event when a new game is successfully added.
    * @param pricefeed The address of the Chainlink price feed used to provide pricing data feed for the game.
    * @param erc20 The address of the ERC20 token used for both deposits and payouts in the game.
@@ -80,6 +144,9 @@ contract MetaOraclyV1 is Ownable {
    * @param positioning The duration in seconds for the positioning phase, where bettors place predictions.
    * @param expiration The duration in seconds after which the round expires, and only withdraw deposit actions are allowed.
    * @param minDeposit The minimum deposit required to participate in the round, denoted in the ERC20 token.
+   * @param vigorish The commission taken from prizes, in basis points (e.g., 100 for 1%).
+   * @param config The game type settings, the zero value for a classic Down/Up/Zero game.
+   * @param caps The deposit caps of the game, the zero value for no caps. They can be updated later with `updateGameDepositCaps`.
    */
   function addGame(
     address pricefeed,
@@ -88,8 +155,10 @@ contract MetaOraclyV1 is Ownable {
     uint schedule,
     uint positioning,
     uint expiration,
-    uint minDeposit
-
+    uint minDeposit,
+    uint16 vigorish,
+    GameConfig calldata config,
+    DepositCaps calldata caps
   )
     external
     onlyOwner
@@ -123,10 +192,47 @@ contract MetaOraclyV1 is Ownable {
       revert("CannotAddGameVersionZero");
     }
 
+    if (vigorish > LARGEST_VIGORISH) {
+      revert("CannotAddGameVigorishTooLarge");
+    }
+
+    if (config.tolerance > LARGEST_TOLERANCE) {
+      revert("CannotAddGameToleranceTooLarge");
+    }
+
+    if (config.bucketEdges.length > MOST_BUCKET_EDGES) {
+      revert("CannotAddGameTooManyBucketEdges");
+    }
+
+    if (config.bucketEdges.length != 0 && config.tolerance != 0) {
+      revert("CannotAddGameToleranceWithBucketEdges");
+    }
+
+    for (uint idx = 0; idx < config.bucketEdges.length; idx++) {
+      if (config.bucketEdges[idx] > LARGEST_BUCKET_EDGE || config.bucketEdges[idx] < -LARGEST_BUCKET_EDGE) {
+        revert("CannotAddGameBucketEdgeTooLarge");
+      }
+      if (idx != 0 && config.bucketEdges[idx] <= config.bucketEdges[idx - 1]) {
+        revert("CannotAddGameBucketEdgesNotAscending");
+      }
+    }
+
     if (AggregatorV3Interface(pricefeed).decimals() == 0) {
       revert("CannotAddGameWithInvalidFeedAddress");
     }
 
+    if (config.pairPricefeed == pricefeed) {
+      revert("CannotAddGamePairPricefeedIsGamePricefeed");
+    }
+
+    if (config.pairPricefeed != address(0) && AggregatorV3Interface(config.pairPricefeed).decimals() == 0) {
+      revert("CannotAddGameWithInvalidPairFeedAddress");
+    }
+
+    if (!_isValidDepositCaps(caps, minDeposit)) {
+      revert("CannotAddGameDepositCapBelowMinDeposit");
+    }
+
     if (IERC20(erc20).totalSupply() == 0) {
       revert("CannotAddGameERC20TotalSupplyCannotBeZero");
     }
@@ -136,7 +242,8 @@ contract MetaOraclyV1 is Ownable {
       erc20,
       version,
       schedule,
-      positioning
+      positioning,
+      config
     ));
 
     if (_games[gameid].gameid != 0x0) {
@@ -152,6 +259,16 @@ contract MetaOraclyV1 is Ownable {
       positioning: positioning,
       expiration: expiration,
       minDeposit: minDeposit,
+      vigorish: vigorish,
+      cancellationFee: 0,
+      claimPeriod: 0,
+      resolverReward: 0,
+      tolerance: config.tolerance,
+      bucketEdges: config.bucketEdges,
+      pairPricefeed: config.pairPricefeed,
+      maxDeposit: caps.maxDeposit,
+      bettorRoundCap: caps.bettorRoundCap,
+      roundCap: caps.roundCap,
       blocked: false
     });
 
@@ -165,7 +282,10 @@ contract MetaOraclyV1 is Ownable {
       schedule,
       positioning,
       expiration,
-      minDeposit
+      minDeposit,
+      vigorish,
+      config,
+      caps
     );
   }
 
@@ -234,6 +354,178 @@ contract MetaOraclyV1 is Ownable {
 
   }
 
+  /**
+   * @notice Updates the commission a game takes from prizes.
+   *         Can only be called by the contract owner (Oracly Team).
+   * @dev Rounds keep the vigorish of their game at the time they were created,
+   *      so the update only applies to rounds created after it.
+   *      Emits a `GameVigorishUpdated` event.
+   *      Requirements:
+   *      - The game must exist.
+   *      - The vigorish must not exceed 10%.
+   * @param gameid The unique identifier of the game.
+   * @param vigorish The commission taken from prizes, in basis points (e.g., 100 for 1%).
+   */
+  function updateGameVigorish(
+    bytes32 gameid,
+    uint16 vigorish
+  )
+    external
+    onlyOwner
+  {
+
+    Game storage game = _games[gameid];
+    if (game.gameid == 0x0) {
+      revert("CannotUpdateGameDoNotExists");
+    }
+    if (vigorish > LARGEST_VIGORISH) {
+      revert("CannotUpdateGameVigorishTooLarge");
+    }
+
+    game.vigorish = vigorish;
+
+    emit GameVigorishUpdated(gameid, vigorish);
+
+  }
+
+  /**
+   * @notice Updates the fee a game charges on predictions decreased or cancelled during the positioning period.
+   *         Can only be called by the contract owner (Oracly Team).
+   * @dev Each round keeps the cancellation fee its game had when the round was created, so the update only applies to later rounds.
+   *      Games are added without a cancellation fee.
+   *      Emits a `GameCancellationFeeUpdated` event.
+   *      Requirements:
+   *      - The game must exist.
+   *      - The cancellation fee must not exceed 10%.
+   * @param gameid The unique identifier of the game.
+   * @param cancellationFee The fee charged on the withdrawn amount, in basis points (e.g., 100 for 1%).
+   */
+  function updateGameCancellationFee(
+    bytes32 gameid,
+    uint16 cancellationFee
+  )
+    external
+    onlyOwner
+  {
+
+    Game storage game = _games[gameid];
+    if (game.gameid == 0x0) {
+      revert("CannotUpdateGameDoNotExists");
+    }
+    if (cancellationFee > LARGEST_CANCELLATION_FEE) {
+      revert("CannotUpdateGameCancellationFeeTooLarge");
+    }
+
+    game.cancellationFee = cancellationFee;
+
+    emit GameCancellationFeeUpdated(gameid, cancellationFee);
+
+  }
+
+  /**
+   * @notice Updates the time bettors have to claim their payouts after a round expires, before unclaimed funds can be swept to stakers.
+   *         Can only be called by the contract owner (Oracly Team).
+   * @dev Rounds keep the claim deadline computed at their creation, so the update only applies to rounds created after it.
+   *      Games are added without a claim period, their rounds can never be swept.
+   *      Emits a `GameClaimPeriodUpdated` event.
+   *      Requirements:
+   *      - The game must exist.
+   *      - The claim period must be either zero or at least 30 days.
+   * @param gameid The unique identifier of the game.
+   * @param claimPeriod The claim period in seconds, zero for no limit.
+   */
+  function updateGameClaimPeriod(
+    bytes32 gameid,
+    uint claimPeriod
+  )
+    external
+    onlyOwner
+  {
+
+    Game storage game = _games[gameid];
+    if (game.gameid == 0x0) {
+      revert("CannotUpdateGameDoNotExists");
+    }
+    if (claimPeriod != 0 && claimPeriod < SHORTEST_CLAIM_PERIOD) {
+      revert("CannotUpdateGameClaimPeriodTooShort");
+    }
+
+    game.claimPeriod = claimPeriod;
+
+    emit GameClaimPeriodUpdated(gameid, claimPeriod);
+
+  }
+
+  /**
+   * @notice Updates the share of the round vigorish paid to whoever resolves a round of the game with a valid Exit Price.
+   *         Can only be called by the contract owner (Oracly Team).
+   * @dev Rounds keep the resolver reward of the game at their creation, so the update only applies to rounds created after it.
+   *      Games are added without a resolver reward.
+   *      Emits a `GameResolverRewardUpdated` event.
+   *      Requirements:
+   *      - The game must exist.
+   *      - The resolver reward must not exceed 5000 basis points (50% of the vigorish).
+   * @param gameid The unique identifier of the game.
+   * @param resolverReward The share of the vigorish paid to the resolver, in basis points.
+   */
+  function updateGameResolverReward(
+    bytes32 gameid,
+    uint16 resolverReward
+  )
+    external
+    onlyOwner
+  {
+
+    Game storage game = _games[gameid];
+    if (game.gameid == 0x0) {
+      revert("CannotUpdateGameDoNotExists");
+    }
+    if (resolverReward > LARGEST_RESOLVER_REWARD) {
+      revert("CannotUpdateGameResolverRewardTooLarge");
+    }
+
+    game.resolverReward = resolverReward;
+
+    emit GameResolverRewardUpdated(gameid, resolverReward);
+
+  }
+
+  /**
+   * @notice Updates the deposit caps of the game, limiting the exposure of a single prediction, a single bettor and a whole round.
+   *         Can only be called by the contract owner (Oracly Team).
+   * @dev Rounds keep the deposit caps of the game at their creation, so the update only applies to rounds created after it.
+   *      A zero cap turns the corresponding limit off.
+   *      Emits a `GameDepositCapsUpdated` event.
+   *      Requirements:
+   *      - The game must exist.
+   *      - Each cap must be zero or not below the minimum deposit of the game.
+   * @param gameid The unique identifier of the game.
+   * @param caps The new deposit caps of the game.
+   */
+  function updateGameDepositCaps(
+    bytes32 gameid,
+    DepositCaps calldata caps
+  )
+    external
+    onlyOwner
+  {
+
+    Game storage game = _games[gameid];
+    if (game.gameid == 0x0) {
+      revert("CannotUpdateGameDoNotExists");
+    }
+    if (!_isValidDepositCaps(caps, game.minDeposit)) {
+      revert("CannotUpdateGameDepositCapBelowMinDeposit");
+    }
+
+    game.maxDeposit = caps.maxDeposit;
+    game.bettorRoundCap = caps.bettorRoundCap;
+    game.roundCap = caps.roundCap;
+
+    emit GameDepositCapsUpdated(gameid, caps);
+
+  }
+
   /**
    * @notice Unblocks a previously blocked game, allowing it to resume normal operation.
    * @dev Unblocking a game restores its availability for bettors and enables gameplay to continue.
@@ -298,6 +590,175 @@ contract MetaOraclyV1 is Ownable {
     emit GameBlocked(gameid);
   }
 
+  /**
+   * @notice Checks whether a smart contract account is allowed to call the Oracly Protocol functions restricted to EOA.
+   * @param caller The address of the account.
+   * @return allowed True if the account has been allowed via `allowContractCaller`.
+   */
+  function isContractCallerAllowed(
+    address caller
+  )
+    external
+    view
+    returns (
+      bool allowed
+    )
+  {
+
+    allowed = _allowedContractCallers[caller];
+
+  }
+
+  /**
+   * @notice Allows a smart contract wallet (multisig, ERC-4337 account) to call the Oracly Protocol functions restricted to EOA.
+   * @dev The account may be allowed before it is deployed, as ERC-4337 account addresses are known in advance.
+   *      Re-entrancy protection is unaffected, allowed callers are still subject to the `nonReentrant` guards.
+   *      Emits a `ContractCallerAllowed` event.
+   *      Requirements:
+   *      - Can only be called by the contract owner (Oracly Team).
+   *      - The account must not be allowed already.
+   * @param caller The address of the smart contract account.
+   */
+  function allowContractCaller(
+    address caller
+  )
+    external
+    onlyOwner
+  {
+
+    if (caller == address(0)) {
+      revert("CannotAllowZeroAddressContractCaller");
+    }
+    if (_allowedContractCallers[caller]) {
+      revert("ContractCallerIsAlreadyAllowed");
+    }
+
+    _allowedContractCallers[caller] = true;
+
+    emit ContractCallerAllowed(caller);
+
+  }
+
+  /**
+   * @notice Revokes the permission of a smart contract account to call the Oracly Protocol functions restricted to EOA.
+   * @dev Emits a `ContractCallerDisallowed` event.
+   *      Requirements:
+   *      - Can only be called by the contract owner (Oracly Team).
+   *      - The account must be allowed.
+   * @param caller The address of the smart contract account.
+   */
+  function disallowContractCaller(
+    address caller
+  )
+    external
+    onlyOwner
+  {
+
+    if (!_allowedContractCallers[caller]) {
+      revert("ContractCallerIsNotAllowed");
+    }
+
+    _allowedContractCallers[caller] = false;
+
+    emit ContractCallerDisallowed(caller);
+
+  }
+
+  /**
+   * @notice Checks whether an account is a guardian of the OraclyV1 recovery flow.
+   * @param account The address of the account.
+   * @return guardian True if the account has been added via `addGuardian`.
+   */
+  function isGuardian(
+    address account
+  )
+    external
+    view
+    returns (
+      bool guardian
+    )
+  {
+
+    guardian = _guardians[account];
+
+  }
+
+  /**
+   * @notice Adds a guardian allowed to recover ERC20 tokens blocked by an insufficient prize pool in OraclyV1.
+   * @dev Emits a `GuardianAdded` event.
+   *      Requirements:
+   *      - Can only be called by the contract owner (Oracly Team).
+   *      - The account must not be a guardian already.
+   * @param account The address of the guardian.
+   */
+  function addGuardian(
+    address account
+  )
+    external
+    onlyOwner
+  {
+
+    if (account == address(0)) {
+      revert("CannotAddZeroAddressGuardian");
+    }
+    if (_guardians[account]) {
+      revert("GuardianIsAlreadyAdded");
+    }
+
+    _guardians[account] = true;
+
+    emit GuardianAdded(account);
+
+  }
+
+  /**
+   * @notice Removes a guardian of the OraclyV1 recovery flow.
+   * @dev Emits a `GuardianRemoved` event.
+   *      Requirements:
+   *      - Can only be called by the contract owner (Oracly Team).
+   *      - The account must be a guardian.
+   * @param account The address of the guardian.
+   */
+  function removeGuardian(
+    address account
+  )
+    external
+    onlyOwner
+  {
+
+    if (!_guardians[account]) {
+      revert("GuardianIsNotAdded");
+    }
+
+    _guardians[account] = false;
+
+    emit GuardianRemoved(account);
+
+  }
+
+  /**
+   * @notice Checks that each of the deposit caps is either zero (no cap) or not below the minimum deposit.
+   * @param caps The deposit caps to check.
+   * @param minDeposit The minimum deposit of the game.
+   * @return valid True if the caps can be set on a game with `minDeposit`.
+   */
+  function _isValidDepositCaps(
+    DepositCaps calldata caps,
+    uint minDeposit
+  )
+    private
+    pure
+    returns (
+      bool valid
+    )
+  {
+
+    valid = (caps.maxDeposit == 0 || caps.maxDeposit >= minDeposit)
+      && (caps.bettorRoundCap == 0 || caps.bettorRoundCap >= minDeposit)
+      && (caps.roundCap == 0 || caps.roundCap >= minDeposit);
+
+  }
+
   /**
    * @notice This event is emitted when a new game is added to the Oracly Protocol.
    * @dev Captures important parameters such as the Chainlink price feed, ERC20 token used, game version, and round timing details.
@@ -309,6 +770,9 @@ contract MetaOraclyV1 is Ownable {
    * @param positioning The duration in seconds for the positioning phase, where bettors place predictions.
    * @param expiration The duration in seconds after which the round expires, and only withdraw deposit actions are allowed.
    * @param minDeposit The minimum deposit required to participate in the round, denoted in the ERC20 token.
+   * @param vigorish The commission taken from prizes, in basis points.
+   * @param config The game type settings of the game.
+   * @param caps The deposit caps of the game.
    */
   event GameAdded(
     bytes32 indexed gameid,
@@ -318,9 +782,47 @@ contract MetaOraclyV1 is Ownable {
     uint schedule,
     uint positioning,
     uint expiration,
-    uint minDeposit
+    uint minDeposit,
+    uint16 vigorish,
+    GameConfig config,
+    DepositCaps caps
   );
 
+  /**
+   * @notice This event is emitted when the commission of a game is updated by the Oracly Team.
+   * @param gameid The unique identifier of the game.
+   * @param vigorish The new commission taken from prizes, in basis points.
+   */
+  event GameVigorishUpdated(bytes32 indexed gameid, uint16 vigorish);
+
+  /**
+   * @notice This event is emitted when the cancellation fee of a game is updated by the Oracly Team.
+   * @param gameid The unique identifier of the game.
+   * @param cancellationFee The new fee charged on predictions decreased during positioning, in basis points.
+   */
+  event GameCancellationFeeUpdated(bytes32 indexed gameid, uint16 cancellationFee);
+
+  /**
+   * @notice This event is emitted when the claim period of a game is updated by the Oracly Team.
+   * @param gameid The unique identifier of the game.
+   * @param claimPeriod The new claim period in seconds after the round expiration, zero for no limit.
+   */
+  event GameClaimPeriodUpdated(bytes32 indexed gameid, uint claimPeriod);
+
+  /**
+   * @notice This event is emitted when the resolver reward of a game is updated by the Oracly Team.
+   * @param gameid The unique identifier of the game.
+   * @param resolverReward The new share of the vigorish paid to the resolver of a round, in basis points.
+   */
+  event GameResolverRewardUpdated(bytes32 indexed gameid, uint16 resolverReward);
+
+  /**
+   * @notice This event is emitted when the deposit caps of a game are updated by the Oracly Team.
+   * @param gameid The unique identifier of the game.
+   * @param caps The new deposit caps of the game, zero for no cap.
+   */
+  event GameDepositCapsUpdated(bytes32 indexed gameid, DepositCaps caps);
+
   /**
    * @notice This event is emitted when a game is blocked by the Oracly team.
    *         It can signal to external systems or users that a game is no longer available for participation or prediction.
@@ -335,4 +837,29 @@ contract MetaOraclyV1 is Ownable {
    * @param gameid The unique identifier of the game that has been unblocked.
    */
   event GameUnblocked(bytes32 indexed gameid);
+
+  /**
+   * @notice Emitted when a smart contract account is allowed to call the Oracly Protocol functions restricted to EOA.
+   * @param caller The address of the allowed account.
+   */
+  event ContractCallerAllowed(address indexed caller);
+
+  /**
+   * @notice Emitted when a smart contract account is no longer allowed to call the Oracly Protocol functions restricted to EOA.
+   * @param caller The address of the disallowed account.
+   */
+  event ContractCallerDisallowed(address indexed caller);
+
+  /**
+   * @notice This event is emitted when a guardian of the OraclyV1 recovery flow is added by the Oracly Team.
+   * @param account The address of the guardian.
+   */
+  event GuardianAdded(address indexed account);
+
+  /**
+   * @notice This event is emitted when a guardian of the OraclyV1 recovery flow is removed by the Oracly Team.
+   * @param account The address of the guardian.
+   */
+  event GuardianRemoved(address indexed account);
+
 }
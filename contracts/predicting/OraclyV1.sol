@@ -3,18 +3,16 @@ pragma solidity ^0.8.23;
 
 import { Context } from "@openzeppelin/contracts/utils/Context.sol";
 import { ReentrancyGuard } from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
-
+import { EnumerableSet } from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
-import { Game } from "./structs/Game.sol";
-import { EOutcome } from "./EOutcome.sol";
-import { OraclyV1Core } from "./OraclyV1Core.sol";
-
-import { ICommissionCollector } from "../interfaces/ICommissionCollector.sol";
-import { IRewardCalculator } from "../interfaces/IRewardCalculator.sol";
+import { EIP712 } from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
 
-import { MetaOraclyV1 } from "./MetaOraclyV1.sol";
+import { Permit } from "./structs/Permit.sol";
+import { Round } from "./structs/Round.sol";
+import { OraclyV1Core } from "./OraclyV1Core.sol";
+import { OraclyV1Extension } from "./OraclyV1Extension.sol";
 
 /**
  * @title OraclyV1 Contract
@@ -23,31 +21,21 @@ import { MetaOraclyV1 } from "./MetaOraclyV1.sol";
  *         The contract also handles bettor payouts, refunds, and manages reward distributions via external contracts.
  * @dev Contract for the Oracly Protocol's decentralized prediction game.
  *      Manages prediction rounds, integrates with Chainlink for price data, determines round outcomes, and handles bettor payouts and refunds.
+ *      Note: OraclyV1, OraclyV1Extension and OraclyV1Views must each stay under the EIP-170 contract size limit of 24576 bytes.
+ *            The entry points of the prediction lifecycle (placing, resolving, withdrawing) stay in OraclyV1,
+ *            along with the claims of unpaid payouts and resolver rewards,
+ *            the other state changing functions go to OraclyV1Extension and the getters to OraclyV1Views.
  */
-contract OraclyV1 is Context, ReentrancyGuard, OraclyV1Core {
+contract OraclyV1 is Context, ReentrancyGuard, EIP712, OraclyV1Core {
 
+  using EnumerableSet for EnumerableSet.AddressSet;
   using SafeERC20 for IERC20;
 
   /**
-   * @notice Address of the staking contract used for distributing staking rewards.
-   * @dev This address should point to a valid smart contract.
-   *      It is used to manage staking rewards in the Oracly protocol.
-   *      The contract must implement the expected staking interface to ensure proper reward distribution.
-   */
-  address immutable public STAKING_CONTRACT;
-
-  /**
-   * @notice Address of the mentoring contract used for distributing mentor rewards.
-   * @dev This address must be a smart contract. It handles the distribution of mentor rewards, and interacts with the core protocol to facilitate appropriate rewards based on mentoring actions.
+   * @notice Address of the OraclyV1Extension contract implementing the rest of the OraclyV1 functions.
+   * @dev Every call OraclyV1 does not implement itself is forwarded to this contract via `delegatecall` from the fallback.
    */
-  address immutable public MENTORING_CONTRACT;
-
-  /**
-   * @notice Externally Owned Account (EOA) address used as a backup for reward distribution in case the main contracts encounter issues.
-   * @dev This address must be an EOA (not a contract).
-   *      It serves as a backup to handle reward distributions manually if either the staking or mentoring contract fails and is bypassed.
-   */
-  address immutable public DISTRIBUTOR_EOA;
+  address immutable public EXTENSION_CONTRACT;
 
   /**
    * @notice Constructor to initialize the reward distributors and related contracts.
@@ -57,31 +45,59 @@ contract OraclyV1 is Context, ReentrancyGuard, OraclyV1Core {
    * @param stakingContract_address Address of the staking contract for staking rewards.
    * @param mentoringContract_address Address of the mentoring contract for mentor rewards.
    * @param metaoraclyContract_address Address of the MetaOracly contract that handles oracle game data.
+   * @param extensionContract_address Address of the OraclyV1Extension contract deployed with the same reward distributors and MetaOracly contract.
    */
   constructor(
     address distributorEOA_address,
     address stakingContract_address,
     address mentoringContract_address,
-    address metaoraclyContract_address
+    address metaoraclyContract_address,
+    address extensionContract_address
   )
-    OraclyV1Core(metaoraclyContract_address)
+    EIP712("OraclyV1", "1")
+    OraclyV1Core(
+      distributorEOA_address,
+      stakingContract_address,
+      mentoringContract_address,
+      metaoraclyContract_address
+    )
   {
 
-    if (!(stakingContract_address.code.length > 0)) {
-      revert("CannotUseEOAAsStakingRewardDistributorContract");
+    if (!(extensionContract_address.code.length > 0)) {
+      revert("CannotUseEOAAsExtensionContract");
     }
 
-    if (!(mentoringContract_address.code.length > 0)) {
-      revert("CannotUseEOAAsMentoringRewardDistributorContract");
+    OraclyV1Extension extension = OraclyV1Extension(extensionContract_address);
+    if (
+      extension.METAORACLY_CONTRACT() != metaoraclyContract_address ||
+      extension.STAKING_CONTRACT() != stakingContract_address ||
+      extension.MENTORING_CONTRACT() != mentoringContract_address ||
+      extension.DISTRIBUTOR_EOA() != distributorEOA_address
+    ) {
+      revert("ExtensionContractMismatch");
     }
 
-    if (distributorEOA_address.code.length > 0) {
-      revert("CannotUseContractAsEOADistributor");
-    }
+    EXTENSION_CONTRACT = extensionContract_address;
 
-    STAKING_CONTRACT = stakingContract_address;
-    MENTORING_CONTRACT = mentoringContract_address;
-    DISTRIBUTOR_EOA = distributorEOA_address;
+  }
+
+  /**
+   * @notice Forwards calls to functions OraclyV1 does not implement to the OraclyV1Extension contract.
+   * @dev The extension code is executed via `delegatecall`, on the OraclyV1 storage and balance.
+   *      Return data and reverts of the extension are passed through as is.
+   */
+  fallback() external { // solhint-disable-line payable-fallback, no-complex-fallback
+
+    address extension = EXTENSION_CONTRACT;
+
+    assembly { // solhint-disable-line no-inline-assembly
+      calldatacopy(0, 0, calldatasize())
+      let success := delegatecall(gas(), extension, 0, calldatasize(), 0, 0)
+      returndatacopy(0, 0, returndatasize())
+      switch success
+      case 0 { revert(0, returndatasize()) }
+      default { return(0, returndatasize()) }
+    }
 
   }
 
@@ -109,6 +125,33 @@ contract OraclyV1 is Context, ReentrancyGuard, OraclyV1Core {
 
   }
 
+  /**
+   * @notice Resolves a prediction round locating its Exit Price on-chain, so no Exit Price ID has to be supplied.
+   * @dev Locates the Exit Price with `_locateExitPriceid` and resolves the round like `resolve`.
+   *      Rounds that can only be resolved as "No Contest" are resolved as such, whether an Exit Price is found or not.
+   *      - The function is protected against re-entrancy attacks via `nonReentrant` modifier.
+   *      - It is restricted to off-chain callers EOA using the `onlyOffChainCallable` modifier.
+   *      Requirements:
+   *      - An Exit Price must be found within `EXIT_PRICE_SEARCH_STEPS` price feed reads, otherwise it reverts with `CannotResolveRoundWithoutPrice`.
+   *      - The located Exit Price and its Control Price must form a valid resolution, otherwise it reverts with `InvalidRoundResolution`.
+   *      Emits:
+   *      - `RoundResolvedNoContest`: If the round concludes with a "No Contest" outcome.
+   *      - `RoundResolved`: If the round ends with a valid outcome: Down, Up, or Zero, along with the resolver reward credited.
+   * @param roundid The ID of the round that needs to be resolved.
+   */
+  function locateAndResolve(
+    bytes32 roundid
+  )
+    external
+    nonReentrant
+    onlyOffChainCallable
+  {
+
+    Round storage round = _rounds[roundid];
+    _resolve(roundid, _locateExitPriceid(round.pricefeed, round.entryPrice.roundid, round.endDate));
+
+  }
+
   /**
    * @notice Resolves a prediction round and processes the withdrawal of the payout.
    * @dev This function first resolves the specified round and prediction, based on the provided Exit Price.
@@ -150,6 +193,48 @@ contract OraclyV1 is Context, ReentrancyGuard, OraclyV1Core {
 
   }
 
+  /**
+   * @notice Transfers the rewards credited to the sender for resolving rounds of an ERC20 token.
+   * @dev Rewards are credited on resolution rather than transferred, see `RoundResolved`.
+   *      - The function is protected against re-entrancy attacks via `nonReentrant` modifier.
+   *      Requirements:
+   *      - The sender must have rewards of the ERC20 token credited, and not claimed yet.
+   *      - The ERC20 token must not be blocked.
+   *      Emits:
+   *      - `ResolverRewardClaimed` with the claimed amount.
+   * @param erc20 The address of the ERC20 token of the rewards.
+   */
+  function claimResolverReward(
+    address erc20
+  )
+    external
+    nonReentrant
+  {
+
+    address resolver = _msgSender();
+
+    uint amount = _resolverRewards[resolver][erc20];
+    if (amount == 0) {
+      revert("NothingToClaim");
+    }
+
+    if (__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__[erc20]) {
+      revert("CannotClaimERC20TokenIsBlocked");
+    }
+
+    delete _resolverRewards[resolver][erc20];
+    _liabilities[erc20] -= amount;
+
+    emit ResolverRewardClaimed(
+      resolver,
+      erc20,
+      amount
+    );
+
+    IERC20(erc20).safeTransfer(resolver, amount);
+
+  }
+
   /**
    * @notice Claims a payout based on the result of a prediction in a specific round, using the specified ERC20 token for withdrawal.
    * @dev This function allows off-chain callers EOA to withdraw winnings from a prediction in a specific round, denominated in a given ERC20 token.
@@ -182,6 +267,103 @@ contract OraclyV1 is Context, ReentrancyGuard, OraclyV1Core {
 
   }
 
+  /**
+   * @notice Claims the payouts and refunds of many predictions in one transaction, resolving their rounds when needed.
+   * @dev Items are processed in order, a round still unresolved is resolved with the item's Exit Price ID (zero when it is expected to resolve as "No Contest").
+   *      A failed item does not revert the batch, it is skipped and reported with its revert reason.
+   *      Payouts and commissions are aggregated per ERC20 token, so the bettor receives one transfer and mentors and stakers one distribution per token.
+   *      - The function is protected against re-entrancy attacks via `nonReentrant` modifier.
+   *      - It is restricted to off-chain callers EOA using the `onlyOffChainCallable` modifier.
+   *      Requirements:
+   *      - `roundids`, `predictionids` and `exitPriceids` must have the same length.
+   *      Emits:
+   *      - `RoundResolvedNoContest`: If a round concludes with a "No Contest" outcome.
+   *      - `RoundResolved`: If a round ends with a valid outcome: Down, Up, or Zero.
+   *      - `PredictionClaimed` event emitted for every claimed prediction.
+   *      - `RoundPrizepoolReleased` event on a successful prize pool release.
+   *      - `RoundArchived` event once a round is archived.
+   *      - `PredictionWithdrawFailed` event for every skipped item.
+   *      - `FATAL_EVENT_INSUFFICIENT_PRIZEPOOL` if there are insufficient funds in the prize pool.
+   *      - `MentorsRewardDistributedViaContract` when mentor commission is successfully distributed via contract.
+   *      - `MentorsRewardDistributedViaEOA` when mentor commission is distributed via EOA due to a fallback.
+   *      - `StakersRewardDistributedViaContract` when staker commission is successfully distributed via contract.
+   *      - `StakersRewardDistributedViaEOA` when staker commission is distributed via EOA due to a fallback.
+   * @param roundids The IDs of the rounds in which the predictions were made.
+   * @param predictionids The IDs of the predictions to claim the payouts for.
+   * @param exitPriceids The IDs of the Exit Prices used to resolve the rounds that are still unresolved.
+   * @return errors The revert reason of every item, an empty string for the claimed ones.
+   */
+  function withdrawBatch(
+    bytes32[] calldata roundids,
+    bytes32[] calldata predictionids,
+    uint80[] calldata exitPriceids
+  )
+    external
+    nonReentrant
+    onlyOffChainCallable
+    returns (
+      string[] memory errors
+    )
+  {
+
+    if (
+      roundids.length != predictionids.length ||
+      roundids.length != exitPriceids.length
+    ) {
+      revert("BatchLengthMismatch");
+    }
+
+    errors = new string[](roundids.length);
+
+    address[] memory erc20s = new address[](roundids.length);
+    uint[] memory payouts = new uint[](roundids.length);
+    uint[] memory commissions = new uint[](roundids.length);
+
+    for (uint i = 0; i < roundids.length; i++) {
+
+      bytes32 roundid = roundids[i];
+      if (!_isResolved(roundid)) {
+        errors[i] = _tryResolve(roundid, exitPriceids[i]);
+      }
+
+      uint payout;
+      uint commission;
+      address erc20 = _rounds[roundid].erc20;
+      if (bytes(errors[i]).length == 0) {
+        (payout, commission, errors[i]) = _tryClaimPrediction(roundid, predictionids[i], erc20);
+      }
+
+      if (bytes(errors[i]).length != 0) {
+
+        emit PredictionWithdrawFailed(
+          roundid,
+          predictionids[i],
+          _msgSender(),
+          errors[i]
+        );
+
+        continue;
+      }
+
+      uint idx = 0;
+      while (erc20s[idx] != erc20 && erc20s[idx] != address(0)) idx++;
+
+      erc20s[idx] = erc20;
+      payouts[idx] += payout;
+      commissions[idx] += commission;
+
+    }
+
+    for (uint idx = 0; idx < erc20s.length && erc20s[idx] != address(0); idx++) {
+      _distributeERC20(
+        erc20s[idx],
+        payouts[idx],
+        commissions[idx]
+      );
+    }
+
+  }
+
   /**
    * @notice Withdraws funds based on a bettor's prediction result.
    * @dev This internal function handles the core logic for withdrawing funds from a prediction round.
@@ -218,139 +400,51 @@ contract OraclyV1 is Context, ReentrancyGuard, OraclyV1Core {
   }
 
   /**
-   * @notice Distributes ERC20 tokens to the bettor and relevant reward contracts.
-   * @dev This function handles the distribution of winnings (payout) to the bettor and commissions to mentors and stakers.
-   *      It includes error handling and fallback mechanisms for unexpected issues during reward distribution.
-   *      The distribution process includes:
-   *      - Payout to the bettor.
-   *      - Commissions to relevant parties (mentors, stakers).
-   *      - Error handling for token transfer failures (with potential fallback to EOA).
+   * @notice Re-claims the payout recorded but left unpaid by a `FATAL_EVENT_INSUFFICIENT_PRIZEPOOL`, once its ERC20 token is recovered.
+   * @dev The commission is distributed to mentors and stakers as on a regular claim.
+   *      Should the balance fall short again, the amounts are queued again and the ERC20 token is blocked.
+   *      - The function is protected against re-entrancy attacks via `nonReentrant` modifier.
+   *      - It is restricted to off-chain callers EOA using the `onlyOffChainCallable` modifier.
    *      Requirements:
-   *      - The contract must hold a sufficient balance of the specified ERC20 token.
-   *      - Reward contracts must be properly configured and valid.
+   *      - The ERC20 token must not be blocked.
+   *      - The sender must have an unpaid claim in the ERC20 token.
    *      Emits:
-   *      - `FATAL_EVENT_INSUFFICIENT_PRIZEPOOL` if there are insufficient funds in the prize pool.
-   *      - `MentorsRewardDistributedViaContract` when mentor commission is successfully distributed via contract.
-   *      - `MentorsRewardDistributedViaEOA` when mentor commission is distributed via EOA due to a fallback.
-   *      - `StakersRewardDistributedViaContract` when staker commission is successfully distributed via contract.
-   *      - `StakersRewardDistributedViaEOA` when staker commission is distributed via EOA due to a fallback.
-   * @param erc20 The address of the ERC20 token to distribute.
-   * @param payout The amount to be paid to the bettor.
-   * @param commission The total commission amount to be distributed among relevant parties.
+   *      - `UnpaidClaimReclaimed` with the re-claimed amounts.
+   *      - `MentorsRewardDistributedViaContract` or `MentorsRewardDistributedViaEOA` when mentor commission is distributed.
+   *      - `StakersRewardDistributedViaContract` or `StakersRewardDistributedViaEOA` when staker commission is distributed.
+   * @param erc20 The address of the ERC20 token of the unpaid claim.
    */
-  function _distributeERC20(
-    address erc20,
-    uint payout,
-    uint commission
+  function reclaimUnpaid(
+    address erc20
   )
-    private
+    external
+    nonReentrant
+    onlyOffChainCallable
   {
 
-    address bettor = _msgSender();
-
-    if (IERC20(erc20).balanceOf(address(this)) < (payout + commission)) {
-      __FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__[erc20] = true;
-      emit FATAL_EVENT_INSUFFICIENT_PRIZEPOOL(
-        bettor,
-        erc20,
-        IERC20(erc20).balanceOf(address(this)),
-        payout,
-        commission
-      );
-      return;
+    if (__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__[erc20]) {
+      revert("CannotReclaimERC20TokenIsBlocked");
     }
 
-    if (commission != 0) {
-
-      uint stakersReward = commission;
-
-      try
-        IRewardCalculator(MENTORING_CONTRACT).calculateReward(
-          bettor,
-          commission
-        )
-        returns (
-          uint metorsReward
-        )
-      {
-
-        if (metorsReward != 0 && metorsReward <= commission) {
-
-          stakersReward = commission - metorsReward;
-
-          IERC20(erc20).approve(MENTORING_CONTRACT, metorsReward);
-          try
-            ICommissionCollector(MENTORING_CONTRACT).collectCommission(
-              bettor,
-              erc20,
-              commission
-            )
-          {
-
-            emit MentorsRewardDistributedViaContract(
-              MENTORING_CONTRACT,
-              bettor,
-              erc20,
-              metorsReward
-            );
-
-          } catch {
-
-            IERC20(erc20).safeTransfer(DISTRIBUTOR_EOA, metorsReward);
-
-            emit MentorsRewardDistributedViaEOA(
-              DISTRIBUTOR_EOA,
-              bettor,
-              erc20,
-              metorsReward
-            );
-
-          }
-
-        }
-
-      } catch { } // solhint-disable-line
-
-      if (stakersReward != 0) {
-
-        IERC20(erc20).approve(STAKING_CONTRACT, stakersReward);
-        try
-          ICommissionCollector(STAKING_CONTRACT).collectCommission(
-            bettor,
-            erc20,
-            stakersReward
-          )
-        {
-
-          emit StakersRewardDistributedViaContract(
-            STAKING_CONTRACT,
-            bettor,
-            erc20,
-            stakersReward
-          );
-
-        } catch {
-
-          IERC20(erc20).safeTransfer(DISTRIBUTOR_EOA, stakersReward);
-
-          emit StakersRewardDistributedViaEOA(
-            DISTRIBUTOR_EOA,
-            bettor,
-            erc20,
-            stakersReward
-          );
-
-        }
-
-      }
-
+    address bettor = _msgSender();
+    uint payout = _unpaidClaims[bettor][erc20][0];
+    uint commission = _unpaidClaims[bettor][erc20][1];
+    if (payout + commission == 0) {
+      revert("NothingToReclaim");
     }
 
-    if (payout != 0) {
+    delete _unpaidClaims[bettor][erc20];
+    _unpaidTotal[erc20] -= payout + commission;
+    _unpaidBettors[erc20].remove(bettor);
 
-      IERC20(erc20).safeTransfer(bettor, payout);
+    emit UnpaidClaimReclaimed(
+      bettor,
+      erc20,
+      payout,
+      commission
+    );
 
-    }
+    _distributeERC20(erc20, payout, commission);
 
   }
 
@@ -360,7 +454,8 @@ contract OraclyV1 is Context, ReentrancyGuard, OraclyV1Core {
    *      The bettor predicts an outcome (Down, Up, or Zero) for the given game and round.
    *      Requirements:
    *      - The `amount` must be greater than zero.
-   *      - The `position` must be one of the valid values (1 for Down, 2 for Up, 3 for Zero).
+   *      - The `position` must be one of the valid values (1 for Down, 2 for Up, 3 for Zero), or a bucket position of a range-bucket round.
+   *      - The `amount` must fit within the deposit caps of the round, see `getDepositCapacity`.
    *      - The function is protected against re-entrancy attacks via `nonReentrant` modifier.
    *      - It is restricted to off-chain callers EOA using the `onlyOffChainCallable` modifier.
    *      Emits:
@@ -369,7 +464,7 @@ contract OraclyV1 is Context, ReentrancyGuard, OraclyV1Core {
    *      - `PredictionCreated` event if a new prediction is created.
    *      - `IncreasePredictionDeposit` event if the bettor's prediction is updated.
    * @param amount The amount of ERC20 tokens the bettor deposits to place the prediction.
-   * @param position The predicted outcome for the game round. Valid values: (1 for Down, 2 for Up, 3 for Zero)
+   * @param position The predicted outcome for the game round. Valid values: (1 for Down, 2 for Up, 3 for Zero), or a bucket position of a range-bucket round.
    * @param gameid The ID of the game where the prediction is being placed.
    * @param roundid The ID of the specific round within the game.
    */
@@ -384,153 +479,30 @@ contract OraclyV1 is Context, ReentrancyGuard, OraclyV1Core {
     onlyOffChainCallable
   {
 
-    Game memory game = MetaOraclyV1(METAORACLY_CONTRACT).getGame(gameid);
-    if (gameid == 0x0 || gameid != game.gameid) {
-      revert("NotSupportedGame");
-    }
-    if (game.blocked) {
-      revert("CannotPlacePredictionGameIsBlocked");
-    }
-
-    if (__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__[game.erc20]) {
-      revert("CannotPlacePredictionERC20TokenIsBlocked");
-    }
-
-    if (
-      position != uint8(EOutcome.Up) &&
-      position != uint8(EOutcome.Down) &&
-      position != uint8(EOutcome.Zero)
-    ) {
-      revert("NotSupportedPosition");
-    }
-
-    if (amount < game.minDeposit) {
-      revert("UnacceptableDepositAmount");
-    }
-
-    address bettor = _msgSender();
-    if (IERC20(game.erc20).balanceOf(bettor) < amount) {
-      revert("InsufficientFunds");
-    }
-    if (IERC20(game.erc20).allowance(bettor, address(this)) < amount) {
-      revert("InsufficientAllowance");
-    }
-
-    uint sinceStart = block.timestamp % game.schedule;
-    uint startDate = block.timestamp - sinceStart;
-    bytes32 actualroundid = keccak256(abi.encode(game.gameid, startDate));
-    if (actualroundid != roundid) {
-      revert("CannotPlacePredictionIntoUnactualRound");
-    }
-
-    if (sinceStart >= game.positioning) {
-      revert("CannotPlacePredictionOutOfPositioningPeriod");
-    }
-
-    _updateRound(game, roundid, position, amount);
-    _updatePrediction(game, roundid, position, amount, bettor);
-
-    IERC20(game.erc20).safeTransferFrom(bettor, address(this), amount);
-
-  }
+    _placePrediction(
+      _msgSender(),
+      amount,
+      position,
+      gameid,
+      roundid,
+      Permit(0, 0, 0, 0x0, 0x0)
+    );
 
-  /**
-   * @notice Restricts function execution to external accounts (EOA) only.
-   * @dev This modifier ensures that only EOAs (Externally Owned Accounts) can call functions protected by this modifier, preventing contracts from executing such functions.
-   *      The check is performed by verifying that the caller has no code associated with it (not a contract) and by comparing `tx.origin` with `_msgSender()`.
-   */
-  modifier onlyOffChainCallable() {
-    address sender = _msgSender();
-    if (sender.code.length > 0) {
-      revert("OnlyEOASendersAllowed");
-    }
-    if (tx.origin != sender) {
-      revert("OnlyEOASendersAllowed");
-    }
-    _;
   }
 
   /**
-   * @notice Emitted when the contract's prize pool is insufficient to cover both a bettor's payout and the commission.
-   *         This event signals a critical failure that effectively prevents the specified ERC20 token from being used as the deposit token for further predictions.
-   * @dev This is a fatal event that indicates the current prize pool cannot satisfy the requested payout and commission amounts.
-   * @param bettor The address of the bettor attempting to withdraw the funds.
-   * @param erc20 The ERC20 token involved in the payout and commission transaction.
-   * @param balance The current balance of the ERC20 token held in the contract.
-   * @param payout The payout amount requested by the bettor.
-   * @param commission The commission amount that is due to the contract.
-  */
-  event FATAL_EVENT_INSUFFICIENT_PRIZEPOOL(
-    address bettor,
-    address erc20,
-    uint balance,
-    uint payout,
-    uint commission
-  );
-
-  /**
-   * @notice This event is emitted when a mentor's reward is distributed via a smart contract.
-   * @dev This event captures the distribution of rewards to mentors based on the bettor's activity.
-   *      It logs the distributor (the smart contract handling the distribution), the bettor (the bettor whose activity triggered the reward), the ERC20 token used, and the reward amount.
-   * @param distributor The address of the contract that is distributing the reward.
-   * @param bettor The address of the bettor who generated the mentor's reward.
-   * @param erc20 The address of the ERC20 token contract used for distributing the reward.
-   * @param amount The amount of the reward in the ERC20 token.
+   * @notice Emitted when an item of a batch withdrawal is skipped.
+   * @dev The revert reason is the one the single prediction `withdraw` or `resolve4withdraw` would revert with.
+   * @param roundid The ID of the round of the skipped item.
+   * @param predictionid The ID of the prediction of the skipped item.
+   * @param bettor The address of the bettor requesting the withdrawal.
+   * @param reason The reason the item has been skipped.
    */
-  event MentorsRewardDistributedViaContract(
-    address distributor,
-    address bettor,
-    address erc20,
-    uint amount
-  );
-
-  /**
-   * @notice Emitted when a mentor's reward is distributed using an Externally Owned Account (EOA).
-   *         This happens as a fallback mechanism when direct distribution through smart contracts is not possible.
-   * @dev This event is triggered whenever the mentor's reward is sent via an EOA, in scenarios where automated reward distribution through the smart contract system fails and is bypassed.
-   *      The mentor's reward is distributed using an ERC20 token.
-   * @param distributor The address of the EOA responsible for distributing the reward to the mentor.
-   * @param bettor The address of the bettor whose activity generated the reward for the mentor.
-   * @param erc20 The address of the ERC20 token contract used to transfer the reward.
-   * @param amount The amount of ERC20 tokens that are distributed as the reward.
-   */
-  event MentorsRewardDistributedViaEOA(
-    address distributor,
-    address bettor,
-    address erc20,
-    uint amount
-  );
-
-  /**
-   * @notice Emitted when a staker's reward is distributed through a contract.
-   * @dev This event logs the details of a reward distribution to stakers initiated by a contract.
-   * @param distributor The address of the contract responsible for distributing the reward.
-   * @param bettor The address of the bettor whose actions generated the reward for the stakers.
-   * @param erc20 The ERC20 token used for the reward distribution.
-   * @param amount The total amount of the ERC20 reward distributed.
-   */
-  event StakersRewardDistributedViaContract(
-    address distributor,
-    address bettor,
-    address erc20,
-    uint amount
-  );
-
-  /**
-   * @notice Emitted when a staker's reward is distributed via an Externally Owned Account (EOA).
-   *         This event acts as a fallback mechanism when the reward distribution does not go through
-   *         the primary method, triggering the involvement of an EOA.
-   * @dev This event provides a backup solution in cases where a direct reward transfer to the staking contract fails and is bypassed, allowing the reward to be manually handled by the EOA.
-   * @param distributor The address of the EOA responsible for distributing the reward.
-   * @param bettor The address of the bettor whose actions resulted in the reward.
-   * @param erc20 The address of the ERC20 token used to pay out the reward.
-   * @param amount The amount of tokens (in the ERC20 standard) distributed as the reward.
-   */
-  event StakersRewardDistributedViaEOA(
-    address distributor,
+  event PredictionWithdrawFailed(
+    bytes32 roundid,
+    bytes32 predictionid,
     address bettor,
-    address erc20,
-    uint amount
+    string reason
   );
 
 }
@@ -4,9 +4,13 @@ pragma solidity ^0.8.23;
 import { AggregatorV3Interface } from "@chainlink/contracts/src/v0.8/interfaces/AggregatorV3Interface.sol";
 
 import { Context } from "@openzeppelin/contracts/utils/Context.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { IERC20Permit } from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import { EnumerableSet } from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import { Address } from "@openzeppelin/contracts/utils/Address.sol";
 import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+import { SignedMath } from "@openzeppelin/contracts/utils/math/SignedMath.sol";
 
 import { EOutcome } from "./EOutcome.sol";
 
@@ -14,6 +18,11 @@ import { Game } from "./structs/Game.sol";
 import { Round } from "./structs/Round.sol";
 import { Prediction } from "./structs/Prediction.sol";
 import { Price } from "./structs/Price.sol";
+import { Pair } from "./structs/Pair.sol";
+import { Permit } from "./structs/Permit.sol";
+
+import { ICommissionCollector } from "../interfaces/ICommissionCollector.sol";
+import { IRewardCalculator } from "../interfaces/IRewardCalculator.sol";
 
 import { MetaOraclyV1 } from "./MetaOraclyV1.sol";
 
@@ -28,18 +37,58 @@ import { MetaOraclyV1 } from "./MetaOraclyV1.sol";
  *      - Determination of winners based on price movements.
  *      - Calculation and distribution of prize pools among winning participants.
  *      Note: This contract integrated with secure price oracles like Chainlink for price feeds.
+ *      Note: This contract holds the whole protocol state. OraclyV1, OraclyV1Extension and OraclyV1Views share its storage layout,
+ *            so none of them declares state variables of its own.
  */
 abstract contract OraclyV1Core is Context {
 
   using EnumerableSet for EnumerableSet.Bytes32Set;
   using EnumerableSet for EnumerableSet.AddressSet;
   using Address for address;
+  using SafeERC20 for IERC20;
+
+  /**
+   * @notice The denominator of the vigorish, the commission for stakers and mentors taken from the prize.
+   * @dev Vigorish is set per game in basis points, and copied into each round when it is created.
+   */
+  uint16 constant public VIGORISH_BASIS_POINTS = 10000;
+
+  /**
+   * @notice The denominator of the cancellation fee, charged on the amount a bettor withdraws from a prediction during the positioning period.
+   * @dev Cancellation fee is set per game in basis points, and copied into each round when it is created.
+   */
+  uint16 constant public CANCELLATION_FEE_BASIS_POINTS = 10000;
+
+  /**
+   * @notice The denominator of the resolver reward, the share of the round vigorish paid to whoever resolves the round with a valid Exit Price.
+   * @dev Resolver reward is set per game in basis points, and copied into each round when it is created.
+   */
+  uint16 constant public RESOLVER_REWARD_BASIS_POINTS = 10000;
+
+  /**
+   * @notice The denominator of the tolerance band, the price move relative to the Entry Price a round resolves to Zero within.
+   * @dev Tolerance is set per game in basis points, and copied into each round when it is created.
+   */
+  uint16 constant public TOLERANCE_BASIS_POINTS = 10000;
+
+  /**
+   * @notice The denominator of the bucket edges, the price moves relative to the Entry Price separating the buckets of a range-bucket round.
+   * @dev Bucket edges are set per game in basis points, and copied into each round when it is created.
+   */
+  uint16 constant public BUCKET_EDGE_BASIS_POINTS = 10000;
 
   /**
-   * @notice The percentage taken as commission for stakers and mentors from the prize.
-   * @dev Vigorish is a commission applied to the prize. It is set as a constant 1%.
+   * @notice The maximum number of price feed rounds read while locating the Exit Price of a round on-chain.
+   * @dev The search is exponential then binary, so it covers up to about 2^32 price feed rounds after the Entry Price.
    */
-  uint8 constant public VIGORISH_PERCENT = 1;
+  uint8 constant public EXIT_PRICE_SEARCH_STEPS = 64;
+
+  /**
+   * @notice The position of the first price bucket of a range-bucket round, the lowest one.
+   * @dev Bucket positions follow the `EOutcome` values, so a bucket never collides with an outcome or the "No Contest" resolution.
+   *      The bucket `i` of a round is predicted and resolved as `FIRST_BUCKET_POSITION + i`.
+   */
+  uint8 constant public FIRST_BUCKET_POSITION = 5;
 
   /**
    * @notice Mapping to store predictions for each round.
@@ -55,99 +104,142 @@ abstract contract OraclyV1Core is Context {
 
   /**
    * @notice Mapping to track claimed predictions for each round.
-   * @dev Maps a round ID (bytes32) to an array of EnumerableSet that tracks predictions claimed by bettors. Each set corresponds to different types of predictions, with the total being stored at index 0.
+   * @dev Maps a round ID (bytes32) to EnumerableSets, keyed by position, that track predictions claimed by bettors. Each set corresponds to different types of predictions, with the total being stored at key 0.
    */
-  mapping(bytes32 => EnumerableSet.Bytes32Set[4]) private _claimedPredictions;
+  mapping(bytes32 => mapping(uint8 => EnumerableSet.Bytes32Set)) internal _claimedPredictions;
 
   /**
    * @notice Mapping to track all predictions for a round.
-   * @dev Maps a round ID (bytes32) to an array of EnumerableSet that contains all predictions made for that round. Each set corresponds to different types of predictions, with the total being stored at index 0.
+   * @dev Maps a round ID (bytes32) to EnumerableSets, keyed by position, that contain all predictions made for that round. Each set corresponds to different types of predictions, with the total being stored at key 0.
    */
-  mapping(bytes32 => EnumerableSet.Bytes32Set[4]) private _roundPredictions;
+  mapping(bytes32 => mapping(uint8 => EnumerableSet.Bytes32Set)) internal _roundPredictions;
 
   /**
    * @notice Mapping to track predictions placed by a specific bettor.
-   * @dev Maps a bettor's address to an array of EnumerableSet that stores all of their predictions across rounds, Each set corresponds to different types of predictions, with the total being stored at index 0.
+   * @dev Maps a bettor's address to EnumerableSets, keyed by position, that store all of their predictions across rounds, Each set corresponds to different types of predictions, with the total being stored at key 0.
    */
-  mapping(address => EnumerableSet.Bytes32Set[4]) private _bettorPredictions;
+  mapping(address => mapping(uint8 => EnumerableSet.Bytes32Set)) internal _bettorPredictions;
 
   /**
    * @notice Mapping to track all bettors for each round.
-   * @dev Maps a round ID (bytes32) to an array of EnumerableSet that holds the addresses of all bettors participating in that round, Each set corresponds to different types of predictions, with the total being stored at index 0.
+   * @dev Maps a round ID (bytes32) to EnumerableSets, keyed by position, that hold the addresses of all bettors participating in that round, Each set corresponds to different types of predictions, with the total being stored at key 0.
    */
-  mapping(bytes32 => EnumerableSet.AddressSet[4]) private _roundBettors;
+  mapping(bytes32 => mapping(uint8 => EnumerableSet.AddressSet)) internal _roundBettors;
 
   /**
    * @notice Mapping to store funds deposited by each bettor in each ERC20 token.
-   * @dev Maps a bettor's address and ERC20 token address to an array of four elements representing their funds deposited (in) total and across different prediction types.
+   * @dev Maps a bettor's address and ERC20 token address to their funds deposited (in), keyed by position, with the total being stored at key 0.
    */
-  mapping(address => mapping(address => uint[4])) private _bettorFundsIN;
+  mapping(address => mapping(address => mapping(uint8 => uint))) internal _bettorFundsIN;
 
   /**
    * @notice Mapping to store funds paid out to each bettor for each round.
-   * @dev Maps a bettor's address and ERC20 token address to an array of four elements representing the funds paid out (out) total and across different prediction types.
+   * @dev Maps a bettor's address and ERC20 token address to the funds paid out (out), keyed by position, with the total being stored at key 0.
    */
-  mapping(address => mapping(address => uint[4])) private _bettorFundsOUT;
+  mapping(address => mapping(address => mapping(uint8 => uint))) internal _bettorFundsOUT;
 
   /**
    * @notice Mapping to store all game rounds within a specific game.
    * @dev Maps a game ID (bytes32) to a set of round IDs that are part of the same game. This allows tracking of multiple rounds in the context of a single game.
    */
-  mapping(bytes32 => EnumerableSet.Bytes32Set) private _gameRounds;
+  mapping(bytes32 => EnumerableSet.Bytes32Set) internal _gameRounds;
+
+  /**
+   * @notice Mapping to store the bucket edges of range-bucket rounds.
+   * @dev Maps a round ID (bytes32) to the bucket edges of its game at the time the round was created, in basis points of the Entry Price.
+   *      Empty for Down, Up and Zero rounds. Kept out of the `Round` struct, so rounds are read without the edges.
+   */
+  mapping(bytes32 => int16[]) internal _roundBucketEdges;
+
+  /**
+   * @notice Mapping to store the second price feed of pair-performance rounds.
+   * @dev Maps a round ID (bytes32) to the pair price feed of its game at the time the round was created, with its Entry and Exit Prices.
+   *      Empty for single price feed rounds. Kept out of the `Round` struct, so rounds are read without the pair.
+   */
+  mapping(bytes32 => Pair) internal _roundPairs;
+
+  /**
+   * @notice Mapping to track the total deposit of each bettor in each round.
+   * @dev Maps a round ID (bytes32) to a bettor address to the sum of the bettor's prediction deposits in that round, checked against the round `bettorRoundCap`.
+   */
+  mapping(bytes32 => mapping(address => uint)) internal _roundBettorDeposits;
+
+  /**
+   * @notice Mapping to track the sponsored bonus pool of each round.
+   * @dev Maps a round ID (bytes32) to the total bonus added by sponsors (`BONUS_TOTAL_ID`) and the bonus released to winners or returned to sponsors (`BONUS_RELEASED_ID`).
+   *      Kept apart from `_prizepool`, so the bonus does not take part in the prize, the No Contest refunds and the vigorish.
+   */
+  mapping(bytes32 => uint[2]) internal _roundBonus;
+
+  /**
+   * @notice Mapping to track the bonus added by each sponsor to each round.
+   * @dev Maps a round ID (bytes32) to a sponsor address to the amount they added, cleared once returned to the sponsor of a No Contest round.
+   */
+  mapping(bytes32 => mapping(address => uint)) internal _roundSponsorships;
 
   /**
    * @notice Mapping to track the prize pool for each round.
    * @dev Maps a round ID (bytes32) to an array that represents the total prize pool and its distribution in that round, indexed by prediction outcome.
    */
-  mapping(bytes32 => uint[2**8]) private _prizepool;
+  mapping(bytes32 => uint[2**8]) internal _prizepool;
 
   /**
    * @notice Internal constant representing the ID used for tracking predictions in a round.
    * @dev Used as an index for arrays related to round predictions.
    */
-  uint8 constant private ROUND_PREDICTIONS_ID = 0;
+  uint8 constant internal ROUND_PREDICTIONS_ID = 0;
 
   /**
    * @notice Internal constant representing the ID used for tracking claimed predictions in a round.
    * @dev Used as an index for arrays related to claimed predictions in a round.
    */
-  uint8 constant private ROUND_CLAIMED_PREDICTIONS_ID = 0;
+  uint8 constant internal ROUND_CLAIMED_PREDICTIONS_ID = 0;
 
   /**
    * @notice Internal constant representing the ID used for tracking bettors in a round.
    * @dev Used as an index for arrays related to round bettors.
    */
-  uint8 constant private ROUND_BETTORS_ID = 0;
+  uint8 constant internal ROUND_BETTORS_ID = 0;
 
   /**
    * @notice Internal constant representing the ID used for tracking predictions placed by a bettor.
    * @dev Used as an index for arrays related to bettor predictions.
    */
-  uint8 constant private BETTOR_PREDICTIONS_ID = 0;
+  uint8 constant internal BETTOR_PREDICTIONS_ID = 0;
 
   /**
    * @notice Internal constant representing the ID used for tracking the total amount deposited by a bettor.
    * @dev Used as an index for arrays related to bettor deposits.
    */
-  uint8 constant private BETTOR_TOTAL_DEPOSIT_ID = 0;
+  uint8 constant internal BETTOR_TOTAL_DEPOSIT_ID = 0;
 
   /**
    * @notice Internal constant representing the ID used for tracking the total amount paid out to a bettor.
    * @dev Used as an index for arrays related to bettor payouts.
    */
-  uint8 constant private BETTOR_TOTAL_PAIDOUT_ID = 0;
+  uint8 constant internal BETTOR_TOTAL_PAIDOUT_ID = 0;
 
   /**
    * @notice Internal constant representing the ID for the total prize pool in a round.
    * @dev Used as an index for arrays related to prize pool tracking.
    */
-  uint8 constant private PRIZEPOOL_TOTAL_ID = 0;
+  uint8 constant internal PRIZEPOOL_TOTAL_ID = 0;
 
   /**
    * @notice Internal constant representing the ID for the released prize pool in a round.
    * @dev Used as an index for arrays related to released funds from the prize pool.
    */
-  uint8 constant private PRIZEPOOL_RELEASED_ID = 255;
+  uint8 constant internal PRIZEPOOL_RELEASED_ID = 255;
+
+  /**
+   * @notice Internal constant representing the ID for the total bonus pool of a round.
+   */
+  uint8 constant internal BONUS_TOTAL_ID = 0;
+
+  /**
+   * @notice Internal constant representing the ID for the released bonus pool of a round.
+   */
+  uint8 constant internal BONUS_RELEASED_ID = 1;
 
   /**
    * @notice The constant that defines the bit offset for Chainlink's phase ID.
@@ -168,333 +260,197 @@ abstract contract OraclyV1Core is Context {
   mapping(address => bool) public __FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__;
 
   /**
-   * @notice Immutable address of the MetaOracly contract, which serves as a registry of all games within the Oracly protocol.
-   * @dev This immutable variable stores the address of the MetaOracly contract. Once set, it cannot be modified, ensuring the integrity of the contract registry across the protocol.
-   *      This contract registry allows interaction with all possible games on the protocol.
+   * @notice Tracks the claims recorded but left unpaid by a `FATAL_EVENT_INSUFFICIENT_PRIZEPOOL`, per bettor and ERC20 token.
+   * @dev Maps a bettor's address and ERC20 token address to the unpaid payout and commission, in that order.
+   *      Bettors re-claim them via `reclaimUnpaid` once the token is recovered.
    */
-  address immutable public METAORACLY_CONTRACT;
+  mapping(address => mapping(address => uint[2])) internal _unpaidClaims;
 
   /**
-   * @notice Initializes the OraclyV1Core contract by setting the MetaOracly contract address.
-   * @dev This constructor is essential as the MetaOracly contract acts as the source for retrieving game data, price feeds, and other relevant information critical to the OraclyV1Core functionality.
-   * @param metaoracly_address The address of the MetaOracly contract that serves as the data provider for the game.
+   * @notice Mapping to track the queue of bettors with unpaid claims for each ERC20 token.
+   * @dev Maps an ERC20 token address to the set of bettors whose claims are recorded in `_unpaidClaims`.
    */
-  constructor(
-    address metaoracly_address
-  )
-  {
-    if (!(metaoracly_address.code.length > 0)) {
-      revert("CannotUseEOAAsMetaOraclyContract");
-    }
-
-    METAORACLY_CONTRACT = metaoracly_address;
+  mapping(address => EnumerableSet.AddressSet) internal _unpaidBettors;
 
-  }
+  /**
+   * @notice Mapping to store the total of unpaid payouts and commissions for each ERC20 token.
+   * @dev The contract balance must cover it before the ERC20 token can be recovered.
+   */
+  mapping(address => uint) internal _unpaidTotal;
 
   /**
-   * @notice Fetches a specific `Prediction` based on the provided prediction ID.
-   * @dev Returns a `Prediction` struct that contains details about the prediction.
-   *      Useful for retrieving prediction information like the predicted outcome, amount deposited, and bettor details.
-   * @param predictionid The unique ID of the prediction to retrieve.
-   * @return prediction A `Prediction` struct containing details such as the prediction position, bettor, and deposited amount.
+   * @notice Mapping to store the amount of each ERC20 token held on behalf of bettors and sponsors.
+   * @dev The deposits not released from the prize pools yet and the sponsored bonuses not released yet, of every round,
+   *      along with the resolver rewards not claimed yet.
+   *      Together with `_unpaidTotal`, the contract balance must cover it before the ERC20 token can be recovered.
    */
-  function getPrediction(
-    bytes32 predictionid
-  )
-    external
-    view
-    returns (
-      Prediction memory prediction
-    )
-  {
-    prediction = _predictions[predictionid];
-  }
+  mapping(address => uint) internal _liabilities;
 
   /**
-   * @notice Retrieves details about a specific prediction round.
-   * @dev This function provides detailed information about a given round, including:
-   *      - Round data (`Round` memory)
-   *      - Total prize pools for the round and individual outcomes [Total, Down, Up, Zero] (`uint[4]`)
-   *      - Total number of bettors for the round and individual outcomes [Total, Down, Up, Zero] (`uint[4]`)
-   *      - Total number of predictions for the round and individual outcomes [Total, Down, Up, Zero] (`uint[4]`)
-   *      Requirements:
-   *      - The `roundid` must be valid and correspond to an existing round.
-   * @param roundid The unique identifier of the prediction round.
-   * @return round Information about the round as a `Round` struct.
-   * @return prizepools Array of four `uint` values:
-   *        [0]: Total deposited amount in the ERC20 token.
-   *        [1]: Deposited amount for the Down outcome.
-   *        [2]: Deposited amount for the Up outcome.
-   *        [3]: Deposited amount for the Zero outcome.
-   * @return bettors Array of four `uint` values:
-   *        [0]: Total number of participants in the round.
-   *        [1]: Number of participants who predicted Down.
-   *        [2]: Number of participants who predicted Up.
-   *        [3]: Number of participants who predicted Zero.
-   * @return predictions Array of four `uint` values:
-   *        [0]: Total number of predictions made.
-   *        [1]: Number of predictions for Down.
-   *        [2]: Number of predictions for Up.
-   *        [3]: Number of predictions for Zero.
-   */
-  function getRound(
-    bytes32 roundid
-  )
-    external
-    view
-    returns (
-      Round memory round,
-      uint[4] memory prizepools,
-      uint[4] memory bettors,
-      uint[4] memory predictions
-    )
-  {
-    round = _rounds[roundid];
-    prizepools = [
-      _prizepool[roundid][PRIZEPOOL_TOTAL_ID],
-      _prizepool[roundid][uint8(EOutcome.Down)],
-      _prizepool[roundid][uint8(EOutcome.Up)],
-      _prizepool[roundid][uint8(EOutcome.Zero)]
-    ];
-    bettors = [
-      _roundBettors[roundid][ROUND_BETTORS_ID].length(),
-      _roundBettors[roundid][uint8(EOutcome.Down)].length(),
-      _roundBettors[roundid][uint8(EOutcome.Up)].length(),
-      _roundBettors[roundid][uint8(EOutcome.Zero)].length()
-    ];
-    predictions = [
-      _roundPredictions[roundid][ROUND_PREDICTIONS_ID].length(),
-      _roundPredictions[roundid][uint8(EOutcome.Down)].length(),
-      _roundPredictions[roundid][uint8(EOutcome.Up)].length(),
-      _roundPredictions[roundid][uint8(EOutcome.Zero)].length()
-    ];
-  }
+   * @notice Tracks the resolver rewards credited and not claimed yet, per resolver and ERC20 token.
+   * @dev Maps a resolver's address and ERC20 token address to the reward amount, claimed via `claimResolverReward`.
+   */
+  mapping(address => mapping(address => uint)) internal _resolverRewards;
 
   /**
-   * @notice Retrieves a paginated list of Round IDs for a specified game.
-   *         This function is useful for fetching game round IDs in batches.
-   * @dev This function returns an array of round IDs and the total number of rounds associated with the given game.
-   *      The returned array contains at most 20 round IDs starting from the specified offset to support pagination.
-   * @param gameid The unique identifier for the game.
-   * @param offset The starting index from which round IDs will be fetched (for pagination).
-   * @return roundids An array of up to 20 round IDs starting from the given offset.
-   * @return size The total number of rounds in the game, which is helpful for paginating through all rounds.
+   * @notice Tracks the next prediction intent nonce of each bettor.
+   * @dev Each signed intent can be used once, and intents are used in nonce order.
    */
-  function getGameRounds(
-    bytes32 gameid,
-    uint256 offset
-  )
-    external
-    view
-    returns (
-      bytes32[] memory roundids,
-      uint size
-    )
-  {
+  mapping(address => uint) internal _intentNonces;
 
-    roundids = new bytes32[](0);
-    size = _gameRounds[gameid].length();
+  /**
+   * @notice Immutable address of the MetaOracly contract, which serves as a registry of all games within the Oracly protocol.
+   * @dev This immutable variable stores the address of the MetaOracly contract. Once set, it cannot be modified, ensuring the integrity of the contract registry across the protocol.
+   *      This contract registry allows interaction with all possible games on the protocol.
+   */
+  address immutable public METAORACLY_CONTRACT;
 
-    if (size == 0) return (roundids, size);
-    if (offset >= size) return (roundids, size);
+  /**
+   * @notice Address of the staking contract used for distributing staking rewards.
+   * @dev This address should point to a valid smart contract.
+   *      It is used to manage staking rewards in the Oracly protocol.
+   *      The contract must implement the expected staking interface to ensure proper reward distribution.
+   */
+  address immutable public STAKING_CONTRACT;
 
-    uint rest = size - offset;
-    uint lastidx = 0;
-    if (rest > 20) {
-      lastidx = rest - 20;
-    }
-    uint resultSize = rest - lastidx;
-    roundids = new bytes32[](resultSize);
+  /**
+   * @notice Address of the mentoring contract used for distributing mentor rewards.
+   * @dev This address must be a smart contract. It handles the distribution of mentor rewards, and interacts with the core protocol to facilitate appropriate rewards based on mentoring actions.
+   */
+  address immutable public MENTORING_CONTRACT;
 
-    uint idx = 0;
-    while (idx != resultSize) {
-      roundids[idx] = _gameRounds[gameid].at(rest - 1 - idx);
-      idx++;
-    }
+  /**
+   * @notice Externally Owned Account (EOA) address used as a backup for reward distribution in case the main contracts encounter issues.
+   * @dev This address must be an EOA (not a contract).
+   *      It serves as a backup to handle reward distributions manually if either the staking or mentoring contract fails and is bypassed.
+   */
+  address immutable public DISTRIBUTOR_EOA;
 
-  }
+  /**
+   * @notice Address the contract code is deployed at.
+   * @dev Tells calls made to the contract itself apart from calls executed on the OraclyV1 storage via `delegatecall`, see `onlyDelegateCall`.
+   */
+  address immutable private DEPLOYMENT_ADDRESS = address(this);
 
   /**
-   * @notice Retrieves a paginated list of predictions for a specific round and position.
-   * @dev Returns up to 20 `Prediction` structs starting from the specified `offset`.
-   *      If `position` is set to 0, predictions for all positions are retrieved.
-   *      Also returns the total number of predictions matching the criteria.
-   * @param roundid The unique identifier for the round to retrieve predictions from.
-   * @param position The prediction position to filter by (1 for Down, 2 for Up, 3 for Zero). A value of 0 retrieves predictions for all positions.
-   * @param offset The starting index for pagination. Use this to fetch predictions in batches.
-   * @return predictions An array of `Prediction` structs representing the matching predictions.
-   * @return size The total number of predictions available for the specified round and position.
+   * @notice Initializes the OraclyV1Core contract by setting the reward distributors and the MetaOracly contract address.
+   * @dev This constructor is essential as the MetaOracly contract acts as the source for retrieving game data, price feeds, and other relevant information critical to the OraclyV1Core functionality.
+   *      Validates the addresses for staking and mentoring contracts to ensure they are contracts and not EOAs.
+   *      Also validates that the `distributorEOA_address` is an EOA and not a contract.
+   * @param distributorEOA_address Address of the EOA used as a backup for reward distribution.
+   * @param stakingContract_address Address of the staking contract for staking rewards.
+   * @param mentoringContract_address Address of the mentoring contract for mentor rewards.
+   * @param metaoracly_address The address of the MetaOracly contract that serves as the data provider for the game.
    */
-  function getRoundPredictions(
-    bytes32 roundid,
-    uint8 position,
-    uint256 offset
+  constructor(
+    address distributorEOA_address,
+    address stakingContract_address,
+    address mentoringContract_address,
+    address metaoracly_address
   )
-    external
-    view
-    returns (
-      Prediction[] memory predictions,
-      uint size
-    )
   {
+    if (!(metaoracly_address.code.length > 0)) {
+      revert("CannotUseEOAAsMetaOraclyContract");
+    }
 
-    predictions = new Prediction[](0);
-    size = _roundPredictions[roundid][position].length();
-
-    if (size == 0) return (predictions, size);
-    if (offset >= size) return (predictions, size);
+    if (!(stakingContract_address.code.length > 0)) {
+      revert("CannotUseEOAAsStakingRewardDistributorContract");
+    }
 
-    uint rest = size - offset;
-    uint lastidx = 0;
-    if (rest > 20) {
-      lastidx = rest - 20;
+    if (!(mentoringContract_address.code.length > 0)) {
+      revert("CannotUseEOAAsMentoringRewardDistributorContract");
     }
-    uint resultSize = rest - lastidx;
-    predictions = new Prediction[](resultSize);
 
-    uint idx = 0;
-    while (idx != resultSize) {
-      bytes32 predictionid = _roundPredictions[roundid][position].at(rest - 1 - idx);
-      predictions[idx] = _predictions[predictionid];
-      idx++;
+    if (distributorEOA_address.code.length > 0) {
+      revert("CannotUseContractAsEOADistributor");
     }
 
+    METAORACLY_CONTRACT = metaoracly_address;
+    STAKING_CONTRACT = stakingContract_address;
+    MENTORING_CONTRACT = mentoringContract_address;
+    DISTRIBUTOR_EOA = distributorEOA_address;
+
   }
 
   /**
-   * @notice Retrieves a paginated list of a bettor's predictions for a specific position.
-   * @dev Returns up to 20 `Prediction` structs starting from the specified `offset`.
-   *      If `position` is set to 0, predictions for all positions are retrieved.
-   *      Also returns the total number of predictions matching the criteria.
-   * @param bettor The address of the bettor whose predictions are being queried.
-   * @param position The predicted outcome (1 for Down, 2 for Up, 3 for Zero). A value of 0 retrieves predictions for all positions.
-   * @param offset The starting index for pagination of the results.
-   * @return predictions An array of `Prediction` structs limited to 20 entries.
-   * @return size The total number of predictions for the bettor and specified position.
+   * @notice Places a prediction of the bettor on the specified game and round.
+   * @dev Validates the game, the position, the deposit and the positioning period, then updates the round and the prediction and collects the deposit from the bettor.
+   *      Emits:
+   *      - `RoundCreated` event upon successful creation of the round.
+   *      - `RoundPrizepoolAdd` event to signal that the prize pool has been updated.
+   *      - `PredictionCreated` event if a new prediction is created.
+   *      - `IncreasePredictionDeposit` event if the bettor's prediction is updated.
+   * @param bettor The address of the bettor placing the prediction.
+   * @param amount The amount of ERC20 tokens the bettor deposits to place the prediction.
+   * @param position The predicted outcome for the game round. Valid values: (1 for Down, 2 for Up, 3 for Zero), or a bucket position of a range-bucket round.
+   * @param gameid The ID of the game where the prediction is being placed.
+   * @param roundid The ID of the specific round within the game.
+   * @param permit The bettor's EIP-2612 permit, a zero `deadline` for none.
    */
-  function getBettorPredictions(
+  function _placePrediction(
     address bettor,
+    uint amount,
     uint8 position,
-    uint256 offset
+    bytes32 gameid,
+    bytes32 roundid,
+    Permit memory permit
   )
-    external
-    view
-    returns (
-      Prediction[] memory predictions,
-      uint size
-    )
+    internal
   {
 
-    predictions = new Prediction[](0);
-    size = _bettorPredictions[bettor][position].length();
+    Game memory game = MetaOraclyV1(METAORACLY_CONTRACT).getGame(gameid);
+    if (gameid == 0x0 || gameid != game.gameid) {
+      revert("NotSupportedGame");
+    }
+    if (game.blocked) {
+      revert("CannotPlacePredictionGameIsBlocked");
+    }
 
-    if (size == 0) return (predictions, size);
-    if (offset >= size) return (predictions, size);
+    if (__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__[game.erc20]) {
+      revert("CannotPlacePredictionERC20TokenIsBlocked");
+    }
 
-    uint rest = size - offset;
-    uint lastidx = 0;
-    if (rest > 20) {
-      lastidx = rest - 20;
+    if (amount < game.minDeposit) {
+      revert("UnacceptableDepositAmount");
     }
-    uint resultSize = rest - lastidx;
-    predictions = new Prediction[](resultSize);
 
-    uint idx = 0;
-    while (idx != resultSize) {
-      bytes32 predictionid = _bettorPredictions[bettor][position].at(rest - 1 - idx);
-      predictions[idx] = _predictions[predictionid];
-      idx++;
+    if (IERC20(game.erc20).balanceOf(bettor) < amount) {
+      revert("InsufficientFunds");
     }
 
-  }
+    if (permit.deadline != 0) {
+      try
+        IERC20Permit(game.erc20).permit(
+          bettor,
+          address(this),
+          permit.value,
+          permit.deadline,
+          permit.v,
+          permit.r,
+          permit.s
+        )
+      { } catch { } // solhint-disable-line
+    }
 
-  /**
-   * @notice Checks whether a specific bettor has participated in a given round.
-   *         This function is used to verify if the bettor has placed a prediction in the provided round.
-   * @dev This function checks participation in a specific prediction round using the bettor's address and the unique round ID.
-   * @param bettor The address of the bettor to check for participation.
-   * @param roundid The unique identifier of the round.
-   * @return inround `true` if the bettor participated in the round, `false` otherwise.
-   */
-  function isBettorInRound(
-    address bettor,
-    bytes32 roundid
-  )
-    external
-    view
-    returns (
-      bool inround
-    )
-  {
+    if (IERC20(game.erc20).allowance(bettor, address(this)) < amount) {
+      revert("InsufficientAllowance");
+    }
 
-    inround = _roundBettors[roundid][ROUND_BETTORS_ID].contains(bettor);
+    uint sinceStart = block.timestamp % game.schedule;
+    uint startDate = block.timestamp - sinceStart;
+    bytes32 actualroundid = keccak256(abi.encode(game.gameid, startDate));
+    if (actualroundid != roundid) {
+      revert("CannotPlacePredictionIntoUnactualRound");
+    }
 
-  }
+    if (sinceStart >= game.positioning) {
+      revert("CannotPlacePredictionOutOfPositioningPeriod");
+    }
 
-  /**
-   * @notice Retrieves information about a specific bettor's activity for a given ERC20 token.
-   * @dev This function provides detailed information about the bettor's predictions, including:
-   *      - Bettor's address (`bettorid`) if found.
-   *      - Total number of predictions and individual outcomes [Total, Up, Down, Zero] (`uint[4]`).
-   *      - Total deposited amounts for predictions and individual outcomes [Total, Up, Down, Zero] (`uint[4]`).
-   *      - Total payouts received for predictions and individual outcomes [Total, Up, Down, Zero] (`uint[4]`).
-   *      - If `bettor` have never interacted with the provided `erc20` token for predictions deposits and payouts returns zeros.
-   *      - If `bettor` have never interacted with the cotract it returns zeros.
-   * @param bettor The address of the bettor to query.
-   * @param erc20 The address of the ERC20 token used for the bettor's predictions.
-   * @return bettorid The address of the bettor (or zero address if no predictions are found).
-   * @return predictions Array of four `uint` values:
-   *        [0]: Total number of predictions made.
-   *        [1]: Number of predictions for Up.
-   *        [2]: Number of predictions for Down.
-   *        [3]: Number of predictions for Zero.
-   * @return deposits Array of four `uint` values:
-   *        [0]: Total amount deposited using the ERC20 token.
-   *        [1]: Amount deposited for Up predictions.
-   *        [2]: Amount deposited for Down predictions.
-   *        [3]: Amount deposited for Zero predictions.
-   * @return payouts Array of four `uint` values:
-   *        [0]: Total payout amount received for the ERC20 token.
-   *        [1]: Payout amount received for Up predictions.
-   *        [2]: Payout amount received for Down predictions.
-   *        [3]: Payout amount received for Zero predictions.
-   */
-  function getBettor(
-    address bettor,
-    address erc20
-  )
-    external
-    view
-    returns (
-      address bettorid,
-      uint[4] memory predictions,
-      uint[4] memory deposits,
-      uint[4] memory payouts
-    )
-  {
+    _updateRound(game, roundid, position, amount);
+    _updatePrediction(game, roundid, position, amount, bettor);
 
-    uint size = _bettorPredictions[bettor][BETTOR_PREDICTIONS_ID].length();
-    bettorid = size == 0 ? address(0) : bettor;
-    predictions = [
-      size,
-      _bettorPredictions[bettor][uint8(EOutcome.Up)].length(),
-      _bettorPredictions[bettor][uint8(EOutcome.Down)].length(),
-      _bettorPredictions[bettor][uint8(EOutcome.Zero)].length()
-    ];
-
-    deposits = [
-      _bettorFundsIN[bettor][erc20][BETTOR_TOTAL_DEPOSIT_ID],
-      _bettorFundsIN[bettor][erc20][uint8(EOutcome.Up)],
-      _bettorFundsIN[bettor][erc20][uint8(EOutcome.Down)],
-      _bettorFundsIN[bettor][erc20][uint8(EOutcome.Zero)]
-    ];
-
-    payouts = [
-      _bettorFundsOUT[bettor][erc20][BETTOR_TOTAL_PAIDOUT_ID],
-      _bettorFundsOUT[bettor][erc20][uint8(EOutcome.Up)],
-      _bettorFundsOUT[bettor][erc20][uint8(EOutcome.Down)],
-      _bettorFundsOUT[bettor][erc20][uint8(EOutcome.Zero)]
-    ];
+    IERC20(game.erc20).safeTransferFrom(bettor, address(this), amount);
 
   }
 
@@ -503,9 +459,13 @@ abstract contract OraclyV1Core is Context {
    * @dev This function handles both creating new predictions and updating existing ones.
    *      It adjusts the bettor's token deposit for their prediction and ensures that internal mappings remain consistent.
    *      It also emits an event when a prediction is created or updated.
+   *      The deposit caps the round copied from its game are checked against the round prize pool, so the round must be created and updated with the `amount` first.
    *      Requirements:
    *      - The bettor's address must not be zero.
    *      - `amount` must be greater than zero.
+   *      - The prediction deposit must not exceed the round `maxDeposit`, if set.
+   *      - The bettor's total deposit in the round must not exceed the round `bettorRoundCap`, if set.
+   *      - The round prize pool must not exceed the round `roundCap`, if set.
    *      Emits:
    *      - `PredictionCreated` event if a new prediction is created.
    *      - `IncreasePredictionDeposit` event if the bettor's prediction is updated.
@@ -557,7 +517,21 @@ abstract contract OraclyV1Core is Context {
       );
     }
 
+    Round storage round = _rounds[roundid];
+
     prediction.deposit = prediction.deposit + amount;
+    if (round.maxDeposit != 0 && prediction.deposit > round.maxDeposit) {
+      revert("PredictionDepositCapExceeded");
+    }
+
+    _roundBettorDeposits[roundid][bettor] += amount;
+    if (round.bettorRoundCap != 0 && _roundBettorDeposits[roundid][bettor] > round.bettorRoundCap) {
+      revert("BettorRoundDepositCapExceeded");
+    }
+
+    if (round.roundCap != 0 && _prizepool[roundid][PRIZEPOOL_TOTAL_ID] > round.roundCap) {
+      revert("RoundDepositCapExceeded");
+    }
 
     _bettorFundsIN[bettor][game.erc20][BETTOR_TOTAL_DEPOSIT_ID] += amount;
     _bettorFundsIN[bettor][game.erc20][position] += amount;
@@ -565,12 +539,96 @@ abstract contract OraclyV1Core is Context {
     emit IncreasePredictionDeposit(predictionid, amount);
   }
 
+  /**
+   * @notice Decreases the bettor's prediction deposit, and removes the prediction once nothing is left of it.
+   * @dev This function is the reverse of `_updateRound` and `_updatePrediction` for the given amount.
+   *      It unwinds the round prize pool and the bettor's funds deposited, and once the deposit reaches zero,
+   *      it removes the prediction from the round and bettor sets and deletes it.
+   *      The bettor is removed from the round bettors only if they hold no other position in the round.
+   *      Requirements:
+   *      - `amount` must not exceed the prediction deposit.
+   *      Emits:
+   *      - `RoundPrizepoolRemove` event to signal that the prize pool has been decreased.
+   *      - `DecreasePredictionDeposit` event for the withdrawn amount.
+   *      - `PredictionCancelled` event if the prediction is removed.
+   * @param predictionid The unique identifier of the prediction to decrease.
+   * @param amount The amount of tokens withdrawn from the prediction deposit, including the fee.
+   * @param fee The cancellation fee charged on the withdrawn amount.
+   */
+  function _decreasePrediction(
+    bytes32 predictionid,
+    uint amount,
+    uint fee
+  )
+    internal
+  {
+
+    Prediction storage prediction = _predictions[predictionid];
+
+    bytes32 roundid = prediction.roundid;
+    address bettor = prediction.bettor;
+    address erc20 = prediction.erc20;
+    uint8 position = prediction.position;
+
+    prediction.deposit = prediction.deposit - amount;
+
+    _prizepool[roundid][position] = _prizepool[roundid][position] - amount;
+    _prizepool[roundid][PRIZEPOOL_TOTAL_ID] = _prizepool[roundid][PRIZEPOOL_TOTAL_ID] - amount;
+    _liabilities[erc20] -= amount;
+
+    emit RoundPrizepoolRemove(
+      roundid,
+      erc20,
+      position,
+      amount
+    );
+
+    _roundBettorDeposits[roundid][bettor] -= amount;
+
+    _bettorFundsIN[bettor][erc20][BETTOR_TOTAL_DEPOSIT_ID] -= amount;
+    _bettorFundsIN[bettor][erc20][position] -= amount;
+
+    emit DecreasePredictionDeposit(predictionid, amount, fee);
+
+    if (prediction.deposit != 0) {
+      return;
+    }
+
+    _roundPredictions[roundid][position].remove(predictionid);
+    _roundPredictions[roundid][ROUND_PREDICTIONS_ID].remove(predictionid);
+
+    _roundBettors[roundid][position].remove(bettor);
+
+    bool inround = false;
+    (uint8 first, uint8 last) = _getPositionRange(roundid);
+    for (uint8 other = first; other <= last; other++) {
+      if (_roundBettors[roundid][other].contains(bettor)) {
+        inround = true;
+        break;
+      }
+    }
+    if (!inround) {
+      _roundBettors[roundid][ROUND_BETTORS_ID].remove(bettor);
+    }
+
+    _bettorPredictions[bettor][position].remove(predictionid);
+    _bettorPredictions[bettor][BETTOR_PREDICTIONS_ID].remove(predictionid);
+
+    delete _predictions[predictionid];
+
+    emit PredictionCancelled(predictionid, roundid, bettor);
+
+  }
+
   /**
    * @notice Updates a round's state by creating a new round if necessary and updating its prize pool.
    * @dev This function checks if the round already exists; if not, it initializes a new round.
    *      Then, based on the provided position and amount, it increments the respective prize pool.
-   *      The position represents the bettor's predicted price movement direction (1 for Down, 2 for Up, 3 for Zero) within the round.
+   *      The position represents the bettor's predicted price movement direction (1 for Down, 2 for Up, 3 for Zero) within the round,
+   *      or the predicted price bucket for range-bucket rounds.
    *      The prize pool is updated accordingly based on the amount wagered for the specified position.
+   *      Requirements:
+   *      - The position must be supported by the round, see `_isPositionSupported`.
    *      Emits:
    *      - `RoundCreated` event upon successful creation of the round.
    *      - `RoundPrizepoolAdd` event to signal that the prize pool has been updated.
@@ -589,6 +647,11 @@ abstract contract OraclyV1Core is Context {
   {
 
     _createRound(game, roundid);
+
+    if (!_isPositionSupported(roundid, position)) {
+      revert("NotSupportedPosition");
+    }
+
     _updatePrizepool(roundid, position, amount, game.erc20);
 
   }
@@ -600,7 +663,8 @@ abstract contract OraclyV1Core is Context {
    *      - The game must exist, be valid, and active.
    *      - The provided `roundid` must not have been used previously.
    *      - The fetched entry price must be valid and timestamped within the acceptable range defined by the game configuration.
-   *      Emits a `RoundCreated` event upon successful creation of the round.
+   *      - For pair-performance games, the same applies to the entry price fetched from the pair price feed.
+   *      Emits a `RoundCreated` event upon successful creation of the round, and a `RoundPairCreated` event for pair-performance games.
    * @param game The configuration parameters for the game.
    * @param roundid The unique identifier for the new prediction round.
    */
@@ -622,20 +686,8 @@ abstract contract OraclyV1Core is Context {
 
       address pricefeed = game.pricefeed;
 
-      Price memory entryPrice = _getPriceLatest(pricefeed);
-
-      if (!_isValidPrice(entryPrice)) {
-        revert("RoundEntryPriceInInvalid");
-      }
-
-      if (entryPrice.timestamp < startDate) {
-        revert("RoundEntryPriceTimestampTooEarly");
-      }
-
       uint lockDate = startDate + game.positioning;
-      if (entryPrice.timestamp >= lockDate) {
-        revert("RoundEntryPriceTimestampTooLate");
-      }
+      Price memory entryPrice = _getEntryPrice(pricefeed, startDate, lockDate);
 
       uint endDate = startDate + game.schedule;
       uint expirationDate = endDate + game.expiration;
@@ -650,6 +702,19 @@ abstract contract OraclyV1Core is Context {
       round.openedAt = block.timestamp;
       round.erc20 = erc20;
       round.pricefeed = pricefeed;
+      round.vigorish = game.vigorish;
+      round.resolverReward = game.resolverReward;
+      round.cancellationFee = game.cancellationFee;
+      round.tolerance = game.tolerance;
+      round.maxDeposit = game.maxDeposit;
+      round.bettorRoundCap = game.bettorRoundCap;
+      round.roundCap = game.roundCap;
+      if (game.bucketEdges.length != 0) {
+        _roundBucketEdges[roundid] = game.bucketEdges;
+      }
+      if (game.claimPeriod != 0) {
+        round.claimDeadline = expirationDate + game.claimPeriod;
+      }
 
       emit RoundCreated(
         roundid,
@@ -665,6 +730,52 @@ abstract contract OraclyV1Core is Context {
         block.timestamp
       );
 
+      if (game.pairPricefeed != address(0)) {
+        Price memory pairEntryPrice = _getEntryPrice(game.pairPricefeed, startDate, lockDate);
+        _roundPairs[roundid].pricefeed = game.pairPricefeed;
+        _roundPairs[roundid].entryPrice = pairEntryPrice;
+
+        emit RoundPairCreated(roundid, game.pairPricefeed, pairEntryPrice);
+      }
+
+    }
+
+  }
+
+  /**
+   * @dev Fetches the latest price of a price feed as the Entry Price of a round starting at `startDate`.
+   *      Requirements:
+   *      - The price must be valid.
+   *      - The price must be updated within the positioning period of the round, from `startDate` (included) to `lockDate`.
+   * @param pricefeed The address of the Chainlink price feed contract.
+   * @param startDate The start date of the round.
+   * @param lockDate The lock date of the round.
+   * @return entryPrice The Entry Price of the round on the price feed.
+   */
+  function _getEntryPrice(
+    address pricefeed,
+    uint startDate,
+    uint lockDate
+  )
+    private
+    view
+    returns (
+      Price memory entryPrice
+    )
+  {
+
+    entryPrice = _getPriceLatest(pricefeed);
+
+    if (!_isValidPrice(entryPrice)) {
+      revert("RoundEntryPriceInInvalid");
+    }
+
+    if (entryPrice.timestamp < startDate) {
+      revert("RoundEntryPriceTimestampTooEarly");
+    }
+
+    if (entryPrice.timestamp >= lockDate) {
+      revert("RoundEntryPriceTimestampTooLate");
     }
 
   }
@@ -702,12 +813,13 @@ abstract contract OraclyV1Core is Context {
    *      - No Contest: None of the participants correctly predicted the outcome.
    *      - No Contest: The round was not resolved within the allowed time limit.
    *      This function permanently finalizes the state of the round and should only be called when the round is in settlement phase and unresolved.
+   *      A resolution with a valid Exit Price into Down, Up or Zero credits the resolver reward of the round to the sender.
    *      Requirements:
    *      - The round must be unresolved state.
    *      - The `exitPriceid` must be valid and `Exit Price` from the oracle.
    *      Emits:
    *      - `RoundResolvedNoContest`: If the round concludes with a "No Contest" outcome.
-   *      - `RoundResolved`: If the round ends with a valid outcome: Down, Up, or Zero.
+   *      - `RoundResolved`: If the round ends with a valid outcome: Down, Up, or Zero, along with the resolver reward credited.
    * @param roundid The unique identifier of the round being resolved.
    * @param exitPriceid The ID representing the price used to determine the final outcome of the round.
    */
@@ -718,107 +830,218 @@ abstract contract OraclyV1Core is Context {
     internal
   {
 
-    Round storage round = _rounds[roundid];
-    if (round.resolved) {
-      revert("CannotResolveResolvedRound");
+    string memory error = _tryResolve(roundid, exitPriceid);
+    if (bytes(error).length != 0) {
+      revert(error);
     }
 
-    if (round.openedAt == 0) {
-      revert("CannotResolveUnopenedRound");
-    }
+  }
 
-    round.resolved = true;
-    round.resolvedAt = block.timestamp;
+  /**
+   * @notice Calculates the reward of the resolver of a round, the resolver reward share of the commission on the whole prize pool.
+   * @dev Rounded down, so it never exceeds the commission of the winning predictions it is deducted from.
+   * @param roundid The unique identifier of the round being resolved.
+   * @param vigorish The vigorish of the round, in basis points.
+   * @param resolverReward The resolver reward share of the round vigorish, in basis points.
+   * @return reward The amount of the ERC20 token of the round credited to the resolver.
+   */
+  function _calculateResolverReward(
+    bytes32 roundid,
+    uint16 vigorish,
+    uint16 resolverReward
+  )
+    internal
+    view
+    returns (
+      uint reward
+    )
+  {
 
-    if (_isNoContestSingleOutcome(roundid)) {
-      if (block.timestamp <= round.lockDate) {
-        revert("CannotResolveRoundDuringPositioning");
-      }
+    reward = (
+      _prizepool[roundid][PRIZEPOOL_TOTAL_ID] * vigorish * resolverReward
+    ) / (
+      uint(VIGORISH_BASIS_POINTS) * RESOLVER_REWARD_BASIS_POINTS
+    );
 
-      round.resolution = uint8(EOutcome.NoContest);
+  }
 
-      emit RoundResolvedNoContest(
-        roundid,
-        _msgSender(),
-        block.timestamp,
-        uint8(EOutcome.NoContest)
-      );
+  /**
+   * @notice Resolves a round like `_resolve`, but returns the failure reason instead of reverting.
+   * @dev The round state is changed only on success, so a failed resolution can be skipped by the caller.
+   * @param roundid The unique identifier of the round being resolved.
+   * @param exitPriceid The ID representing the price used to determine the final outcome of the round.
+   * @return error The revert reason `_resolve` would use, or an empty string if the round has been resolved.
+   */
+  function _tryResolve(
+    bytes32 roundid,
+    uint80 exitPriceid
+  )
+    internal
+    returns (
+      string memory error
+    )
+  {
 
-      return;
+    Round storage round = _rounds[roundid];
+    if (round.resolved) {
+      return "CannotResolveResolvedRound";
     }
 
-    if (block.timestamp <= round.endDate) {
-      revert("CannotResolveRoundBeforeEndDate");
+    if (round.openedAt == 0) {
+      return "CannotResolveUnopenedRound";
     }
 
-    // Resolve to NoContest if round settlement period expired
-    if (block.timestamp > round.expirationDate) {
+    if (_isNoContestSingleOutcome(roundid)) {
+      if (block.timestamp <= round.lockDate) {
+        return "CannotResolveRoundDuringPositioning";
+      }
 
-      round.resolution = uint8(EOutcome.NoContest);
+      _resolveNoContest(round);
+      return "";
+    }
 
-      emit RoundResolvedNoContest(
-        roundid,
-        _msgSender(),
-        block.timestamp,
-        uint8(EOutcome.NoContest)
-      );
+    if (block.timestamp <= round.endDate) {
+      return "CannotResolveRoundBeforeEndDate";
+    }
 
-      return;
+    // Resolve to NoContest if round settlement period expired
+    if (block.timestamp > round.expirationDate) {
+      _resolveNoContest(round);
+      return "";
     }
 
     if (__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__[round.erc20]) {
-
-      round.resolution = uint8(EOutcome.NoContest);
-
-      emit RoundResolvedNoContest(
-        roundid,
-        _msgSender(),
-        block.timestamp,
-        uint8(EOutcome.NoContest)
-      );
-
-      return;
+      _resolveNoContest(round);
+      return "";
     }
 
     Game memory game = MetaOraclyV1(METAORACLY_CONTRACT).getGame(round.gameid);
     if (game.blocked) {
-
-      round.resolution = uint8(EOutcome.NoContest);
-
-      emit RoundResolvedNoContest(
-        roundid,
-        _msgSender(),
-        block.timestamp,
-        uint8(EOutcome.NoContest)
-      );
-
-      return;
+      _resolveNoContest(round);
+      return "";
     }
 
     if (exitPriceid == 0) {
-      revert("CannotResolveRoundWithoutPrice");
+      return "CannotResolveRoundWithoutPrice";
+    }
+
+    // The largest price id has no control price after it
+    if (exitPriceid == type(uint80).max) {
+      return "InvalidRoundResolution";
     }
 
     Price memory exitPrice = _getPrice(round.pricefeed, exitPriceid);
     Price memory controlPrice = _getPrice(round.pricefeed, exitPriceid + 1);
 
     if (!_isValidResolution(
-      round,
+      round.entryPrice,
+      round.lockDate,
+      round.endDate,
       exitPrice,
       controlPrice
     )) {
-      revert("InvalidRoundResolution");
+      return "InvalidRoundResolution";
+    }
+
+    if (_roundPairs[roundid].pricefeed != address(0) && !_resolvePair(roundid, round.lockDate, round.endDate)) {
+      return "InvalidRoundResolution";
     }
 
+    round.resolved = true;
+    round.resolvedAt = block.timestamp;
     round.exitPrice = exitPrice;
-    round.resolution = _calculateRoundResolution(roundid, round.entryPrice, exitPrice);
+    round.resolution = _calculateRoundResolution(roundid, round.entryPrice, exitPrice, round.tolerance, _roundBucketEdges[roundid]);
+
+    uint reward = 0;
+    if (round.resolution != uint8(EOutcome.NoContest)) {
+      reward = _calculateResolverReward(roundid, round.vigorish, round.resolverReward);
+      round.resolverRewardPaid = reward;
+      _prizepool[roundid][PRIZEPOOL_RELEASED_ID] += reward;
+    }
+
+    // The reward is credited rather than transferred, so a failing transfer cannot fail the resolution
+    if (reward != 0) {
+      _resolverRewards[_msgSender()][round.erc20] += reward;
+    }
 
     emit RoundResolved(
       roundid,
       exitPrice,
       _msgSender(),
       block.timestamp,
-      round.resolution
+      round.resolution,
+      reward,
+      round.tolerance
+    );
+
+  }
+
+  /**
+   * @notice Resolves the pair price feed of a pair-performance round, with the same safeguards as the round Exit Price.
+   * @dev Locates the Exit Price of the pair price feed with `_locateExitPriceid` and validates it, along with its Control Price,
+   *      against the pair Entry Price and the round dates with `_isValidResolution`. The pair Exit Price is stored only if valid.
+   *      Emits a `RoundPairResolved` event if the pair Exit Price is valid.
+   * @param roundid The unique identifier of the round being resolved.
+   * @param lockDate The lock date of the round.
+   * @param endDate The end date of the round.
+   * @return valid `true` if the pair Exit Price is valid, `false` otherwise.
+   */
+  function _resolvePair(
+    bytes32 roundid,
+    uint lockDate,
+    uint endDate
+  )
+    private
+    returns (
+      bool valid
+    )
+  {
+
+    Pair storage pair = _roundPairs[roundid];
+
+    uint80 exitPriceid = _locateExitPriceid(pair.pricefeed, pair.entryPrice.roundid, endDate);
+    Price memory exitPrice = _getPrice(pair.pricefeed, exitPriceid);
+    Price memory controlPrice = _getPrice(pair.pricefeed, exitPriceid + 1);
+
+    // The pair prices are validated against the round dates, the same way as the round prices
+    if (!_isValidResolution(
+      pair.entryPrice,
+      lockDate,
+      endDate,
+      exitPrice,
+      controlPrice
+    )) {
+      return false;
+    }
+
+    pair.exitPrice = exitPrice;
+
+    emit RoundPairResolved(roundid, exitPrice);
+
+    return true;
+
+  }
+
+  /**
+   * @dev Resolves the round as "No Contest", all of its predictions become refundable.
+   *      Emits a `RoundResolvedNoContest` event.
+   * @param round The storage pointer to the round being resolved.
+   */
+  function _resolveNoContest(
+    Round storage round
+  )
+    private
+  {
+
+    round.resolved = true;
+    round.resolvedAt = block.timestamp;
+    round.resolution = uint8(EOutcome.NoContest);
+
+    emit RoundResolvedNoContest(
+      round.roundid,
+      _msgSender(),
+      block.timestamp,
+      uint8(EOutcome.NoContest)
     );
 
   }
@@ -837,16 +1060,67 @@ abstract contract OraclyV1Core is Context {
       bool
     )
   {
-    uint prizepoolUp = _prizepool[roundid][uint8(EOutcome.Up)];
-    uint prizepoolDown = _prizepool[roundid][uint8(EOutcome.Down)];
-    uint prizepoolZero = _prizepool[roundid][uint8(EOutcome.Zero)];
     uint prizepoolTotal = _prizepool[roundid][PRIZEPOOL_TOTAL_ID];
 
-    return (
-      prizepoolUp == prizepoolTotal ||
-      prizepoolDown == prizepoolTotal ||
-      prizepoolZero == prizepoolTotal
-    );
+    (uint8 first, uint8 last) = _getPositionRange(roundid);
+    for (uint8 position = first; position <= last; position++) {
+      if (_prizepool[roundid][position] == prizepoolTotal) {
+        return true;
+      }
+    }
+
+    return false;
+  }
+
+  /**
+   * @notice Returns the range of positions predictions can be placed on in a round.
+   * @dev Rounds without bucket edges have the Down, Up and Zero positions,
+   *      range-bucket rounds have one position per bucket, starting at `FIRST_BUCKET_POSITION`.
+   * @param roundid The unique identifier of the round.
+   * @return first The lowest position of the round.
+   * @return last The highest position of the round.
+   */
+  function _getPositionRange(
+    bytes32 roundid
+  )
+    internal
+    view
+    returns (
+      uint8 first,
+      uint8 last
+    )
+  {
+
+    uint edges = _roundBucketEdges[roundid].length;
+    if (edges == 0) {
+      return ( uint8(EOutcome.Down), uint8(EOutcome.Zero) );
+    }
+
+    return ( FIRST_BUCKET_POSITION, uint8(FIRST_BUCKET_POSITION + edges) );
+
+  }
+
+  /**
+   * @notice Checks whether a position can be predicted in a round.
+   * @param roundid The unique identifier of the round.
+   * @param position The position to check.
+   * @return True if the position is within the range of the round, false otherwise.
+   */
+  function _isPositionSupported(
+    bytes32 roundid,
+    uint8 position
+  )
+    internal
+    view
+    returns (
+      bool
+    )
+  {
+
+    (uint8 first, uint8 last) = _getPositionRange(roundid);
+
+    return position >= first && position <= last;
+
   }
 
   /**
@@ -956,6 +1230,101 @@ abstract contract OraclyV1Core is Context {
 
   }
 
+  /**
+   * @notice Locates the Exit Price of a round on its price feed, the last price before the round end date.
+   * @dev Searches the phase of the Entry Price, where price timestamps only grow, for the last aggregator round older than `endDate`.
+   *      The search starts with exponential steps from the Entry Price aggregator round, then narrows down with a binary search,
+   *      reading at most `EXIT_PRICE_SEARCH_STEPS` price feed rounds.
+   *      Missing, stale or mismatching price feed rounds are treated as not older than `endDate`.
+   *      The located price is not validated, `_resolve` validates it along with its successor, the Control Price.
+   * @param pricefeed The address of the Chainlink price feed to search.
+   * @param entryPriceid The ID of the Entry Price of the round on the price feed.
+   * @param endDate The end date of the round.
+   * @return exitPriceid The ID of the Exit Price, or `0` if the Entry Price is missing, no price was found after it before the end date,
+   *                     or the search did not complete within `EXIT_PRICE_SEARCH_STEPS` steps.
+   */
+  function _locateExitPriceid(
+    address pricefeed,
+    uint80 entryPriceid,
+    uint endDate
+  )
+    internal
+    view
+    returns (
+      uint80 exitPriceid
+    )
+  {
+
+    if (entryPriceid == 0) return 0;
+
+    (uint16 phaseId, uint64 entryAggrRoundId) = _parseRoundid(entryPriceid);
+
+    // invariant: `lo` is older than endDate, `hi` is missing or not older than endDate
+    uint lo = entryAggrRoundId;
+    uint hi = 0;
+    uint step = 1;
+    uint steps = 0;
+
+    while (hi == 0) {
+      if (++steps > EXIT_PRICE_SEARCH_STEPS) return 0;
+
+      if (_isPriceBefore(pricefeed, phaseId, lo + step, endDate)) {
+        lo = lo + step;
+        step = step * 2;
+      } else {
+        hi = lo + step;
+      }
+    }
+
+    while (hi - lo > 1) {
+      if (++steps > EXIT_PRICE_SEARCH_STEPS) return 0;
+
+      uint mid = (lo + hi) / 2;
+      if (_isPriceBefore(pricefeed, phaseId, mid, endDate)) {
+        lo = mid;
+      } else {
+        hi = mid;
+      }
+    }
+
+    if (lo == entryAggrRoundId) return 0;
+
+    return _computeRoundid(phaseId, uint64(lo));
+
+  }
+
+  /**
+   * @dev Checks whether a price feed round of the given phase exists and is older than the given date.
+   * @param pricefeed The address of the Chainlink price feed contract.
+   * @param phaseId The phase of the price feed round.
+   * @param aggregatorRoundId The aggregator round ID within the phase, out of range IDs are treated as missing.
+   * @param date The timestamp the price must be older than.
+   * @return True if the price exists and its timestamp is before `date`, false otherwise.
+   */
+  function _isPriceBefore(
+    address pricefeed,
+    uint16 phaseId,
+    uint aggregatorRoundId,
+    uint date
+  )
+    private
+    view
+    returns (
+      bool
+    )
+  {
+
+    if (aggregatorRoundId > type(uint64).max) return false;
+
+    Price memory price = _getPrice(pricefeed, _computeRoundid(phaseId, uint64(aggregatorRoundId)));
+
+    return (
+      price.timestamp != 0 &&
+      price.timestamp < date
+    );
+
+  }
+
   /**
    * @notice Validates the prices provided for a round resolution to ensure correctness.
    *         Ensures that the exit price is valid, fits within the round's timeline, and meets the required phase and timing conditions.
@@ -964,13 +1333,17 @@ abstract contract OraclyV1Core is Context {
    *      - Ensures the control price is after the round's end date and comes from the same phase as the exit price.
    *      - Validates consistency in timestamps and phases between the provided prices.
    *      - Checks that the control price's phase and exit price's phase are aligned.
-   * @param round The data of the round being validated.
+   * @param entryPrice The Entry Price of the round.
+   * @param lockDate The lock date of the round.
+   * @param endDate The end date of the round.
    * @param exitPrice The price used for resolving the outcome of the round.
    * @param controlPrice The control price, used for comparison after the round's end.
    * @return valid `true` if all validations pass, `false` otherwise.
    */
   function _isValidResolution(
-    Round memory round,
+    Price memory entryPrice,
+    uint lockDate,
+    uint endDate,
     Price memory exitPrice,
     Price memory controlPrice
   )
@@ -983,23 +1356,23 @@ abstract contract OraclyV1Core is Context {
     // Ensure all prices are valid
     if (!_isValidPrice(exitPrice)) return false;
     if (!_isValidPrice(controlPrice)) return false;
-    if (!_isValidPrice(round.entryPrice)) return false;
+    if (!_isValidPrice(entryPrice)) return false;
 
     // Avoid resolution if price difference is too hight
     if (!_isValidPriceDifference(exitPrice.value, controlPrice.value)) return false;
-    if (!_isValidPriceDifference(exitPrice.value, round.entryPrice.value)) return false;
+    if (!_isValidPriceDifference(exitPrice.value, entryPrice.value)) return false;
 
     // Ensure exit price is within the round's active period
-    if (exitPrice.timestamp < round.lockDate) return false;
-    if (exitPrice.timestamp >= round.endDate) return false;
+    if (exitPrice.timestamp < lockDate) return false;
+    if (exitPrice.timestamp >= endDate) return false;
 
     // Ensure control price is after the round's end date
-    if (controlPrice.timestamp < round.endDate) return false;
+    if (controlPrice.timestamp < endDate) return false;
 
     // The exit price must be newer than the round's entry price
-    if (exitPrice.timestamp <= round.entryPrice.timestamp) return false;
+    if (exitPrice.timestamp <= entryPrice.timestamp) return false;
 
-    (uint16 opPhaseId, uint64 opAggrRoundId) = _parseRoundid(round.entryPrice.roundid);
+    (uint16 opPhaseId, uint64 opAggrRoundId) = _parseRoundid(entryPrice.roundid);
     (uint16 rpPhaseId, uint64 rpAggrRoundId) = _parseRoundid(exitPrice.roundid);
     (uint16 cpPhaseId, uint64 cpAggrRoundId) = _parseRoundid(controlPrice.roundid);
 
@@ -1129,20 +1502,27 @@ abstract contract OraclyV1Core is Context {
   /**
    * @notice Determines the outcome of a prediction round by comparing the entry and exit price values.
    * @dev This function calculates the outcome by comparing the exit price (`exitPrice`) to the entry price (`entryPrice`).
+   *      For pair-performance rounds the price move is the difference between the relative changes of the round and the pair price feeds,
+   *      taken over the product of both entry prices instead of `entryPrice`.
    *      It returns a `uint8` value corresponding to the round's outcome, which can be one of the following:
-   *        - 1 for Down: If the exit price is lower than the entry price.
-   *        - 2 for Up: If the exit price is higher than the entry price.
-   *        - 3 for Zero: If the exit price equals the entry price.
+   *        - 1 for Down: If the exit price is lower than the entry price by more than the tolerance band.
+   *        - 2 for Up: If the exit price is higher than the entry price by more than the tolerance band.
+   *        - 3 for Zero: If the exit price is within the tolerance band of the entry price, equal to it with no tolerance.
+   *        - `FIRST_BUCKET_POSITION + i` for range-bucket rounds: the bucket `i` the exit price lands in, the tolerance band does not apply.
    *        - 4 for No Contest: If the round ends without a clear winner or if settlement conditions fail, allowing participants to reclaim their funds.
    * @param roundid The unique identifier of the round being resolved.
    * @param entryPrice The price at the start of the round used as the reference.
    * @param exitPrice The price at the end of the round, compared to `entryPrice` to decide the outcome.
+   * @param tolerance The tolerance band of the round, in basis points of `entryPrice`.
+   * @param bucketEdges The bucket edges of the round, in basis points of `entryPrice`, empty for Down, Up and Zero rounds.
    * @return outcome The result of the round, as a `uint8` value (Refer to the `EOutcome` enum for possible values).
    */
   function _calculateRoundResolution(
     bytes32 roundid,
     Price memory entryPrice,
-    Price memory exitPrice
+    Price memory exitPrice,
+    uint16 tolerance,
+    int16[] memory bucketEdges
   )
     private
     view
@@ -1153,18 +1533,38 @@ abstract contract OraclyV1Core is Context {
 
     outcome = uint8(EOutcome.Undefined);
 
-    if (exitPrice.value > entryPrice.value) {
+    // The price move relative to `base`, all prices are validated positive
+    int256 change = exitPrice.value - entryPrice.value;
+    int256 base = entryPrice.value;
 
-      outcome = uint8(EOutcome.Up);
+    Pair storage pair = _roundPairs[roundid];
+    if (pair.pricefeed != address(0)) {
+      change = exitPrice.value * pair.entryPrice.value - pair.exitPrice.value * entryPrice.value;
+      base = entryPrice.value * pair.entryPrice.value;
+    }
 
-    } else if (exitPrice.value < entryPrice.value) {
+    if (bucketEdges.length != 0) {
 
-      outcome = uint8(EOutcome.Down);
+      // The exit price lands above every edge it reaches, edges are in ascending order
+      uint8 bucket = 0;
+      while (bucket < bucketEdges.length && change * int256(uint256(BUCKET_EDGE_BASIS_POINTS)) >= base * bucketEdges[bucket]) {
+        bucket++;
+      }
+
+      outcome = FIRST_BUCKET_POSITION + bucket;
 
-    } else if (exitPrice.value == entryPrice.value) {
+    } else if (SignedMath.abs(change) * TOLERANCE_BASIS_POINTS <= uint(base) * tolerance) {
 
       outcome = uint8(EOutcome.Zero);
 
+    } else if (change > 0) {
+
+      outcome = uint8(EOutcome.Up);
+
+    } else if (change < 0) {
+
+      outcome = uint8(EOutcome.Down);
+
     }
 
     if (outcome == uint8(EOutcome.Undefined)) {
@@ -1224,6 +1624,7 @@ abstract contract OraclyV1Core is Context {
 
     _prizepool[roundid][position] = _prizepool[roundid][position] + amount;
     _prizepool[roundid][PRIZEPOOL_TOTAL_ID] = _prizepool[roundid][PRIZEPOOL_TOTAL_ID] + amount;
+    _liabilities[erc20] += amount;
 
     emit RoundPrizepoolAdd(
       roundid,
@@ -1239,7 +1640,7 @@ abstract contract OraclyV1Core is Context {
    * @dev This function determines the payout and commission for a prediction based on whether:
    *      - The prediction was correct.
    *      - The prediction has already been claimed.
-   *      The function also handles potential rounding errors for the last prediction in a round.
+   *      The function also handles potential rounding errors for the last prediction in a round, and deducts the resolver reward share from the commission.
    * @param prediction The prediction made by the bettor, containing the prediction details.
    * @param round The round details, including the outcome and other round-specific data.
    * @return payout The calculated payout for the prediction based on its correctness and the round's result.
@@ -1249,7 +1650,7 @@ abstract contract OraclyV1Core is Context {
     Prediction memory prediction,
     Round memory round
   )
-    private
+    internal
     view
     returns (
       uint payout,
@@ -1274,9 +1675,16 @@ abstract contract OraclyV1Core is Context {
       (payout, commission) = _calculatePrize(
         prediction.deposit,
         _prizepool[prediction.roundid][prediction.position],
-        _prizepool[prediction.roundid][PRIZEPOOL_TOTAL_ID]
+        _prizepool[prediction.roundid][PRIZEPOOL_TOTAL_ID],
+        round.vigorish
       );
 
+      // The resolver reward is deducted from the commission, pro rata to the deposit
+      if (round.resolverRewardPaid != 0) {
+        uint share = (round.resolverRewardPaid * prediction.deposit) / _prizepool[prediction.roundid][prediction.position];
+        commission -= Math.min(share, commission);
+      }
+
       // Handle potential rounding error
       uint unclaimed = (
         _roundPredictions[prediction.roundid][prediction.position].length()
@@ -1292,9 +1700,11 @@ abstract contract OraclyV1Core is Context {
           _prizepool[prediction.roundid][PRIZEPOOL_RELEASED_ID]
         );
 
-        if (prizepool > (payout + commission)) {
-          commission = prizepool - payout;
+        // Also gives up the rounding of the resolver reward shares
+        if (prizepool < payout) {
+          payout = prizepool;
         }
+        commission = prizepool - payout;
 
       }
 
@@ -1302,23 +1712,63 @@ abstract contract OraclyV1Core is Context {
 
   }
 
+  /**
+   * @notice Calculates the share of the sponsored bonus pool of the round for a winning prediction.
+   * @dev The bonus is split among the winning predictions pro rata to their deposits, the last unclaimed winning prediction gets what is left of it, rounding included.
+   *      Returns zero for lost, unclaimable and already claimed predictions, and for No Contest rounds, whose bonus is returned to the sponsors instead.
+   * @param prediction The prediction to calculate the bonus for.
+   * @param round The round the prediction belongs to.
+   * @return bonus The bonus paid to the prediction on claim.
+   */
+  function _calculateBonus(
+    Prediction memory prediction,
+    Round memory round
+  )
+    internal
+    view
+    returns (
+      uint bonus
+    )
+  {
+
+    if (prediction.claimed || !round.resolved || round.resolution != prediction.position) return 0;
+
+    uint[2] storage pool = _roundBonus[prediction.roundid];
+    if (pool[BONUS_TOTAL_ID] == 0) return 0;
+
+    uint unclaimed = (
+      _roundPredictions[prediction.roundid][prediction.position].length()
+    -
+      _claimedPredictions[prediction.roundid][prediction.position].length()
+    );
+
+    if (unclaimed == 1) {
+      return pool[BONUS_TOTAL_ID] - pool[BONUS_RELEASED_ID];
+    }
+
+    bonus = (pool[BONUS_TOTAL_ID] * prediction.deposit) / _prizepool[prediction.roundid][prediction.position];
+
+  }
+
   /**
    * @notice Calculates the prize payout and commission for a given deposit based on the position and total pools.
    * @dev The prize is proportional to the deposit relative to the position pool.
-   *      Commission is calculated as a percentage (VIGORISH_PERCENT) of the prize.
+   *      Commission is calculated as the round vigorish in basis points of the prize, rounded up.
    *      The payout is the prize minus the commission.
    * @param deposit The amount of the bettor's deposit in the current round.
    * @param positionpool The total amount deposited by all bettors who chose the same position.
    * @param totalpool The total amount deposited by all bettors in the round.
+   * @param vigorish The round vigorish in basis points.
    * @return payout The net amount after deducting the commission from the prize.
-   * @return commission The commission amount based on the VIGORISH_PERCENT.
+   * @return commission The commission amount based on the round vigorish.
    */
   function _calculatePrize(
     uint deposit,
     uint positionpool,
-    uint totalpool
+    uint totalpool,
+    uint16 vigorish
   )
-    private
+    internal
     pure
     returns (
       uint payout,
@@ -1328,7 +1778,7 @@ abstract contract OraclyV1Core is Context {
 
     uint prize = (totalpool * deposit) / positionpool;
 
-    commission = Math.ceilDiv(prize * VIGORISH_PERCENT, 100);
+    commission = Math.ceilDiv(prize * vigorish, VIGORISH_BASIS_POINTS);
     payout = prize - commission;
 
   }
@@ -1366,52 +1816,101 @@ abstract contract OraclyV1Core is Context {
     )
   {
 
+    string memory error;
+    (payout, commission, error) = _tryClaimPrediction(roundid, predictionid, erc20);
+    if (bytes(error).length != 0) {
+      revert(error);
+    }
+
+  }
+
+  /**
+   * @notice Claims a prediction like `_claimPrediction`, but returns the failure reason instead of reverting.
+   * @dev The prediction and round state are changed only on success, so a failed claim can be skipped by the caller.
+   * @param roundid The unique identifier of the round to which the prediction belongs.
+   * @param predictionid The unique identifier of the prediction for which the payout is claimed.
+   * @param erc20 The address of the ERC20 token in which the payout is requested.
+   * @return payout The amount awarded to the bettor based on the prediction.
+   * @return commission The commission deducted from the payout for stakers and mentors.
+   * @return error The revert reason `_claimPrediction` would use, or an empty string if the prediction has been claimed.
+   */
+  function _tryClaimPrediction(
+    bytes32 roundid,
+    bytes32 predictionid,
+    address erc20
+  )
+    internal
+    returns (
+      uint payout,
+      uint commission,
+      string memory error
+    )
+  {
+
     if (erc20 == address(0)) {
-      revert("ERC20AddressZero");
+      return (0, 0, "ERC20AddressZero");
     }
 
     Prediction memory prediction = _predictions[predictionid];
     if (prediction.roundid != roundid) {
-      revert("PredictionRoundMismatch");
+      return (0, 0, "PredictionRoundMismatch");
     }
 
     Round memory round = _rounds[roundid];
     if (round.erc20 != erc20) {
-      revert("ERC20PredictionRoundMismatch");
+      return (0, 0, "ERC20PredictionRoundMismatch");
     }
 
     if (!_roundPredictions[round.roundid][ROUND_PREDICTIONS_ID].contains(predictionid)) {
-      revert("CannotClaimNonRoundPrediction");
+      return (0, 0, "CannotClaimNonRoundPrediction");
     }
 
-    address bettor = _msgSender();
-    if (prediction.bettor != bettor) {
-      revert("BettorPredictionMismatch");
+    if (prediction.bettor != _msgSender()) {
+      return (0, 0, "BettorPredictionMismatch");
     }
 
     if (prediction.claimed) {
-      revert("CannotClaimClaimedPrediction");
+      return (0, 0, "CannotClaimClaimedPrediction");
     }
 
     if (_claimedPredictions[round.roundid][ROUND_CLAIMED_PREDICTIONS_ID].contains(prediction.predictionid)) {
-      revert("CannotClaimClaimedPrediction");
+      return (0, 0, "CannotClaimClaimedPrediction");
     }
 
     if (!round.resolved) {
-      revert("CannotClaimPredictionUnresolvedRound");
+      return (0, 0, "CannotClaimPredictionUnresolvedRound");
     }
 
     if (
       round.resolution != uint8(EOutcome.NoContest) &&
       round.resolution != prediction.position
     ) {
-      revert("CannotClaimLostPrediction");
+      return (0, 0, "CannotClaimLostPrediction");
+    }
+
+    if (round.archived) {
+      return (0, 0, "CannotClaimPredictionArchivedRound");
     }
 
     (payout, commission) = _calculatePayout(prediction, round);
+    uint bonus = _calculateBonus(prediction, round);
 
     _updateClaimPrediction(predictionid, payout, commission);
-    _releasePrizepool(roundid, payout, commission);
+    _releasePrizepool(roundid, erc20, payout, commission);
+
+    // The bonus is paid out along with the payout, with no commission taken
+    if (bonus != 0) {
+      _roundBonus[roundid][BONUS_RELEASED_ID] += bonus;
+      _liabilities[erc20] -= bonus;
+      payout += bonus;
+
+      emit PredictionBonusClaimed(
+        predictionid,
+        prediction.bettor,
+        erc20,
+        bonus
+      );
+    }
 
     _archiveRound(round);
 
@@ -1420,7 +1919,7 @@ abstract contract OraclyV1Core is Context {
   /**
    * @dev Archives a prediction round if no further actions can be taken on it.
    *      This function checks whether the round has been resolved and if it has not yet been archived.
-   *      It ensures that the round's outcome is one of the valid results (`NoContest`, `Down`, `Up`, `Zero`), and verifies that no unclaimed predictions remain.
+   *      It ensures that the round's outcome is one of the valid results (`NoContest`, or a position of the round: `Down`, `Up`, `Zero` or a bucket), and verifies that no unclaimed predictions remain.
    *      Once these conditions are met, the round is archived, marking the conclusion of the round's lifecycle.
    *      This is a private function that called as part of the round's lifecycle management.
    *      Emits a `RoundArchived` event once the round is archived.
@@ -1450,11 +1949,7 @@ abstract contract OraclyV1Core is Context {
 
     }
 
-    if (
-      resolution == uint8(EOutcome.Down) ||
-      resolution == uint8(EOutcome.Up) ||
-      resolution == uint8(EOutcome.Zero)
-    ) {
+    if (_isPositionSupported(round.roundid, resolution)) {
 
       archived = (
         _roundPredictions[round.roundid][resolution].length()
@@ -1528,11 +2023,13 @@ abstract contract OraclyV1Core is Context {
    *      Reverts if the total released amount exceeds the total prize pool for the round.
    *      Emits a `RoundPrizepoolReleased` event on a successful prize pool release.
    * @param roundid The unique identifier of the round.
+   * @param erc20 The address of the ERC20 token of the round.
    * @param payout The payout amount to be released.
    * @param commission The commission amount to be released.
    */
   function _releasePrizepool(
     bytes32 roundid,
+    address erc20,
     uint payout,
     uint commission
   )
@@ -1542,6 +2039,7 @@ abstract contract OraclyV1Core is Context {
     uint prize = payout + commission;
     if (prize != 0) {
       _prizepool[roundid][PRIZEPOOL_RELEASED_ID] = _prizepool[roundid][PRIZEPOOL_RELEASED_ID] + prize;
+      _liabilities[erc20] -= prize;
     }
 
     if (_prizepool[roundid][PRIZEPOOL_RELEASED_ID] > _prizepool[roundid][PRIZEPOOL_TOTAL_ID]) {
@@ -1556,6 +2054,253 @@ abstract contract OraclyV1Core is Context {
 
   }
 
+  /**
+   * @notice Distributes ERC20 tokens to the bettor and relevant reward contracts.
+   * @dev This function handles the distribution of winnings (payout) to the bettor and commissions to mentors and stakers.
+   *      It includes error handling and fallback mechanisms for unexpected issues during reward distribution.
+   *      The distribution process includes:
+   *      - Payout to the bettor.
+   *      - Commissions to relevant parties (mentors, stakers).
+   *      - Error handling for token transfer failures (with potential fallback to EOA).
+   *      Requirements:
+   *      - The contract must hold a sufficient balance of the specified ERC20 token.
+   *      - Reward contracts must be properly configured and valid.
+   *      Emits:
+   *      - `FATAL_EVENT_INSUFFICIENT_PRIZEPOOL` if there are insufficient funds in the prize pool.
+   *      - `UnpaidClaimQueued` along with it, as the amounts are recorded for a later re-claim.
+   *      - `MentorsRewardDistributedViaContract` when mentor commission is successfully distributed via contract.
+   *      - `MentorsRewardDistributedViaEOA` when mentor commission is distributed via EOA due to a fallback.
+   *      - `StakersRewardDistributedViaContract` when staker commission is successfully distributed via contract.
+   *      - `StakersRewardDistributedViaEOA` when staker commission is distributed via EOA due to a fallback.
+   * @param erc20 The address of the ERC20 token to distribute.
+   * @param payout The amount to be paid to the bettor.
+   * @param commission The total commission amount to be distributed among relevant parties.
+   */
+  function _distributeERC20(
+    address erc20,
+    uint payout,
+    uint commission
+  )
+    internal
+  {
+
+    address bettor = _msgSender();
+
+    if (IERC20(erc20).balanceOf(address(this)) < (payout + commission)) {
+      __FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__[erc20] = true;
+      emit FATAL_EVENT_INSUFFICIENT_PRIZEPOOL(
+        bettor,
+        erc20,
+        IERC20(erc20).balanceOf(address(this)),
+        payout,
+        commission
+      );
+
+      _queueUnpaidClaim(bettor, erc20, payout, commission);
+      return;
+    }
+
+    if (commission != 0) {
+
+      uint stakersReward = commission;
+
+      try
+        IRewardCalculator(MENTORING_CONTRACT).calculateReward(
+          bettor,
+          commission
+        )
+        returns (
+          uint metorsReward
+        )
+      {
+
+        if (metorsReward != 0 && metorsReward <= commission) {
+
+          stakersReward = commission - metorsReward;
+
+          IERC20(erc20).approve(MENTORING_CONTRACT, metorsReward);
+          try
+            ICommissionCollector(MENTORING_CONTRACT).collectCommission(
+              bettor,
+              erc20,
+              commission
+            )
+          {
+
+            emit MentorsRewardDistributedViaContract(
+              MENTORING_CONTRACT,
+              bettor,
+              erc20,
+              metorsReward
+            );
+
+          } catch {
+
+            IERC20(erc20).safeTransfer(DISTRIBUTOR_EOA, metorsReward);
+
+            emit MentorsRewardDistributedViaEOA(
+              DISTRIBUTOR_EOA,
+              bettor,
+              erc20,
+              metorsReward
+            );
+
+          }
+
+        }
+
+      } catch { } // solhint-disable-line
+
+      if (stakersReward != 0) {
+
+        _distributeStakersReward(bettor, erc20, stakersReward);
+
+      }
+
+    }
+
+    if (payout != 0) {
+
+      IERC20(erc20).safeTransfer(bettor, payout);
+
+    }
+
+  }
+
+  /**
+   * @notice Records a payout and commission that could not be paid, so the bettor can re-claim them once the ERC20 token is recovered.
+   * @dev Amounts of the same bettor and ERC20 token accumulate into a single queue entry.
+   *      Emits an `UnpaidClaimQueued` event.
+   * @param bettor The address of the bettor left unpaid.
+   * @param erc20 The address of the ERC20 token.
+   * @param payout The unpaid payout.
+   * @param commission The undistributed commission.
+   */
+  function _queueUnpaidClaim(
+    address bettor,
+    address erc20,
+    uint payout,
+    uint commission
+  )
+    internal
+  {
+
+    _unpaidClaims[bettor][erc20][0] += payout;
+    _unpaidClaims[bettor][erc20][1] += commission;
+    _unpaidTotal[erc20] += payout + commission;
+    _unpaidBettors[erc20].add(bettor);
+
+    emit UnpaidClaimQueued(
+      bettor,
+      erc20,
+      payout,
+      commission
+    );
+
+  }
+
+  /**
+   * @notice Distributes a reward to stakers through the staking contract.
+   * @dev Falls back to a transfer to the distributor EOA if the staking contract fails to collect the reward.
+   *      Emits:
+   *      - `StakersRewardDistributedViaContract` when staker reward is successfully distributed via contract.
+   *      - `StakersRewardDistributedViaEOA` when staker reward is distributed via EOA due to a fallback.
+   * @param bettor The address the reward is collected from, reported to the staking contract.
+   * @param erc20 The address of the ERC20 token to distribute.
+   * @param amount The amount of the reward.
+   */
+  function _distributeStakersReward(
+    address bettor,
+    address erc20,
+    uint amount
+  )
+    internal
+  {
+
+    IERC20(erc20).approve(STAKING_CONTRACT, amount);
+    try
+      ICommissionCollector(STAKING_CONTRACT).collectCommission(
+        bettor,
+        erc20,
+        amount
+      )
+    {
+
+      emit StakersRewardDistributedViaContract(
+        STAKING_CONTRACT,
+        bettor,
+        erc20,
+        amount
+      );
+
+    } catch {
+
+      IERC20(erc20).safeTransfer(DISTRIBUTOR_EOA, amount);
+
+      emit StakersRewardDistributedViaEOA(
+        DISTRIBUTOR_EOA,
+        bettor,
+        erc20,
+        amount
+      );
+
+    }
+
+  }
+
+  /**
+   * @notice Restricts function execution to external accounts (EOA) and allowed smart contract accounts only.
+   * @dev This modifier ensures that only EOAs (Externally Owned Accounts) can call functions protected by this modifier, preventing contracts from executing such functions.
+   *      The check is performed by verifying that the caller has no code associated with it (not a contract) and by comparing `tx.origin` with `_msgSender()`.
+   *      Callers failing the check pass if they are smart contract wallets allowed via `MetaOraclyV1.allowContractCaller`.
+   */
+  modifier onlyOffChainCallable() {
+    _checkOffChainCallable();
+    _;
+  }
+
+  /**
+   * @notice Reverts unless the sender is an EOA or an allowed smart contract account, see `onlyOffChainCallable`.
+   * @dev Kept out of the modifier so its code is not inlined into every function using it.
+   */
+  function _checkOffChainCallable()
+    private
+    view
+  {
+
+    address sender = _msgSender();
+    if (sender.code.length > 0 || tx.origin != sender) {
+      if (!MetaOraclyV1(METAORACLY_CONTRACT).isContractCallerAllowed(sender)) {
+        revert("OnlyEOASendersAllowed");
+      }
+    }
+
+  }
+
+  /**
+   * @notice Restricts function execution to calls executed via `delegatecall`, from the OraclyV1 fallback.
+   * @dev Used by the OraclyV1 extensions: called at their own address they would run on their own empty storage,
+   *      and tokens sent along, such as a round sponsorship, could never be recovered.
+   */
+  modifier onlyDelegateCall() {
+    _checkDelegateCall();
+    _;
+  }
+
+  /**
+   * @notice Reverts unless the code runs via `delegatecall`, see `onlyDelegateCall`.
+   */
+  function _checkDelegateCall()
+    private
+    view
+  {
+
+    if (address(this) == DEPLOYMENT_ADDRESS) {
+      revert("OnlyDelegateCallAllowed");
+    }
+
+  }
+
   /**
    * @notice Emitted when a round is resolved as a "No Contest", allowing participants to reclaim their funds.
    * @dev This event is triggered when the outcome of a round cannot be determined due to conditions that prevent a clear resolution.
@@ -1579,13 +2324,17 @@ abstract contract OraclyV1Core is Context {
    * @param resolvedBy The address of the bettor that triggered the resolution of the round.
    * @param resolvedAt The timestamp (in seconds) when the round was resolved.
    * @param resolution The outcome of the round: (1 for Down, 2 for Up, 3 for Zero)
+   * @param resolverReward The reward credited to `resolvedBy`, claimed via `claimResolverReward`, zero when the round resolves into "No Contest".
+   * @param tolerance The tolerance band of the round in basis points of the Entry Price, moves within it resolve to Zero.
    */
   event RoundResolved(
     bytes32 indexed roundid,
     Price exitPrice,
     address resolvedBy,
     uint resolvedAt,
-    uint8 resolution
+    uint8 resolution,
+    uint resolverReward,
+    uint16 tolerance
   );
 
   /**
@@ -1629,6 +2378,28 @@ abstract contract OraclyV1Core is Context {
     uint openedAt
   );
 
+  /**
+   * @notice Emitted when a pair-performance round is created, along with `RoundCreated`.
+   * @param roundid The unique identifier of the created round.
+   * @param pricefeed The address of the pair price feed the round price feed is compared against.
+   * @param entryPrice The initial price of the pair asset at the start of the round, retrieved from the pair price feed.
+   */
+  event RoundPairCreated(
+    bytes32 indexed roundid,
+    address pricefeed,
+    Price entryPrice
+  );
+
+  /**
+   * @notice Emitted when the pair price feed of a pair-performance round is resolved, along with `RoundResolved`.
+   * @param roundid The unique identifier of the resolved round.
+   * @param exitPrice The price of the pair asset used to calculate the result of the round, fetched from the pair price feed.
+   */
+  event RoundPairResolved(
+    bytes32 indexed roundid,
+    Price exitPrice
+  );
+
   /**
    * @notice Emitted when funds are added to a specific position's prize pool for a given round.
    *         This event tracks the addition of tokens to a prize pool, which is associated with a particular round and a specific position (Down, Up, Zero).
@@ -1645,6 +2416,85 @@ abstract contract OraclyV1Core is Context {
     uint amount
   );
 
+  /**
+   * @notice Emitted when tokens are withdrawn from the prize pool of a specific round by a bettor decreasing their prediction.
+   * @dev This event is the counterpart of `RoundPrizepoolAdd`, emitted only during the positioning period of the round.
+   * @param roundid The unique identifier of the round whose prize pool is being decreased.
+   * @param erc20 The address of the ERC20 token withdrawn from the prize pool.
+   * @param position The predicted outcome whose prize pool is decreased. (1 for Down, 2 for Up, 3 for Zero)
+   * @param amount The amount of tokens removed from the prize pool.
+   */
+  event RoundPrizepoolRemove(
+    bytes32 roundid,
+    address erc20,
+    uint8 position,
+    uint amount
+  );
+
+  /**
+   * @notice Emitted when the unreleased prize pool of a round is swept to stakers after its claim deadline.
+   * @dev The swept amount covers unclaimed payouts and refunds, and the rounding remainder of the prize pool.
+   *      The round is archived by the sweep, its predictions cannot be claimed anymore.
+   * @param roundid The unique identifier of the swept round.
+   * @param erc20 The address of the ERC20 token swept.
+   * @param amount The amount of tokens sent to stakers.
+   * @param sweptBy The address that triggered the sweep.
+   * @param sweptAt The timestamp of the sweep.
+   */
+  event RoundSwept(
+    bytes32 roundid,
+    address erc20,
+    uint amount,
+    address sweptBy,
+    uint sweptAt
+  );
+
+  /**
+   * @notice Emitted when a sponsor adds a bonus pool to a current or future round of a game.
+   * @dev The round may not exist yet, it is created by the first prediction placed in it.
+   * @param roundid The unique identifier of the sponsored round.
+   * @param gameid The unique identifier of the game of the round.
+   * @param sponsor The address of the sponsor.
+   * @param erc20 The address of the ERC20 token of the bonus.
+   * @param amount The amount of tokens added to the bonus pool.
+   */
+  event RoundSponsored(
+    bytes32 indexed roundid,
+    bytes32 gameid,
+    address sponsor,
+    address erc20,
+    uint amount
+  );
+
+  /**
+   * @notice Emitted when the bonus of a round ending as No Contest, or never opened, is returned to its sponsor.
+   * @param roundid The unique identifier of the sponsored round.
+   * @param sponsor The address of the sponsor.
+   * @param erc20 The address of the ERC20 token of the bonus.
+   * @param amount The amount of tokens returned to the sponsor.
+   */
+  event RoundSponsorshipReturned(
+    bytes32 indexed roundid,
+    address sponsor,
+    address erc20,
+    uint amount
+  );
+
+  /**
+   * @notice Emitted when a winning prediction is paid its share of the sponsored bonus pool of the round.
+   * @dev Emitted along with `PredictionClaimed`, the bonus is not part of its payout.
+   * @param predictionid The unique identifier of the claimed prediction.
+   * @param bettor The address of the bettor who claimed the prediction.
+   * @param erc20 The address of the ERC20 token of the bonus.
+   * @param bonus The amount of tokens paid to the bettor from the bonus pool.
+   */
+  event PredictionBonusClaimed(
+    bytes32 indexed predictionid,
+    address bettor,
+    address erc20,
+    uint bonus
+  );
+
   /**
    * @notice Emitted when funds are released to a bettor for a given round.
    *         This event tracks the release of tokens from the prize pool for a particular round, including the bettor's payout and any commission.
@@ -1694,6 +2544,31 @@ abstract contract OraclyV1Core is Context {
     uint deposit
   );
 
+  /**
+   * @notice Emitted when a bettor withdraws tokens from their prediction during the positioning period.
+   * @dev The bettor receives `amount - fee`, while the fee is distributed to stakers and mentors as a commission.
+   * @param predictionid The unique identifier (ID) of the prediction being decreased.
+   * @param amount The amount of tokens withdrawn from the prediction deposit.
+   * @param fee The cancellation fee charged on the withdrawn amount.
+   */
+  event DecreasePredictionDeposit(
+    bytes32 predictionid,
+    uint amount,
+    uint fee
+  );
+
+  /**
+   * @notice Emitted when a prediction is removed because its whole deposit has been withdrawn.
+   * @param predictionid The unique identifier of the cancelled prediction.
+   * @param roundid The ID of the round the prediction belonged to.
+   * @param bettor The address of the bettor who cancelled the prediction.
+   */
+  event PredictionCancelled(
+    bytes32 predictionid,
+    bytes32 roundid,
+    address bettor
+  );
+
   /**
    * @notice Emitted when a bettor claims the payout for prediction.
    * @dev This event is triggered when a prediction is successfully claimed, detailing the bettor, payout, and commission.
@@ -1711,4 +2586,141 @@ abstract contract OraclyV1Core is Context {
     uint commission
   );
 
+  /**
+   * @notice Emitted when the contract's prize pool is insufficient to cover both a bettor's payout and the commission.
+   *         This event signals a critical failure that effectively prevents the specified ERC20 token from being used as the deposit token for further predictions.
+   * @dev This is a fatal event that indicates the current prize pool cannot satisfy the requested payout and commission amounts.
+   * @param bettor The address of the bettor attempting to withdraw the funds.
+   * @param erc20 The ERC20 token involved in the payout and commission transaction.
+   * @param balance The current balance of the ERC20 token held in the contract.
+   * @param payout The payout amount requested by the bettor.
+   * @param commission The commission amount that is due to the contract.
+  */
+  event FATAL_EVENT_INSUFFICIENT_PRIZEPOOL(
+    address bettor,
+    address erc20,
+    uint balance,
+    uint payout,
+    uint commission
+  );
+
+  /**
+   * @notice Emitted when a payout and commission are recorded as unpaid after a `FATAL_EVENT_INSUFFICIENT_PRIZEPOOL`.
+   * @param bettor The address of the bettor left unpaid.
+   * @param erc20 The ERC20 token of the unpaid claim.
+   * @param payout The unpaid payout.
+   * @param commission The undistributed commission.
+   */
+  event UnpaidClaimQueued(
+    address bettor,
+    address erc20,
+    uint payout,
+    uint commission
+  );
+
+  /**
+   * @notice Emitted when an ERC20 token blocked by an insufficient prize pool is recovered by the Oracly Team or a guardian.
+   * @param erc20 The recovered ERC20 token.
+   * @param recoveredBy The address of the owner or guardian who recovered the token.
+   * @param topup The amount transferred into the contract along with the recovery.
+   * @param unpaid The total of unpaid claims left to re-claim.
+   */
+  event PrizepoolRecovered(
+    address erc20,
+    address recoveredBy,
+    uint topup,
+    uint unpaid
+  );
+
+  /**
+   * @notice Emitted when a bettor re-claims the payout and commission recorded as unpaid.
+   * @param bettor The address of the bettor.
+   * @param erc20 The ERC20 token of the unpaid claim.
+   * @param payout The re-claimed payout.
+   * @param commission The re-claimed commission, distributed to mentors and stakers.
+   */
+  event UnpaidClaimReclaimed(
+    address bettor,
+    address erc20,
+    uint payout,
+    uint commission
+  );
+
+  /**
+   * @notice This event is emitted when a mentor's reward is distributed via a smart contract.
+   * @dev This event captures the distribution of rewards to mentors based on the bettor's activity.
+   *      It logs the distributor (the smart contract handling the distribution), the bettor (the bettor whose activity triggered the reward), the ERC20 token used, and the reward amount.
+   * @param distributor The address of the contract that is distributing the reward.
+   * @param bettor The address of the bettor who generated the mentor's reward.
+   * @param erc20 The address of the ERC20 token contract used for distributing the reward.
+   * @param amount The amount of the reward in the ERC20 token.
+   */
+  event MentorsRewardDistributedViaContract(
+    address distributor,
+    address bettor,
+    address erc20,
+    uint amount
+  );
+
+  /**
+   * @notice Emitted when a mentor's reward is distributed using an Externally Owned Account (EOA).
+   *         This happens as a fallback mechanism when direct distribution through smart contracts is not possible.
+   * @dev This event is triggered whenever the mentor's reward is sent via an EOA, in scenarios where automated reward distribution through the smart contract system fails and is bypassed.
+   *      The mentor's reward is distributed using an ERC20 token.
+   * @param distributor The address of the EOA responsible for distributing the reward to the mentor.
+   * @param bettor The address of the bettor whose activity generated the reward for the mentor.
+   * @param erc20 The address of the ERC20 token contract used to transfer the reward.
+   * @param amount The amount of ERC20 tokens that are distributed as the reward.
+   */
+  event MentorsRewardDistributedViaEOA(
+    address distributor,
+    address bettor,
+    address erc20,
+    uint amount
+  );
+
+  /**
+   * @notice Emitted when a staker's reward is distributed through a contract.
+   * @dev This event logs the details of a reward distribution to stakers initiated by a contract.
+   * @param distributor The address of the contract responsible for distributing the reward.
+   * @param bettor The address of the bettor whose actions generated the reward for the stakers.
+   * @param erc20 The ERC20 token used for the reward distribution.
+   * @param amount The total amount of the ERC20 reward distributed.
+   */
+  event StakersRewardDistributedViaContract(
+    address distributor,
+    address bettor,
+    address erc20,
+    uint amount
+  );
+
+  /**
+   * @notice Emitted when a staker's reward is distributed via an Externally Owned Account (EOA).
+   *         This event acts as a fallback mechanism when the reward distribution does not go through
+   *         the primary method, triggering the involvement of an EOA.
+   * @dev This event provides a backup solution in cases where a direct reward transfer to the staking contract fails and is bypassed, allowing the reward to be manually handled by the EOA.
+   * @param distributor The address of the EOA responsible for distributing the reward.
+   * @param bettor The address of the bettor whose actions resulted in the reward.
+   * @param erc20 The address of the ERC20 token used to pay out the reward.
+   * @param amount The amount of tokens (in the ERC20 standard) distributed as the reward.
+   */
+  event StakersRewardDistributedViaEOA(
+    address distributor,
+    address bettor,
+    address erc20,
+    uint amount
+  );
+
+  /**
+   * @notice Emitted when a resolver claims the rewards credited to it for resolving rounds.
+   * @param resolver The address of the resolver.
+   * @param erc20 The ERC20 token of the rewards.
+   * @param amount The claimed amount.
+   */
+  event ResolverRewardClaimed(
+    address resolver,
+    address erc20,
+    uint amount
+  );
+
 }
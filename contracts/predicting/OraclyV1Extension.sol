@@ -0,0 +1,580 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import { Context } from "@openzeppelin/contracts/utils/Context.sol";
+import { ReentrancyGuard } from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import { EIP712 } from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import { SignatureChecker } from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+import { IERC20 } from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+import { EOutcome } from "./EOutcome.sol";
+import { OraclyV1Core } from "./OraclyV1Core.sol";
+
+import { Game } from "./structs/Game.sol";
+import { Round } from "./structs/Round.sol";
+import { Prediction } from "./structs/Prediction.sol";
+import { Permit } from "./structs/Permit.sol";
+import { PredictionIntent } from "./structs/PredictionIntent.sol";
+
+import { MetaOraclyV1 } from "./MetaOraclyV1.sol";
+import { OraclyV1Views } from "./OraclyV1Views.sol";
+
+/**
+ * @title OraclyV1 Extension Contract
+ * @notice This contract implements the signed prediction intents, the prediction decrease, the round sweep, the prize pool recovery and the round sponsorship of the Oracly Protocol's decentralized prediction game.
+ *         OraclyV1 forwards every call it does not implement to this contract, so its functions are called on the OraclyV1 address.
+ *         The calls this contract does not implement either are forwarded to OraclyV1Views.
+ * @dev OraclyV1 executes this contract code via `delegatecall` from its fallback, on the OraclyV1 storage.
+ *      It keeps OraclyV1 under the contract size limit.
+ *      Note: It inherits the same base contracts as OraclyV1 in the same order, keeping both storage layouts identical.
+ *            It must never declare state variables of its own.
+ */
+contract OraclyV1Extension is Context, ReentrancyGuard, EIP712, OraclyV1Core {
+
+  using SafeERC20 for IERC20;
+
+  /**
+   * @notice Address of the OraclyV1Views contract implementing the OraclyV1 getters.
+   * @dev Every call this contract does not implement is forwarded to OraclyV1Views via `delegatecall` from the fallback.
+   */
+  address immutable public VIEWS_CONTRACT;
+
+  /**
+   * @notice EIP-712 type hash of the `PredictionIntent` struct signed by bettors.
+   */
+  bytes32 constant public PREDICTION_INTENT_TYPEHASH = keccak256(
+    "PredictionIntent(address bettor,uint256 amount,uint8 position,bytes32 gameid,bytes32 roundid,uint256 deadline,uint256 nonce)"
+  );
+
+  /**
+   * @notice Initializes the extension with the reward distributors and the MetaOracly contract OraclyV1 is deployed with.
+   * @dev The EIP-712 domain, the reward distributors and the MetaOracly contract must match OraclyV1 ones.
+   * @param distributorEOA_address Address of the EOA used as a backup for reward distribution.
+   * @param stakingContract_address Address of the staking contract for staking rewards.
+   * @param mentoringContract_address Address of the mentoring contract for mentor rewards.
+   * @param metaoraclyContract_address Address of the MetaOracly contract that handles oracle game data.
+   * @param viewsContract_address Address of the OraclyV1Views contract deployed with the same reward distributors and MetaOracly contract.
+   */
+  constructor(
+    address distributorEOA_address,
+    address stakingContract_address,
+    address mentoringContract_address,
+    address metaoraclyContract_address,
+    address viewsContract_address
+  )
+    EIP712("OraclyV1", "1")
+    OraclyV1Core(
+      distributorEOA_address,
+      stakingContract_address,
+      mentoringContract_address,
+      metaoraclyContract_address
+    )
+  {
+
+    if (!(viewsContract_address.code.length > 0)) {
+      revert("CannotUseEOAAsViewsContract");
+    }
+
+    OraclyV1Views views = OraclyV1Views(viewsContract_address);
+    if (
+      views.METAORACLY_CONTRACT() != metaoraclyContract_address ||
+      views.STAKING_CONTRACT() != stakingContract_address ||
+      views.MENTORING_CONTRACT() != mentoringContract_address ||
+      views.DISTRIBUTOR_EOA() != distributorEOA_address
+    ) {
+      revert("ViewsContractMismatch");
+    }
+
+    VIEWS_CONTRACT = viewsContract_address;
+
+  }
+
+  /**
+   * @notice Forwards calls to functions neither OraclyV1 nor this contract implement to the OraclyV1Views contract.
+   * @dev The views code is executed via `delegatecall`, on the OraclyV1 storage, as this contract code is.
+   *      Return data and reverts of the views are passed through as is.
+   */
+  fallback() external onlyDelegateCall { // solhint-disable-line payable-fallback, no-complex-fallback
+
+    address views = VIEWS_CONTRACT;
+
+    assembly { // solhint-disable-line no-inline-assembly
+      calldatacopy(0, 0, calldatasize())
+      let success := delegatecall(gas(), views, 0, calldatasize(), 0, 0)
+      returndatacopy(0, 0, returndatasize())
+      switch success
+      case 0 { revert(0, returndatasize()) }
+      default { return(0, returndatasize()) }
+    }
+
+  }
+
+  /**
+   * @notice Withdraws part of the bettor's deposit from a prediction while the round is still in its positioning period.
+   * @dev The withdrawn amount is removed from the round prize pool, and the bettor receives it minus the round cancellation fee.
+   *      The fee is distributed to stakers and mentors as a commission.
+   *      - The function is protected against re-entrancy attacks via `nonReentrant` modifier.
+   *      - It is restricted to off-chain callers EOA using the `onlyOffChainCallable` modifier.
+   *      Requirements:
+   *      - The caller must be the bettor of the prediction.
+   *      - The remaining deposit must be either zero or not less than the game minimum deposit.
+   *      - The round must not be locked yet.
+   *      Emits:
+   *      - `RoundPrizepoolRemove` event to signal that the prize pool has been decreased.
+   *      - `DecreasePredictionDeposit` event for the withdrawn amount.
+   *      - `PredictionCancelled` event if nothing is left of the prediction deposit.
+   *      - `MentorsRewardDistributedViaContract`, `MentorsRewardDistributedViaEOA`, `StakersRewardDistributedViaContract`, `StakersRewardDistributedViaEOA` when the fee is distributed.
+   * @param predictionid The ID of the prediction to decrease.
+   * @param amount The amount of tokens to withdraw from the prediction deposit, including the fee.
+   */
+  function decreasePrediction(
+    bytes32 predictionid,
+    uint amount
+  )
+    external
+    onlyDelegateCall
+    nonReentrant
+    onlyOffChainCallable
+  {
+
+    _withdrawPrediction(predictionid, amount);
+
+  }
+
+  /**
+   * @notice Cancels the bettor's prediction while the round is still in its positioning period, withdrawing the whole deposit.
+   * @dev Same as `decreasePrediction` for the whole prediction deposit.
+   *      - The function is protected against re-entrancy attacks via `nonReentrant` modifier.
+   *      - It is restricted to off-chain callers EOA using the `onlyOffChainCallable` modifier.
+   *      Emits:
+   *      - `RoundPrizepoolRemove` event to signal that the prize pool has been decreased.
+   *      - `DecreasePredictionDeposit` event for the withdrawn deposit.
+   *      - `PredictionCancelled` event once the prediction is removed.
+   *      - `MentorsRewardDistributedViaContract`, `MentorsRewardDistributedViaEOA`, `StakersRewardDistributedViaContract`, `StakersRewardDistributedViaEOA` when the fee is distributed.
+   * @param predictionid The ID of the prediction to cancel.
+   */
+  function cancelPrediction(
+    bytes32 predictionid
+  )
+    external
+    onlyDelegateCall
+    nonReentrant
+    onlyOffChainCallable
+  {
+
+    _withdrawPrediction(predictionid, _predictions[predictionid].deposit);
+
+  }
+
+  /**
+   * @notice Validates and performs the withdrawal of `amount` from the bettor's prediction.
+   * @dev The game is read from MetaOraclyV1 at the time of the withdrawal, for the minimum deposit.
+   *      The fee is charged at the cancellation fee of the round, copied from the game when the round was created.
+   * @param predictionid The ID of the prediction to decrease.
+   * @param amount The amount of tokens to withdraw from the prediction deposit, including the fee.
+   */
+  function _withdrawPrediction(
+    bytes32 predictionid,
+    uint amount
+  )
+    private
+  {
+
+    Prediction memory prediction = _predictions[predictionid];
+    if (prediction.bettor == address(0) || prediction.bettor != _msgSender()) {
+      revert("BettorPredictionMismatch");
+    }
+
+    Game memory game = MetaOraclyV1(METAORACLY_CONTRACT).getGame(prediction.gameid);
+
+    if (amount == 0 || amount > prediction.deposit) {
+      revert("UnacceptableDecreaseAmount");
+    }
+
+    uint remaining = prediction.deposit - amount;
+    if (remaining != 0 && remaining < game.minDeposit) {
+      revert("UnacceptableDecreaseAmount");
+    }
+
+    if (block.timestamp >= _rounds[prediction.roundid].lockDate) {
+      revert("CannotDecreasePredictionOutOfPositioningPeriod");
+    }
+
+    if (__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__[prediction.erc20]) {
+      revert("CannotDecreasePredictionERC20TokenIsBlocked");
+    }
+
+    uint fee = Math.ceilDiv(amount * _rounds[prediction.roundid].cancellationFee, CANCELLATION_FEE_BASIS_POINTS);
+
+    _decreasePrediction(predictionid, amount, fee);
+    _distributeERC20(prediction.erc20, amount - fee, fee);
+
+  }
+
+  /**
+   * @notice Sweeps the unreleased prize pool of a round to stakers once its claim deadline has passed, and archives the round.
+   *         Anyone can trigger the sweep.
+   * @dev The unreleased prize pool holds unclaimed payouts and refunds, deposits of losing predictions never claimed and the rounding remainder.
+   *      The unreleased sponsored bonus of a round with winners is swept along, the bonus of a "No Contest" round is left to its sponsors.
+   *      A round still unresolved is resolved as "No Contest" first, as its settlement period is over.
+   *      The swept amount is distributed to stakers via `ICommissionCollector`, reported as collected from the sender.
+   *      - The function is protected against re-entrancy attacks via `nonReentrant` modifier.
+   *      - It is restricted to off-chain callers EOA using the `onlyOffChainCallable` modifier.
+   *      Requirements:
+   *      - The round must be opened and not archived.
+   *      - The round must have a claim deadline, and it must have passed.
+   *      - The ERC20 token of the round must not be blocked.
+   *      Emits:
+   *      - `RoundResolvedNoContest` if the round was unresolved.
+   *      - `RoundSwept` with the swept amount.
+   *      - `RoundArchived` once the round is archived.
+   *      - `StakersRewardDistributedViaContract` or `StakersRewardDistributedViaEOA` when the swept amount is distributed.
+   * @param roundid The unique identifier of the round to sweep.
+   */
+  function sweepRound(
+    bytes32 roundid
+  )
+    external
+    onlyDelegateCall
+    nonReentrant
+    onlyOffChainCallable
+  {
+
+    Round storage round = _rounds[roundid];
+    if (round.openedAt == 0) {
+      revert("CannotSweepUnopenedRound");
+    }
+
+    if (round.archived) {
+      revert("CannotSweepArchivedRound");
+    }
+
+    if (round.claimDeadline == 0) {
+      revert("CannotSweepRoundWithoutClaimDeadline");
+    }
+
+    if (block.timestamp <= round.claimDeadline) {
+      revert("CannotSweepRoundBeforeClaimDeadline");
+    }
+
+    address erc20 = round.erc20;
+    if (__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__[erc20]) {
+      revert("CannotSweepRoundERC20TokenIsBlocked");
+    }
+
+    if (!round.resolved) {
+      _resolve(roundid, 0);
+    }
+
+    uint amount = _prizepool[roundid][PRIZEPOOL_TOTAL_ID] - _prizepool[roundid][PRIZEPOOL_RELEASED_ID];
+    _prizepool[roundid][PRIZEPOOL_RELEASED_ID] = _prizepool[roundid][PRIZEPOOL_TOTAL_ID];
+
+    if (round.resolution != uint8(EOutcome.NoContest)) {
+      amount += _roundBonus[roundid][BONUS_TOTAL_ID] - _roundBonus[roundid][BONUS_RELEASED_ID];
+      _roundBonus[roundid][BONUS_RELEASED_ID] = _roundBonus[roundid][BONUS_TOTAL_ID];
+    }
+
+    _liabilities[erc20] -= amount;
+
+    round.archived = true;
+    round.archivedAt = block.timestamp;
+
+    emit RoundSwept(
+      roundid,
+      erc20,
+      amount,
+      _msgSender(),
+      block.timestamp
+    );
+
+    emit RoundArchived(
+      roundid,
+      block.timestamp
+    );
+
+    if (amount != 0) {
+      _distributeStakersReward(_msgSender(), erc20, amount);
+    }
+
+  }
+
+  /**
+   * @notice Recovers an ERC20 token blocked after a `FATAL_EVENT_INSUFFICIENT_PRIZEPOOL`, so bettors can re-claim their unpaid claims and predict again.
+   *         Can only be called by the MetaOracly owner (Oracly Team) or a guardian.
+   * @dev The top-up is transferred from the sender, it must be approved beforehand. Tokens may also be transferred in advance, with a zero top-up.
+   *      - The function is protected against re-entrancy attacks via `nonReentrant` modifier.
+   *      Requirements:
+   *      - The sender must be the MetaOracly owner or a guardian added via `MetaOraclyV1.addGuardian`.
+   *      - The ERC20 token must be blocked.
+   *      - The contract balance, top-up included, must cover the total of unpaid claims of the ERC20 token,
+   *        along with the prize pools and sponsored bonuses of the ERC20 token not released yet, see `getLiabilities`.
+   *      Emits:
+   *      - `PrizepoolRecovered` once the ERC20 token is unblocked.
+   * @param erc20 The address of the blocked ERC20 token.
+   * @param topup The amount of the ERC20 token to transfer from the sender into the contract.
+   */
+  function recoverPrizepool(
+    address erc20,
+    uint topup
+  )
+    external
+    onlyDelegateCall
+    nonReentrant
+  {
+
+    address sender = _msgSender();
+    MetaOraclyV1 meta = MetaOraclyV1(METAORACLY_CONTRACT);
+    if (sender != meta.owner() && !meta.isGuardian(sender)) {
+      revert("OnlyOwnerOrGuardianAllowed");
+    }
+
+    if (!__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__[erc20]) {
+      revert("CannotRecoverERC20TokenIsNotBlocked");
+    }
+
+    if (topup != 0) {
+      IERC20(erc20).safeTransferFrom(sender, address(this), topup);
+    }
+
+    uint unpaid = _unpaidTotal[erc20];
+    if (IERC20(erc20).balanceOf(address(this)) < _liabilities[erc20] + unpaid) {
+      revert("CannotRecoverInsufficientBalance");
+    }
+
+    __FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__[erc20] = false;
+
+    emit PrizepoolRecovered(
+      erc20,
+      sender,
+      topup,
+      unpaid
+    );
+
+  }
+
+  /**
+   * @notice Adds a bonus pool to a current or future round of a game, split among the winning predictions of the round on claim.
+   *         Anyone can sponsor a round, partners and the Oracly Team run promotions this way.
+   * @dev The bonus is kept apart from the round prize pool: it changes neither the payouts, the No Contest refunds nor the commissions.
+   *      Winning predictions get a share of the bonus pro rata to their deposit, with no commission taken.
+   *      Should the round end as "No Contest", or never open, the bonus is returned to the sponsors via `reclaimSponsorship`.
+   *      The round does not have to exist yet, the bonus waits for the first prediction to create it.
+   *      The bonus is transferred from the sender, it must be approved beforehand.
+   *      - The function is protected against re-entrancy attacks via `nonReentrant` modifier.
+   *      Requirements:
+   *      - The game must exist and must not be blocked.
+   *      - The ERC20 token of the game must not be blocked.
+   *      - `amount` must be greater than zero.
+   *      - `startDate` must be the start date of a round of the game, and the positioning period of the round must not be over.
+   *      Emits:
+   *      - `RoundSponsored` with the added bonus.
+   * @param gameid The unique identifier of the game.
+   * @param startDate The start date of the round to sponsor.
+   * @param amount The amount of the ERC20 token of the game to add to the bonus pool.
+   */
+  function sponsorRound(
+    bytes32 gameid,
+    uint startDate,
+    uint amount
+  )
+    external
+    onlyDelegateCall
+    nonReentrant
+  {
+
+    Game memory game = MetaOraclyV1(METAORACLY_CONTRACT).getGame(gameid);
+    if (gameid == 0x0 || gameid != game.gameid) {
+      revert("NotSupportedGame");
+    }
+    if (game.blocked) {
+      revert("CannotSponsorRoundGameIsBlocked");
+    }
+
+    if (__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__[game.erc20]) {
+      revert("CannotSponsorRoundERC20TokenIsBlocked");
+    }
+
+    if (amount == 0) {
+      revert("UnacceptableSponsorshipAmount");
+    }
+
+    if (startDate % game.schedule != 0) {
+      revert("CannotSponsorRoundWithInvalidStartDate");
+    }
+
+    if (block.timestamp >= startDate + game.positioning) {
+      revert("CannotSponsorRoundOutOfPositioningPeriod");
+    }
+
+    address sponsor = _msgSender();
+    bytes32 roundid = keccak256(abi.encode(gameid, startDate));
+
+    _roundBonus[roundid][BONUS_TOTAL_ID] += amount;
+    _roundSponsorships[roundid][sponsor] += amount;
+    _liabilities[game.erc20] += amount;
+
+    emit RoundSponsored(
+      roundid,
+      gameid,
+      sponsor,
+      game.erc20,
+      amount
+    );
+
+    IERC20(game.erc20).safeTransferFrom(sponsor, address(this), amount);
+
+  }
+
+  /**
+   * @notice Returns the bonus the sender added to a round that ended as "No Contest", or never opened, back to them.
+   * @dev A round never opened once its positioning period is over has no predictions to pay the bonus to.
+   *      - The function is protected against re-entrancy attacks via `nonReentrant` modifier.
+   *      Requirements:
+   *      - The sender must have sponsored the round, and not reclaimed the sponsorship yet.
+   *      - The round must be resolved as "No Contest", or not opened by the end of its positioning period.
+   *      - The ERC20 token of the game must not be blocked.
+   *      Emits:
+   *      - `RoundSponsorshipReturned` with the returned bonus.
+   * @param gameid The unique identifier of the game.
+   * @param startDate The start date of the sponsored round.
+   */
+  function reclaimSponsorship(
+    bytes32 gameid,
+    uint startDate
+  )
+    external
+    onlyDelegateCall
+    nonReentrant
+  {
+
+    address sponsor = _msgSender();
+    bytes32 roundid = keccak256(abi.encode(gameid, startDate));
+
+    uint amount = _roundSponsorships[roundid][sponsor];
+    if (amount == 0) {
+      revert("NothingToReclaim");
+    }
+
+    Game memory game = MetaOraclyV1(METAORACLY_CONTRACT).getGame(gameid);
+    Round storage round = _rounds[roundid];
+    if (round.openedAt == 0) {
+      if (block.timestamp < startDate + game.positioning) {
+        revert("CannotReclaimSponsorshipRoundIsNotNoContest");
+      }
+    } else if (!round.resolved || round.resolution != uint8(EOutcome.NoContest)) {
+      revert("CannotReclaimSponsorshipRoundIsNotNoContest");
+    }
+
+    if (__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__[game.erc20]) {
+      revert("CannotReclaimERC20TokenIsBlocked");
+    }
+
+    delete _roundSponsorships[roundid][sponsor];
+    _roundBonus[roundid][BONUS_RELEASED_ID] += amount;
+    _liabilities[game.erc20] -= amount;
+
+    emit RoundSponsorshipReturned(
+      roundid,
+      sponsor,
+      game.erc20,
+      amount
+    );
+
+    IERC20(game.erc20).safeTransfer(sponsor, amount);
+
+  }
+
+  /**
+   * @notice Places a prediction signed by the bettor (EIP-712), submitted by a relayer on the bettor's behalf.
+   * @dev The relayer pays the gas, the deposit is transferred from the bettor.
+   *      An optional EIP-2612 permit grants the allowance in the same transaction, a failing permit is ignored as it may have been used already, the allowance is checked afterwards.
+   *      All `placePrediction` validations apply to the signer of the intent.
+   *      Smart contract wallets sign with ERC-1271 and must be allowed via `MetaOraclyV1.allowContractCaller`.
+   *      Requirements:
+   *      - The intent must not be expired, and its nonce must be the bettor's next nonce.
+   *      - The signature must be valid for the bettor.
+   *      - The function is protected against re-entrancy attacks via `nonReentrant` modifier.
+   *      Emits:
+   *      - `PredictionIntentUsed` event when the intent nonce is used.
+   *      - `RoundCreated` event upon successful creation of the round.
+   *      - `RoundPrizepoolAdd` event to signal that the prize pool has been updated.
+   *      - `PredictionCreated` event if a new prediction is created.
+   *      - `IncreasePredictionDeposit` event if the bettor's prediction is updated.
+   * @param intent The prediction signed by the bettor.
+   * @param signature The bettor's EIP-712 signature of the intent.
+   * @param permit The bettor's EIP-2612 permit for the game ERC20 token, a zero `deadline` for none.
+   */
+  function placePredictionBySig(
+    PredictionIntent calldata intent,
+    bytes calldata signature,
+    Permit calldata permit
+  )
+    external
+    onlyDelegateCall
+    nonReentrant
+  {
+
+    address bettor = intent.bettor;
+    if (block.timestamp > intent.deadline) {
+      revert("PredictionIntentExpired");
+    }
+
+    if (intent.nonce != _intentNonces[bettor]) {
+      revert("InvalidPredictionIntentNonce");
+    }
+
+    if (
+      bettor.code.length > 0 &&
+      !MetaOraclyV1(METAORACLY_CONTRACT).isContractCallerAllowed(bettor)
+    ) {
+      revert("OnlyEOASendersAllowed");
+    }
+
+    bytes32 digest = _hashTypedDataV4(keccak256(abi.encode(
+      PREDICTION_INTENT_TYPEHASH,
+      bettor,
+      intent.amount,
+      intent.position,
+      intent.gameid,
+      intent.roundid,
+      intent.deadline,
+      intent.nonce
+    )));
+    if (!SignatureChecker.isValidSignatureNow(bettor, digest, signature)) {
+      revert("InvalidPredictionIntentSignature");
+    }
+
+    _intentNonces[bettor] = intent.nonce + 1;
+
+    emit PredictionIntentUsed(
+      bettor,
+      intent.nonce,
+      _msgSender()
+    );
+
+    _placePrediction(
+      bettor,
+      intent.amount,
+      intent.position,
+      intent.gameid,
+      intent.roundid,
+      permit
+    );
+
+  }
+
+  /**
+   * @notice Emitted when a prediction intent signed by a bettor is submitted.
+   * @param bettor The address of the bettor who signed the intent.
+   * @param nonce The used intent nonce.
+   * @param relayer The address that submitted the intent and paid the gas.
+   */
+  event PredictionIntentUsed(
+    address bettor,
+    uint nonce,
+    address relayer
+  );
+
+}
@@ -0,0 +1,945 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import { Context } from "@openzeppelin/contracts/utils/Context.sol";
+import { ReentrancyGuard } from "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import { EIP712 } from "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import { EnumerableSet } from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import { Math } from "@openzeppelin/contracts/utils/math/Math.sol";
+
+import { EOutcome } from "./EOutcome.sol";
+import { OraclyV1Core } from "./OraclyV1Core.sol";
+
+import { Game } from "./structs/Game.sol";
+import { Round } from "./structs/Round.sol";
+import { Prediction } from "./structs/Prediction.sol";
+import { Pair } from "./structs/Pair.sol";
+
+import { MetaOraclyV1 } from "./MetaOraclyV1.sol";
+
+/**
+ * @title OraclyV1 Views Contract
+ * @notice This contract implements the read functionality of the Oracly Protocol's decentralized prediction game: the round, prediction and bettor getters, the multipliers, the projected and claimable payouts.
+ *         OraclyV1 forwards every call it does not implement to OraclyV1Extension, which forwards the calls it does not implement to this contract, so its functions are called on the OraclyV1 address.
+ * @dev OraclyV1Extension executes this contract code via `delegatecall` from its fallback, itself executed on the OraclyV1 storage.
+ *      It keeps OraclyV1 and OraclyV1Extension under the contract size limit.
+ *      Note: It inherits the same base contracts as OraclyV1 in the same order, keeping both storage layouts identical.
+ *            It must never declare state variables of its own.
+ */
+contract OraclyV1Views is Context, ReentrancyGuard, EIP712, OraclyV1Core {
+
+  using EnumerableSet for EnumerableSet.Bytes32Set;
+  using EnumerableSet for EnumerableSet.AddressSet;
+
+  /**
+   * @notice The precision of the implied multipliers returned by `getRoundMultipliers` and `getRoundBucketMultipliers`, 1e18 stands for x1.
+   */
+  uint constant public MULTIPLIER_PRECISION = 1e18;
+
+  /**
+   * @notice Initializes the views with the reward distributors and the MetaOracly contract OraclyV1 is deployed with.
+   * @dev The EIP-712 domain, the reward distributors and the MetaOracly contract must match OraclyV1 ones.
+   * @param distributorEOA_address Address of the EOA used as a backup for reward distribution.
+   * @param stakingContract_address Address of the staking contract for staking rewards.
+   * @param mentoringContract_address Address of the mentoring contract for mentor rewards.
+   * @param metaoraclyContract_address Address of the MetaOracly contract that handles oracle game data.
+   */
+  constructor(
+    address distributorEOA_address,
+    address stakingContract_address,
+    address mentoringContract_address,
+    address metaoraclyContract_address
+  )
+    EIP712("OraclyV1", "1")
+    OraclyV1Core(
+      distributorEOA_address,
+      stakingContract_address,
+      mentoringContract_address,
+      metaoraclyContract_address
+    )
+  {}
+
+  /**
+   * @notice Fetches a specific `Prediction` based on the provided prediction ID.
+   * @dev Returns a `Prediction` struct that contains details about the prediction.
+   *      Useful for retrieving prediction information like the predicted outcome, amount deposited, and bettor details.
+   * @param predictionid The unique ID of the prediction to retrieve.
+   * @return prediction A `Prediction` struct containing details such as the prediction position, bettor, and deposited amount.
+   */
+  function getPrediction(
+    bytes32 predictionid
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      Prediction memory prediction
+    )
+  {
+    prediction = _predictions[predictionid];
+  }
+
+  /**
+   * @notice Retrieves details about a specific prediction round.
+   * @dev This function provides detailed information about a given round, including:
+   *      - Round data (`Round` memory)
+   *      - Total prize pools for the round and individual outcomes [Total, Down, Up, Zero] (`uint[4]`)
+   *      - Total number of bettors for the round and individual outcomes [Total, Down, Up, Zero] (`uint[4]`)
+   *      - Total number of predictions for the round and individual outcomes [Total, Down, Up, Zero] (`uint[4]`)
+   *      - Remaining capacity of the round prize pool under the round `roundCap` (`uint`)
+   *      Requirements:
+   *      - The `roundid` must be valid and correspond to an existing round.
+   * @param roundid The unique identifier of the prediction round.
+   * @return round Information about the round as a `Round` struct.
+   * @return prizepools Array of four `uint` values:
+   *        [0]: Total deposited amount in the ERC20 token.
+   *        [1]: Deposited amount for the Down outcome.
+   *        [2]: Deposited amount for the Up outcome.
+   *        [3]: Deposited amount for the Zero outcome.
+   * @return bettors Array of four `uint` values:
+   *        [0]: Total number of participants in the round.
+   *        [1]: Number of participants who predicted Down.
+   *        [2]: Number of participants who predicted Up.
+   *        [3]: Number of participants who predicted Zero.
+   * @return predictions Array of four `uint` values:
+   *        [0]: Total number of predictions made.
+   *        [1]: Number of predictions for Down.
+   *        [2]: Number of predictions for Up.
+   *        [3]: Number of predictions for Zero.
+   * @return capacity The amount that can still be deposited into the round, `type(uint).max` if the round has no round cap.
+   *         See `getDepositCapacity` for the capacity left to a bettor.
+   */
+  function getRound(
+    bytes32 roundid
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      Round memory round,
+      uint[4] memory prizepools,
+      uint[4] memory bettors,
+      uint[4] memory predictions,
+      uint capacity
+    )
+  {
+    round = _rounds[roundid];
+    prizepools = [
+      _prizepool[roundid][PRIZEPOOL_TOTAL_ID],
+      _prizepool[roundid][uint8(EOutcome.Down)],
+      _prizepool[roundid][uint8(EOutcome.Up)],
+      _prizepool[roundid][uint8(EOutcome.Zero)]
+    ];
+    bettors = [
+      _roundBettors[roundid][ROUND_BETTORS_ID].length(),
+      _roundBettors[roundid][uint8(EOutcome.Down)].length(),
+      _roundBettors[roundid][uint8(EOutcome.Up)].length(),
+      _roundBettors[roundid][uint8(EOutcome.Zero)].length()
+    ];
+    predictions = [
+      _roundPredictions[roundid][ROUND_PREDICTIONS_ID].length(),
+      _roundPredictions[roundid][uint8(EOutcome.Down)].length(),
+      _roundPredictions[roundid][uint8(EOutcome.Up)].length(),
+      _roundPredictions[roundid][uint8(EOutcome.Zero)].length()
+    ];
+
+    capacity = _calculateCapacity(round.roundCap, prizepools[0]);
+  }
+
+  /**
+   * @notice Retrieves the per-bucket prize pools and counts of a range-bucket round.
+   * @dev The bucket `i` is the position `FIRST_BUCKET_POSITION + i`, it holds the price moves from the edge `i - 1` (included) to the edge `i`.
+   *      Returns empty arrays for rounds without buckets, their pools and counts are returned by `getRound`.
+   * @param roundid The unique identifier of the round.
+   * @return bucketEdges The bucket edges of the round in ascending order, in basis points of the Entry Price.
+   * @return prizepools The amount deposited on each bucket.
+   * @return bettors The number of participants who predicted each bucket.
+   * @return predictions The number of predictions for each bucket.
+   */
+  function getRoundBuckets(
+    bytes32 roundid
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      int16[] memory bucketEdges,
+      uint[] memory prizepools,
+      uint[] memory bettors,
+      uint[] memory predictions
+    )
+  {
+
+    bucketEdges = _roundBucketEdges[roundid];
+
+    uint size = bucketEdges.length;
+    if (size != 0) size++;
+
+    prizepools = new uint[](size);
+    bettors = new uint[](size);
+    predictions = new uint[](size);
+
+    for (uint idx = 0; idx < size; idx++) {
+      uint8 position = uint8(FIRST_BUCKET_POSITION + idx);
+      prizepools[idx] = _prizepool[roundid][position];
+      bettors[idx] = _roundBettors[roundid][position].length();
+      predictions[idx] = _roundPredictions[roundid][position].length();
+    }
+
+  }
+
+  /**
+   * @notice Retrieves the pair price feed of a pair-performance round, with its Entry and Exit Prices.
+   * @dev Returns an empty pair for single price feed rounds.
+   *      The Exit Price of the pair is set on resolution, until then `exitPriceid` is the pair Exit Price ID a resolution would locate, see `_resolvePair`.
+   * @param roundid The unique identifier of the round.
+   * @return pair The pair price feed of the round and its prices.
+   * @return exitPriceid The ID of the located pair Exit Price, or `0` if none is found.
+   */
+  function getRoundPair(
+    bytes32 roundid
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      Pair memory pair,
+      uint80 exitPriceid
+    )
+  {
+
+    pair = _roundPairs[roundid];
+    exitPriceid = _locateExitPriceid(pair.pricefeed, pair.entryPrice.roundid, _rounds[roundid].endDate);
+
+  }
+
+  /**
+   * @notice Returns the Exit Price ID `locateAndResolve` would resolve the round with.
+   * @dev The located price is not validated, see `_locateExitPriceid`.
+   * @param roundid The unique ID of the round.
+   * @return exitPriceid The ID of the located Exit Price, or `0` if none is found.
+   */
+  function locateExitPriceid(
+    bytes32 roundid
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      uint80 exitPriceid
+    )
+  {
+
+    Round storage round = _rounds[roundid];
+    exitPriceid = _locateExitPriceid(round.pricefeed, round.entryPrice.roundid, round.endDate);
+
+  }
+
+  /**
+   * @notice Retrieves a paginated list of Round IDs for a specified game.
+   *         This function is useful for fetching game round IDs in batches.
+   * @dev This function returns an array of round IDs and the total number of rounds associated with the given game.
+   *      The returned array contains at most 20 round IDs starting from the specified offset to support pagination.
+   * @param gameid The unique identifier for the game.
+   * @param offset The starting index from which round IDs will be fetched (for pagination).
+   * @return roundids An array of up to 20 round IDs starting from the given offset.
+   * @return size The total number of rounds in the game, which is helpful for paginating through all rounds.
+   */
+  function getGameRounds(
+    bytes32 gameid,
+    uint256 offset
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      bytes32[] memory roundids,
+      uint size
+    )
+  {
+
+    roundids = new bytes32[](0);
+    size = _gameRounds[gameid].length();
+
+    if (size == 0) return (roundids, size);
+    if (offset >= size) return (roundids, size);
+
+    uint rest = size - offset;
+    uint lastidx = 0;
+    if (rest > 20) {
+      lastidx = rest - 20;
+    }
+    uint resultSize = rest - lastidx;
+    roundids = new bytes32[](resultSize);
+
+    uint idx = 0;
+    while (idx != resultSize) {
+      roundids[idx] = _gameRounds[gameid].at(rest - 1 - idx);
+      idx++;
+    }
+
+  }
+
+  /**
+   * @notice Retrieves a paginated list of predictions for a specific round and position.
+   * @dev Returns up to 20 `Prediction` structs starting from the specified `offset`.
+   *      If `position` is set to 0, predictions for all positions are retrieved.
+   *      Also returns the total number of predictions matching the criteria.
+   * @param roundid The unique identifier for the round to retrieve predictions from.
+   * @param position The prediction position to filter by (1 for Down, 2 for Up, 3 for Zero). A value of 0 retrieves predictions for all positions.
+   * @param offset The starting index for pagination. Use this to fetch predictions in batches.
+   * @return predictions An array of `Prediction` structs representing the matching predictions.
+   * @return size The total number of predictions available for the specified round and position.
+   */
+  function getRoundPredictions(
+    bytes32 roundid,
+    uint8 position,
+    uint256 offset
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      Prediction[] memory predictions,
+      uint size
+    )
+  {
+
+    predictions = new Prediction[](0);
+    size = _roundPredictions[roundid][position].length();
+
+    if (size == 0) return (predictions, size);
+    if (offset >= size) return (predictions, size);
+
+    uint rest = size - offset;
+    uint lastidx = 0;
+    if (rest > 20) {
+      lastidx = rest - 20;
+    }
+    uint resultSize = rest - lastidx;
+    predictions = new Prediction[](resultSize);
+
+    uint idx = 0;
+    while (idx != resultSize) {
+      bytes32 predictionid = _roundPredictions[roundid][position].at(rest - 1 - idx);
+      predictions[idx] = _predictions[predictionid];
+      idx++;
+    }
+
+  }
+
+  /**
+   * @notice Retrieves a paginated list of a bettor's predictions for a specific position.
+   * @dev Returns up to 20 `Prediction` structs starting from the specified `offset`.
+   *      If `position` is set to 0, predictions for all positions are retrieved.
+   *      Also returns the total number of predictions matching the criteria.
+   * @param bettor The address of the bettor whose predictions are being queried.
+   * @param position The predicted outcome (1 for Down, 2 for Up, 3 for Zero). A value of 0 retrieves predictions for all positions.
+   * @param offset The starting index for pagination of the results.
+   * @return predictions An array of `Prediction` structs limited to 20 entries.
+   * @return size The total number of predictions for the bettor and specified position.
+   */
+  function getBettorPredictions(
+    address bettor,
+    uint8 position,
+    uint256 offset
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      Prediction[] memory predictions,
+      uint size
+    )
+  {
+
+    predictions = new Prediction[](0);
+    size = _bettorPredictions[bettor][position].length();
+
+    if (size == 0) return (predictions, size);
+    if (offset >= size) return (predictions, size);
+
+    uint rest = size - offset;
+    uint lastidx = 0;
+    if (rest > 20) {
+      lastidx = rest - 20;
+    }
+    uint resultSize = rest - lastidx;
+    predictions = new Prediction[](resultSize);
+
+    uint idx = 0;
+    while (idx != resultSize) {
+      bytes32 predictionid = _bettorPredictions[bettor][position].at(rest - 1 - idx);
+      predictions[idx] = _predictions[predictionid];
+      idx++;
+    }
+
+  }
+
+  /**
+   * @notice Checks whether a specific bettor has participated in a given round.
+   *         This function is used to verify if the bettor has placed a prediction in the provided round.
+   * @dev This function checks participation in a specific prediction round using the bettor's address and the unique round ID.
+   * @param bettor The address of the bettor to check for participation.
+   * @param roundid The unique identifier of the round.
+   * @return inround `true` if the bettor participated in the round, `false` otherwise.
+   */
+  function isBettorInRound(
+    address bettor,
+    bytes32 roundid
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      bool inround
+    )
+  {
+
+    inround = _roundBettors[roundid][ROUND_BETTORS_ID].contains(bettor);
+
+  }
+
+  /**
+   * @notice Retrieves information about a specific bettor's activity for a given ERC20 token.
+   * @dev This function provides detailed information about the bettor's predictions, including:
+   *      - Bettor's address (`bettorid`) if found.
+   *      - Total number of predictions and individual outcomes [Total, Up, Down, Zero] (`uint[4]`).
+   *      - Total deposited amounts for predictions and individual outcomes [Total, Up, Down, Zero] (`uint[4]`).
+   *      - Total payouts received for predictions and individual outcomes [Total, Up, Down, Zero] (`uint[4]`).
+   *      - If `bettor` have never interacted with the provided `erc20` token for predictions deposits and payouts returns zeros.
+   *      - If `bettor` have never interacted with the cotract it returns zeros.
+   * @param bettor The address of the bettor to query.
+   * @param erc20 The address of the ERC20 token used for the bettor's predictions.
+   * @return bettorid The address of the bettor (or zero address if no predictions are found).
+   * @return predictions Array of four `uint` values:
+   *        [0]: Total number of predictions made.
+   *        [1]: Number of predictions for Up.
+   *        [2]: Number of predictions for Down.
+   *        [3]: Number of predictions for Zero.
+   * @return deposits Array of four `uint` values:
+   *        [0]: Total amount deposited using the ERC20 token.
+   *        [1]: Amount deposited for Up predictions.
+   *        [2]: Amount deposited for Down predictions.
+   *        [3]: Amount deposited for Zero predictions.
+   * @return payouts Array of four `uint` values:
+   *        [0]: Total payout amount received for the ERC20 token.
+   *        [1]: Payout amount received for Up predictions.
+   *        [2]: Payout amount received for Down predictions.
+   *        [3]: Payout amount received for Zero predictions.
+   */
+  function getBettor(
+    address bettor,
+    address erc20
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      address bettorid,
+      uint[4] memory predictions,
+      uint[4] memory deposits,
+      uint[4] memory payouts
+    )
+  {
+
+    uint size = _bettorPredictions[bettor][BETTOR_PREDICTIONS_ID].length();
+    bettorid = size == 0 ? address(0) : bettor;
+    predictions = [
+      size,
+      _bettorPredictions[bettor][uint8(EOutcome.Up)].length(),
+      _bettorPredictions[bettor][uint8(EOutcome.Down)].length(),
+      _bettorPredictions[bettor][uint8(EOutcome.Zero)].length()
+    ];
+
+    deposits = [
+      _bettorFundsIN[bettor][erc20][BETTOR_TOTAL_DEPOSIT_ID],
+      _bettorFundsIN[bettor][erc20][uint8(EOutcome.Up)],
+      _bettorFundsIN[bettor][erc20][uint8(EOutcome.Down)],
+      _bettorFundsIN[bettor][erc20][uint8(EOutcome.Zero)]
+    ];
+
+    payouts = [
+      _bettorFundsOUT[bettor][erc20][BETTOR_TOTAL_PAIDOUT_ID],
+      _bettorFundsOUT[bettor][erc20][uint8(EOutcome.Up)],
+      _bettorFundsOUT[bettor][erc20][uint8(EOutcome.Down)],
+      _bettorFundsOUT[bettor][erc20][uint8(EOutcome.Zero)]
+    ];
+
+  }
+
+  /**
+   * @notice Returns the amounts a bettor can still deposit on a position of a round under each of its deposit caps.
+   * @dev A bettor can place at most the smallest of the three, `placePrediction` reverts with the matching error above it.
+   *      A round not opened yet has no caps of its own, the current caps of its game are used instead, as the round copies them at its creation.
+   *      Requirements:
+   *      - `gameid` must be the game of the round, and must exist if the round was not opened yet.
+   * @param gameid The unique identifier of the game of the round.
+   * @param roundid The unique identifier of the round.
+   * @param bettor The address of the bettor.
+   * @param position The position of the deposit (1 for Down, 2 for Up, 3 for Zero, or a bucket position).
+   * @return prediction The amount left under `maxDeposit` for the prediction of the bettor on the position.
+   * @return bettorRound The amount left under `bettorRoundCap` for the bettor in the round.
+   * @return round The amount left under `roundCap` for the round, each `type(uint).max` if the cap is not set.
+   */
+  function getDepositCapacity(
+    bytes32 gameid,
+    bytes32 roundid,
+    address bettor,
+    uint8 position
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      uint prediction,
+      uint bettorRound,
+      uint round
+    )
+  {
+
+    Round memory _round = _rounds[roundid];
+    if (_round.roundid == 0x0) {
+
+      Game memory game = MetaOraclyV1(METAORACLY_CONTRACT).getGame(gameid);
+      if (gameid == 0x0 || gameid != game.gameid) {
+        revert("NotSupportedGame");
+      }
+
+      _round.maxDeposit = game.maxDeposit;
+      _round.bettorRoundCap = game.bettorRoundCap;
+      _round.roundCap = game.roundCap;
+
+    } else if (_round.gameid != gameid) {
+      revert("NotSupportedGame");
+    }
+
+    bytes32 predictionid = keccak256(abi.encode(roundid, bettor, position));
+
+    prediction = _calculateCapacity(_round.maxDeposit, _predictions[predictionid].deposit);
+    bettorRound = _calculateCapacity(_round.bettorRoundCap, _roundBettorDeposits[roundid][bettor]);
+    round = _calculateCapacity(_round.roundCap, _prizepool[roundid][PRIZEPOOL_TOTAL_ID]);
+
+  }
+
+  /**
+   * @notice Returns the current implied multipliers of a round, the net payout per deposited token of each position if it wins.
+   * @dev Each multiplier is the `_calculatePrize` payout of a `MULTIPLIER_PRECISION` deposit already in the position prize pool,
+   *      so the vigorish of the round is deducted.
+   *      A position without deposits has no multiplier, zero is returned for it.
+   *      Multipliers change with every deposit until the round locks.
+   * @param roundid The unique identifier of the round.
+   * @return down The multiplier of the Down position, with `MULTIPLIER_PRECISION` precision.
+   * @return up The multiplier of the Up position, with `MULTIPLIER_PRECISION` precision.
+   * @return zero The multiplier of the Zero position, with `MULTIPLIER_PRECISION` precision.
+   */
+  function getRoundMultipliers(
+    bytes32 roundid
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      uint down,
+      uint up,
+      uint zero
+    )
+  {
+
+    down = _calculateMultiplier(roundid, uint8(EOutcome.Down));
+    up = _calculateMultiplier(roundid, uint8(EOutcome.Up));
+    zero = _calculateMultiplier(roundid, uint8(EOutcome.Zero));
+
+  }
+
+  /**
+   * @notice Returns the current implied multipliers of the buckets of a range-bucket round, the net payout per deposited token of each bucket if it wins.
+   * @dev Computed like `getRoundMultipliers`, in the order of the `getRoundBuckets` prize pools: the first one is for the `FIRST_BUCKET_POSITION` position.
+   *      A bucket without deposits has no multiplier, zero is returned for it.
+   *      Returns an empty array for a round without buckets.
+   * @param roundid The unique identifier of the round.
+   * @return multipliers The multipliers of the buckets, with `MULTIPLIER_PRECISION` precision.
+   */
+  function getRoundBucketMultipliers(
+    bytes32 roundid
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      uint[] memory multipliers
+    )
+  {
+
+    uint size = _roundBucketEdges[roundid].length;
+    if (size != 0) size++;
+
+    multipliers = new uint[](size);
+    for (uint idx = 0; idx < size; idx++) {
+      multipliers[idx] = _calculateMultiplier(roundid, uint8(FIRST_BUCKET_POSITION + idx));
+    }
+
+  }
+
+  /**
+   * @notice Returns the payout and commission of a hypothetical additional deposit on a position, if that position wins.
+   * @dev The deposit is added to the position and total prize pools, which are assumed not to change after it.
+   *      The resolver reward share of the deposit is deducted from the commission, as `_calculatePayout` does on claim.
+   *      A round not opened yet has no settings of its own, the current settings of its game are used instead:
+   *      its vigorish and resolver reward, and its bucket edges for the supported positions.
+   *      Returns zeros for a zero amount.
+   *      Requirements:
+   *      - `gameid` must be the game of the round, and must exist if the round was not opened yet.
+   *      - `position` must be Down, Up or Zero, or a bucket position of a range-bucket round.
+   * @param gameid The unique identifier of the game of the round.
+   * @param roundid The unique identifier of the round.
+   * @param position The position of the deposit (1 for Down, 2 for Up, 3 for Zero, or a bucket position).
+   * @param amount The amount of the hypothetical deposit.
+   * @return payout The projected payout to the bettor.
+   * @return commission The projected commission taken from the prize.
+   */
+  function getProjectedPayout(
+    bytes32 gameid,
+    bytes32 roundid,
+    uint8 position,
+    uint amount
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      uint payout,
+      uint commission
+    )
+  {
+
+    Round memory round = _rounds[roundid];
+
+    uint16 vigorish = round.vigorish;
+    uint16 resolverReward = round.resolverReward;
+    (uint8 first, uint8 last) = _getPositionRange(roundid);
+
+    if (round.roundid == 0x0) {
+
+      Game memory game = MetaOraclyV1(METAORACLY_CONTRACT).getGame(gameid);
+      if (gameid == 0x0 || gameid != game.gameid) {
+        revert("NotSupportedGame");
+      }
+
+      vigorish = game.vigorish;
+      resolverReward = game.resolverReward;
+      if (game.bucketEdges.length != 0) {
+        (first, last) = ( FIRST_BUCKET_POSITION, uint8(FIRST_BUCKET_POSITION + game.bucketEdges.length) );
+      }
+
+    } else if (round.gameid != gameid) {
+      revert("NotSupportedGame");
+    }
+
+    if (position < first || position > last) {
+      revert("NotSupportedPosition");
+    }
+
+    if (amount == 0) return ( payout, commission );
+
+    uint positionpool = _prizepool[roundid][position] + amount;
+    uint prizepool = _prizepool[roundid][PRIZEPOOL_TOTAL_ID] + amount;
+
+    (payout, commission) = _calculatePrize(
+      amount,
+      positionpool,
+      prizepool,
+      vigorish
+    );
+
+    uint reward = (
+      prizepool * vigorish * resolverReward
+    ) / (
+      uint(VIGORISH_BASIS_POINTS) * RESOLVER_REWARD_BASIS_POINTS
+    );
+    commission -= Math.min((reward * amount) / positionpool, commission);
+
+  }
+
+  /**
+   * @notice Returns the payout and commission a prediction would be paid if claimed now.
+   * @dev Uses the `_calculatePayout` logic the claim uses, the last unclaimed winning prediction of a round includes the prize pool rounding remainder in its commission.
+   *      Returns zeros for predictions of unresolved and archived rounds, lost and already claimed predictions.
+   * @param predictionid The unique ID of the prediction.
+   * @return payout The amount the bettor would receive.
+   * @return commission The commission that would be distributed to stakers and mentors.
+   */
+  function getClaimable(
+    bytes32 predictionid
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      uint payout,
+      uint commission
+    )
+  {
+
+    Prediction memory prediction = _predictions[predictionid];
+    if (prediction.predictionid == 0x0) return ( payout, commission );
+
+    Round memory round = _rounds[prediction.roundid];
+    if (round.archived) return ( payout, commission );
+
+    (payout, commission) = _calculatePayout(prediction, round);
+
+  }
+
+  /**
+   * @notice Returns the share of the sponsored bonus pool of its round a prediction would be paid if claimed now.
+   * @dev Uses the `_calculateBonus` logic the claim uses, the last unclaimed winning prediction of a round gets the bonus rounding remainder.
+   *      Returns zero for predictions of unresolved and archived rounds, lost and already claimed predictions, and predictions of "No Contest" rounds.
+   * @param predictionid The unique ID of the prediction.
+   * @return bonus The bonus the bettor would receive along with the payout.
+   */
+  function getClaimableBonus(
+    bytes32 predictionid
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      uint bonus
+    )
+  {
+
+    Prediction memory prediction = _predictions[predictionid];
+    Round memory round = _rounds[prediction.roundid];
+    if (prediction.predictionid == 0x0 || round.archived) return bonus;
+
+    bonus = _calculateBonus(prediction, round);
+
+  }
+
+  /**
+   * @notice Retrieves the sponsored bonus pool of a round.
+   * @dev The round may not exist yet, sponsors can add a bonus to future rounds.
+   * @param roundid The unique identifier of the round.
+   * @return bonus The total bonus added by the sponsors of the round.
+   * @return released The bonus paid to winning predictions, returned to sponsors or swept to stakers.
+   */
+  function getRoundBonus(
+    bytes32 roundid
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      uint bonus,
+      uint released
+    )
+  {
+
+    bonus = _roundBonus[roundid][BONUS_TOTAL_ID];
+    released = _roundBonus[roundid][BONUS_RELEASED_ID];
+
+  }
+
+  /**
+   * @notice Retrieves the bonus a sponsor added to a round and did not reclaim.
+   * @param roundid The unique identifier of the round.
+   * @param sponsor The address of the sponsor.
+   * @return amount The bonus added by the sponsor, zero once returned to them.
+   */
+  function getRoundSponsorship(
+    bytes32 roundid,
+    address sponsor
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      uint amount
+    )
+  {
+
+    amount = _roundSponsorships[roundid][sponsor];
+
+  }
+
+  /**
+   * @notice Retrieves the payout and commission recorded as unpaid for a bettor in an ERC20 token.
+   * @param bettor The address of the bettor.
+   * @param erc20 The address of the ERC20 token.
+   * @return payout The unpaid payout.
+   * @return commission The undistributed commission.
+   */
+  function getUnpaidClaim(
+    address bettor,
+    address erc20
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      uint payout,
+      uint commission
+    )
+  {
+
+    payout = _unpaidClaims[bettor][erc20][0];
+    commission = _unpaidClaims[bettor][erc20][1];
+
+  }
+
+  /**
+   * @notice Retrieves a paginated list of the bettors with unpaid claims in an ERC20 token.
+   * @dev The returned array contains at most 20 bettors starting from the specified offset to support pagination.
+   * @param erc20 The address of the ERC20 token.
+   * @param offset The starting index from which bettors will be fetched (for pagination).
+   * @return bettors An array of up to 20 bettors starting from the given offset.
+   * @return size The total number of bettors with unpaid claims.
+   * @return total The total of unpaid payouts and commissions.
+   */
+  function getUnpaidBettors(
+    address erc20,
+    uint256 offset
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      address[] memory bettors,
+      uint size,
+      uint total
+    )
+  {
+
+    bettors = new address[](0);
+    size = _unpaidBettors[erc20].length();
+    total = _unpaidTotal[erc20];
+
+    if (offset >= size) return (bettors, size, total);
+
+    uint resultSize = Math.min(size - offset, 20);
+    bettors = new address[](resultSize);
+
+    for (uint idx = 0; idx < resultSize; idx++) {
+      bettors[idx] = _unpaidBettors[erc20].at(offset + idx);
+    }
+
+  }
+
+  /**
+   * @notice Retrieves the rewards credited to a resolver for resolving rounds of an ERC20 token, and not claimed yet.
+   * @param resolver The address of the resolver.
+   * @param erc20 The address of the ERC20 token.
+   * @return amount The amount the resolver can claim via `claimResolverReward`.
+   */
+  function getResolverReward(
+    address resolver,
+    address erc20
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      uint amount
+    )
+  {
+
+    amount = _resolverRewards[resolver][erc20];
+
+  }
+
+  /**
+   * @notice Retrieves the amount of an ERC20 token the contract owes, the balance needed to recover the ERC20 token once blocked.
+   * @param erc20 The address of the ERC20 token.
+   * @return held The deposits and sponsored bonuses of every round not released yet, and the resolver rewards not claimed yet.
+   * @return unpaid The total of unpaid payouts and commissions.
+   */
+  function getLiabilities(
+    address erc20
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      uint held,
+      uint unpaid
+    )
+  {
+
+    held = _liabilities[erc20];
+    unpaid = _unpaidTotal[erc20];
+
+  }
+
+  /**
+   * @notice Returns the nonce the next prediction intent of the bettor must be signed with.
+   * @param bettor The address of the bettor.
+   * @return nonce The bettor's next intent nonce.
+   */
+  function getIntentNonce(
+    address bettor
+  )
+    external
+    view
+    onlyDelegateCall
+    returns (
+      uint nonce
+    )
+  {
+
+    nonce = _intentNonces[bettor];
+
+  }
+
+  /**
+   * @notice Calculates the implied multiplier of a position in a round.
+   * @param roundid The unique identifier of the round.
+   * @param position The position (1 for Down, 2 for Up, 3 for Zero, or a bucket position).
+   * @return multiplier The multiplier with `MULTIPLIER_PRECISION` precision, zero for a position without deposits.
+   */
+  function _calculateMultiplier(
+    bytes32 roundid,
+    uint8 position
+  )
+    private
+    view
+    returns (
+      uint multiplier
+    )
+  {
+
+    uint positionpool = _prizepool[roundid][position];
+    if (positionpool == 0) return multiplier;
+
+    (multiplier, ) = _calculatePrize(
+      MULTIPLIER_PRECISION,
+      positionpool,
+      _prizepool[roundid][PRIZEPOOL_TOTAL_ID],
+      _rounds[roundid].vigorish
+    );
+
+  }
+
+  /**
+   * @notice Calculates the amount left under a deposit cap.
+   * @param cap The deposit cap, zero for no cap.
+   * @param deposited The amount already deposited against the cap.
+   * @return capacity The amount left, `type(uint).max` if there is no cap, zero once the cap is reached.
+   */
+  function _calculateCapacity(
+    uint cap,
+    uint deposited
+  )
+    private
+    pure
+    returns (
+      uint capacity
+    )
+  {
+
+    if (cap == 0) return type(uint).max;
+    if (cap > deposited) capacity = cap - deposited;
+
+  }
+
+}
@@ -6,8 +6,43 @@ import { AggregatorV3Interface } from "@chainlink/contracts/src/v0.8/interfaces/
 
 // import { console } from "hardhat/console.sol";
 
+/**
+ * @notice Price feed mock with two modes.
+ *         Until a round is pushed or a phase started it answers with fixed prices and reads timestamps from the round id.
+ *         Afterwards it only answers with the scripted rounds, like a Chainlink proxy would:
+ *         round ids are `phaseId << 64 | aggregatorRoundId` and unknown rounds revert.
+ */
 contract MockAggregatorProxy is AggregatorV3Interface {
 
+  struct ScriptedRound {
+    int256 answer;
+    uint256 startedAt;
+    uint256 updatedAt;
+    uint80 answeredInRound;
+    bool reverts;
+    bool exists;
+  }
+
+  event RoundPushed(uint80 roundId, int256 answer, uint256 timestamp);
+  event PhaseStarted(uint16 phaseId);
+
+  /**
+   * @notice Current phase, zero until the first round is pushed.
+   */
+  uint16 public phaseId;
+
+  /**
+   * @notice Latest aggregator round id of the current phase.
+   */
+  uint64 public aggregatorRoundId;
+
+  /**
+   * @notice Makes `latestRoundData` revert.
+   */
+  bool public latestReverts;
+
+  mapping(uint80 => ScriptedRound) private rounds;
+
   function decimals()
     external
     view
@@ -35,6 +70,98 @@ contract MockAggregatorProxy is AggregatorV3Interface {
     return 1;
   }
 
+  /**
+   * @notice Pushes a round to the current phase, the first push starts phase 1.
+   */
+  function pushRound(
+    int256 answer,
+    uint256 timestamp
+  )
+    public
+    returns (uint80 roundId)
+  {
+    if (phaseId == 0) {
+      phaseId = 1;
+      emit PhaseStarted(phaseId);
+    }
+
+    aggregatorRoundId += 1;
+    roundId = computeRoundid(phaseId, aggregatorRoundId);
+
+    rounds[roundId] = ScriptedRound({
+      answer: answer,
+      startedAt: timestamp,
+      updatedAt: timestamp,
+      answeredInRound: roundId,
+      reverts: false,
+      exists: true
+    });
+
+    emit RoundPushed(roundId, answer, timestamp);
+  }
+
+  function pushRounds(
+    int256[] calldata answers,
+    uint256[] calldata timestamps
+  )
+    external
+  {
+    require(answers.length == timestamps.length, "LengthMismatch");
+
+    for (uint i = 0; i < answers.length; i++) {
+      pushRound(answers[i], timestamps[i]);
+    }
+  }
+
+  /**
+   * @notice Starts a new phase, its aggregator round ids start from 1 again.
+   *         The rounds of the previous phases remain readable.
+   */
+  function startPhase()
+    external
+  {
+    phaseId += 1;
+    aggregatorRoundId = 0;
+
+    emit PhaseStarted(phaseId);
+  }
+
+  /**
+   * @notice Simulates a stale answer: `answeredInRound` differs from `roundId`.
+   */
+  function setAnsweredInRound(
+    uint80 roundId,
+    uint80 answeredInRound
+  )
+    external
+  {
+    require(rounds[roundId].exists, "No data present");
+
+    rounds[roundId].answeredInRound = answeredInRound;
+  }
+
+  /**
+   * @notice Makes `getRoundData(roundId)` revert, and `latestRoundData` too when it is the latest round.
+   */
+  function setRoundReverts(
+    uint80 roundId,
+    bool reverts
+  )
+    external
+  {
+    require(rounds[roundId].exists, "No data present");
+
+    rounds[roundId].reverts = reverts;
+  }
+
+  function setLatestReverts(
+    bool reverts
+  )
+    external
+  {
+    latestReverts = reverts;
+  }
+
   function latestRoundData()
     public
     view
@@ -47,11 +174,19 @@ contract MockAggregatorProxy is AggregatorV3Interface {
       uint80 answeredInRound
     )
   {
-    roundId = computeRoundid(1, 0);
-    answer = 1000;
-    startedAt = block.timestamp;
-    updatedAt = block.timestamp;
-    answeredInRound = roundId;
+    require(!latestReverts, "Latest round reverts");
+
+    if (phaseId == 0) {
+      roundId = computeRoundid(1, 0);
+      answer = 1000;
+      startedAt = block.timestamp;
+      updatedAt = block.timestamp;
+      answeredInRound = roundId;
+
+      return (roundId, answer, startedAt, updatedAt, answeredInRound);
+    }
+
+    return getScriptedRound(computeRoundid(phaseId, aggregatorRoundId));
   }
 
   function getRoundData(
@@ -69,10 +204,14 @@ contract MockAggregatorProxy is AggregatorV3Interface {
     )
   {
 
-    (uint256 timestamp, uint16 phaseId, uint64 aggregatorRoundId) = reparseRoundid(_roundId);
+    if (phaseId != 0) {
+      return getScriptedRound(_roundId);
+    }
+
+    (uint256 timestamp, uint16 _phaseId, uint64 _aggregatorRoundId) = reparseRoundid(_roundId);
 
     // in case of phaseid == 1 and even priceid, we add 10 sec to timestamp (need for tests)
-    if (phaseId == 1 && (aggregatorRoundId % 2) == 0) {
+    if (_phaseId == 1 && (_aggregatorRoundId % 2) == 0) {
       timestamp += 10;
     }
 
@@ -83,6 +222,21 @@ contract MockAggregatorProxy is AggregatorV3Interface {
     answeredInRound = roundId;
   }
 
+  function getScriptedRound(
+    uint80 roundId
+  )
+    internal
+    view
+    returns (uint80, int256, uint256, uint256, uint80)
+  {
+    ScriptedRound memory round = rounds[roundId];
+
+    require(round.exists, "No data present");
+    require(!round.reverts, "Round reverts");
+
+    return (roundId, round.answer, round.startedAt, round.updatedAt, round.answeredInRound);
+  }
+
   function reparseRoundid(
     uint256 roundId
   )
@@ -90,22 +244,22 @@ contract MockAggregatorProxy is AggregatorV3Interface {
     view
     returns (uint256, uint16, uint64)
   {
-    uint16 phaseId = uint16(roundId >> 64);
-    uint256 timestamp = (roundId >> 22) - (uint256(phaseId) << 64 >> 22);
-    uint64 aggregatorRoundId = uint64(uint8(roundId));
+    uint16 _phaseId = uint16(roundId >> 64);
+    uint256 timestamp = (roundId >> 22) - (uint256(_phaseId) << 64 >> 22);
+    uint64 _aggregatorRoundId = uint64(uint8(roundId));
 
-    return (timestamp, phaseId, aggregatorRoundId);
+    return (timestamp, _phaseId, _aggregatorRoundId);
   }
 
   function computeRoundid(
-    uint16 phaseId,
-    uint64 aggregatorRoundId
+    uint16 _phaseId,
+    uint64 _aggregatorRoundId
   )
     internal
     pure
     returns (uint80)
   {
-    uint80 roundId = uint80(uint256(phaseId) << 64 | aggregatorRoundId);
+    uint80 roundId = uint80(uint256(_phaseId) << 64 | _aggregatorRoundId);
     return roundId;
   }
 
@@ -0,0 +1,54 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+// solhint-disable
+import { ECDSA } from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @notice Smart contract wallet mock, forwards the calls of its owner like a multisig or an ERC-4337 account would.
+ *         Signatures of the owner are valid signatures of the wallet (ERC-1271).
+ */
+contract MockContractWallet {
+
+  address public immutable owner;
+
+  constructor() {
+    owner = msg.sender;
+  }
+
+  function execute(
+    address target,
+    bytes calldata data
+  )
+    external
+    returns (bytes memory)
+  {
+    require(msg.sender == owner, "OnlyOwner");
+
+    (bool success, bytes memory result) = target.call(data);
+    if (!success) {
+      assembly {
+        revert(add(result, 32), mload(result))
+      }
+    }
+
+    return result;
+  }
+
+  function isValidSignature(
+    bytes32 hash,
+    bytes calldata signature
+  )
+    external
+    view
+    returns (bytes4)
+  {
+    (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hash, signature);
+    if (error == ECDSA.RecoverError.NoError && signer == owner) {
+      return this.isValidSignature.selector;
+    }
+
+    return 0xffffffff;
+  }
+
+}
@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+/**
+ * @title DepositCaps
+ * @notice Represents the deposit caps given to `MetaOraclyV1.addGame` and `MetaOraclyV1.updateGameDepositCaps`, in ERC20 token units.
+ * @dev Unlike the `GameConfig`, the caps are not part of the game ID and can be updated, rounds copy them from their game at creation.
+ *      Each cap must be zero for no cap, or not below the minimum deposit of the game.
+ *      - `maxDeposit` The largest deposit of a single prediction.
+ *      - `bettorRoundCap` The largest total deposit of a bettor across all their predictions in a round.
+ *      - `roundCap` The largest total prize pool of a round.
+ */
+struct DepositCaps {
+
+  /**
+   * @notice The largest deposit of a single prediction, zero for no cap.
+   * @dev Applies to the total deposit of the prediction, including the increases of it.
+   */
+  uint maxDeposit;
+
+  /**
+   * @notice The largest total deposit of a bettor across all their predictions in a round, zero for no cap.
+   */
+  uint bettorRoundCap;
+
+  /**
+   * @notice The largest total prize pool of a round, zero for no cap.
+   */
+  uint roundCap;
+
+}
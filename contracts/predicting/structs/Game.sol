@@ -13,6 +13,15 @@ pragma solidity ^0.8.23;
  *      - `positioning` Defines the time period before the game locks in which bettors can position their predictions.
  *      - `expiration` The time at which the round expires after it ends, and only withdraw deposit actions are allowed.
  *      - `minDeposit` Specifies the smallest amount of ERC20 tokens that a bettor must deposit to enter the game.
+ *      - `vigorish` The commission taken from prizes of the game rounds, in basis points.
+ *      - `cancellationFee` The fee charged on predictions decreased during the positioning period, in basis points.
+ *      - `claimPeriod` The time after the round expiration during which winnings can be claimed before they can be swept, zero for no limit.
+ *      - `tolerance` The price move relative to the Entry Price the rounds resolve to Zero within, in basis points, set when the game is added.
+ *      - `bucketEdges` The edges of the price buckets of a range-bucket game, predicted instead of Down, Up and Zero, set when the game is added.
+ *      - `pairPricefeed` The price feed of the second asset of a pair-performance game, set when the game is added.
+ *      - `maxDeposit` The largest deposit of a single prediction, zero for no cap.
+ *      - `bettorRoundCap` The largest total deposit of a bettor in a round, zero for no cap.
+ *      - `roundCap` The largest total prize pool of a round, zero for no cap.
  *      - `blocked` If set to true, the game is blocked and no new actions (such as placing predictions) can be taken.
  */
 struct Game {
@@ -65,6 +74,72 @@ struct Game {
    */
   uint minDeposit;
 
+  /**
+   * @notice The commission taken from prizes, in basis points (e.g., 100 for 1%).
+   * @dev Each round keeps the vigorish of the game at the time it was created.
+   */
+  uint16 vigorish;
+
+  /**
+   * @notice The fee charged on the amount withdrawn from a prediction during positioning, in basis points.
+   * @dev The fee is distributed to stakers and mentors, the same way as the vigorish.
+   */
+  uint16 cancellationFee;
+
+  /**
+   * @notice The time after the round expiration given to bettors to claim their payouts, zero for no limit.
+   * @dev Once it passes, the unreleased prize pool of the round can be swept to stakers. Each round keeps the claim deadline computed at its creation.
+   */
+  uint claimPeriod;
+
+  /**
+   * @notice The share of the round vigorish paid to whoever resolves a round with a valid Exit Price, in basis points.
+   * @dev Each round keeps the resolver reward of the game at the time it was created.
+   */
+  uint16 resolverReward;
+
+  /**
+   * @notice The tolerance band of the game in basis points of the Entry Price, zero for the classic strict comparison.
+   * @dev A round whose Exit Price moves within the band from its Entry Price resolves to Zero ("flat"), moves outside of it resolve to Up or Down.
+   *      Set from the `GameConfig` when the game is added and part of its game ID, each round keeps it from its creation.
+   *      A range-bucket game has no tolerance, the two are mutually exclusive.
+   */
+  uint16 tolerance;
+
+  /**
+   * @notice The edges of the price buckets of a range-bucket game in ascending order, in basis points of the Entry Price, empty for Down, Up and Zero games.
+   * @dev N edges split price moves into N + 1 buckets, predicted as positions `FIRST_BUCKET_POSITION` to `FIRST_BUCKET_POSITION + N`.
+   *      Set from the `GameConfig` when the game is added and part of its game ID, each round keeps them from its creation.
+   *      A threshold game has no bucket edges, the two are mutually exclusive.
+   */
+  int16[] bucketEdges;
+
+  /**
+   * @notice The price feed of the second asset of a pair-performance game, zero for single price feed games.
+   * @dev Rounds of a pair game resolve to Up if the `pricefeed` asset outperformed the `pairPricefeed` asset in relative terms, to Down if it underperformed.
+   *      Set from the `GameConfig` when the game is added and part of its game ID.
+   */
+  address pairPricefeed;
+
+  /**
+   * @notice The largest deposit of a single prediction, zero for no cap.
+   * @dev Applies to the total deposit of the prediction, including the increases of it.
+   *      Rounds keep the cap of the game at their creation.
+   */
+  uint maxDeposit;
+
+  /**
+   * @notice The largest total deposit of a bettor across all their predictions in a round, zero for no cap.
+   * @dev Rounds keep the cap of the game at their creation.
+   */
+  uint bettorRoundCap;
+
+  /**
+   * @notice The largest total prize pool of a round, zero for no cap.
+   * @dev Rounds keep the cap of the game at their creation.
+   */
+  uint roundCap;
+
   /**
    * @notice A flag indicating whether the game is blocked.
    * @dev If set to true, the game is blocked and no new actions (such as placing predictions) can be taken.
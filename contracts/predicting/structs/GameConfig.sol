@@ -0,0 +1,35 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+/**
+ * @title GameConfig
+ * @notice Represents the game type settings given to `MetaOraclyV1.addGame`, they define how the rounds of the game resolve.
+ * @dev The settings are immutable once the game is added, and are part of the game ID: the same price feed, token, version and schedule
+ *      with a different configuration is a different game. The zero value is the classic Down/Up/Zero game.
+ *      - `tolerance` The price move relative to the Entry Price the rounds resolve to Zero within, in basis points. Cannot be combined with `bucketEdges`.
+ *      - `bucketEdges` The edges of the price buckets predicted instead of Down, Up and Zero, in basis points. Cannot be combined with `tolerance`.
+ *      - `pairPricefeed` The price feed of the second asset of a pair-performance game. Combines with either `tolerance` or `bucketEdges`.
+ */
+struct GameConfig {
+
+  /**
+   * @notice The tolerance band of the game in basis points of the Entry Price, zero for the classic strict comparison.
+   * @dev A round whose Exit Price moves within the band from its Entry Price resolves to Zero ("flat"), moves outside of it resolve to Up or Down.
+   */
+  uint16 tolerance;
+
+  /**
+   * @notice The edges of the price buckets of a range-bucket game in ascending order, in basis points of the Entry Price, empty for Down, Up and Zero games.
+   * @dev N edges split price moves into N + 1 buckets, predicted as positions `FIRST_BUCKET_POSITION` to `FIRST_BUCKET_POSITION + N`.
+   *      An Exit Price on an edge lands in the bucket above it.
+   */
+  int16[] bucketEdges;
+
+  /**
+   * @notice The price feed of the second asset of a pair-performance game, the zero address for single price feed games.
+   * @dev Rounds of a pair game resolve to Up if the `pricefeed` asset of the game outperformed the `pairPricefeed` asset in relative terms, to Down if it underperformed.
+   *      The tolerance band and the bucket edges apply to the difference of the relative changes.
+   */
+  address pairPricefeed;
+
+}
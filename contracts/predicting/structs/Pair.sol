@@ -0,0 +1,34 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+import { Price } from "./Price.sol";
+
+/**
+ * @title Pair
+ * @notice Represents the second price feed of a pair-performance round, the asset the round price feed asset is compared against.
+ * @dev Captured alongside the round Entry Price and resolved alongside the round Exit Price.
+ *      - `pricefeed` The price feed of the second asset of the pair.
+ *      - `entryPrice` The price of the second asset when the round was created.
+ *      - `exitPrice` The price of the second asset used to resolve the round.
+ */
+struct Pair {
+
+  /**
+   * @notice The address of the price feed contract of the second asset.
+   * @dev Zero for rounds of single price feed games.
+   */
+  address pricefeed;
+
+  /**
+   * @notice The price of the second asset at the start of the round.
+   * @dev Validated with the same timing rules as the round Entry Price.
+   */
+  Price entryPrice;
+
+  /**
+   * @notice The price of the second asset at the end of the round.
+   * @dev Located on the pair price feed on resolution and validated with the same rules as the round Exit Price.
+   */
+  Price exitPrice;
+
+}
@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+/**
+ * @title Permit
+ * @notice Represents an EIP-2612 permit signed by the bettor, allowing OraclyV1 to spend the deposit without a prior `approve` transaction.
+ * @dev A zero `deadline` means no permit, the existing allowance is used.
+ *      - `value` The allowance granted to OraclyV1.
+ *      - `deadline` The timestamp after which the permit is no longer valid.
+ *      - `v`, `r`, `s` The permit signature.
+ */
+struct Permit {
+
+  /**
+   * @notice The allowance granted to OraclyV1.
+   */
+  uint value;
+
+  /**
+   * @notice The timestamp after which the permit is no longer valid, zero when no permit is given.
+   */
+  uint deadline;
+
+  /**
+   * @notice The recovery byte of the permit signature.
+   */
+  uint8 v;
+
+  /**
+   * @notice The first 32 bytes of the permit signature.
+   */
+  bytes32 r;
+
+  /**
+   * @notice The second 32 bytes of the permit signature.
+   */
+  bytes32 s;
+
+}
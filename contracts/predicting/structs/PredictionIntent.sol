@@ -0,0 +1,53 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.23;
+
+/**
+ * @title PredictionIntent
+ * @notice Represents a prediction signed by a bettor (EIP-712) and submitted on their behalf by a relayer.
+ * @dev The fields mirror the `placePrediction` arguments, plus the bettor, an expiration and a replay protection nonce.
+ *      - `bettor` The address of the bettor who signed the intent.
+ *      - `amount` The amount of ERC20 tokens the bettor deposits.
+ *      - `position` The predicted outcome: 1 for Down, 2 for Up, 3 for Zero.
+ *      - `gameid` The ID of the game.
+ *      - `roundid` The ID of the round.
+ *      - `deadline` The timestamp after which the intent can no longer be submitted.
+ *      - `nonce` The bettor's current intent nonce.
+ */
+struct PredictionIntent {
+
+  /**
+   * @notice The address of the bettor who signed the intent.
+   */
+  address bettor;
+
+  /**
+   * @notice The amount of ERC20 tokens the bettor deposits.
+   */
+  uint amount;
+
+  /**
+   * @notice The predicted outcome: 1 for Down, 2 for Up, 3 for Zero.
+   */
+  uint8 position;
+
+  /**
+   * @notice The ID of the game where the prediction is being placed.
+   */
+  bytes32 gameid;
+
+  /**
+   * @notice The ID of the round within the game.
+   */
+  bytes32 roundid;
+
+  /**
+   * @notice The timestamp after which the intent can no longer be submitted.
+   */
+  uint deadline;
+
+  /**
+   * @notice The bettor's intent nonce, each nonce can be used once and in order.
+   */
+  uint nonce;
+
+}
@@ -10,7 +10,7 @@ import { Price } from "./Price.sol";
  *      - Entry (Positioning): Bettors can place predictions starting at `startDate` and ending at `lockDate`.
  *      - Round: Begins at `lockDate` and ends at `endDate`.
  *      - Settlement: Starts at `endDate` and ends either when the outcome is settled or at `expirationDate`. If not resolved by `expirationDate`, the round defaults to "No Contest".
- *      - Payout: Begins at `resolvedAt` and ends either when the last prediction is claimed at `archivedAt`.
+ *      - Payout: Begins at `resolvedAt` and ends either when the last prediction is claimed or when the round is swept after `claimDeadline`, at `archivedAt`.
  *      - Archive: Starts at `archivedAt` and is considered the final phase; no further actions can be taken on the round.
  *      Bettors with matching predictions share the prize pool proportionally to their deposit.
  *      - `roundid` This is a hashed value representing the round ID.
@@ -29,6 +29,12 @@ import { Price } from "./Price.sol";
  *      - `pricefeed` The price feed provides the entry and exit prices used to determine the outcome.
  *      - `archived` Once a round is archived, no further actions can be performed on the round.
  *      - `archivedAt` This timestamp is recorded when the `archived` status is set to true, marking the end of the round's lifecycle.
+ *      - `vigorish` The commission taken from prizes of the round, copied from the game when the round is created.
+ *      - `cancellationFee` The fee charged on predictions decreased during positioning, copied from the game when the round is created.
+ *      - `claimDeadline` After this date, unclaimed funds of the round can be swept to stakers, zero if they never can.
+ *      - `maxDeposit` The largest deposit of a single prediction, copied from the game when the round is created, zero for no cap.
+ *      - `bettorRoundCap` The largest total deposit of a bettor in the round, copied from the game when the round is created, zero for no cap.
+ *      - `roundCap` The largest total prize pool of the round, copied from the game when the round is created, zero for no cap.
  */
 struct Round {
 
@@ -128,4 +134,59 @@ struct Round {
    */
   uint archivedAt;
 
+  /**
+   * @notice The commission taken from prizes in this round, in basis points.
+   * @dev Copied from the game when the round is created, later game updates do not affect it.
+   */
+  uint16 vigorish;
+
+  /**
+   * @notice The fee charged on the amount withdrawn from a prediction of this round during positioning, in basis points.
+   * @dev Copied from the game when the round is created, later game updates do not affect it.
+   */
+  uint16 cancellationFee;
+
+  /**
+   * @notice The timestamp after which the unreleased prize pool of the round can be swept to stakers.
+   * @dev Computed from the game claim period when the round is created, zero if the game has none.
+   */
+  uint claimDeadline;
+
+  /**
+   * @notice The share of the round vigorish paid to the resolver of the round, in basis points.
+   * @dev Copied from the game when the round is created, later game updates do not affect it.
+   */
+  uint16 resolverReward;
+
+  /**
+   * @notice The amount credited to the resolver of the round.
+   * @dev Released from the prize pool on a resolution with a valid Exit Price, and deducted from the commission of the winning predictions.
+   *      The resolver claims it via `claimResolverReward`, along with the rewards of the other rounds it resolved.
+   */
+  uint resolverRewardPaid;
+
+  /**
+   * @notice The tolerance band of the round in basis points of the Entry Price, within it the round resolves to Zero.
+   * @dev Copied from the game when the round is created.
+   */
+  uint16 tolerance;
+
+  /**
+   * @notice The largest deposit of a single prediction of the round, zero for no cap.
+   * @dev Copied from the game when the round is created, later game updates do not affect it.
+   */
+  uint maxDeposit;
+
+  /**
+   * @notice The largest total deposit of a bettor across all their predictions in the round, zero for no cap.
+   * @dev Copied from the game when the round is created, later game updates do not affect it.
+   */
+  uint bettorRoundCap;
+
+  /**
+   * @notice The largest total prize pool of the round, zero for no cap.
+   * @dev Copied from the game when the round is created, later game updates do not affect it.
+   */
+  uint roundCap;
+
 }
@@ -12,6 +12,7 @@ import { IERC20Metadata } from "@openzeppelin/contracts/token/ERC20/extensions/I
 import { SafeERC20 } from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 import { ICommissionCollector } from "../interfaces/ICommissionCollector.sol";
+import { MetaOraclyV1 } from "../predicting/MetaOraclyV1.sol";
 
 import { Epoch } from "./structs/Epoch.sol";
 import { Deposit } from "./structs/Deposit.sol";
@@ -216,6 +217,12 @@ contract StakingOraclyV1 is Ownable, ReentrancyGuard, ICommissionCollector {
    */
   address immutable public STAKING_ERC20_CONTRACT;
 
+  /**
+   * @notice The address of the MetaOraclyV1 contract, whose allowed smart contract accounts can call the staking functions restricted to EOA.
+   * @dev This is an immutable address, set once at contract deployment and only read by the `onlyOffChainCallable` modifier.
+   */
+  address immutable public METAORACLY_CONTRACT;
+
   /**
    * @notice The address of the authorized funds gatherer for the contract.
    * @dev This is the address responsible for gathering staking rewards from the bettor's prize on withdrawal and passing them to the contract for further distribution to stakers.
@@ -250,13 +257,19 @@ contract StakingOraclyV1 is Ownable, ReentrancyGuard, ICommissionCollector {
    *         The contract deployer is assigned as the owner of this contract.
    * @param erc20 The address of the ERC20 token to be used for staking. It must be a valid ERC20 token contract and have a non-zero total supply.
    * @param b4s_erc20 The address of the Buy4Stake ERC20 token. It must be a valid ERC20 token contract and have a non-zero total supply.
+   * @param metaoracly_address The address of the MetaOraclyV1 contract holding the smart contract accounts allowed to call the functions restricted to EOA.
    */
   constructor(
     address erc20,
-    address b4s_erc20
+    address b4s_erc20,
+    address metaoracly_address
   )
     Ownable(_msgSender())
   {
+    if (!(metaoracly_address.code.length > 0)) {
+      revert("CannotUseEOAAsMetaOraclyContract");
+    }
+
     if (IERC20(erc20).totalSupply() == 0) {
       revert("StakingERC20TotalSupplyCannotBeZero");
     }
@@ -268,6 +281,7 @@ contract StakingOraclyV1 is Ownable, ReentrancyGuard, ICommissionCollector {
     STAKING_ERC20_CONTRACT = erc20;
     AUTHORIZED_COMMISSION_GATHERER = _msgSender();
     BUY_4_STAKE_ERC20_CONTRACT = b4s_erc20;
+    METAORACLY_CONTRACT = metaoracly_address;
   }
 
   /**
@@ -1440,17 +1454,17 @@ contract StakingOraclyV1 is Ownable, ReentrancyGuard, ICommissionCollector {
   }
 
   /**
-   * @notice Restricts function execution to external accounts (EOA) only.
+   * @notice Restricts function execution to external accounts (EOA) and allowed smart contract accounts only.
    * @dev This modifier ensures that only EOAs (Externally Owned Accounts) can call functions protected by this modifier, preventing contracts from executing such functions.
    *      The check is performed by verifying that the caller has no code associated with it (not a contract) and by comparing `tx.origin` with `_msgSender()`.
+   *      Callers failing the check pass if they are smart contract wallets allowed via `MetaOraclyV1.allowContractCaller`.
    */
   modifier onlyOffChainCallable() {
     address sender = _msgSender();
-    if (sender.code.length > 0) {
-      revert("OnlyEOASendersAllowed");
-    }
-    if (tx.origin != sender) {
-      revert("OnlyEOASendersAllowed");
+    if (sender.code.length > 0 || tx.origin != sender) {
+      if (!MetaOraclyV1(METAORACLY_CONTRACT).isContractCallerAllowed(sender)) {
+        revert("OnlyEOASendersAllowed");
+      }
     }
     _;
   }
@@ -2,6 +2,9 @@
 pragma solidity ^0.8.23;
 
 import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import { ERC20Permit } from "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+import { MetaOraclyV1 } from "../predicting/MetaOraclyV1.sol";
 
 /**
  * @title DEMO Token - OraclyV1 Faucet
@@ -10,8 +13,9 @@ import { ERC20 } from "@openzeppelin/contracts/token/ERC20/ERC20.sol";
  *      Token Allocation: Each eligible request grants 1,000 DEMO tokens.
  *      Wallet Limits: No wallet address can request more than 10,000 DEMO tokens in total.
  *      ERC-20: Implements basic ERC-20 token functionality for DEMO, allowing transfers and balance checks.
+ *      EIP-2612: Supports permits, so DEMO can be deposited into OraclyV1 gaslessly through signed prediction intents.
  */
-contract DEMO is ERC20 {
+contract DEMO is ERC20, ERC20Permit {
 
   /**
    * @notice Initial supply of DEMO tokens distributed upon contract deployment.
@@ -50,14 +54,29 @@ contract DEMO is ERC20 {
    */
   mapping(address => uint256) public minted;
 
+  /**
+   * @notice The address of the MetaOraclyV1 contract, whose allowed smart contract accounts can mint DEMO tokens.
+   * @dev Only consulted by the `onlyOffChainCallable` modifier for callers that are not EOAs.
+   */
+  address immutable public METAORACLY_CONTRACT;
+
   /**
    * @notice Initializes the contract by minting the initial supply of DEMO tokens to the deployer's address.
    * @dev Mints 1,000 DEMO tokens to the deployer's address upon contract deployment.
    *      The `ERC20` constructor is called with `TOKEN_NAME` and `TOKEN_SYMBOL` as parameters.
+   * @param metaoracly_address The address of the MetaOraclyV1 contract holding the allowed smart contract accounts.
    */
-  constructor()
+  constructor(
+    address metaoracly_address
+  )
     ERC20(TOKEN_NAME, TOKEN_SYMBOL)
+    ERC20Permit(TOKEN_NAME)
   {
+    if (!(metaoracly_address.code.length > 0)) {
+      revert("CannotUseEOAAsMetaOraclyContract");
+    }
+    METAORACLY_CONTRACT = metaoracly_address;
+
     address sender = _msgSender();
     _mint(sender, INIT_SUPPLY);
   }
@@ -67,7 +86,7 @@ contract DEMO is ERC20 {
    * @dev This function allows the caller to mint 1,000 DEMO tokens at a time, provided they have not reached the maximum cap of 10,000 DEMO tokens per wallet.
    *      If minting the tokens would cause the caller's minted token amount to exceed the cap, the transaction is reverted with `MintLimitExceeded`.
    *      Requirements:
-   *      - The caller must be an EOA (Externally Owned Account), enforced by the `onlyOffChainCallable` modifier.
+   *      - The caller must be an EOA (Externally Owned Account) or an allowed smart contract account, enforced by the `onlyOffChainCallable` modifier.
    *      - The contract tracks the balance and limits the total mintable tokens to a maximum of 10,000 DEMO per address.
    */
   function mint()
@@ -86,17 +105,17 @@ contract DEMO is ERC20 {
   }
 
   /**
-   * @notice Restricts function execution to external accounts (EOA) only.
+   * @notice Restricts function execution to external accounts (EOA) and allowed smart contract accounts only.
    * @dev This modifier ensures that only EOAs (Externally Owned Accounts) can call functions protected by this modifier, preventing contracts from executing such functions.
    *      The check is performed by verifying that the caller has no code associated with it (not a contract) and by comparing `tx.origin` with `_msgSender()`.
+   *      Callers failing the check pass if they are smart contract wallets allowed via `MetaOraclyV1.allowContractCaller`.
    */
   modifier onlyOffChainCallable() {
     address sender = _msgSender();
-    if (sender.code.length > 0) {
-      revert("OnlyEOASendersAllowed");
-    }
-    if (tx.origin != sender) {
-      revert("OnlyEOASendersAllowed");
+    if (sender.code.length > 0 || tx.origin != sender) {
+      if (!MetaOraclyV1(METAORACLY_CONTRACT).isContractCallerAllowed(sender)) {
+        revert("OnlyEOASendersAllowed");
+      }
     }
     _;
   }
@@ -22,6 +22,7 @@ module.exports = {
       'staking/AutoStaking.sol',
       'token/TEST.sol',
       'predicting/mocks/MockAggregatorProxy.sol',
+      'predicting/mocks/MockContractWallet.sol',
     ]
   },
   solidity: {
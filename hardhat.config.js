@@ -3,6 +3,11 @@ require('dotenv').config()
 require('@nomicfoundation/hardhat-ethers')
 require('@nomicfoundation/hardhat-verify')
 
+require('./tasks/game')
+require('./tasks/keeper')
+require('./tasks/indexer')
+require('./tasks/sdk')
+
 // This is a sample Hardhat task. To learn how to create your own go to
 // https://hardhat.org/guides/create-task.html
 task('accounts', 'Prints the list of accounts', async (taskArgs, hre) => {
@@ -27,7 +32,13 @@ module.exports = {
       optimizer: {
         enabled: true,
         runs: 200
-      }
+      },
+      // NOTE: OraclyV1 delegatecalls its extensions, tests check they share the OraclyV1 storage layout
+      outputSelection: {
+        '*': {
+          '*': ['storageLayout'],
+        },
+      },
     }
   },
   mocha: {
@@ -0,0 +1,841 @@
+const fs = require('fs')
+const path = require('path')
+
+const initSqlJs = require('sql.js')
+const { Interface, getAddress } = require('ethers')
+
+const PRICE = 'tuple(int256 value, uint256 timestamp, uint80 roundid)'
+
+const EVENTS = {
+  oraclyv1: [
+    `event RoundCreated(bytes32 indexed roundid, bytes32 gameid, address openedBy, address erc20, address pricefeed, ${PRICE} entryPrice, uint256 startDate, uint256 lockDate, uint256 endDate, uint256 expirationDate, uint256 openedAt)`,
+    'event RoundPrizepoolAdd(bytes32 roundid, address erc20, uint8 position, uint256 amount)',
+    'event RoundPrizepoolRemove(bytes32 roundid, address erc20, uint8 position, uint256 amount)',
+    'event RoundPrizepoolReleased(bytes32 roundid, uint256 payout, uint256 commission)',
+    `event RoundResolved(bytes32 indexed roundid, ${PRICE} exitPrice, address resolvedBy, uint256 resolvedAt, uint8 resolution, uint256 resolverReward, uint16 tolerance)`,
+    'event RoundResolvedNoContest(bytes32 indexed roundid, address resolvedBy, uint256 resolvedAt, uint8 resolution)',
+    'event RoundArchived(bytes32 indexed roundid, uint256 archivedAt)',
+    `event RoundPairCreated(bytes32 indexed roundid, address pricefeed, ${PRICE} entryPrice)`,
+    `event RoundPairResolved(bytes32 indexed roundid, ${PRICE} exitPrice)`,
+    'event PredictionCreated(bytes32 indexed predictionid, bytes32 roundid, address bettor, uint8 position, uint256 createdAt, address erc20, bytes32 gameid)',
+    'event IncreasePredictionDeposit(bytes32 predictionid, uint256 deposit)',
+    'event DecreasePredictionDeposit(bytes32 predictionid, uint256 amount, uint256 fee)',
+    'event PredictionCancelled(bytes32 predictionid, bytes32 roundid, address bettor)',
+    'event PredictionClaimed(bytes32 predictionid, address bettor, address erc20, uint256 payout, uint256 commission)',
+    'event RoundSponsored(bytes32 indexed roundid, bytes32 gameid, address sponsor, address erc20, uint256 amount)',
+    'event RoundSponsorshipReturned(bytes32 indexed roundid, address sponsor, address erc20, uint256 amount)',
+    'event PredictionBonusClaimed(bytes32 indexed predictionid, address bettor, address erc20, uint256 bonus)',
+  ],
+  staking: [
+    'event DepositCreated(bytes32 indexed depositid, uint256 indexed epochid, address indexed staker, uint256 createdAt, address erc20)',
+    'event IncreaseDepositAmount(bytes32 indexed depositid, address indexed staker, uint256 amount)',
+    'event DepositUnstaked(bytes32 indexed depositid, address indexed staker, uint256 indexed epochid)',
+    'event DepositWithdrawn(bytes32 indexed depositid, address indexed staker)',
+    'event CommissionCollected(uint256 indexed epochid, address indexed erc20, address indexed bettor, uint256 commission)',
+    'event NewEpochStarted(uint256 indexed epochid, uint256 indexed prevepochid, address erc20, uint256 startedAt, uint256 startDate, uint256 endDate, uint256 stakes, uint256 stakepool)',
+  ],
+  mentoring: [
+    'event JoinedMentor(address indexed protege, address indexed mentor)',
+    'event ProtegeExpelled(address indexed protege, address indexed mentor)',
+    'event MentorfundsAdded(address indexed protege, address indexed mentor, address indexed erc20, uint256 reward)',
+    'event MentorRewardPayout(address indexed mentor, address indexed erc20, uint256 payout)',
+  ],
+}
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    hash TEXT NOT NULL
+  );
+
+  CREATE TABLE IF NOT EXISTS events (
+    block_number INTEGER NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_hash TEXT NOT NULL,
+    transaction_hash TEXT NOT NULL,
+    address TEXT NOT NULL,
+    name TEXT NOT NULL,
+    args TEXT NOT NULL,
+    PRIMARY KEY (block_number, log_index)
+  );
+
+  CREATE TABLE IF NOT EXISTS rounds (
+    roundid TEXT PRIMARY KEY,
+    gameid TEXT,
+    erc20 TEXT,
+    pricefeed TEXT,
+    opened_by TEXT,
+    entry_price_value TEXT,
+    entry_price_timestamp INTEGER,
+    entry_price_roundid TEXT,
+    start_date INTEGER,
+    lock_date INTEGER,
+    end_date INTEGER,
+    expiration_date INTEGER,
+    opened_at INTEGER,
+    prizepool_total TEXT NOT NULL DEFAULT '0',
+    prizepool_down TEXT NOT NULL DEFAULT '0',
+    prizepool_up TEXT NOT NULL DEFAULT '0',
+    prizepool_zero TEXT NOT NULL DEFAULT '0',
+    resolved INTEGER NOT NULL DEFAULT 0,
+    resolution INTEGER NOT NULL DEFAULT 0,
+    resolved_by TEXT,
+    resolved_at INTEGER,
+    exit_price_value TEXT,
+    exit_price_timestamp INTEGER,
+    exit_price_roundid TEXT,
+    resolver_reward TEXT,
+    tolerance INTEGER,
+    pair_pricefeed TEXT,
+    pair_entry_price_value TEXT,
+    pair_entry_price_timestamp INTEGER,
+    pair_entry_price_roundid TEXT,
+    pair_exit_price_value TEXT,
+    pair_exit_price_timestamp INTEGER,
+    pair_exit_price_roundid TEXT,
+    released_payout TEXT,
+    released_commission TEXT,
+    bonus TEXT NOT NULL DEFAULT '0',
+    bonus_returned TEXT NOT NULL DEFAULT '0',
+    archived INTEGER NOT NULL DEFAULT 0,
+    archived_at INTEGER
+  );
+  CREATE INDEX IF NOT EXISTS rounds_gameid_start_date ON rounds (gameid, start_date);
+
+  CREATE TABLE IF NOT EXISTS predictions (
+    predictionid TEXT PRIMARY KEY,
+    roundid TEXT,
+    gameid TEXT,
+    bettor TEXT,
+    position INTEGER,
+    erc20 TEXT,
+    created_at INTEGER,
+    deposit TEXT NOT NULL DEFAULT '0',
+    claimed INTEGER NOT NULL DEFAULT 0,
+    payout TEXT,
+    commission TEXT,
+    bonus TEXT
+  );
+  CREATE INDEX IF NOT EXISTS predictions_bettor_created_at ON predictions (bettor, created_at);
+  CREATE INDEX IF NOT EXISTS predictions_roundid ON predictions (roundid);
+
+  CREATE TABLE IF NOT EXISTS deposits (
+    depositid TEXT PRIMARY KEY,
+    epochid INTEGER,
+    staker TEXT,
+    erc20 TEXT,
+    created_at INTEGER,
+    amount TEXT NOT NULL DEFAULT '0',
+    unstaked INTEGER NOT NULL DEFAULT 0,
+    unstaked_epochid INTEGER,
+    withdrawn INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE INDEX IF NOT EXISTS deposits_staker ON deposits (staker, created_at);
+
+  CREATE TABLE IF NOT EXISTS epochs (
+    epochid INTEGER PRIMARY KEY,
+    prevepochid INTEGER,
+    erc20 TEXT,
+    started_at INTEGER,
+    start_date INTEGER,
+    end_date INTEGER,
+    stakes INTEGER,
+    stakepool TEXT
+  );
+
+  CREATE TABLE IF NOT EXISTS epoch_commissions (
+    epochid INTEGER NOT NULL,
+    erc20 TEXT NOT NULL,
+    collected TEXT NOT NULL DEFAULT '0',
+    PRIMARY KEY (epochid, erc20)
+  );
+
+  CREATE TABLE IF NOT EXISTS proteges (
+    protege TEXT PRIMARY KEY,
+    mentor TEXT NOT NULL,
+    joined_block INTEGER NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS proteges_mentor ON proteges (mentor);
+
+  CREATE TABLE IF NOT EXISTS mentor_funds (
+    mentor TEXT NOT NULL,
+    protege TEXT NOT NULL,
+    erc20 TEXT NOT NULL,
+    reward TEXT NOT NULL DEFAULT '0',
+    PRIMARY KEY (mentor, protege, erc20)
+  );
+
+  CREATE TABLE IF NOT EXISTS mentor_payouts (
+    mentor TEXT NOT NULL,
+    erc20 TEXT NOT NULL,
+    payout TEXT NOT NULL DEFAULT '0',
+    PRIMARY KEY (mentor, erc20)
+  );
+`
+
+// NOTE: tables derived from the events log, dropped and replayed on reorg
+const MATERIALIZED = [
+  'rounds',
+  'predictions',
+  'deposits',
+  'epochs',
+  'epoch_commissions',
+  'proteges',
+  'mentor_funds',
+  'mentor_payouts',
+]
+
+// NOTE: mirrors EOutcome
+// NOTE: bucket positions of range-bucket rounds only count in prizepool_total, per bucket deposits are in predictions
+const PRIZEPOOL_COLUMN = {
+  1: 'prizepool_down',
+  2: 'prizepool_up',
+  3: 'prizepool_zero',
+}
+
+const toPlain = (param, value) => {
+
+  if (param.baseType === 'tuple') {
+    return Object.fromEntries(param.components.map((component, i) => [component.name, toPlain(component, value[i])]))
+  }
+
+  if (typeof value === 'bigint') return value.toString()
+
+  return value
+
+}
+
+const camelCase = (name) => name.replace(/_([a-z])/g, (_, c) => c.toUpperCase())
+
+const BIGINTS = [
+  'entry_price_value', 'exit_price_value',
+  'entry_price_roundid', 'exit_price_roundid',
+  'pair_entry_price_value', 'pair_exit_price_value',
+  'pair_entry_price_roundid', 'pair_exit_price_roundid',
+  'prizepool_total', 'prizepool_down', 'prizepool_up', 'prizepool_zero',
+  'resolver_reward', 'released_payout', 'released_commission',
+  'bonus', 'bonus_returned',
+  'deposit', 'payout', 'commission',
+  'amount', 'stakepool', 'collected', 'reward', 'earned',
+]
+const FLAGS = ['resolved', 'archived', 'claimed', 'unstaked', 'withdrawn']
+
+const toRow = (record) => {
+
+  if (!record) return null
+
+  const row = {}
+  for (const [column, value] of Object.entries(record)) {
+    if (value !== null && BIGINTS.includes(column)) {
+      row[camelCase(column)] = BigInt(value)
+    } else if (FLAGS.includes(column)) {
+      row[camelCase(column)] = value === 1
+    } else {
+      row[camelCase(column)] = value
+    }
+  }
+
+  return row
+
+}
+
+/**
+ * Event handlers materializing the events log into query tables.
+ * Handlers only receive stored plain event args, so that replaying
+ * the log after a reorg does not need the RPC provider.
+ */
+const HANDLERS = {
+
+  RoundCreated (db, a) {
+    db.ensure('rounds', 'roundid', a.roundid)
+    db.run(`
+      UPDATE rounds SET
+        gameid = ?, erc20 = ?, pricefeed = ?, opened_by = ?,
+        entry_price_value = ?, entry_price_timestamp = ?, entry_price_roundid = ?,
+        start_date = ?, lock_date = ?, end_date = ?, expiration_date = ?, opened_at = ?
+      WHERE roundid = ?
+    `, [
+      a.gameid, a.erc20, a.pricefeed, a.openedBy,
+      a.entryPrice.value, Number(a.entryPrice.timestamp), a.entryPrice.roundid,
+      Number(a.startDate), Number(a.lockDate), Number(a.endDate), Number(a.expirationDate), Number(a.openedAt),
+      a.roundid,
+    ])
+  },
+
+  RoundPrizepoolAdd (db, a) {
+    db.ensure('rounds', 'roundid', a.roundid)
+    db.add('rounds', 'prizepool_total', 'roundid', a.roundid, a.amount)
+    if (PRIZEPOOL_COLUMN[a.position]) db.add('rounds', PRIZEPOOL_COLUMN[a.position], 'roundid', a.roundid, a.amount)
+  },
+
+  RoundPrizepoolRemove (db, a) {
+    db.add('rounds', 'prizepool_total', 'roundid', a.roundid, -a.amount)
+    if (PRIZEPOOL_COLUMN[a.position]) db.add('rounds', PRIZEPOOL_COLUMN[a.position], 'roundid', a.roundid, -a.amount)
+  },
+
+  RoundPrizepoolReleased (db, a) {
+    db.run('UPDATE rounds SET released_payout = ?, released_commission = ? WHERE roundid = ?', [a.payout, a.commission, a.roundid])
+  },
+
+  RoundResolved (db, a) {
+    db.run(`
+      UPDATE rounds SET
+        resolved = 1, resolution = ?, resolved_by = ?, resolved_at = ?,
+        exit_price_value = ?, exit_price_timestamp = ?, exit_price_roundid = ?,
+        resolver_reward = ?, tolerance = ?
+      WHERE roundid = ?
+    `, [
+      Number(a.resolution), a.resolvedBy, Number(a.resolvedAt),
+      a.exitPrice.value, Number(a.exitPrice.timestamp), a.exitPrice.roundid,
+      a.resolverReward, Number(a.tolerance),
+      a.roundid,
+    ])
+  },
+
+  RoundResolvedNoContest (db, a) {
+    db.run(
+      'UPDATE rounds SET resolved = 1, resolution = ?, resolved_by = ?, resolved_at = ? WHERE roundid = ?',
+      [Number(a.resolution), a.resolvedBy, Number(a.resolvedAt), a.roundid]
+    )
+  },
+
+  RoundArchived (db, a) {
+    db.run('UPDATE rounds SET archived = 1, archived_at = ? WHERE roundid = ?', [Number(a.archivedAt), a.roundid])
+  },
+
+  RoundPairCreated (db, a) {
+    db.ensure('rounds', 'roundid', a.roundid)
+    db.run(`
+      UPDATE rounds SET
+        pair_pricefeed = ?, pair_entry_price_value = ?, pair_entry_price_timestamp = ?, pair_entry_price_roundid = ?
+      WHERE roundid = ?
+    `, [a.pricefeed, a.entryPrice.value, Number(a.entryPrice.timestamp), a.entryPrice.roundid, a.roundid])
+  },
+
+  RoundPairResolved (db, a) {
+    db.run(`
+      UPDATE rounds SET
+        pair_exit_price_value = ?, pair_exit_price_timestamp = ?, pair_exit_price_roundid = ?
+      WHERE roundid = ?
+    `, [a.exitPrice.value, Number(a.exitPrice.timestamp), a.exitPrice.roundid, a.roundid])
+  },
+
+  PredictionCreated (db, a) {
+    db.ensure('predictions', 'predictionid', a.predictionid)
+    db.run(`
+      UPDATE predictions SET
+        roundid = ?, gameid = ?, bettor = ?, position = ?, erc20 = ?, created_at = ?
+      WHERE predictionid = ?
+    `, [a.roundid, a.gameid, a.bettor, Number(a.position), a.erc20, Number(a.createdAt), a.predictionid])
+  },
+
+  IncreasePredictionDeposit (db, a) {
+    db.ensure('predictions', 'predictionid', a.predictionid)
+    db.add('predictions', 'deposit', 'predictionid', a.predictionid, a.deposit)
+  },
+
+  DecreasePredictionDeposit (db, a) {
+    db.add('predictions', 'deposit', 'predictionid', a.predictionid, -a.amount)
+  },
+
+  PredictionCancelled (db, a) {
+    db.run('DELETE FROM predictions WHERE predictionid = ?', [a.predictionid])
+  },
+
+  PredictionClaimed (db, a) {
+    db.run(
+      'UPDATE predictions SET claimed = 1, payout = ?, commission = ? WHERE predictionid = ?',
+      [a.payout, a.commission, a.predictionid]
+    )
+  },
+
+  // NOTE: sponsored rounds may not exist yet, RoundCreated fills them in later
+  RoundSponsored (db, a) {
+    db.ensure('rounds', 'roundid', a.roundid)
+    db.add('rounds', 'bonus', 'roundid', a.roundid, a.amount)
+  },
+
+  RoundSponsorshipReturned (db, a) {
+    db.add('rounds', 'bonus_returned', 'roundid', a.roundid, a.amount)
+  },
+
+  PredictionBonusClaimed (db, a) {
+    db.run('UPDATE predictions SET bonus = ? WHERE predictionid = ?', [a.bonus, a.predictionid])
+  },
+
+  DepositCreated (db, a) {
+    db.ensure('deposits', 'depositid', a.depositid)
+    db.run(
+      'UPDATE deposits SET epochid = ?, staker = ?, erc20 = ?, created_at = ? WHERE depositid = ?',
+      [Number(a.epochid), a.staker, a.erc20, Number(a.createdAt), a.depositid]
+    )
+  },
+
+  IncreaseDepositAmount (db, a) {
+    db.ensure('deposits', 'depositid', a.depositid)
+    db.add('deposits', 'amount', 'depositid', a.depositid, a.amount)
+  },
+
+  DepositUnstaked (db, a) {
+    db.run('UPDATE deposits SET unstaked = 1, unstaked_epochid = ? WHERE depositid = ?', [Number(a.epochid), a.depositid])
+  },
+
+  DepositWithdrawn (db, a) {
+    db.run('UPDATE deposits SET withdrawn = 1 WHERE depositid = ?', [a.depositid])
+  },
+
+  CommissionCollected (db, a) {
+    db.run('INSERT OR IGNORE INTO epoch_commissions (epochid, erc20) VALUES (?, ?)', [Number(a.epochid), a.erc20])
+    const { collected } = db.get('SELECT collected FROM epoch_commissions WHERE epochid = ? AND erc20 = ?', [Number(a.epochid), a.erc20])
+    db.run(
+      'UPDATE epoch_commissions SET collected = ? WHERE epochid = ? AND erc20 = ?',
+      [String(BigInt(collected) + BigInt(a.commission)), Number(a.epochid), a.erc20]
+    )
+  },
+
+  NewEpochStarted (db, a) {
+    db.run(`
+      INSERT OR REPLACE INTO epochs
+        (epochid, prevepochid, erc20, started_at, start_date, end_date, stakes, stakepool)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    `, [
+      Number(a.epochid), Number(a.prevepochid), a.erc20,
+      Number(a.startedAt), Number(a.startDate), Number(a.endDate), Number(a.stakes), a.stakepool,
+    ])
+  },
+
+  JoinedMentor (db, a, log) {
+    db.run('INSERT OR REPLACE INTO proteges (protege, mentor, joined_block) VALUES (?, ?, ?)', [a.protege, a.mentor, log.blockNumber])
+  },
+
+  ProtegeExpelled (db, a) {
+    db.run('DELETE FROM proteges WHERE protege = ? AND mentor = ?', [a.protege, a.mentor])
+  },
+
+  MentorfundsAdded (db, a) {
+    db.run('INSERT OR IGNORE INTO mentor_funds (mentor, protege, erc20) VALUES (?, ?, ?)', [a.mentor, a.protege, a.erc20])
+    const { reward } = db.get('SELECT reward FROM mentor_funds WHERE mentor = ? AND protege = ? AND erc20 = ?', [a.mentor, a.protege, a.erc20])
+    db.run(
+      'UPDATE mentor_funds SET reward = ? WHERE mentor = ? AND protege = ? AND erc20 = ?',
+      [String(BigInt(reward) + BigInt(a.reward)), a.mentor, a.protege, a.erc20]
+    )
+  },
+
+  MentorRewardPayout (db, a) {
+    db.run('INSERT OR IGNORE INTO mentor_payouts (mentor, erc20) VALUES (?, ?)', [a.mentor, a.erc20])
+    const { payout } = db.get('SELECT payout FROM mentor_payouts WHERE mentor = ? AND erc20 = ?', [a.mentor, a.erc20])
+    db.run(
+      'UPDATE mentor_payouts SET payout = ? WHERE mentor = ? AND erc20 = ?',
+      [String(BigInt(payout) + BigInt(a.payout)), a.mentor, a.erc20]
+    )
+  },
+
+}
+
+/**
+ * Thin synchronous helpers around a sql.js database.
+ * Statements are never cached, `Database.export` frees them.
+ */
+const wrap = (database) => {
+
+  const all = (sql, params = []) => {
+    const statement = database.prepare(sql)
+    try {
+      statement.bind(params)
+      const rows = []
+      while (statement.step()) rows.push(statement.getAsObject())
+      return rows
+    } finally {
+      statement.free()
+    }
+  }
+
+  const get = (sql, params) => all(sql, params)[0] || null
+
+  const run = (sql, params = []) => database.run(sql, params)
+
+  const ensure = (table, key, value) => {
+    run(`INSERT OR IGNORE INTO ${table} (${key}) VALUES (?)`, [value])
+  }
+
+  const add = (table, column, key, value, amount) => {
+    const row = get(`SELECT ${column} AS amount FROM ${table} WHERE ${key} = ?`, [value])
+    run(`UPDATE ${table} SET ${column} = ? WHERE ${key} = ?`, [String(BigInt(row.amount) + BigInt(amount)), value])
+  }
+
+  const transaction = (fn) => {
+    run('BEGIN')
+    try {
+      fn()
+      run('COMMIT')
+    } catch (error) {
+      run('ROLLBACK')
+      throw error
+    }
+  }
+
+  return { database, all, get, run, ensure, add, transaction }
+
+}
+
+/**
+ * Creates an indexer replaying OraclyV1, StakingOraclyV1 and MentoringOraclyV1 events into a local SQLite database.
+ *
+ * Every event is stored in the `events` log and applied to the query tables.
+ * Hashes of recently indexed blocks are kept, on every sync they are compared with the chain
+ * and on mismatch everything after the last matching block is dropped, the query tables
+ * are rebuilt from the events log and the dropped blocks are indexed again.
+ * Reorgs deeper than `reorgDepth` blocks are not detected, use `confirmations` on such chains.
+ *
+ * @param options.provider ethers provider.
+ * @param options.addresses `{ oraclyv1, staking, mentoring }` contract addresses, any of them may be omitted.
+ * @param options.dbPath Path of the SQLite database file, the database is kept in memory only if omitted.
+ * @param options.fromBlock First block to index on a fresh database.
+ * @param options.confirmations Number of blocks to stay behind the chain head.
+ * @param options.blockRange Maximum block range of a single `eth_getLogs` query.
+ * @param options.reorgDepth Number of recent blocks checked for reorgs.
+ * @param options.logger `console` compatible logger.
+ */
+const createIndexer = async ({
+  provider,
+  addresses,
+  dbPath = null,
+  fromBlock = 0,
+  confirmations = 0,
+  blockRange = 2000,
+  reorgDepth = 64,
+  logger = console,
+}) => {
+
+  const SQL = await initSqlJs()
+
+  const db = wrap(
+    dbPath && fs.existsSync(dbPath)
+      ? new SQL.Database(fs.readFileSync(dbPath))
+      : new SQL.Database()
+  )
+  db.database.exec(SCHEMA)
+
+  const contracts = {}
+  for (const [key, events] of Object.entries(EVENTS)) {
+    if (!addresses[key]) continue
+    contracts[getAddress(addresses[key])] = new Interface(events)
+  }
+
+  const topics = []
+  for (const iface of Object.values(contracts)) {
+    iface.forEachEvent(event => topics.push(event.topicHash))
+  }
+
+  const getMeta = (key) => {
+    const row = db.get('SELECT value FROM meta WHERE key = ?', [key])
+    return row ? row.value : null
+  }
+
+  const setMeta = (key, value) => {
+    db.run('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)', [key, String(value)])
+  }
+
+  const { chainId } = await provider.getNetwork()
+  const identity = JSON.stringify({ chainId: String(chainId), contracts: Object.keys(contracts) })
+
+  if (getMeta('identity') === null) {
+    setMeta('identity', identity)
+    setMeta('lastBlock', fromBlock - 1)
+  } else if (getMeta('identity') !== identity) {
+    throw new Error(`Database ${dbPath} was indexed for ${getMeta('identity')}`)
+  }
+
+  let stopped = false
+  let timer = null
+  let wake = null
+
+  const persist = () => {
+
+    if (!dbPath) return
+
+    fs.mkdirSync(path.dirname(dbPath), { recursive: true })
+
+    const tmp = dbPath + '.tmp'
+    fs.writeFileSync(tmp, Buffer.from(db.database.export()))
+    fs.renameSync(tmp, dbPath)
+
+  }
+
+  const apply = (name, args, log) => {
+    HANDLERS[name](db, args, log)
+  }
+
+  const rebuild = () => {
+
+    for (const table of MATERIALIZED) {
+      db.run(`DELETE FROM ${table}`)
+    }
+
+    for (const event of db.all('SELECT * FROM events ORDER BY block_number, log_index')) {
+      apply(event.name, JSON.parse(event.args), { blockNumber: event.block_number })
+    }
+
+  }
+
+  /**
+   * Compares recently indexed blocks with the chain and rolls back to the last matching one on mismatch.
+   * @return Block number the index was rolled back to, or null without reorg.
+   */
+  const handleReorg = async () => {
+
+    const lastBlock = Number(getMeta('lastBlock'))
+    const recent = db.all('SELECT number, hash FROM blocks WHERE number > ? ORDER BY number', [lastBlock - reorgDepth])
+
+    for (const [idx, { number, hash }] of recent.entries()) {
+
+      const block = await provider.getBlock(number)
+      if (block && block.hash === hash) continue
+
+      // NOTE: only blocks with events and range ends have a stored hash, the reorg may start anywhere after the last matching one
+      const ancestor = idx === 0 ? lastBlock - reorgDepth : recent[idx - 1].number
+      logger.log('indexer: reorg detected at block', number, 'rolling back to', ancestor)
+
+      db.transaction(() => {
+        db.run('DELETE FROM events WHERE block_number > ?', [ancestor])
+        db.run('DELETE FROM blocks WHERE number > ?', [ancestor])
+        setMeta('lastBlock', ancestor)
+        rebuild()
+      })
+      persist()
+
+      return ancestor
+
+    }
+
+    return null
+
+  }
+
+  /**
+   * Indexes every block up to the latest confirmed block.
+   */
+  const sync = async () => {
+
+    await handleReorg()
+
+    const head = (await provider.getBlockNumber()) - confirmations
+
+    let lastBlock = Number(getMeta('lastBlock'))
+    while (lastBlock < head) {
+
+      const from = lastBlock + 1
+      const to = Math.min(from + blockRange - 1, head)
+
+      const block = await provider.getBlock(to)
+      const logs = await provider.getLogs({
+        address: Object.keys(contracts),
+        topics: [topics],
+        fromBlock: from,
+        toBlock: to,
+      })
+
+      db.transaction(() => {
+
+        for (const log of logs) {
+
+          const parsed = contracts[getAddress(log.address)].parseLog(log)
+          const args = Object.fromEntries(
+            parsed.fragment.inputs.map((input, i) => [input.name, toPlain(input, parsed.args[i])])
+          )
+
+          db.run(
+            'INSERT INTO events (block_number, log_index, block_hash, transaction_hash, address, name, args) VALUES (?, ?, ?, ?, ?, ?, ?)',
+            [log.blockNumber, log.index, log.blockHash, log.transactionHash, getAddress(log.address), parsed.name, JSON.stringify(args)]
+          )
+          db.run('INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)', [log.blockNumber, log.blockHash])
+
+          apply(parsed.name, args, log)
+
+        }
+
+        db.run('INSERT OR REPLACE INTO blocks (number, hash) VALUES (?, ?)', [to, block.hash])
+        db.run('DELETE FROM blocks WHERE number <= ?', [to - reorgDepth])
+
+        setMeta('lastBlock', to)
+
+      })
+      persist()
+
+      if (logs.length) logger.log('indexer: indexed', logs.length, 'events up to block', to)
+      lastBlock = to
+
+    }
+
+    return lastBlock
+
+  }
+
+  /**
+   * Runs `sync` every `interval` seconds until `stop` is called.
+   */
+  const run = async ({ interval = 15 } = {}) => {
+
+    stopped = false
+    while (true) {
+
+      try {
+        await sync()
+      } catch (error) {
+        logger.error('indexer:', error.message)
+      }
+
+      if (stopped) return
+      await new Promise(resolve => {
+        wake = resolve
+        timer = setTimeout(resolve, interval * 1000)
+      })
+      if (stopped) return
+
+    }
+
+  }
+
+  const stop = () => {
+    stopped = true
+    clearTimeout(timer)
+    if (wake) wake()
+  }
+
+  const close = () => {
+    stop()
+    db.database.close()
+  }
+
+  const getLastBlock = () => Number(getMeta('lastBlock'))
+
+  const getRound = (roundid) => {
+    return toRow(db.get('SELECT * FROM rounds WHERE roundid = ?', [roundid]))
+  }
+
+  /**
+   * Rounds of a game ordered by start date, newest first.
+   * `from` and `to` limit the round start date (inclusive).
+   */
+  const getGameRounds = (gameid, { from = 0, to = Number.MAX_SAFE_INTEGER, offset = 0, limit = 20 } = {}) => {
+    return db.all(`
+      SELECT * FROM rounds
+      WHERE gameid = ? AND start_date >= ? AND start_date <= ?
+      ORDER BY start_date DESC
+      LIMIT ? OFFSET ?
+    `, [gameid, from, to, limit, offset]).map(toRow)
+  }
+
+  const getPrediction = (predictionid) => {
+    return toRow(db.get('SELECT * FROM predictions WHERE predictionid = ?', [predictionid]))
+  }
+
+  /**
+   * Predictions of a bettor ordered by creation, newest first,
+   * optionally limited to a single ERC20 token.
+   */
+  const getBettorPredictions = (bettor, { erc20 = null, offset = 0, limit = 20 } = {}) => {
+    return db.all(`
+      SELECT * FROM predictions
+      WHERE bettor = ? AND (? IS NULL OR erc20 = ?)
+      ORDER BY created_at DESC, rowid DESC
+      LIMIT ? OFFSET ?
+    `, [getAddress(bettor), erc20 && getAddress(erc20), erc20 && getAddress(erc20), limit, offset]).map(toRow)
+  }
+
+  const getRoundPredictions = (roundid) => {
+    return db.all('SELECT * FROM predictions WHERE roundid = ? ORDER BY created_at, rowid', [roundid]).map(toRow)
+  }
+
+  const getStakerDeposits = (staker) => {
+    return db.all('SELECT * FROM deposits WHERE staker = ? ORDER BY created_at DESC, rowid DESC', [getAddress(staker)]).map(toRow)
+  }
+
+  /**
+   * Staking epoch with commissions collected into it per ERC20 token.
+   */
+  const getEpoch = (epochid) => {
+
+    const epoch = toRow(db.get('SELECT * FROM epochs WHERE epochid = ?', [Number(epochid)]))
+    if (!epoch) return null
+
+    epoch.commissions = db.all(
+      'SELECT erc20, collected FROM epoch_commissions WHERE epochid = ? ORDER BY erc20',
+      [Number(epochid)]
+    ).map(toRow)
+
+    return epoch
+
+  }
+
+  /**
+   * Mentor rewards per ERC20 token: earned from proteges, paid out and still claimable,
+   * along with the current proteges and the rewards earned from each of them.
+   */
+  const getMentorEarnings = (mentor) => {
+
+    mentor = getAddress(mentor)
+
+    const earned = db.all(
+      'SELECT erc20, protege, reward FROM mentor_funds WHERE mentor = ? ORDER BY erc20, protege',
+      [mentor]
+    ).map(toRow)
+
+    const paid = {}
+    for (const { erc20, payout } of db.all('SELECT erc20, payout FROM mentor_payouts WHERE mentor = ?', [mentor])) {
+      paid[erc20] = BigInt(payout)
+    }
+
+    const totals = {}
+    for (const { erc20, reward } of earned) {
+      totals[erc20] = (totals[erc20] || 0n) + reward
+    }
+
+    const earnings = Object.entries(totals).map(([erc20, total]) => ({
+      erc20,
+      earned: total,
+      paidout: paid[erc20] || 0n,
+      claimable: total - (paid[erc20] || 0n),
+    }))
+
+    const proteges = db.all('SELECT protege FROM proteges WHERE mentor = ? ORDER BY joined_block', [mentor])
+      .map(row => row.protege)
+
+    return {
+      mentor,
+      proteges,
+      earnings,
+      byProtege: earned,
+    }
+
+  }
+
+  return {
+    sync,
+    run,
+    stop,
+    close,
+
+    getLastBlock,
+
+    getRound,
+    getGameRounds,
+    getPrediction,
+    getBettorPredictions,
+    getRoundPredictions,
+    getStakerDeposits,
+    getEpoch,
+    getMentorEarnings,
+  }
+
+}
+
+module.exports = {
+  EVENTS,
+  createIndexer,
+}
@@ -0,0 +1,365 @@
+const fs = require('fs')
+const path = require('path')
+
+const { Contract } = require('ethers')
+
+const { AGGREGATOR_V3_ABI, locateExitPrice } = require('../sdk/src/exitprice')
+
+const STATE_VERSION = 1
+
+const STATUS = {
+  RESOLVED: 'resolved',
+  RESOLVED_BY_OTHERS: 'resolvedByOthers',
+  EXPIRED: 'expired',
+  NO_CONTEST: 'noContest',
+  UNRESOLVABLE: 'unresolvable',
+  DRY_RUN: 'dryRun',
+  RETRY: 'retry',
+}
+
+const sleep = (ms, signal) => new Promise(resolve => {
+  const timer = setTimeout(resolve, ms)
+  signal.abort = () => {
+    clearTimeout(timer)
+    resolve()
+  }
+})
+
+const readState = (filepath) => {
+
+  if (!filepath || !fs.existsSync(filepath)) return null
+
+  return JSON.parse(fs.readFileSync(filepath, 'utf8'))
+
+}
+
+const writeState = (filepath, state) => {
+
+  fs.mkdirSync(path.dirname(filepath), { recursive: true })
+
+  // write to a temporary file first so that a crash
+  // never leaves a truncated state file behind
+  const tmp = filepath + '.tmp'
+  fs.writeFileSync(tmp, JSON.stringify(state, null, 2) + '\n')
+  fs.renameSync(tmp, filepath)
+
+}
+
+const isSingleOutcome = (prizepools) => {
+
+  const [total, down, up, zero] = prizepools.map(BigInt)
+
+  return total === down || total === up || total === zero
+
+}
+
+const defaultLocate = (runner) => {
+
+  const feeds = {}
+
+  return (round) => {
+    const pricefeed = round.pricefeed
+    feeds[pricefeed] = feeds[pricefeed] || new Contract(pricefeed, AGGREGATOR_V3_ABI, runner)
+    return locateExitPrice(feeds[pricefeed], round)
+  }
+
+}
+
+/**
+ * Creates a keeper that resolves OraclyV1 rounds as soon as their exit price can be proven.
+ *
+ * The keeper follows `RoundCreated` events, waits for each round's end date
+ * and submits `resolve` once the control price is published.
+ * Rounds which can only end as No Contest are left to `resolve4withdraw`.
+ * Resolver rewards are credited rather than transferred on resolution,
+ * the keeper claims them for every ERC20 token of the rounds it resolved.
+ * Pending rounds and the last processed block are kept in a JSON state file,
+ * so the keeper can be restarted at any time without losing rounds.
+ *
+ * @param options.oraclyv1 OraclyV1 contract connected to the resolving signer.
+ * @param options.statePath Path of the JSON state file, state is kept in memory only if omitted.
+ * @param options.fromBlock First block to look for `RoundCreated` events on a fresh state.
+ * @param options.confirmations Number of blocks to wait before following an event.
+ * @param options.blockRange Maximum block range of a single `eth_getLogs` query.
+ * @param options.dryRun Simulate `resolve` instead of sending transactions, the state file is not written.
+ * @param options.backoff Retry delays in seconds `{ base, max }`, doubled on every failed attempt.
+ * @param options.locate `async (round) => resolution`, defaults to `locateExitPrice` on the round price feed.
+ * @param options.logger `console` compatible logger.
+ */
+const createKeeper = ({
+  oraclyv1,
+  statePath = null,
+  fromBlock = 0,
+  confirmations = 0,
+  blockRange = 2000,
+  dryRun = false,
+  backoff = { base: 5, max: 300 },
+  locate = null,
+  logger = console,
+}) => {
+
+  const provider = oraclyv1.runner.provider || oraclyv1.runner
+  locate = locate || defaultLocate(oraclyv1.runner)
+
+  let state = null
+  let stopped = false
+  const signal = {}
+
+  const load = async () => {
+
+    if (state) return state
+
+    const { chainId } = await provider.getNetwork()
+    const address = await oraclyv1.getAddress()
+
+    state = readState(statePath)
+    if (state && (state.chainId !== String(chainId) || state.oraclyv1 !== address)) {
+      throw new Error(`Keeper state ${statePath} belongs to OraclyV1 ${state.oraclyv1} on chain ${state.chainId}`)
+    }
+
+    state = state || {
+      version: STATE_VERSION,
+      chainId: String(chainId),
+      oraclyv1: address,
+      lastBlock: fromBlock - 1,
+      rounds: {},
+    }
+
+    // NOTE: state files written before resolver rewards have no pending claims
+    state.claims = state.claims || []
+
+    return state
+
+  }
+
+  const save = () => {
+    if (statePath && !dryRun) writeState(statePath, state)
+  }
+
+  const retryDelay = (attempts) => {
+    return Math.min(backoff.base * 2 ** attempts, backoff.max)
+  }
+
+  /**
+   * Follows `RoundCreated` events up to the latest confirmed block.
+   */
+  const sync = async () => {
+
+    await load()
+
+    const head = await provider.getBlockNumber()
+    const toBlock = head - confirmations
+
+    while (state.lastBlock < toBlock) {
+
+      const from = state.lastBlock + 1
+      const to = Math.min(from + blockRange - 1, toBlock)
+
+      const events = await oraclyv1.queryFilter(oraclyv1.filters.RoundCreated(), from, to)
+      for (const event of events) {
+
+        const { roundid, endDate, expirationDate } = event.args
+        if (state.rounds[roundid]) continue
+
+        state.rounds[roundid] = {
+          roundid,
+          endDate: Number(endDate),
+          expirationDate: Number(expirationDate),
+          attempts: 0,
+          nextAttemptAt: Number(endDate) + 1,
+          lastError: null,
+        }
+
+        logger.log('keeper: round created', roundid, 'ends at', Number(endDate))
+
+      }
+
+      state.lastBlock = to
+      save()
+
+    }
+
+  }
+
+  const finish = (entry, status, details = {}) => {
+
+    delete state.rounds[entry.roundid]
+    logger.log(`keeper: round ${status}`, entry.roundid, details.reason || details.txHash || '')
+
+    return { roundid: entry.roundid, status, ...details }
+
+  }
+
+  const reschedule = (entry, now, reason) => {
+
+    entry.nextAttemptAt = now + retryDelay(entry.attempts)
+    entry.attempts += 1
+    entry.lastError = reason
+
+    logger.log('keeper: round retry', entry.roundid, reason, 'at', entry.nextAttemptAt)
+
+    return { roundid: entry.roundid, status: STATUS.RETRY, reason }
+
+  }
+
+  const handle = async (entry, now) => {
+
+    const [round, prizepools] = await oraclyv1.getRound(entry.roundid)
+
+    if (round.resolved) {
+      return finish(entry, STATUS.RESOLVED_BY_OTHERS)
+    }
+
+    // resolution after expiration is always No Contest, nothing to prove
+    if (now > entry.expirationDate) {
+      return finish(entry, STATUS.EXPIRED)
+    }
+
+    if (isSingleOutcome(prizepools)) {
+      return finish(entry, STATUS.NO_CONTEST)
+    }
+
+    const resolution = await locate(round)
+    if (!resolution.valid) {
+
+      if (resolution.retry) return reschedule(entry, now, resolution.reason)
+
+      return finish(entry, STATUS.UNRESOLVABLE, { reason: resolution.reason })
+
+    }
+
+    try {
+
+      if (dryRun) {
+        await oraclyv1.resolve.staticCall(entry.roundid, resolution.exitPriceid)
+        return finish(entry, STATUS.DRY_RUN, { exitPriceid: resolution.exitPriceid })
+      }
+
+      const tx = await oraclyv1.resolve(entry.roundid, resolution.exitPriceid)
+      await tx.wait()
+
+      if (!state.claims.includes(round.erc20)) state.claims.push(round.erc20)
+
+      return finish(entry, STATUS.RESOLVED, { exitPriceid: resolution.exitPriceid, txHash: tx.hash })
+
+    } catch (error) {
+
+      const reason = error.reason || error.shortMessage || error.message
+      if (reason === 'CannotResolveResolvedRound') {
+        return finish(entry, STATUS.RESOLVED_BY_OTHERS)
+      }
+
+      return reschedule(entry, now, reason)
+
+    }
+
+  }
+
+  /**
+   * Claims the resolver rewards credited to the keeper account,
+   * a failed claim is kept and retried on the next tick.
+   */
+  const claim = async () => {
+
+    const resolver = await oraclyv1.runner.getAddress()
+
+    for (const erc20 of [...state.claims]) {
+
+      try {
+
+        const amount = await oraclyv1.getResolverReward(resolver, erc20)
+        if (amount !== 0n) {
+          const tx = await oraclyv1.claimResolverReward(erc20)
+          await tx.wait()
+          logger.log('keeper: resolver reward claimed', erc20, amount, tx.hash)
+        }
+
+        state.claims = state.claims.filter(pending => pending !== erc20)
+
+      } catch (error) {
+        logger.error('keeper: resolver reward claim failed', erc20, error.reason || error.shortMessage || error.message)
+      }
+
+    }
+
+    save()
+
+  }
+
+  /**
+   * Follows new rounds, resolves every round which is due and claims the resolver rewards.
+   * @return List of `{ roundid, status, reason?, exitPriceid?, txHash? }` for every processed round.
+   */
+  const tick = async () => {
+
+    await sync()
+
+    const { timestamp: now } = await provider.getBlock('latest')
+
+    const due = Object.values(state.rounds)
+      .filter(entry => entry.nextAttemptAt <= now)
+      .sort((a, b) => a.endDate - b.endDate)
+
+    const report = []
+    for (const entry of due) {
+
+      try {
+        report.push(await handle(entry, now))
+      } catch (error) {
+        report.push(reschedule(entry, now, error.message))
+      }
+
+      save()
+
+    }
+
+    if (state.claims.length !== 0) await claim()
+
+    return report
+
+  }
+
+  /**
+   * Runs `tick` every `interval` seconds until `stop` is called.
+   */
+  const run = async ({ interval = 15 } = {}) => {
+
+    stopped = false
+    while (true) {
+
+      try {
+        await tick()
+      } catch (error) {
+        logger.error('keeper:', error.message)
+      }
+
+      if (stopped) return
+      await sleep(interval * 1000, signal)
+      if (stopped) return
+
+    }
+
+  }
+
+  const stop = () => {
+    stopped = true
+    if (signal.abort) signal.abort()
+  }
+
+  const getState = () => state
+
+  return {
+    sync,
+    tick,
+    run,
+    stop,
+    getState,
+  }
+
+}
+
+module.exports = {
+  STATUS,
+  createKeeper,
+  readState,
+}
@@ -0,0 +1,51 @@
+const fs = require('fs')
+
+const { parseUnits } = require('ethers')
+
+/**
+ * Parses a `timestamp,price[,phase]` CSV price series, the header row is required
+ * and `#` lines are comments.
+ * Prices are decimal strings scaled to `decimals`, phase is `null` when the column is missing or empty.
+ *
+ * @return `[{ timestamp, answer, phase }]` in file order.
+ */
+const parsePriceSeries = (csv, { decimals = 8 } = {}) => {
+
+  const [header, ...lines] = csv.split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !line.startsWith('#'))
+
+  if (!header) throw new Error('Price series is empty')
+
+  const columns = header.split(',').map(column => column.trim())
+  for (const column of ['timestamp', 'price']) {
+    if (!columns.includes(column)) throw new Error(`Price series has no ${column} column`)
+  }
+
+  return lines.map((line, idx) => {
+
+    const cells = line.split(',').map(cell => cell.trim())
+    const row = Object.fromEntries(columns.map((column, i) => [column, cells[i]]))
+
+    if (!/^\d+$/.test(row.timestamp || '')) {
+      throw new Error(`Price series row ${idx + 1} has an invalid timestamp ${row.timestamp}`)
+    }
+
+    return {
+      timestamp: BigInt(row.timestamp),
+      answer: parseUnits(row.price, decimals),
+      phase: row.phase ? Number(row.phase) : null,
+    }
+
+  })
+
+}
+
+const readPriceSeries = (filepath, options) => {
+  return parsePriceSeries(fs.readFileSync(filepath, 'utf8'), options)
+}
+
+module.exports = {
+  parsePriceSeries,
+  readPriceSeries,
+}
@@ -0,0 +1,55 @@
+const { id, keccak256 } = require('ethers')
+
+const CHANCE_PRECISION = 1_000_000n
+
+/**
+ * Deterministic pseudo random sequence, runs with the same seed are reproducible.
+ */
+const createRandom = (seed) => {
+
+  let state = id(String(seed))
+
+  const next = () => {
+    state = keccak256(state)
+    return BigInt(state)
+  }
+
+  const int = (min, max) => Number(BigInt(min) + next() % BigInt(max - min + 1))
+
+  const shuffle = (items) => {
+    const shuffled = [...items]
+    for (let i = shuffled.length - 1; i > 0; i--) {
+      const j = int(0, i)
+      ;[shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]]
+    }
+    return shuffled
+  }
+
+  // `true` with a probability of `p` (0 to 1)
+  const chance = (p) => next() % CHANCE_PRECISION < BigInt(Math.round(p * Number(CHANCE_PRECISION)))
+
+  // picks a key of `weights` with a probability proportional to its weight
+  const weighted = (weights) => {
+    const entries = Object.entries(weights).filter(([, weight]) => weight > 0)
+    const total = entries.reduce((sum, [, weight]) => sum + BigInt(weight), 0n)
+    let roll = next() % total
+    for (const [key, weight] of entries) {
+      if (roll < BigInt(weight)) return key
+      roll -= BigInt(weight)
+    }
+  }
+
+  return {
+    int,
+    shuffle,
+    chance,
+    weighted,
+    bigint: (min, max) => min + next() % (max - min + 1n),
+    pick: (items) => items[int(0, items.length - 1)],
+  }
+
+}
+
+module.exports = {
+  createRandom,
+}
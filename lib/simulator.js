@@ -0,0 +1,457 @@
+const { createGameConfig, computeGameid, computeRoundid, computePredictionid, getRoundStartDate } = require('../sdk/src/ids')
+const { createDepositCaps } = require('../sdk/src/meta')
+const { locateRoundExitPrice } = require('../sdk/src/exitprice')
+const { OUTCOME } = require('../sdk/src/models')
+
+const OraclyV1ABI = require('../sdk/abi/OraclyV1.json')
+
+const { createRandom } = require('./random')
+
+const POSITIONS = {
+  up: OUTCOME.UP,
+  down: OUTCOME.DOWN,
+  zero: OUTCOME.ZERO,
+}
+
+const DEFAULT_POPULATION = {
+  bettors: 20,
+  mentors: 2,
+  mentored: 0.5,
+  participation: 0.5,
+  positions: { up: 45, down: 45, zero: 10 },
+  deposit: null,
+}
+
+const NO_CONTEST = {
+  SINGLE_OUTCOME: 'SingleOutcome',
+  NO_WINNERS: 'NoWinners',
+}
+
+// NOTE: mirrors MockAggregatorProxy.decimals
+const PRICE_FEED_DECIMALS = 8
+
+const TOKEN_DECIMALS = 6n
+const TOKEN_SUPPLY = 10n**40n
+const STAKE = 10n**TOKEN_DECIMALS
+
+const GAS_LIMIT = 5_000_000
+const BLOCK_GAS_LIMIT = 1_000_000_000
+const WALLET_BALANCE = 10n**24n
+
+const toHex = (value) => '0x' + BigInt(value).toString(16)
+
+const createReport = () => ({
+  rounds: {
+    total: 0,
+    empty: 0,
+    unopened: 0,
+    resolved: { up: 0, down: 0, zero: 0 },
+    noContest: { total: 0, reasons: {} },
+  },
+  predictions: { total: 0, failed: 0, won: 0, lost: 0, refunded: 0, unclaimed: 0 },
+  volume: { deposits: 0n, payouts: 0n, refunds: 0n },
+  vigorish: 0n,
+  commission: { staking: 0n, stakingEOA: 0n, mentoring: 0n, mentoringEOA: 0n },
+  rates: {},
+})
+
+const finalizeReport = (report) => {
+
+  const { rounds, predictions } = report
+  const opened = rounds.total - rounds.empty - rounds.unopened
+  const settled = predictions.won + predictions.lost + predictions.refunded
+  const rate = (count, total) => total ? count / total : 0
+
+  report.rates = {
+    up: rate(rounds.resolved.up, opened),
+    down: rate(rounds.resolved.down, opened),
+    zero: rate(rounds.resolved.zero, opened),
+    noContest: rate(rounds.noContest.total, opened),
+    win: rate(predictions.won, settled),
+    refund: rate(predictions.refunded, settled),
+  }
+
+  return report
+
+}
+
+/**
+ * Deploys a disposable OraclyV1 protocol around a scripted MockAggregatorProxy
+ * and a TEST token, and adds the simulated game.
+ */
+const deploy = async (ethers, signer, game) => {
+
+  const deployContract = async (name, args = []) => {
+    const contract = await ethers.deployContract(name, args, signer)
+    await contract.waitForDeployment()
+    return contract
+  }
+
+  const token = await deployContract('TEST', [TOKEN_SUPPLY, TOKEN_DECIMALS])
+  const feed = await deployContract('MockAggregatorProxy')
+
+  const meta = await deployContract('MetaOraclyV1')
+  const staking = await deployContract('StakingOraclyV1', [token.target, token.target, meta.target])
+  const mentoring = await deployContract('MentoringOraclyV1', [meta.target])
+
+  const views = await deployContract('OraclyV1Views', [
+    await signer.getAddress(),
+    staking.target,
+    mentoring.target,
+    meta.target,
+  ])
+  const extension = await deployContract('OraclyV1Extension', [
+    await signer.getAddress(),
+    staking.target,
+    mentoring.target,
+    meta.target,
+    views.target,
+  ])
+  const deployed = await deployContract('OraclyV1', [
+    await signer.getAddress(),
+    staking.target,
+    mentoring.target,
+    meta.target,
+    extension.target,
+  ])
+
+  // NOTE: OraclyV1 serves the OraclyV1Extension and OraclyV1Views functions as well
+  const oraclyv1 = await ethers.getContractAt(OraclyV1ABI, deployed.target, signer)
+
+  await (await staking.setGatherer(oraclyv1.target)).wait()
+  await (await mentoring.setGatherer(oraclyv1.target)).wait()
+
+  // commissions are only collected into created epochs, which the first stake creates
+  await (await token.approve(staking.target, STAKE)).wait()
+  await (await staking.stake(await staking.ACTUAL_EPOCH_ID(), STAKE)).wait()
+
+  // leaves the fixed price mode, there is no price until the series starts
+  await (await feed.startPhase()).wait()
+
+  await (await meta.addGame(
+    feed.target,
+    token.target,
+    1,
+    game.schedule,
+    game.positioning,
+    game.expiration,
+    game.minDeposit,
+    game.vigorish,
+    createGameConfig(),
+    createDepositCaps(),
+  )).wait()
+
+  return { token, feed, staking, mentoring, meta, oraclyv1 }
+
+}
+
+/**
+ * Replays a historical price series through a game on a local Hardhat network
+ * and reports how the game would have behaved.
+ *
+ * A fresh protocol is deployed, the series is shifted to the future keeping its
+ * alignment to the game schedule, and every price is pushed to a MockAggregatorProxy at its own time.
+ * A synthetic population of bettors predicts during the positioning period of each round,
+ * rounds are resolved as soon as their exit price can be located (or as No Contest once expired),
+ * and every winning or refunded prediction is withdrawn.
+ *
+ * Blocks are mined manually at the scheduled timestamps, so it must only run on an in-process
+ * Hardhat network: it changes the network time, block gas limit and balances.
+ *
+ * @param options.ethers Hardhat ethers.
+ * @param options.prices Price series `[{ timestamp, answer, phase }]`, see `lib/priceseries`.
+ * @param options.game Game config: `schedule`, `positioning`, `expiration`, `minDeposit`, `vigorish`.
+ * @param options.population Bettors: `bettors`, `mentors`, `mentored` (share of bettors with a mentor),
+ *                           `participation` (chance to predict in a round), `positions` (integer weights
+ *                           of `up`, `down`, `zero`), `deposit` (`[min, max]`, defaults to 1 to 100 minDeposit).
+ * @param options.seed Seed of the population and of its predictions.
+ * @return Report of round outcomes, predictions, volumes, vigorish and commission flows.
+ */
+const simulateGame = async ({
+  ethers,
+  prices,
+  game,
+  population = {},
+  seed = 'oracly',
+  logger = console,
+}) => {
+
+  if (!prices.length) throw new Error('Price series is empty')
+
+  population = { ...DEFAULT_POPULATION, ...population }
+  game = {
+    schedule: BigInt(game.schedule),
+    positioning: BigInt(game.positioning),
+    expiration: BigInt(game.expiration),
+    minDeposit: BigInt(game.minDeposit),
+    vigorish: BigInt(game.vigorish),
+  }
+
+  const [minDeposit, maxDeposit] = (population.deposit || [game.minDeposit, game.minDeposit * 100n]).map(BigInt)
+  if (minDeposit < game.minDeposit || maxDeposit < minDeposit) {
+    throw new Error(`Invalid deposit range ${minDeposit} - ${maxDeposit}`)
+  }
+
+  const random = createRandom(seed)
+  const provider = ethers.provider
+  const [signer] = await ethers.getSigners()
+
+  const { token, feed, mentoring, oraclyv1 } = await deploy(ethers, signer, game)
+  const gameid = computeGameid(feed.target, token.target, 1, game.schedule, game.positioning)
+
+  const wallet = (role, idx) => new ethers.Wallet(ethers.id(`${seed}:${role}:${idx}`), provider)
+  const bettors = Array.from({ length: population.bettors }, (_, idx) => wallet('bettor', idx))
+  const mentors = Array.from({ length: population.mentors }, (_, idx) => wallet('mentor', idx))
+
+  for (const account of [...bettors, ...mentors]) {
+    await provider.send('hardhat_setBalance', [account.address, toHex(WALLET_BALANCE)])
+  }
+
+  for (const bettor of bettors) {
+    await (await token.connect(signer).transfer(bettor.address, TOKEN_SUPPLY / BigInt(bettors.length + 1))).wait()
+    await (await token.connect(bettor).approve(oraclyv1.target, TOKEN_SUPPLY)).wait()
+    if (mentors.length && random.chance(population.mentored)) {
+      await (await mentoring.connect(bettor).joinMentor(random.pick(mentors).address)).wait()
+    }
+  }
+
+  const wallets = Object.fromEntries(bettors.map(bettor => [bettor.address, bettor]))
+
+  // shift the series to the future by whole rounds
+  const { timestamp: now } = await provider.getBlock('latest')
+  const firstStartDate = BigInt(getRoundStartDate(game.schedule, prices[0].timestamp))
+  const shift = BigInt(getRoundStartDate(game.schedule, now)) + 2n * game.schedule - firstStartDate
+  const series = prices.map(row => ({ ...row, timestamp: row.timestamp + shift }))
+  const lastPriceAt = series[series.length - 1].timestamp
+
+  const timeline = new Map()
+  const at = (time) => {
+    time = BigInt(time)
+    if (!timeline.has(time)) timeline.set(time, { prices: [], actions: [] })
+    return timeline.get(time)
+  }
+  const schedule = (time, action) => at(time).actions.push(action)
+
+  for (const row of series) at(row.timestamp).prices.push(row)
+
+  const report = createReport()
+  const rounds = []
+
+  for (let startDate = firstStartDate + shift; startDate <= lastPriceAt; startDate += game.schedule) {
+
+    const round = {
+      roundid: computeRoundid(gameid, startDate),
+      startDate,
+      lockDate: startDate + game.positioning,
+      endDate: startDate + game.schedule,
+      expirationDate: startDate + game.schedule + game.expiration,
+      predictions: [],
+      participants: 0,
+    }
+    rounds.push(round)
+
+    for (const bettor of bettors) {
+
+      if (!random.chance(population.participation)) continue
+
+      round.participants++
+
+      const position = POSITIONS[random.weighted(population.positions)]
+      const deposit = random.bigint(minDeposit, maxDeposit)
+      const time = startDate + BigInt(random.int(0, Number(game.positioning) - 1))
+
+      schedule(time, () => ({
+        send: (overrides) => oraclyv1.connect(bettor).placePrediction(deposit, position, gameid, round.roundid, overrides),
+        success: () => {
+          report.predictions.total++
+          report.volume.deposits += deposit
+          round.predictions.push({
+            predictionid: computePredictionid(round.roundid, bettor.address, position),
+            bettor: bettor.address,
+            position,
+          })
+        },
+        failure: () => { report.predictions.failed++ },
+      }))
+
+    }
+
+    const control = series.find(row => row.timestamp >= round.endDate)
+    schedule((control ? control.timestamp : round.endDate) + 1n, (time) => settle(round, time))
+
+  }
+
+  const noContest = (reason) => {
+    report.rounds.noContest.total++
+    report.rounds.noContest.reasons[reason] = (report.rounds.noContest.reasons[reason] || 0) + 1
+  }
+
+  const resolve = (round, time, exitPriceid, reason = null) => ({
+    send: (overrides) => oraclyv1.connect(signer).resolve(round.roundid, exitPriceid, overrides),
+    success: () => {
+      round.reason = reason
+      schedule(time + 1n, () => claim(round))
+    },
+    failure: () => {
+      if (time <= round.expirationDate) schedule(round.expirationDate + 1n, (time) => resolve(round, time, 0))
+    },
+  })
+
+  const settle = async (round, time) => {
+
+    if (!round.predictions.length) {
+      if (round.participants) report.rounds.unopened++
+      else report.rounds.empty++
+      return []
+    }
+
+    const positions = new Set(round.predictions.map(prediction => prediction.position))
+    if (positions.size === 1) return [resolve(round, time, 0, NO_CONTEST.SINGLE_OUTCOME)]
+
+    const resolution = await locateRoundExitPrice(oraclyv1, round.roundid)
+    if (resolution.valid) return [resolve(round, time, resolution.exitPriceid)]
+
+    schedule(round.expirationDate + 1n, (time) => resolve(round, time, 0, resolution.reason))
+
+    return []
+
+  }
+
+  const claim = async (round) => {
+
+    const [{ resolution }] = await oraclyv1.getRound(round.roundid)
+    const outcome = Number(resolution)
+
+    if (outcome === OUTCOME.NOCONTEST) {
+      noContest(round.reason || NO_CONTEST.NO_WINNERS)
+    } else {
+      report.rounds.resolved[Object.keys(POSITIONS).find(key => POSITIONS[key] === outcome)]++
+    }
+
+    const actions = []
+    for (const prediction of round.predictions) {
+
+      if (outcome !== OUTCOME.NOCONTEST && prediction.position !== outcome) {
+        report.predictions.lost++
+        continue
+      }
+
+      actions.push({
+        send: (overrides) => {
+          return oraclyv1.connect(wallets[prediction.bettor]).withdraw(round.roundid, prediction.predictionid, token.target, overrides)
+        },
+        success: (receipt) => collect(receipt, outcome === OUTCOME.NOCONTEST),
+        failure: () => { report.predictions.unclaimed++ },
+      })
+
+    }
+
+    return actions
+
+  }
+
+  const collect = (receipt, refund) => {
+
+    for (const log of receipt.logs) {
+
+      const event = oraclyv1.interface.parseLog(log)
+      if (!event) continue
+
+      const { args } = event
+      switch (event.name) {
+        case 'PredictionClaimed':
+          if (refund) {
+            report.predictions.refunded++
+            report.volume.refunds += args.payout
+          } else {
+            report.predictions.won++
+            report.volume.payouts += args.payout
+          }
+          report.vigorish += args.commission
+          break
+        case 'StakersRewardDistributedViaContract':
+          report.commission.staking += args.amount
+          break
+        case 'StakersRewardDistributedViaEOA':
+          report.commission.stakingEOA += args.amount
+          break
+        case 'MentorsRewardDistributedViaContract':
+          report.commission.mentoring += args.amount
+          break
+        case 'MentorsRewardDistributedViaEOA':
+          report.commission.mentoringEOA += args.amount
+          break
+      }
+
+    }
+
+  }
+
+  report.rounds.total = rounds.length
+  logger.log(`simulate: ${series.length} prices, ${rounds.length} rounds, ${bettors.length} bettors`)
+
+  const { gasLimit } = await provider.getBlock('latest')
+  await provider.send('evm_setBlockGasLimit', [toHex(BLOCK_GAS_LIMIT)])
+  await provider.send('evm_setAutomine', [false])
+
+  try {
+
+    let phaseId = Number(await feed.phaseId())
+
+    while (timeline.size) {
+
+      const time = [...timeline.keys()].reduce((min, key) => key < min ? key : min)
+      const { prices: rows, actions } = timeline.get(time)
+      timeline.delete(time)
+
+      // actions read the chain before anything is sent in this block
+      const pending = []
+      for (const action of actions) pending.push(...[].concat(await action(time)))
+
+      const { maxFeePerGas, maxPriorityFeePerGas } = await provider.getFeeData()
+      const overrides = { gasLimit: GAS_LIMIT, maxFeePerGas: maxFeePerGas * 2n, maxPriorityFeePerGas }
+
+      // equal fees keep the send order within the block, prices go first
+      const sent = []
+      for (const row of rows) {
+        while (row.phase && row.phase > phaseId) {
+          await feed.connect(signer).startPhase(overrides)
+          phaseId++
+        }
+      }
+      if (rows.length) {
+        await feed.connect(signer).pushRounds(rows.map(row => row.answer), rows.map(row => row.timestamp), overrides)
+      }
+      for (const { send, success, failure } of pending) {
+        sent.push({ response: await send(overrides), success, failure })
+      }
+
+      await provider.send('evm_mine', [Number(time)])
+
+      for (const { response, success, failure } of sent) {
+        // reverted transactions are mined too, `wait` throws on them
+        const receipt = await response.wait().catch(() => null)
+        if (receipt) success(receipt)
+        else failure()
+      }
+
+    }
+
+  } finally {
+
+    await provider.send('evm_setAutomine', [true])
+    await provider.send('evm_setBlockGasLimit', [toHex(gasLimit)])
+
+  }
+
+  return finalizeReport(report)
+
+}
+
+module.exports = {
+  NO_CONTEST,
+  DEFAULT_POPULATION,
+  PRICE_FEED_DECIMALS,
+
+  simulateGame,
+}
@@ -0,0 +1,225 @@
+const hre = require('hardhat')
+
+const { manifestPath, readManifest, writeManifest } = require('./manifest')
+
+const { ethers, network } = hre
+
+const LOCAL_NETWORKS = ['hardhat', 'localhost', 'lde']
+
+const sameArgs = (a, b) => {
+  return JSON.stringify(a.map(String)) === JSON.stringify(b.map(String))
+}
+
+/**
+ * Reads deployment configuration from the environment.
+ * Every address defaults to the deployer on local networks,
+ * public networks must configure all of them explicitly.
+ */
+const readConfig = (deployer) => {
+
+  const local = LOCAL_NETWORKS.includes(network.name)
+
+  const env = (name, fallback) => {
+    const value = process.env[name]
+    if (value) return ethers.getAddress(value)
+    if (local) return fallback
+    throw new Error(`Missing ${name} for network ${network.name}`)
+  }
+
+  return {
+    growth: env('GROWTH_ADDRESS', deployer),
+    team: env('TEAM_ADDRESS', deployer),
+    seed: env('SEED_ADDRESS', deployer),
+    buy4stake: env('BUY4STAKE_ADDRESS', deployer),
+
+    growthBeneficiary: env('GROWTH_BENEFICIARY_ADDRESS', deployer),
+    teamBeneficiary: env('TEAM_BENEFICIARY_ADDRESS', deployer),
+    seedBeneficiary: env('SEED_BENEFICIARY_ADDRESS', deployer),
+
+    distributorEOA: env('DISTRIBUTOR_EOA_ADDRESS', deployer),
+
+    // NOTE: falls back to ORCY once it is deployed
+    buy4stakeERC20: env('BUY4STAKE_ERC20_ADDRESS', null),
+  }
+
+}
+
+/**
+ * Deploys the whole Oracly protocol in dependency order:
+ * vesting wallets, ORCY, meta, staking, mentoring, the OraclyV1 views and extension, and OraclyV1,
+ * and finally authorizes OraclyV1 as the commission gatherer.
+ *
+ * Every completed step is persisted into the manifest right away,
+ * so running it again resumes from the first missing step.
+ */
+async function deploy({ manifest: filepath, config, signer } = {}) {
+
+  signer = signer || (await ethers.getSigners())[0]
+  filepath = filepath || manifestPath(network.name)
+
+  const deployer = await signer.getAddress()
+  config = config || readConfig(deployer)
+
+  const { chainId } = await ethers.provider.getNetwork()
+
+  const manifest = readManifest(filepath) || {
+    network: network.name,
+    chainId: Number(chainId),
+    deployer,
+    contracts: {},
+    setup: {},
+  }
+
+  if (manifest.chainId !== Number(chainId)) {
+    throw new Error(`Manifest ${filepath} belongs to chain ${manifest.chainId}, connected to ${chainId}`)
+  }
+
+  const contracts = {}
+
+  const step = async (id, name, args, overrides = {}) => {
+
+    const recorded = manifest.contracts[id]
+    if (recorded) {
+
+      if (recorded.contract !== name || !sameArgs(recorded.args, args)) {
+        throw new Error(`${id} was deployed with different parameters, remove it from ${filepath} to redeploy`)
+      }
+
+      const code = await ethers.provider.getCode(recorded.address)
+      if (code !== '0x') {
+        console.log(`${id} reused at ${recorded.address}`)
+        contracts[id] = await ethers.getContractAt(name, recorded.address, signer)
+        return contracts[id]
+      }
+
+      console.log(`${id} has no code at ${recorded.address}, redeploying`)
+    }
+
+    const contract = await ethers.deployContract(name, args, { ...overrides, signer })
+    await contract.waitForDeployment()
+
+    const tx = contract.deploymentTransaction()
+    const receipt = await tx.wait()
+
+    manifest.contracts[id] = {
+      contract: name,
+      address: contract.target,
+      args: args.map(String),
+      transactionHash: tx.hash,
+      blockNumber: receipt.blockNumber,
+    }
+    writeManifest(filepath, manifest)
+
+    console.log(`${id} deployed at ${contract.target}`)
+
+    contracts[id] = contract
+    return contract
+
+  }
+
+  const setup = async (id, isDone, execute) => {
+
+    if (await isDone()) {
+      console.log(`${id} already done`)
+      manifest.setup[id] = manifest.setup[id] || { transactionHash: null }
+      writeManifest(filepath, manifest)
+      return
+    }
+
+    const tx = await execute()
+    await tx.wait()
+
+    manifest.setup[id] = { transactionHash: tx.hash }
+    writeManifest(filepath, manifest)
+
+    console.log(`${id} done`)
+
+  }
+
+  const growthVesting = await step('GrowthVestingOraclyV1', 'VestingOraclyV1', [config.growthBeneficiary])
+  const teamVesting = await step('TeamVestingOraclyV1', 'VestingOraclyV1', [config.teamBeneficiary])
+  const seedVesting = await step('SeedVestingOraclyV1', 'VestingOraclyV1', [config.seedBeneficiary])
+
+  const ORCY = await step('ORCY', 'ORCY', [
+    config.growth,
+    config.team,
+    config.seed,
+    config.buy4stake,
+    growthVesting.target,
+    teamVesting.target,
+    seedVesting.target,
+  ])
+
+  const MetaOraclyV1 = await step('MetaOraclyV1', 'MetaOraclyV1', [])
+
+  const StakingOraclyV1 = await step('StakingOraclyV1', 'StakingOraclyV1', [
+    ORCY.target,
+    config.buy4stakeERC20 || ORCY.target,
+    MetaOraclyV1.target,
+  ])
+
+  const MentoringOraclyV1 = await step('MentoringOraclyV1', 'MentoringOraclyV1', [MetaOraclyV1.target])
+
+  const OraclyV1Views = await step('OraclyV1Views', 'OraclyV1Views', [
+    config.distributorEOA,
+    StakingOraclyV1.target,
+    MentoringOraclyV1.target,
+    MetaOraclyV1.target,
+  ])
+
+  const OraclyV1Extension = await step('OraclyV1Extension', 'OraclyV1Extension', [
+    config.distributorEOA,
+    StakingOraclyV1.target,
+    MentoringOraclyV1.target,
+    MetaOraclyV1.target,
+    OraclyV1Views.target,
+  ])
+
+  const OraclyV1 = await step('OraclyV1', 'OraclyV1', [
+    config.distributorEOA,
+    StakingOraclyV1.target,
+    MentoringOraclyV1.target,
+    MetaOraclyV1.target,
+    OraclyV1Extension.target,
+  ], { gasLimit: 6_000_000 })
+
+  await setup(
+    'StakingOraclyV1.setGatherer',
+    async () => (await StakingOraclyV1.AUTHORIZED_COMMISSION_GATHERER()) === OraclyV1.target,
+    () => StakingOraclyV1.setGatherer(OraclyV1.target),
+  )
+
+  await setup(
+    'MentoringOraclyV1.setGatherer',
+    async () => (await MentoringOraclyV1.AUTHORIZED_COMMISSION_GATHERER()) === OraclyV1.target,
+    () => MentoringOraclyV1.setGatherer(OraclyV1.target),
+  )
+
+  return { manifest, contracts }
+
+}
+
+async function main() {
+
+  const { manifest } = await deploy()
+
+  console.log('------------------------------')
+  for (const [id, { address }] of Object.entries(manifest.contracts)) {
+    console.log(id.padEnd(24), address)
+  }
+  console.log('------------------------------')
+
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error)
+    process.exitCode = 1
+  })
+}
+
+module.exports = {
+  deploy,
+  readManifest,
+  manifestPath,
+}
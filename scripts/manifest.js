@@ -0,0 +1,48 @@
+const fs = require('fs')
+const path = require('path')
+
+const DEPLOYMENTS_DIR = path.join(__dirname, '..', 'deployments')
+
+const manifestPath = (networkName) => {
+  return path.join(DEPLOYMENTS_DIR, `${networkName}.json`)
+}
+
+const readManifest = (filepath) => {
+
+  if (!fs.existsSync(filepath)) return null
+
+  return JSON.parse(fs.readFileSync(filepath, 'utf8'))
+
+}
+
+const writeManifest = (filepath, manifest) => {
+
+  fs.mkdirSync(path.dirname(filepath), { recursive: true })
+
+  // write to a temporary file first so that an interrupted run
+  // never leaves a truncated manifest behind
+  const tmp = filepath + '.tmp'
+  fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2) + '\n')
+  fs.renameSync(tmp, filepath)
+
+}
+
+/**
+ * Looks up a deployed contract address in the network manifest.
+ * Returns null if the network was never deployed or the contract is missing.
+ */
+const getDeployedAddress = (networkName, id) => {
+
+  const manifest = readManifest(manifestPath(networkName))
+  if (!manifest || !manifest.contracts[id]) return null
+
+  return manifest.contracts[id].address
+
+}
+
+module.exports = {
+  manifestPath,
+  readManifest,
+  writeManifest,
+  getDeployedAddress,
+}
@@ -0,0 +1,37 @@
+const { OUTCOME, FIRST_BUCKET_POSITION } = require('./src/models')
+const { PREFLIGHT_FAILED } = require('./src/preflight')
+
+const { createOraclyV1Client } = require('./src/oraclyv1')
+const { createMetaOraclyV1Client, createDepositCaps } = require('./src/meta')
+const { createStakingOraclyV1Client } = require('./src/staking')
+const { createMentoringOraclyV1Client } = require('./src/mentoring')
+
+const ids = require('./src/ids')
+const payout = require('./src/payout')
+const exitprice = require('./src/exitprice')
+const intents = require('./src/intents')
+
+const ABI = {
+  OraclyV1: require('./abi/OraclyV1.json'),
+  MetaOraclyV1: require('./abi/MetaOraclyV1.json'),
+  StakingOraclyV1: require('./abi/StakingOraclyV1.json'),
+  MentoringOraclyV1: require('./abi/MentoringOraclyV1.json'),
+}
+
+module.exports = {
+  ABI,
+  OUTCOME,
+  FIRST_BUCKET_POSITION,
+  PREFLIGHT_FAILED,
+
+  createOraclyV1Client,
+  createMetaOraclyV1Client,
+  createStakingOraclyV1Client,
+  createMentoringOraclyV1Client,
+  createDepositCaps,
+
+  ...ids,
+  ...payout,
+  ...exitprice,
+  ...intents,
+}
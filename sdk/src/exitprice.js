@@ -0,0 +1,351 @@
+const { Contract } = require('ethers')
+
+const { encodePriceid, decodePriceid } = require('./ids')
+
+const UINT80_MAX = (1n << 80n) - 1n
+const UINT256_MAX = (1n << 256n) - 1n
+const INT256_MAX = (1n << 255n) - 1n
+const INT256_MIN = -(1n << 255n)
+
+const AGGREGATOR_V3_ABI = [
+  'function getRoundData(uint80 roundId) view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)',
+]
+
+/**
+ * Reasons why no exit price can be located for a round.
+ * Only `CONTROL_PRICE_NOT_AVAILABLE` is temporary, every other reason
+ * is final: the round can only be settled as No Contest.
+ */
+const REASON = {
+  INVALID_ENTRY_PRICE: 'InvalidEntryPrice',
+  CONTROL_PRICE_NOT_AVAILABLE: 'ControlPriceNotAvailable',
+  PHASE_ENDED_BEFORE_END_DATE: 'PhaseEndedBeforeEndDate',
+  NO_PRICE_DURING_ROUND: 'NoPriceDuringRound',
+  INVALID_EXIT_PRICE: 'InvalidExitPrice',
+  INVALID_CONTROL_PRICE: 'InvalidControlPrice',
+  PRICE_DIFFERENCE_TOO_HIGH: 'PriceDifferenceTooHigh',
+  SEARCH_LIMIT_EXCEEDED: 'SearchLimitExceeded',
+}
+
+const toPrice = (price) => ({
+  roundid: BigInt(price.roundid),
+  value: BigInt(price.value),
+  timestamp: BigInt(price.timestamp),
+})
+
+/**
+ * Mirrors OraclyV1Core._isValidPrice
+ */
+const isValidPrice = (price) => {
+
+  return (
+    price.timestamp !== UINT256_MAX &&
+    price.timestamp !== 0n &&
+
+    price.roundid !== UINT80_MAX &&
+    price.roundid !== 0n &&
+
+    price.value !== INT256_MAX &&
+    price.value !== INT256_MIN &&
+
+    price.value > 0n
+  )
+
+}
+
+/**
+ * Mirrors OraclyV1Core._isValidPriceDifference
+ */
+const isValidPriceDifference = (x, y) => {
+
+  if (x <= 0n || y <= 0n) return false
+
+  const ratio = y > x ? y / x : x / y
+
+  return ratio === 1n
+
+}
+
+/**
+ * Mirrors OraclyV1Core._isValidResolution
+ */
+const isValidResolution = (round, exitPrice, controlPrice) => {
+
+  const entryPrice = toPrice(round.entryPrice)
+  const lockDate = BigInt(round.lockDate)
+  const endDate = BigInt(round.endDate)
+
+  exitPrice = toPrice(exitPrice)
+  controlPrice = toPrice(controlPrice)
+
+  if (!isValidPrice(exitPrice)) return false
+  if (!isValidPrice(controlPrice)) return false
+  if (!isValidPrice(entryPrice)) return false
+
+  if (!isValidPriceDifference(exitPrice.value, controlPrice.value)) return false
+  if (!isValidPriceDifference(exitPrice.value, entryPrice.value)) return false
+
+  if (exitPrice.timestamp < lockDate) return false
+  if (exitPrice.timestamp >= endDate) return false
+
+  if (controlPrice.timestamp < endDate) return false
+
+  if (exitPrice.timestamp <= entryPrice.timestamp) return false
+
+  const op = decodePriceid(entryPrice.roundid)
+  const rp = decodePriceid(exitPrice.roundid)
+  const cp = decodePriceid(controlPrice.roundid)
+
+  if (op.phaseId !== rp.phaseId) return false
+  if (op.phaseId !== cp.phaseId) return false
+
+  if (op.aggregatorRoundId >= rp.aggregatorRoundId) return false
+
+  if ((rp.aggregatorRoundId + 1n) !== cp.aggregatorRoundId) return false
+
+  return true
+
+}
+
+/**
+ * Fetches raw round data, returns null if the round does not exist.
+ */
+const fetchRound = async (feed, roundid) => {
+
+  try {
+
+    const data = await feed.getRoundData(roundid)
+    if (BigInt(data.updatedAt) === 0n) return null
+
+    return {
+      roundid: BigInt(data.roundId),
+      value: BigInt(data.answer),
+      timestamp: BigInt(data.updatedAt),
+      answeredInRound: BigInt(data.answeredInRound),
+    }
+
+  } catch (error) {
+
+    return null
+
+  }
+
+}
+
+/**
+ * Converts raw round data into the price `OraclyV1Core._getPrice` would produce.
+ */
+const asContractPrice = (data, roundid) => {
+
+  if (
+    data &&
+    data.roundid === roundid &&
+    data.roundid === data.answeredInRound
+  ) {
+    return { roundid: data.roundid, value: data.value, timestamp: data.timestamp }
+  }
+
+  return { roundid: 0n, value: 0n, timestamp: 0n }
+
+}
+
+/**
+ * Mirrors OraclyV1Core._getPrice
+ */
+const getContractPrice = async (feed, roundid) => {
+
+  roundid = BigInt(roundid)
+
+  return asContractPrice(await fetchRound(feed, roundid), roundid)
+
+}
+
+const failure = (reason, message, details = {}) => ({
+  valid: false,
+  retry: reason === REASON.CONTROL_PRICE_NOT_AVAILABLE,
+  reason,
+  message,
+  exitPriceid: null,
+  ...details,
+})
+
+/**
+ * Locates the exit price of a round on a Chainlink AggregatorV3 price feed.
+ *
+ * Within the phase of the entry price, aggregator round timestamps only grow,
+ * so the only candidate pair is the last price before `endDate` (exit price)
+ * and the price right after it (control price).
+ * The pair is found with an exponential search followed by a binary search,
+ * and then checked against every rule of `OraclyV1Core._isValidResolution`.
+ *
+ * @param feed AggregatorV3 compatible object: `getRoundData`, `latestRoundData`.
+ * @param round Round as returned by `OraclyV1.getRound`: `entryPrice`, `lockDate`, `endDate`.
+ * @param options.maxSteps Maximum number of `getRoundData` calls (default 256).
+ * @return Resolution `{ valid, exitPriceid, exitPrice, controlPrice }` or, if there is no valid resolution,
+ *         `{ valid: false, retry, reason, message }` where `retry` tells if it may become available later.
+ */
+const locateExitPrice = async (feed, round, { maxSteps = 256 } = {}) => {
+
+  const entryPrice = toPrice(round.entryPrice)
+  const lockDate = BigInt(round.lockDate)
+  const endDate = BigInt(round.endDate)
+
+  if (!isValidPrice(entryPrice)) {
+    return failure(REASON.INVALID_ENTRY_PRICE, `Round entry price ${entryPrice.roundid} is invalid`)
+  }
+
+  const { phaseId, aggregatorRoundId: entryAggrRoundId } = decodePriceid(entryPrice.roundid)
+
+  const latest = await feed.latestRoundData()
+  const latestPhaseId = decodePriceid(latest.roundId).phaseId
+
+  if (latestPhaseId === phaseId && BigInt(latest.updatedAt) < endDate) {
+    return failure(
+      REASON.CONTROL_PRICE_NOT_AVAILABLE,
+      `Latest price ${latest.roundId} is older than round end date ${endDate}`
+    )
+  }
+
+  let steps = 0
+  const fetch = async (aggrRoundId) => {
+    if (++steps > maxSteps) throw new Error(REASON.SEARCH_LIMIT_EXCEEDED)
+    return fetchRound(feed, encodePriceid(phaseId, aggrRoundId))
+  }
+
+  // invariant: `lo` exists and is older than endDate,
+  // `hi` is either missing or not older than endDate
+  let lo = entryAggrRoundId
+  let hi
+
+  try {
+
+    let step = 1n
+    while (hi === undefined) {
+      const data = await fetch(lo + step)
+      if (!data || data.timestamp >= endDate) {
+        hi = lo + step
+      } else {
+        lo = lo + step
+        step = step * 2n
+      }
+    }
+
+    while (hi - lo > 1n) {
+      const mid = (lo + hi) / 2n
+      const data = await fetch(mid)
+      if (!data || data.timestamp >= endDate) {
+        hi = mid
+      } else {
+        lo = mid
+      }
+    }
+
+  } catch (error) {
+    if (error.message !== REASON.SEARCH_LIMIT_EXCEEDED) throw error
+    return failure(REASON.SEARCH_LIMIT_EXCEEDED, `Exit price not found within ${maxSteps} steps`)
+  }
+
+  const exitPriceid = encodePriceid(phaseId, lo)
+  const controlPriceid = encodePriceid(phaseId, hi)
+
+  const controlData = await fetchRound(feed, controlPriceid)
+  if (!controlData) {
+
+    if (latestPhaseId !== phaseId) {
+      return failure(
+        REASON.PHASE_ENDED_BEFORE_END_DATE,
+        `Price feed phase ${phaseId} ended before round end date ${endDate}`
+      )
+    }
+
+    return failure(
+      REASON.CONTROL_PRICE_NOT_AVAILABLE,
+      `Control price ${controlPriceid} is not available yet`
+    )
+
+  }
+
+  if (lo === entryAggrRoundId) {
+    return failure(
+      REASON.NO_PRICE_DURING_ROUND,
+      `No price between entry price ${entryPrice.roundid} and round end date ${endDate}`
+    )
+  }
+
+  const exitPrice = asContractPrice(await fetchRound(feed, exitPriceid), exitPriceid)
+  const controlPrice = asContractPrice(controlData, controlPriceid)
+  const details = { exitPrice, controlPrice }
+
+  if (!isValidPrice(exitPrice)) {
+    return failure(REASON.INVALID_EXIT_PRICE, `Exit price ${exitPriceid} is invalid or stale`, details)
+  }
+
+  if (!isValidPrice(controlPrice)) {
+    return failure(REASON.INVALID_CONTROL_PRICE, `Control price ${controlPriceid} is invalid or stale`, details)
+  }
+
+  if (exitPrice.timestamp < lockDate || exitPrice.timestamp <= entryPrice.timestamp) {
+    return failure(
+      REASON.NO_PRICE_DURING_ROUND,
+      `Exit price ${exitPriceid} at ${exitPrice.timestamp} is earlier than round lock date ${lockDate}`,
+      details
+    )
+  }
+
+  if (
+    !isValidPriceDifference(exitPrice.value, controlPrice.value) ||
+    !isValidPriceDifference(exitPrice.value, entryPrice.value)
+  ) {
+    return failure(
+      REASON.PRICE_DIFFERENCE_TOO_HIGH,
+      `Exit price ${exitPrice.value} differs 2x or more from entry ${entryPrice.value} or control ${controlPrice.value} price`,
+      details
+    )
+  }
+
+  if (!isValidResolution(round, exitPrice, controlPrice)) {
+    throw new Error(`Exit price ${exitPriceid} failed round resolution validation`)
+  }
+
+  return {
+    valid: true,
+    retry: false,
+    reason: null,
+    message: null,
+    exitPriceid,
+    exitPrice,
+    controlPrice,
+  }
+
+}
+
+/**
+ * Fetches a round from OraclyV1 and locates its exit price on the round's price feed.
+ */
+const locateRoundExitPrice = async (oraclyv1, roundid, options) => {
+
+  const [round] = await oraclyv1.getRound(roundid)
+  if (BigInt(round.endDate) === 0n) {
+    throw new Error(`Round ${roundid} does not exist`)
+  }
+
+  const feed = new Contract(round.pricefeed, AGGREGATOR_V3_ABI, oraclyv1.runner)
+
+  return locateExitPrice(feed, round, options)
+
+}
+
+module.exports = {
+  REASON,
+  AGGREGATOR_V3_ABI,
+  UINT80_MAX,
+
+  locateExitPrice,
+  locateRoundExitPrice,
+
+  isValidPrice,
+  isValidPriceDifference,
+  isValidResolution,
+  getContractPrice,
+}
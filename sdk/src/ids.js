@@ -0,0 +1,134 @@
+const { AbiCoder, ZeroAddress, keccak256, getAddress } = require('ethers')
+
+// NOTE: mirrors OraclyV1Core.PRICE_FEED_PHASE_BIT_OFFSET
+const PRICE_FEED_PHASE_BIT_OFFSET = 64n
+
+const UINT64_MASK = (1n << 64n) - 1n
+
+const encode = (types, values) => keccak256(AbiCoder.defaultAbiCoder().encode(types, values))
+
+// NOTE: mirrors the GameConfig struct
+const GAME_CONFIG_TYPE = 'tuple(uint16 tolerance, int16[] bucketEdges, address pairPricefeed)'
+
+/**
+ * `GameConfig` of `MetaOraclyV1.addGame`, the game type settings.
+ * The defaults are the classic Down/Up/Zero game.
+ *
+ * @param config.tolerance Tolerance band in basis points of the entry price, moves within it resolve to Zero.
+ * @param config.bucketEdges Ascending bucket edges in basis points of the entry price, for a range-bucket game.
+ * @param config.pairPricefeed Price feed the game feed asset is compared against, for a pair-performance game.
+ */
+const createGameConfig = ({ tolerance = 0, bucketEdges = [], pairPricefeed = ZeroAddress } = {}) => ({
+  tolerance: Number(tolerance),
+  bucketEdges: bucketEdges.map(Number),
+  pairPricefeed: getAddress(pairPricefeed),
+})
+
+/**
+ * Mirrors `MetaOraclyV1.addGame`: `keccak256(abi.encode(pricefeed, erc20, version, schedule, positioning, config))`
+ * The game type settings are part of the gameid, `config` defaults to the classic game.
+ */
+const computeGameid = (pricefeed, erc20, version, schedule, positioning, config = createGameConfig()) => {
+  config = createGameConfig(config)
+  return encode(
+    ['address', 'address', 'uint16', 'uint', 'uint', GAME_CONFIG_TYPE],
+    [getAddress(pricefeed), getAddress(erc20), version, schedule, positioning, [config.tolerance, config.bucketEdges, config.pairPricefeed]]
+  )
+}
+
+/**
+ * Mirrors `OraclyV1.placePrediction`: `keccak256(abi.encode(gameid, startDate))`
+ */
+const computeRoundid = (gameid, startDate) => {
+  return encode(['bytes32', 'uint'], [gameid, startDate])
+}
+
+/**
+ * Mirrors `OraclyV1Core._updatePrediction`: `keccak256(abi.encode(roundid, bettor, position))`
+ */
+const computePredictionid = (roundid, bettor, position) => {
+  return encode(['bytes32', 'address', 'uint8'], [roundid, getAddress(bettor), position])
+}
+
+/**
+ * Mirrors `StakingOraclyV1._stakeDeposit`: `keccak256(abi.encode(epochid, staker))`
+ */
+const computeDepositid = (epochid, staker) => {
+  return encode(['uint', 'address'], [epochid, getAddress(staker)])
+}
+
+/**
+ * Chainlink proxy round id: the phase id in the upper 16 bits,
+ * the aggregator round id in the lower 64 bits.
+ */
+const encodePriceid = (phaseId, aggregatorRoundId) => {
+  return (BigInt(phaseId) << PRICE_FEED_PHASE_BIT_OFFSET) | BigInt(aggregatorRoundId)
+}
+
+const decodePriceid = (priceid) => {
+
+  priceid = BigInt(priceid)
+
+  return {
+    phaseId: priceid >> PRICE_FEED_PHASE_BIT_OFFSET,
+    aggregatorRoundId: priceid & UINT64_MASK,
+  }
+
+}
+
+/**
+ * Start date of the round of a `schedule` seconds long game running at `timestamp`.
+ */
+const getRoundStartDate = (schedule, timestamp) => {
+
+  timestamp = BigInt(timestamp)
+
+  return Number(timestamp - (timestamp % BigInt(schedule)))
+
+}
+
+/**
+ * Round of `game` running `shift` rounds after the one running at `timestamp`,
+ * with the dates `OraclyV1Core._createRound` sets on its creation.
+ *
+ * @param game Game: `gameid`, `schedule`, `positioning`, `expiration`.
+ */
+const getRoundAt = (game, timestamp, shift = 0) => {
+
+  const schedule = Number(game.schedule)
+  const startDate = getRoundStartDate(schedule, timestamp) + shift * schedule
+  const endDate = startDate + schedule
+
+  return {
+    roundid: computeRoundid(game.gameid, startDate),
+    gameid: game.gameid,
+    startDate,
+    lockDate: startDate + Number(game.positioning),
+    endDate,
+    expirationDate: endDate + Number(game.expiration),
+  }
+
+}
+
+const getCurrentRound = (game, timestamp) => getRoundAt(game, timestamp, 0)
+
+const getNextRound = (game, timestamp) => getRoundAt(game, timestamp, 1)
+
+const getPreviousRound = (game, timestamp) => getRoundAt(game, timestamp, -1)
+
+module.exports = {
+  createGameConfig,
+  computeGameid,
+  computeRoundid,
+  computePredictionid,
+  computeDepositid,
+
+  encodePriceid,
+  decodePriceid,
+
+  getRoundStartDate,
+  getRoundAt,
+  getCurrentRound,
+  getNextRound,
+  getPreviousRound,
+}
@@ -0,0 +1,97 @@
+const { Contract, Signature, ZeroHash, verifyTypedData } = require('ethers')
+
+// NOTE: mirrors OraclyV1.PREDICTION_INTENT_TYPEHASH
+const PREDICTION_INTENT_TYPES = {
+  PredictionIntent: [
+    { name: 'bettor', type: 'address' },
+    { name: 'amount', type: 'uint256' },
+    { name: 'position', type: 'uint8' },
+    { name: 'gameid', type: 'bytes32' },
+    { name: 'roundid', type: 'bytes32' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+  ],
+}
+
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+  ],
+}
+
+const EIP712_DOMAIN_ABI = [
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)',
+]
+
+const PERMIT_ABI = [
+  ...EIP712_DOMAIN_ABI,
+  'function nonces(address owner) view returns (uint256)',
+]
+
+/**
+ * `placePredictionBySig` permit argument when the bettor has approved OraclyV1 already.
+ */
+const NO_PERMIT = Object.freeze({ value: 0n, deadline: 0n, v: 0, r: ZeroHash, s: ZeroHash })
+
+/**
+ * Reads the ERC-5267 EIP-712 domain of a contract.
+ */
+const getDomain = async (contract) => {
+
+  const { name, version, chainId, verifyingContract } = await contract.eip712Domain()
+
+  return { name, version, chainId, verifyingContract }
+
+}
+
+const toPredictionIntent = (intent) => ({
+  bettor: intent.bettor,
+  amount: BigInt(intent.amount),
+  position: Number(intent.position),
+  gameid: intent.gameid,
+  roundid: intent.roundid,
+  deadline: BigInt(intent.deadline),
+  nonce: BigInt(intent.nonce),
+})
+
+const signPredictionIntent = (signer, domain, intent) => {
+  return signer.signTypedData(domain, PREDICTION_INTENT_TYPES, toPredictionIntent(intent))
+}
+
+const recoverPredictionIntent = (domain, intent, signature) => {
+  return verifyTypedData(domain, PREDICTION_INTENT_TYPES, toPredictionIntent(intent), signature)
+}
+
+/**
+ * Signs an EIP-2612 permit letting `spender` spend `value` of the signer's `erc20` until `deadline`.
+ * Resolves to the `Permit` struct taken by `placePredictionBySig`.
+ */
+const signPermit = async (signer, erc20, spender, value, deadline) => {
+
+  const token = new Contract(erc20, PERMIT_ABI, signer)
+  const owner = await signer.getAddress()
+
+  const domain = await getDomain(token)
+  const nonce = await token.nonces(owner)
+
+  const message = { owner, spender, value: BigInt(value), nonce, deadline: BigInt(deadline) }
+  const { v, r, s } = Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, message))
+
+  return { value: message.value, deadline: message.deadline, v, r, s }
+
+}
+
+module.exports = {
+  NO_PERMIT,
+  PREDICTION_INTENT_TYPES,
+
+  getDomain,
+  toPredictionIntent,
+  signPredictionIntent,
+  recoverPredictionIntent,
+  signPermit,
+}
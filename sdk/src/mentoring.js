@@ -0,0 +1,126 @@
+const { Contract, ZeroAddress, getAddress } = require('ethers')
+
+const MentoringOraclyV1ABI = require('../abi/MentoringOraclyV1.json')
+
+const { toMentor, toProtege } = require('./models')
+const { getProvider, getSender, checkOffChainCallable, createSend } = require('./preflight')
+const { createMetaOraclyV1Client } = require('./meta')
+
+/**
+ * Creates a MentoringOraclyV1 client.
+ *
+ * @param address MentoringOraclyV1 address.
+ * @param runner ethers provider for reads, signer for writes.
+ */
+const createMentoringOraclyV1Client = ({ address, runner }) => {
+
+  const contract = new Contract(address, MentoringOraclyV1ABI, runner)
+  const provider = getProvider(runner)
+
+  let meta = null
+  const getMeta = async () => {
+    if (!meta) {
+      meta = createMetaOraclyV1Client({ address: await contract.METAORACLY_CONTRACT(), runner })
+    }
+    return meta
+  }
+
+  const getMentor = async (mentor, erc20 = ZeroAddress) => toMentor(await contract.getMentor(mentor, erc20))
+
+  const getProtege = async (protege, erc20 = ZeroAddress) => toProtege(await contract.getProtege(protege, erc20))
+
+  const getMentorProteges = async (mentor, offset = 0) => {
+    const [proteges, size] = await contract.getMentorProteges(mentor, offset)
+    return { proteges: [...proteges], size: Number(size) }
+  }
+
+  const getProtegeMentorEarned = (protege, erc20, mentor) => {
+    return contract.getProtegeMentorEarned(protege, erc20, mentor)
+  }
+
+  const calculateReward = (protege, amount) => contract.calculateReward(protege, amount)
+
+  const isContractCallerAllowed = async (caller) => (await getMeta()).isContractCallerAllowed(caller)
+
+  const getMentorOf = async (protege) => {
+    const record = await getProtege(protege)
+    return record ? record.mentor : ZeroAddress
+  }
+
+  const preflight = {
+
+    joinMentor: async (mentor) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      mentor = getAddress(mentor)
+
+      if (mentor === ZeroAddress) return 'MentorAddressCannotBeZero'
+      if (await getMentorOf(sender) !== ZeroAddress) return 'CannotRejoinProtege'
+      if (mentor === sender) return 'CannotJoinToSelf'
+
+      const record = await getMentor(sender)
+      if (record && record.circle !== 0) return 'MentorCannotBecomeProtege'
+
+      return null
+
+    },
+
+    expelProtege: async (protege) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      if (getAddress(protege) === ZeroAddress) return 'ProtegeAddressCannotBeZero'
+      if (await getMentorOf(protege) !== sender) return 'CannotRemoveUnmentoredProtege'
+
+      return null
+
+    },
+
+    claimReward: async (erc20) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      if (getAddress(erc20) === ZeroAddress) return 'InvalidErc20Address'
+
+      const mentor = await getMentor(sender, erc20)
+      if (!mentor || mentor.rewards === mentor.payouts) return 'NothingToWithdraw'
+
+      return null
+
+    },
+
+  }
+
+  const send = createSend(contract, preflight)
+
+  return {
+    contract,
+    preflight,
+
+    getMentor,
+    getProtege,
+    getMentorProteges,
+    getProtegeMentorEarned,
+    calculateReward,
+    isContractCallerAllowed,
+
+    joinMentor: (mentor, options) => send('joinMentor', [mentor], options),
+    expelProtege: (protege, options) => send('expelProtege', [protege], options),
+    claimReward: (erc20, options) => send('claimReward', [erc20], options),
+  }
+
+}
+
+module.exports = {
+  createMentoringOraclyV1Client,
+}
@@ -0,0 +1,307 @@
+const { Contract, ZeroAddress, getAddress } = require('ethers')
+
+const MetaOraclyV1ABI = require('../abi/MetaOraclyV1.json')
+
+const { toGame } = require('./models')
+const { computeGameid, createGameConfig } = require('./ids')
+const { ERC20_ABI, getProvider, getSender, createSend } = require('./preflight')
+
+// NOTE: mirrors MetaOraclyV1 internal constants
+const SHORTEST_ROUND = 60n
+const SHORTEST_POSITIONING = 30n
+const SHORTEST_EXPIRATION = 60n * 60n
+const LONGEST_EXPIRATION = 7n * 24n * 60n * 60n
+const LARGEST_VIGORISH = 1000n
+const LARGEST_CANCELLATION_FEE = 1000n
+const SHORTEST_CLAIM_PERIOD = 30n * 24n * 60n * 60n
+const LARGEST_RESOLVER_REWARD = 5000n
+const LARGEST_TOLERANCE = 1000n
+const MOST_BUCKET_EDGES = 15
+const LARGEST_BUCKET_EDGE = 5000
+
+const AGGREGATOR_DECIMALS_ABI = ['function decimals() view returns (uint8)']
+
+/**
+ * `DepositCaps` of `MetaOraclyV1.addGame` and `MetaOraclyV1.updateGameDepositCaps`, in ERC20 token units.
+ * Zero is no cap, the defaults leave deposits uncapped.
+ *
+ * @param caps.maxDeposit Largest deposit of a single prediction.
+ * @param caps.bettorRoundCap Largest total deposit of a bettor in a round.
+ * @param caps.roundCap Largest total prize pool of a round.
+ */
+const createDepositCaps = ({ maxDeposit = 0, bettorRoundCap = 0, roundCap = 0 } = {}) => ({
+  maxDeposit: BigInt(maxDeposit),
+  bettorRoundCap: BigInt(bettorRoundCap),
+  roundCap: BigInt(roundCap),
+})
+
+// NOTE: mirrors MetaOraclyV1._isValidDepositCaps
+const isValidDepositCaps = (caps, minDeposit) => {
+  return Object.values(createDepositCaps(caps)).every(cap => cap === 0n || cap >= BigInt(minDeposit))
+}
+
+/**
+ * Creates a MetaOraclyV1 client.
+ *
+ * @param address MetaOraclyV1 address.
+ * @param runner ethers provider for reads, signer for writes.
+ */
+const createMetaOraclyV1Client = ({ address, runner }) => {
+
+  const contract = new Contract(address, MetaOraclyV1ABI, runner)
+  const provider = getProvider(runner)
+
+  const getGame = async (gameid) => {
+    return toGame(await contract.getGame(gameid))
+  }
+
+  const getActiveGames = async (erc20, offset = 0) => {
+    const [games, size] = await contract.getActiveGames(erc20, offset)
+    return { games: games.map(toGame), size: Number(size) }
+  }
+
+  const isContractCallerAllowed = (caller) => contract.isContractCallerAllowed(caller)
+
+  const isGuardian = (account) => contract.isGuardian(account)
+
+  const checkOwner = async () => {
+
+    const sender = await getSender(runner)
+    const owner = await contract.owner()
+
+    return owner !== sender ? 'OwnableUnauthorizedAccount' : null
+
+  }
+
+  const preflight = {
+
+    addGame: async (pricefeed, erc20, version, schedule, positioning, expiration, minDeposit, vigorish, config, caps) => {
+
+      const unauthorized = await checkOwner()
+      if (unauthorized) return unauthorized
+
+      schedule = BigInt(schedule)
+      positioning = BigInt(positioning)
+      expiration = BigInt(expiration)
+
+      if (schedule < SHORTEST_ROUND) return 'CannotAddGameScheduleTooShort'
+      if (positioning < SHORTEST_POSITIONING) return 'CannotAddGamePositioningTooShort'
+      if (positioning > (schedule / 2n)) return 'CannotAddGamePositioningTooLarge'
+      if (expiration < SHORTEST_EXPIRATION) return 'CannotAddGameExpirationTooShort'
+      if (expiration > LONGEST_EXPIRATION) return 'CannotAddGameExpirationTooLarge'
+      if (BigInt(minDeposit) === 0n) return 'CannotAddGameMinDepositZero'
+      if (BigInt(version) === 0n) return 'CannotAddGameVersionZero'
+      if (BigInt(vigorish) > LARGEST_VIGORISH) return 'CannotAddGameVigorishTooLarge'
+
+      config = createGameConfig(config)
+      if (BigInt(config.tolerance) > LARGEST_TOLERANCE) return 'CannotAddGameToleranceTooLarge'
+      if (config.bucketEdges.length > MOST_BUCKET_EDGES) return 'CannotAddGameTooManyBucketEdges'
+      if (config.bucketEdges.length !== 0 && config.tolerance !== 0) return 'CannotAddGameToleranceWithBucketEdges'
+
+      for (const [idx, edge] of config.bucketEdges.entries()) {
+        if (Math.abs(edge) > LARGEST_BUCKET_EDGE) return 'CannotAddGameBucketEdgeTooLarge'
+        if (idx !== 0 && edge <= config.bucketEdges[idx - 1]) return 'CannotAddGameBucketEdgesNotAscending'
+      }
+
+      if (!isValidDepositCaps(caps, minDeposit)) return 'CannotAddGameDepositCapBelowMinDeposit'
+
+      const feed = new Contract(pricefeed, AGGREGATOR_DECIMALS_ABI, provider)
+      if (await feed.decimals() === 0n) return 'CannotAddGameWithInvalidFeedAddress'
+
+      if (config.pairPricefeed === getAddress(pricefeed)) return 'CannotAddGamePairPricefeedIsGamePricefeed'
+
+      if (config.pairPricefeed !== ZeroAddress) {
+        const pairFeed = new Contract(config.pairPricefeed, AGGREGATOR_DECIMALS_ABI, provider)
+        if (await pairFeed.decimals() === 0n) return 'CannotAddGameWithInvalidPairFeedAddress'
+      }
+
+      const token = new Contract(erc20, ERC20_ABI, provider)
+      if (await token.totalSupply() === 0n) return 'CannotAddGameERC20TotalSupplyCannotBeZero'
+
+      const gameid = computeGameid(pricefeed, erc20, version, schedule, positioning, config)
+      if (await getGame(gameid)) return 'CannotAddGameAlreadyExists'
+
+      return null
+
+    },
+
+    updateGameVigorish: async (gameid, vigorish) => {
+
+      const unauthorized = await checkOwner()
+      if (unauthorized) return unauthorized
+
+      if (!await getGame(gameid)) return 'CannotUpdateGameDoNotExists'
+      if (BigInt(vigorish) > LARGEST_VIGORISH) return 'CannotUpdateGameVigorishTooLarge'
+
+      return null
+
+    },
+
+    updateGameCancellationFee: async (gameid, cancellationFee) => {
+
+      const unauthorized = await checkOwner()
+      if (unauthorized) return unauthorized
+
+      if (!await getGame(gameid)) return 'CannotUpdateGameDoNotExists'
+      if (BigInt(cancellationFee) > LARGEST_CANCELLATION_FEE) return 'CannotUpdateGameCancellationFeeTooLarge'
+
+      return null
+
+    },
+
+    updateGameClaimPeriod: async (gameid, claimPeriod) => {
+
+      const unauthorized = await checkOwner()
+      if (unauthorized) return unauthorized
+
+      if (!await getGame(gameid)) return 'CannotUpdateGameDoNotExists'
+
+      claimPeriod = BigInt(claimPeriod)
+      if (claimPeriod !== 0n && claimPeriod < SHORTEST_CLAIM_PERIOD) return 'CannotUpdateGameClaimPeriodTooShort'
+
+      return null
+
+    },
+
+    updateGameResolverReward: async (gameid, resolverReward) => {
+
+      const unauthorized = await checkOwner()
+      if (unauthorized) return unauthorized
+
+      if (!await getGame(gameid)) return 'CannotUpdateGameDoNotExists'
+      if (BigInt(resolverReward) > LARGEST_RESOLVER_REWARD) return 'CannotUpdateGameResolverRewardTooLarge'
+
+      return null
+
+    },
+
+    updateGameDepositCaps: async (gameid, caps) => {
+
+      const unauthorized = await checkOwner()
+      if (unauthorized) return unauthorized
+
+      const game = await getGame(gameid)
+      if (!game) return 'CannotUpdateGameDoNotExists'
+      if (!isValidDepositCaps(caps, game.minDeposit)) return 'CannotUpdateGameDepositCapBelowMinDeposit'
+
+      return null
+
+    },
+
+    blockGame: async (gameid) => {
+
+      const unauthorized = await checkOwner()
+      if (unauthorized) return unauthorized
+
+      const game = await getGame(gameid)
+      if (!game) return 'CannotBlockGameDoNotExists'
+      if (game.blocked) return 'CannotBlockGameIsAlreadyBlocked'
+
+      return null
+
+    },
+
+    unblockGame: async (gameid) => {
+
+      const unauthorized = await checkOwner()
+      if (unauthorized) return unauthorized
+
+      const game = await getGame(gameid)
+      if (!game) return 'CannotUnblockGameDoNotExists'
+      if (!game.blocked) return 'CannotUnblockGameIsNotBlocked'
+
+      return null
+
+    },
+
+    allowContractCaller: async (caller) => {
+
+      const unauthorized = await checkOwner()
+      if (unauthorized) return unauthorized
+
+      if (getAddress(caller) === ZeroAddress) return 'CannotAllowZeroAddressContractCaller'
+      if (await isContractCallerAllowed(caller)) return 'ContractCallerIsAlreadyAllowed'
+
+      return null
+
+    },
+
+    disallowContractCaller: async (caller) => {
+
+      const unauthorized = await checkOwner()
+      if (unauthorized) return unauthorized
+
+      if (!await isContractCallerAllowed(caller)) return 'ContractCallerIsNotAllowed'
+
+      return null
+
+    },
+
+    addGuardian: async (account) => {
+
+      const unauthorized = await checkOwner()
+      if (unauthorized) return unauthorized
+
+      if (getAddress(account) === ZeroAddress) return 'CannotAddZeroAddressGuardian'
+      if (await isGuardian(account)) return 'GuardianIsAlreadyAdded'
+
+      return null
+
+    },
+
+    removeGuardian: async (account) => {
+
+      const unauthorized = await checkOwner()
+      if (unauthorized) return unauthorized
+
+      if (!await isGuardian(account)) return 'GuardianIsNotAdded'
+
+      return null
+
+    },
+
+  }
+
+  const send = createSend(contract, preflight)
+
+  return {
+    contract,
+    preflight,
+
+    getGame,
+    getActiveGames,
+    isContractCallerAllowed,
+    isGuardian,
+
+    addGame: (pricefeed, erc20, version, schedule, positioning, expiration, minDeposit, vigorish, config, caps, options) => {
+      const args = [
+        pricefeed, erc20, version, schedule, positioning, expiration, minDeposit, vigorish,
+        createGameConfig(config), createDepositCaps(caps),
+      ]
+      return send('addGame', args, options)
+    },
+    updateGameVigorish: (gameid, vigorish, options) => send('updateGameVigorish', [gameid, vigorish], options),
+    updateGameCancellationFee: (gameid, cancellationFee, options) => {
+      return send('updateGameCancellationFee', [gameid, cancellationFee], options)
+    },
+    updateGameClaimPeriod: (gameid, claimPeriod, options) => send('updateGameClaimPeriod', [gameid, claimPeriod], options),
+    updateGameResolverReward: (gameid, resolverReward, options) => {
+      return send('updateGameResolverReward', [gameid, resolverReward], options)
+    },
+    updateGameDepositCaps: (gameid, caps, options) => {
+      return send('updateGameDepositCaps', [gameid, createDepositCaps(caps)], options)
+    },
+    blockGame: (gameid, options) => send('blockGame', [gameid], options),
+    unblockGame: (gameid, options) => send('unblockGame', [gameid], options),
+    allowContractCaller: (caller, options) => send('allowContractCaller', [caller], options),
+    disallowContractCaller: (caller, options) => send('disallowContractCaller', [caller], options),
+    addGuardian: (account, options) => send('addGuardian', [account], options),
+    removeGuardian: (account, options) => send('removeGuardian', [account], options),
+  }
+
+}
+
+module.exports = {
+  createDepositCaps,
+  createMetaOraclyV1Client,
+}
@@ -0,0 +1,284 @@
+const { ZeroAddress, ZeroHash } = require('ethers')
+
+/**
+ * Mirrors EOutcome, used both for round resolutions and prediction positions.
+ */
+const OUTCOME = {
+  UNDEFINED: 0,
+  DOWN: 1,
+  UP: 2,
+  ZERO: 3,
+  NOCONTEST: 4,
+}
+
+// NOTE: mirrors OraclyV1Core.FIRST_BUCKET_POSITION, the bucket `i` of a range-bucket round is predicted as `FIRST_BUCKET_POSITION + i`
+const FIRST_BUCKET_POSITION = 5
+
+/**
+ * Mirrors `OraclyV1Core._getPositionRange`: `[first, last]` positions of a round with the given bucket edges.
+ */
+const getPositionRange = (bucketEdges) => {
+
+  if (bucketEdges.length === 0) return [OUTCOME.DOWN, OUTCOME.ZERO]
+
+  return [FIRST_BUCKET_POSITION, FIRST_BUCKET_POSITION + bucketEdges.length]
+
+}
+
+// NOTE: `OraclyV1.getRound` arrays are `[total, down, up, zero]`, `OraclyV1.getRoundBuckets` ones have a value per bucket
+const toOutcomes = (values, buckets = []) => ({
+  total: values[0],
+  down: values[1],
+  up: values[2],
+  zero: values[3],
+  ...(buckets.length ? { buckets: [...buckets] } : {}),
+})
+
+// NOTE: `OraclyV1.getBettor` arrays are `[total, up, down, zero]`
+const toBettorOutcomes = (values) => ({
+  total: values[0],
+  down: values[2],
+  up: values[1],
+  zero: values[3],
+})
+
+const toPrice = (price) => ({
+  value: price.value,
+  timestamp: Number(price.timestamp),
+  roundid: price.roundid,
+})
+
+// NOTE: `OraclyV1.getRoundPair` returns an empty pair for single price feed rounds
+const toPair = (pair) => {
+
+  if (!pair || pair.pricefeed === ZeroAddress) return null
+
+  return {
+    pricefeed: pair.pricefeed,
+    entryPrice: toPrice(pair.entryPrice),
+    exitPrice: toPrice(pair.exitPrice),
+  }
+
+}
+
+/**
+ * Converts the result of `OraclyV1.getRound`, `OraclyV1.getRoundBuckets` and `OraclyV1.getRoundPair`, returns null for an unknown round.
+ * Range-bucket rounds get the per-bucket values in `prizepools.buckets`, `bettors.buckets` and `predictions.buckets`,
+ * pair-performance rounds get the pair price feed and its prices in `pair`, null for single price feed rounds.
+ * The deposit caps are copied from the game at the round creation, the `capacity` left under the round cap is `MaxUint256` for uncapped rounds.
+ */
+const toRound = ([round, prizepools, bettors, predictions, capacity], [bucketEdges, bucketPools, bucketBettors, bucketPredictions] = [[], [], [], []], [pair] = [null]) => {
+
+  if (round.roundid === ZeroHash) return null
+
+  return {
+    roundid: round.roundid,
+    gameid: round.gameid,
+    resolution: Number(round.resolution),
+    entryPrice: toPrice(round.entryPrice),
+    exitPrice: toPrice(round.exitPrice),
+    startDate: Number(round.startDate),
+    lockDate: Number(round.lockDate),
+    endDate: Number(round.endDate),
+    expirationDate: Number(round.expirationDate),
+    resolved: round.resolved,
+    resolvedAt: Number(round.resolvedAt),
+    openedAt: Number(round.openedAt),
+    erc20: round.erc20,
+    pricefeed: round.pricefeed,
+    archived: round.archived,
+    archivedAt: Number(round.archivedAt),
+    vigorish: Number(round.vigorish),
+    cancellationFee: Number(round.cancellationFee),
+    claimDeadline: Number(round.claimDeadline),
+    resolverReward: Number(round.resolverReward),
+    resolverRewardPaid: round.resolverRewardPaid,
+    tolerance: Number(round.tolerance),
+    bucketEdges: bucketEdges.map(Number),
+    maxDeposit: round.maxDeposit,
+    bettorRoundCap: round.bettorRoundCap,
+    roundCap: round.roundCap,
+    pair: toPair(pair),
+    prizepools: toOutcomes(prizepools, bucketPools),
+    bettors: toOutcomes(bettors, bucketBettors),
+    predictions: toOutcomes(predictions, bucketPredictions),
+    capacity,
+  }
+
+}
+
+/**
+ * Converts a Prediction struct, returns null for an unknown prediction.
+ */
+const toPrediction = (prediction) => {
+
+  if (prediction.predictionid === ZeroHash) return null
+
+  return {
+    predictionid: prediction.predictionid,
+    roundid: prediction.roundid,
+    gameid: prediction.gameid,
+    bettor: prediction.bettor,
+    position: Number(prediction.position),
+    deposit: prediction.deposit,
+    claimed: prediction.claimed,
+    createdAt: Number(prediction.createdAt),
+    payout: prediction.payout,
+    commission: prediction.commission,
+    erc20: prediction.erc20,
+  }
+
+}
+
+/**
+ * Converts a Game struct, returns null for an unknown game.
+ */
+const toGame = (game) => {
+
+  if (game.gameid === ZeroHash) return null
+
+  return {
+    gameid: game.gameid,
+    pricefeed: game.pricefeed,
+    erc20: game.erc20,
+    version: Number(game.version),
+    schedule: Number(game.schedule),
+    positioning: Number(game.positioning),
+    expiration: Number(game.expiration),
+    minDeposit: game.minDeposit,
+    vigorish: Number(game.vigorish),
+    cancellationFee: Number(game.cancellationFee),
+    claimPeriod: Number(game.claimPeriod),
+    resolverReward: Number(game.resolverReward),
+    tolerance: Number(game.tolerance),
+    bucketEdges: game.bucketEdges.map(Number),
+    pairPricefeed: game.pairPricefeed,
+    maxDeposit: game.maxDeposit,
+    bettorRoundCap: game.bettorRoundCap,
+    roundCap: game.roundCap,
+    blocked: game.blocked,
+  }
+
+}
+
+/**
+ * Converts the result of `OraclyV1.getBettor`, returns null for an unknown bettor.
+ */
+const toBettor = ([bettorid, predictions, deposits, payouts]) => {
+
+  if (bettorid === ZeroAddress) return null
+
+  return {
+    bettorid,
+    predictions: toBettorOutcomes(predictions),
+    deposits: toBettorOutcomes(deposits),
+    payouts: toBettorOutcomes(payouts),
+  }
+
+}
+
+/**
+ * Converts a Deposit struct, returns null for an unknown deposit.
+ */
+const toDeposit = (deposit) => {
+
+  if (deposit.depositid === ZeroHash) return null
+
+  return {
+    depositid: deposit.depositid,
+    staker: deposit.staker,
+    inEpochid: deposit.inEpochid,
+    createdAt: Number(deposit.createdAt),
+    amount: deposit.amount,
+    outEpochid: deposit.outEpochid,
+    unstaked: deposit.unstaked,
+    unstakedAt: Number(deposit.unstakedAt),
+    withdrawn: deposit.withdrawn,
+    withdrawnAt: Number(deposit.withdrawnAt),
+  }
+
+}
+
+// NOTE: stakes (deposits count) and stakepool (amounts) are `[total, pendingIn, pendingOut]`
+const toStakes = (values) => ({
+  total: values[0],
+  pendingIn: values[1],
+  pendingOut: values[2],
+})
+
+/**
+ * Converts the result of `StakingOraclyV1.getEpoch`.
+ * Epochs are created on chain lazily, stakes of an epoch are tracked before
+ * it is created, `created` tells if its dates are set.
+ */
+const toEpoch = (epochid, [epoch, stakes, stakepool, rewards]) => {
+
+  return {
+    epochid: BigInt(epochid),
+    created: epoch.epochid !== 0n,
+    startDate: Number(epoch.startDate),
+    endDate: Number(epoch.endDate),
+    startedAt: Number(epoch.startedAt),
+    endedAt: Number(epoch.endedAt),
+    stakes: toStakes(stakes),
+    stakepool: toStakes(stakepool),
+    rewards: {
+      rewardpool: rewards[0],
+      released: rewards[1],
+    },
+  }
+
+}
+
+/**
+ * Converts the result of `MentoringOraclyV1.getMentor`, returns null for an unknown mentor.
+ */
+const toMentor = ([mentorid, circle, rewards, payouts, createdAt, updatedAt]) => {
+
+  if (mentorid === ZeroAddress) return null
+
+  return {
+    mentorid,
+    circle: Number(circle),
+    rewards,
+    payouts,
+    createdAt: Number(createdAt),
+    updatedAt: Number(updatedAt),
+  }
+
+}
+
+/**
+ * Converts the result of `MentoringOraclyV1.getProtege`, returns null for an unknown protege.
+ * `mentor` is the zero address once the protege is expelled.
+ */
+const toProtege = ([protegeid, mentor, earned, earnedTotal, createdAt, updatedAt]) => {
+
+  if (protegeid === ZeroAddress) return null
+
+  return {
+    protegeid,
+    mentor,
+    earned,
+    earnedTotal,
+    createdAt: Number(createdAt),
+    updatedAt: Number(updatedAt),
+  }
+
+}
+
+module.exports = {
+  OUTCOME,
+  FIRST_BUCKET_POSITION,
+
+  getPositionRange,
+
+  toRound,
+  toPrediction,
+  toGame,
+  toBettor,
+  toDeposit,
+  toEpoch,
+  toMentor,
+  toProtege,
+}
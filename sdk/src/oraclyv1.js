@@ -0,0 +1,677 @@
+const { Contract, ZeroAddress, getAddress } = require('ethers')
+
+const OraclyV1ABI = require('../abi/OraclyV1.json')
+
+const { OUTCOME, FIRST_BUCKET_POSITION, getPositionRange, toRound, toPrediction, toBettor } = require('./models')
+const { getPositionPrizepool } = require('./payout')
+const { AGGREGATOR_V3_ABI, UINT80_MAX, isValidResolution, getContractPrice, locateRoundExitPrice } = require('./exitprice')
+const { createMetaOraclyV1Client } = require('./meta')
+const { computeRoundid, getRoundStartDate } = require('./ids')
+const { NO_PERMIT, getDomain, toPredictionIntent, signPredictionIntent, recoverPredictionIntent } = require('./intents')
+const {
+  ERC20_ABI,
+  getProvider,
+  getSender,
+  nextTimestamp,
+  checkOffChainCallable,
+  createSend,
+} = require('./preflight')
+
+// NOTE: mirrors OraclyV1Core.TOLERANCE_BASIS_POINTS and OraclyV1Core.BUCKET_EDGE_BASIS_POINTS
+const TOLERANCE_BASIS_POINTS = 10000n
+const BUCKET_EDGE_BASIS_POINTS = 10000n
+
+const toPredictionsPage = ([predictions, size]) => ({
+  predictions: predictions.map(toPrediction),
+  size: Number(size),
+})
+
+/**
+ * Creates an OraclyV1 client.
+ *
+ * @param address OraclyV1 address.
+ * @param runner ethers provider for reads, signer for writes.
+ */
+const createOraclyV1Client = ({ address, runner }) => {
+
+  const contract = new Contract(address, OraclyV1ABI, runner)
+  const provider = getProvider(runner)
+
+  let meta = null
+  const getMeta = async () => {
+    if (!meta) {
+      meta = createMetaOraclyV1Client({ address: await contract.METAORACLY_CONTRACT(), runner })
+    }
+    return meta
+  }
+
+  const getRound = async (roundid) => {
+    const [round, buckets, pair] = await Promise.all([
+      contract.getRound(roundid),
+      contract.getRoundBuckets(roundid),
+      contract.getRoundPair(roundid),
+    ])
+    return toRound(round, buckets, pair)
+  }
+
+  const getPrediction = async (predictionid) => toPrediction(await contract.getPrediction(predictionid))
+
+  const getBettor = async (bettor, erc20) => toBettor(await contract.getBettor(bettor, erc20))
+
+  const getGameRounds = async (gameid, offset = 0) => {
+    const [roundids, size] = await contract.getGameRounds(gameid, offset)
+    return { roundids: [...roundids], size: Number(size) }
+  }
+
+  const getRoundPredictions = async (roundid, position = OUTCOME.UNDEFINED, offset = 0) => {
+    return toPredictionsPage(await contract.getRoundPredictions(roundid, position, offset))
+  }
+
+  const getBettorPredictions = async (bettor, position = OUTCOME.UNDEFINED, offset = 0) => {
+    return toPredictionsPage(await contract.getBettorPredictions(bettor, position, offset))
+  }
+
+  const isBettorInRound = (bettor, roundid) => contract.isBettorInRound(bettor, roundid)
+
+  // NOTE: multipliers have MULTIPLIER_PRECISION precision, zero for a position without deposits
+  const getRoundMultipliers = async (roundid) => {
+    const [down, up, zero] = await contract.getRoundMultipliers(roundid)
+    return { down, up, zero }
+  }
+
+  // NOTE: in the order of the `getRoundBuckets` prizepools, empty for a round without buckets
+  const getRoundBucketMultipliers = async (roundid) => {
+    return [...await contract.getRoundBucketMultipliers(roundid)]
+  }
+
+  // NOTE: falls back to the settings of the game for a round not opened yet
+  const getProjectedPayout = async (gameid, roundid, position, amount) => {
+    const [payout, commission] = await contract.getProjectedPayout(gameid, roundid, position, amount)
+    return { payout, commission }
+  }
+
+  // NOTE: each capacity is `MaxUint256` without its cap, a round not opened yet gets the caps of its game
+  const getDepositCapacity = async (gameid, roundid, bettor, position) => {
+    const [prediction, bettorRound, round] = await contract.getDepositCapacity(gameid, roundid, bettor, position)
+    return { prediction, bettor: bettorRound, round }
+  }
+
+  const getClaimable = async (predictionid) => {
+    const [payout, commission] = await contract.getClaimable(predictionid)
+    return { payout, commission }
+  }
+
+  // NOTE: paid along with the payout of `getClaimable`, with no commission
+  const getClaimableBonus = (predictionid) => contract.getClaimableBonus(predictionid)
+
+  const getRoundBonus = async (roundid) => {
+    const [bonus, released] = await contract.getRoundBonus(roundid)
+    return { bonus, released }
+  }
+
+  const getRoundSponsorship = (roundid, sponsor) => contract.getRoundSponsorship(roundid, sponsor)
+
+  const getUnpaidClaim = async (bettor, erc20) => {
+    const [payout, commission] = await contract.getUnpaidClaim(bettor, erc20)
+    return { payout, commission }
+  }
+
+  const getUnpaidBettors = async (erc20, offset = 0) => {
+    const [bettors, size, total] = await contract.getUnpaidBettors(erc20, offset)
+    return { bettors: [...bettors], size: Number(size), total }
+  }
+
+  // NOTE: credited on resolution, claimed with claimResolverReward
+  const getResolverReward = (resolver, erc20) => contract.getResolverReward(resolver, erc20)
+
+  // NOTE: held + unpaid is the balance needed to recover the ERC20 token
+  const getLiabilities = async (erc20) => {
+    const [held, unpaid] = await contract.getLiabilities(erc20)
+    return { held, unpaid }
+  }
+
+  const locateExitPrice = (roundid, options) => locateRoundExitPrice(contract, roundid, options)
+
+  // NOTE: located on-chain within EXIT_PRICE_SEARCH_STEPS reads, zero if not found
+  const locateExitPriceid = (roundid) => contract.locateExitPriceid(roundid)
+
+  const getIntentNonce = (bettor) => contract.getIntentNonce(bettor)
+
+  /**
+   * Signs a prediction intent with the runner signer, for a relayer to submit with `placePredictionBySig`.
+   * The bettor and the nonce default to the signer and its next intent nonce.
+   */
+  const createPredictionIntent = async ({ amount, position, gameid, roundid, deadline, nonce = null }) => {
+
+    const bettor = await getSender(runner)
+    if (nonce === null) nonce = await getIntentNonce(bettor)
+
+    const intent = toPredictionIntent({ bettor, amount, position, gameid, roundid, deadline, nonce })
+    const signature = await signPredictionIntent(runner, await getDomain(contract), intent)
+
+    return { intent, signature }
+
+  }
+
+  /**
+   * Mirrors `OraclyV1Core._resolve` at `timestamp`,
+   * returns the revert reason or the resolution the round would get.
+   */
+  const simulateResolve = async (round, exitPriceid, timestamp) => {
+
+    if (round && round.resolved) return { reason: 'CannotResolveResolvedRound' }
+    if (!round || round.openedAt === 0) return { reason: 'CannotResolveUnopenedRound' }
+
+    const { total } = round.prizepools
+    const [first, last] = getPositionRange(round.bucketEdges)
+
+    let singleOutcome = false
+    for (let position = first; position <= last; position++) {
+      if (getPositionPrizepool(round.prizepools, position) === total) singleOutcome = true
+    }
+
+    if (singleOutcome) {
+      if (timestamp <= round.lockDate) return { reason: 'CannotResolveRoundDuringPositioning' }
+      return { reason: null, resolution: OUTCOME.NOCONTEST }
+    }
+
+    if (timestamp <= round.endDate) return { reason: 'CannotResolveRoundBeforeEndDate' }
+    if (timestamp > round.expirationDate) return { reason: null, resolution: OUTCOME.NOCONTEST }
+
+    if (await contract.__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__(round.erc20)) {
+      return { reason: null, resolution: OUTCOME.NOCONTEST }
+    }
+
+    const game = await (await getMeta()).getGame(round.gameid)
+    if (game.blocked) return { reason: null, resolution: OUTCOME.NOCONTEST }
+
+    if (BigInt(exitPriceid) === 0n) return { reason: 'CannotResolveRoundWithoutPrice' }
+    if (BigInt(exitPriceid) === UINT80_MAX) return { reason: 'InvalidRoundResolution' }
+
+    const feed = new Contract(round.pricefeed, AGGREGATOR_V3_ABI, provider)
+    const exitPrice = await getContractPrice(feed, exitPriceid)
+    const controlPrice = await getContractPrice(feed, BigInt(exitPriceid) + 1n)
+
+    if (!isValidResolution(round, exitPrice, controlPrice)) return { reason: 'InvalidRoundResolution' }
+
+    // NOTE: the move relative to `base`, pair-performance rounds compare the relative changes of both price feeds
+    let move = exitPrice.value - round.entryPrice.value
+    let base = round.entryPrice.value
+
+    if (round.pair) {
+
+      const [, pairExitPriceid] = await contract.getRoundPair(round.roundid)
+
+      const pairFeed = new Contract(round.pair.pricefeed, AGGREGATOR_V3_ABI, provider)
+      const pairExitPrice = await getContractPrice(pairFeed, pairExitPriceid)
+      const pairControlPrice = await getContractPrice(pairFeed, pairExitPriceid + 1n)
+
+      const pairRound = { ...round, entryPrice: round.pair.entryPrice }
+      if (!isValidResolution(pairRound, pairExitPrice, pairControlPrice)) return { reason: 'InvalidRoundResolution' }
+
+      move = exitPrice.value * round.pair.entryPrice.value - pairExitPrice.value * round.entryPrice.value
+      base = round.entryPrice.value * round.pair.entryPrice.value
+
+    }
+
+    // NOTE: moves within the tolerance band of the round resolve to Zero, range-bucket rounds ignore it
+    const band = base * BigInt(round.tolerance)
+
+    let resolution = OUTCOME.ZERO
+    if (move * TOLERANCE_BASIS_POINTS > band) resolution = OUTCOME.UP
+    if (-move * TOLERANCE_BASIS_POINTS > band) resolution = OUTCOME.DOWN
+
+    if (round.bucketEdges.length) {
+      const change = move * BUCKET_EDGE_BASIS_POINTS
+      const bucket = round.bucketEdges.filter(edge => change >= base * BigInt(edge)).length
+      resolution = FIRST_BUCKET_POSITION + bucket
+    }
+
+    const prizepool = getPositionPrizepool(round.prizepools, resolution)
+    if (prizepool === 0n || prizepool === total) resolution = OUTCOME.NOCONTEST
+
+    return { reason: null, resolution }
+
+  }
+
+  /**
+   * Mirrors `OraclyV1Core._claimPrediction` for a round with the given resolution.
+   */
+  const checkClaim = async (sender, round, predictionid, erc20, resolution) => {
+
+    erc20 = getAddress(erc20)
+    if (erc20 === ZeroAddress) return 'ERC20AddressZero'
+
+    const prediction = await getPrediction(predictionid)
+    if (!prediction || !round || prediction.roundid !== round.roundid) return 'PredictionRoundMismatch'
+    if (round.erc20 !== erc20) return 'ERC20PredictionRoundMismatch'
+    if (prediction.bettor !== sender) return 'BettorPredictionMismatch'
+    if (prediction.claimed) return 'CannotClaimClaimedPrediction'
+    if (resolution === OUTCOME.UNDEFINED) return 'CannotClaimPredictionUnresolvedRound'
+
+    if (resolution !== OUTCOME.NOCONTEST && resolution !== prediction.position) {
+      return 'CannotClaimLostPrediction'
+    }
+    if (round.archived) return 'CannotClaimPredictionArchivedRound'
+
+    return null
+
+  }
+
+  /**
+   * Mirrors `OraclyV1._placePrediction` for the bettor,
+   * a permit valid at the next block counts as allowance.
+   */
+  const checkPlacePrediction = async (bettor, amount, position, gameid, roundid, permit) => {
+
+    const game = await (await getMeta()).getGame(gameid)
+    if (!game) return 'NotSupportedGame'
+    if (game.blocked) return 'CannotPlacePredictionGameIsBlocked'
+
+    if (await contract.__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__(game.erc20)) {
+      return 'CannotPlacePredictionERC20TokenIsBlocked'
+    }
+
+    // NOTE: rounds keep the bucket edges of their game at creation
+    const round = await getRound(roundid)
+    const [first, last] = getPositionRange(round ? round.bucketEdges : game.bucketEdges)
+
+    position = Number(position)
+    if (position < first || position > last) return 'NotSupportedPosition'
+
+    amount = BigInt(amount)
+    if (amount < game.minDeposit) return 'UnacceptableDepositAmount'
+
+    const timestamp = await nextTimestamp(provider)
+
+    const token = new Contract(game.erc20, ERC20_ABI, provider)
+    if (await token.balanceOf(bettor) < amount) return 'InsufficientFunds'
+
+    let allowance = await token.allowance(bettor, contract.target)
+    if (BigInt(permit.deadline) >= BigInt(timestamp)) allowance = BigInt(permit.value)
+    if (allowance < amount) return 'InsufficientAllowance'
+
+    const startDate = getRoundStartDate(game.schedule, timestamp)
+    if (computeRoundid(gameid, startDate) !== roundid) {
+      return 'CannotPlacePredictionIntoUnactualRound'
+    }
+    if (timestamp - startDate >= game.positioning) return 'CannotPlacePredictionOutOfPositioningPeriod'
+
+    // NOTE: rounds keep the deposit caps of their game at creation, a round not created yet gets the current ones
+    const capacity = await getDepositCapacity(gameid, roundid, bettor, position)
+    if (amount > capacity.prediction) return 'PredictionDepositCapExceeded'
+    if (amount > capacity.bettor) return 'BettorRoundDepositCapExceeded'
+    if (amount > capacity.round) return 'RoundDepositCapExceeded'
+
+    return null
+
+  }
+
+  /**
+   * Mirrors `OraclyV1Extension._withdrawPrediction` for the bettor.
+   */
+  const checkDecreasePrediction = async (bettor, predictionid, amount) => {
+
+    const prediction = await getPrediction(predictionid)
+    if (!prediction || prediction.bettor !== bettor) return 'BettorPredictionMismatch'
+
+    const game = await (await getMeta()).getGame(prediction.gameid)
+
+    amount = BigInt(amount)
+    if (amount === 0n || amount > prediction.deposit) return 'UnacceptableDecreaseAmount'
+
+    const remaining = prediction.deposit - amount
+    if (remaining !== 0n && remaining < game.minDeposit) return 'UnacceptableDecreaseAmount'
+
+    const round = await getRound(prediction.roundid)
+    if (await nextTimestamp(provider) >= round.lockDate) return 'CannotDecreasePredictionOutOfPositioningPeriod'
+
+    if (await contract.__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__(prediction.erc20)) {
+      return 'CannotDecreasePredictionERC20TokenIsBlocked'
+    }
+
+    return null
+
+  }
+
+  const preflight = {
+
+    placePrediction: async (amount, position, gameid, roundid) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      return checkPlacePrediction(sender, amount, position, gameid, roundid, NO_PERMIT)
+
+    },
+
+    // NOTE: ERC-1271 signatures of smart contract bettors and permit signatures are left to the contracts
+    placePredictionBySig: async (intent, signature, permit) => {
+
+      intent = toPredictionIntent(intent)
+      const bettor = getAddress(intent.bettor)
+
+      if (await nextTimestamp(provider) > intent.deadline) return 'PredictionIntentExpired'
+      if (intent.nonce !== await getIntentNonce(bettor)) return 'InvalidPredictionIntentNonce'
+
+      const eoa = await checkOffChainCallable(provider, bettor, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      if (await provider.getCode(bettor) === '0x') {
+        const signer = recoverPredictionIntent(await getDomain(contract), intent, signature)
+        if (signer !== bettor) return 'InvalidPredictionIntentSignature'
+      }
+
+      return checkPlacePrediction(bettor, intent.amount, intent.position, intent.gameid, intent.roundid, permit)
+
+    },
+
+    decreasePrediction: async (predictionid, amount) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      return checkDecreasePrediction(sender, predictionid, amount)
+
+    },
+
+    cancelPrediction: async (predictionid) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      const prediction = await getPrediction(predictionid)
+
+      return checkDecreasePrediction(sender, predictionid, prediction ? prediction.deposit : 0n)
+
+    },
+
+    // NOTE: the round is resolved as No Contest when needed, its settlement period is over
+    sweepRound: async (roundid) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      const round = await getRound(roundid)
+      if (!round || round.openedAt === 0) return 'CannotSweepUnopenedRound'
+      if (round.archived) return 'CannotSweepArchivedRound'
+      if (round.claimDeadline === 0) return 'CannotSweepRoundWithoutClaimDeadline'
+      if (await nextTimestamp(provider) <= round.claimDeadline) return 'CannotSweepRoundBeforeClaimDeadline'
+
+      if (await contract.__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__(round.erc20)) {
+        return 'CannotSweepRoundERC20TokenIsBlocked'
+      }
+
+      return null
+
+    },
+
+    recoverPrizepool: async (erc20, topup) => {
+
+      const sender = await getSender(runner)
+
+      const { contract: metaContract, isGuardian } = await getMeta()
+      if (sender !== await metaContract.owner() && !await isGuardian(sender)) return 'OnlyOwnerOrGuardianAllowed'
+
+      if (!await contract.__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__(erc20)) return 'CannotRecoverERC20TokenIsNotBlocked'
+
+      topup = BigInt(topup)
+      const token = new Contract(erc20, ERC20_ABI, provider)
+      if (topup !== 0n) {
+        if (await token.balanceOf(sender) < topup) return 'InsufficientFunds'
+        if (await token.allowance(sender, contract.target) < topup) return 'InsufficientAllowance'
+      }
+
+      const { held, unpaid } = await getLiabilities(erc20)
+      if (await token.balanceOf(contract.target) + topup < held + unpaid) return 'CannotRecoverInsufficientBalance'
+
+      return null
+
+    },
+
+    reclaimUnpaid: async (erc20) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      if (await contract.__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__(erc20)) return 'CannotReclaimERC20TokenIsBlocked'
+
+      const { payout, commission } = await getUnpaidClaim(sender, erc20)
+      if (payout + commission === 0n) return 'NothingToReclaim'
+
+      return null
+
+    },
+
+    sponsorRound: async (gameid, startDate, amount) => {
+
+      const sender = await getSender(runner)
+
+      const game = await (await getMeta()).getGame(gameid)
+      if (!game) return 'NotSupportedGame'
+      if (game.blocked) return 'CannotSponsorRoundGameIsBlocked'
+
+      if (await contract.__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__(game.erc20)) {
+        return 'CannotSponsorRoundERC20TokenIsBlocked'
+      }
+
+      amount = BigInt(amount)
+      if (amount === 0n) return 'UnacceptableSponsorshipAmount'
+
+      startDate = Number(startDate)
+      if (startDate % game.schedule !== 0) return 'CannotSponsorRoundWithInvalidStartDate'
+      if (await nextTimestamp(provider) >= startDate + game.positioning) return 'CannotSponsorRoundOutOfPositioningPeriod'
+
+      const token = new Contract(game.erc20, ERC20_ABI, provider)
+      if (await token.balanceOf(sender) < amount) return 'InsufficientFunds'
+      if (await token.allowance(sender, contract.target) < amount) return 'InsufficientAllowance'
+
+      return null
+
+    },
+
+    reclaimSponsorship: async (gameid, startDate) => {
+
+      const sender = await getSender(runner)
+
+      const roundid = computeRoundid(gameid, startDate)
+      if (await getRoundSponsorship(roundid, sender) === 0n) return 'NothingToReclaim'
+
+      const game = await (await getMeta()).getGame(gameid)
+      const round = await getRound(roundid)
+      if (!round || round.openedAt === 0) {
+        if (await nextTimestamp(provider) < Number(startDate) + game.positioning) return 'CannotReclaimSponsorshipRoundIsNotNoContest'
+      } else if (!round.resolved || round.resolution !== OUTCOME.NOCONTEST) {
+        return 'CannotReclaimSponsorshipRoundIsNotNoContest'
+      }
+
+      if (await contract.__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__(game.erc20)) return 'CannotReclaimERC20TokenIsBlocked'
+
+      return null
+
+    },
+
+    claimResolverReward: async (erc20) => {
+
+      const sender = await getSender(runner)
+
+      if (await getResolverReward(sender, erc20) === 0n) return 'NothingToClaim'
+      if (await contract.__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__(erc20)) return 'CannotClaimERC20TokenIsBlocked'
+
+      return null
+
+    },
+
+    resolve: async (roundid, exitPriceid) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      const round = await getRound(roundid)
+      const { reason } = await simulateResolve(round, exitPriceid, await nextTimestamp(provider))
+
+      return reason
+
+    },
+
+    locateAndResolve: async (roundid) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      const round = await getRound(roundid)
+      const exitPriceid = await locateExitPriceid(roundid)
+      const { reason } = await simulateResolve(round, exitPriceid, await nextTimestamp(provider))
+
+      return reason
+
+    },
+
+    resolve4withdraw: async (roundid, predictionid, erc20, exitPriceid) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      const round = await getRound(roundid)
+
+      let resolution = round && round.resolution
+      if (!round || !round.resolved) {
+        const simulation = await simulateResolve(round, exitPriceid, await nextTimestamp(provider))
+        if (simulation.reason) return simulation.reason
+        resolution = simulation.resolution
+      }
+
+      return checkClaim(sender, round, predictionid, erc20, resolution)
+
+    },
+
+    withdraw: async (roundid, predictionid, erc20) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      const round = await getRound(roundid)
+
+      return checkClaim(sender, round, predictionid, erc20, round && round.resolution)
+
+    },
+
+    // NOTE: failed items do not revert the batch, see previewWithdrawBatch
+    withdrawBatch: async (roundids, predictionids, exitPriceids) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      if (roundids.length !== predictionids.length || roundids.length !== exitPriceids.length) {
+        return 'BatchLengthMismatch'
+      }
+
+      return null
+
+    },
+
+  }
+
+  /**
+   * Simulates `withdrawBatch` for the signer,
+   * resolves to the revert reason of every item or `null` for the ones that would be claimed.
+   */
+  const previewWithdrawBatch = async (roundids, predictionids, exitPriceids) => {
+
+    const errors = await contract.withdrawBatch.staticCall(roundids, predictionids, exitPriceids)
+
+    return errors.map(error => error || null)
+
+  }
+
+  const send = createSend(contract, preflight)
+
+  return {
+    contract,
+    preflight,
+
+    getRound,
+    getPrediction,
+    getBettor,
+    getGameRounds,
+    getRoundPredictions,
+    getBettorPredictions,
+    isBettorInRound,
+    getRoundMultipliers,
+    getRoundBucketMultipliers,
+    getProjectedPayout,
+    getDepositCapacity,
+    getClaimable,
+    getClaimableBonus,
+    getRoundBonus,
+    getRoundSponsorship,
+    getUnpaidClaim,
+    getUnpaidBettors,
+    getLiabilities,
+    getResolverReward,
+    locateExitPrice,
+    locateExitPriceid,
+    previewWithdrawBatch,
+    getIntentNonce,
+    createPredictionIntent,
+
+    placePrediction: (amount, position, gameid, roundid, options) => {
+      return send('placePrediction', [amount, position, gameid, roundid], options)
+    },
+    placePredictionBySig: (intent, signature, permit, options) => {
+      return send('placePredictionBySig', [intent, signature, permit], options)
+    },
+    decreasePrediction: (predictionid, amount, options) => {
+      return send('decreasePrediction', [predictionid, amount], options)
+    },
+    cancelPrediction: (predictionid, options) => send('cancelPrediction', [predictionid], options),
+    sweepRound: (roundid, options) => send('sweepRound', [roundid], options),
+    recoverPrizepool: (erc20, topup, options) => send('recoverPrizepool', [erc20, topup], options),
+    reclaimUnpaid: (erc20, options) => send('reclaimUnpaid', [erc20], options),
+    sponsorRound: (gameid, startDate, amount, options) => {
+      return send('sponsorRound', [gameid, startDate, amount], options)
+    },
+    reclaimSponsorship: (gameid, startDate, options) => {
+      return send('reclaimSponsorship', [gameid, startDate], options)
+    },
+    claimResolverReward: (erc20, options) => send('claimResolverReward', [erc20], options),
+    resolve: (roundid, exitPriceid, options) => {
+      return send('resolve', [roundid, exitPriceid], options)
+    },
+    locateAndResolve: (roundid, options) => send('locateAndResolve', [roundid], options),
+    resolve4withdraw: (roundid, predictionid, erc20, exitPriceid, options) => {
+      return send('resolve4withdraw', [roundid, predictionid, erc20, exitPriceid], options)
+    },
+    withdraw: (roundid, predictionid, erc20, options) => {
+      return send('withdraw', [roundid, predictionid, erc20], options)
+    },
+    withdrawBatch: (roundids, predictionids, exitPriceids, options) => {
+      return send('withdrawBatch', [roundids, predictionids, exitPriceids], options)
+    },
+  }
+
+}
+
+module.exports = {
+  createOraclyV1Client,
+}
@@ -0,0 +1,194 @@
+const { OUTCOME, FIRST_BUCKET_POSITION } = require('./models')
+
+// NOTE: mirrors OraclyV1Core.VIGORISH_BASIS_POINTS and OraclyV1Core.RESOLVER_REWARD_BASIS_POINTS
+const VIGORISH_BASIS_POINTS = 10000n
+const RESOLVER_REWARD_BASIS_POINTS = 10000n
+
+const POSITION_PRIZEPOOL = {
+  [OUTCOME.DOWN]: 'down',
+  [OUTCOME.UP]: 'up',
+  [OUTCOME.ZERO]: 'zero',
+}
+
+/**
+ * Prizepool of a position, bucket positions read `prizepools.buckets`.
+ */
+const getPositionPrizepool = (prizepools, position) => {
+
+  position = Number(position)
+  if (position >= FIRST_BUCKET_POSITION) return BigInt(prizepools.buckets[position - FIRST_BUCKET_POSITION])
+
+  return BigInt(prizepools[POSITION_PRIZEPOOL[position]])
+
+}
+
+/**
+ * Mirrors OpenZeppelin `Math.ceilDiv`
+ */
+const ceilDiv = (a, b) => {
+
+  if (b === 0n) throw new RangeError('Division by zero')
+  if (a === 0n) return 0n
+
+  return (a - 1n) / b + 1n
+
+}
+
+/**
+ * Mirrors `OraclyV1Core._calculatePrize`: the share of the total prizepool won by a deposit,
+ * minus the vigorish rounded up.
+ *
+ * @param vigorish Round vigorish in basis points.
+ */
+const calculatePrize = (deposit, positionpool, totalpool, vigorish) => {
+
+  const prize = (BigInt(totalpool) * BigInt(deposit)) / BigInt(positionpool)
+  const commission = ceilDiv(prize * BigInt(vigorish), VIGORISH_BASIS_POINTS)
+
+  return { payout: prize - commission, commission }
+
+}
+
+/**
+ * Mirrors `OraclyV1Core._calculatePayout`.
+ *
+ * The last winning prediction to be claimed also collects the rounding remainder of the prizepool
+ * as commission, that requires the claims state of the round which `getRound` does not return.
+ * The resolver reward paid is deducted from the commission, pro rata to the deposit.
+ *
+ * @param prediction Prediction: `deposit`, `position`, `claimed`.
+ * @param round Round: `resolved`, `resolution`, `prizepools`, `vigorish`, `resolverRewardPaid` (optional).
+ * @param state.unclaimed Unclaimed predictions on the winning position, this one included.
+ *                        The remainder is only applied when it is given.
+ * @param state.released Prizepool released by earlier claims of the round and the resolver reward.
+ * @param state.vigorish Vigorish in basis points, the round one by default.
+ * @return `{ payout, commission }`, both zero for a lost, claimed or unresolved prediction.
+ */
+const calculatePayout = (prediction, round, { unclaimed = null, released = 0n, vigorish = round.vigorish } = {}) => {
+
+  if (prediction.claimed || !round.resolved) return { payout: 0n, commission: 0n }
+
+  const resolution = Number(round.resolution)
+  if (resolution === OUTCOME.NOCONTEST) return { payout: BigInt(prediction.deposit), commission: 0n }
+
+  const position = Number(prediction.position)
+  if (resolution !== position) return { payout: 0n, commission: 0n }
+
+  const totalpool = BigInt(round.prizepools.total)
+  const positionpool = getPositionPrizepool(round.prizepools, position)
+  let { payout, commission } = calculatePrize(
+    prediction.deposit,
+    positionpool,
+    totalpool,
+    vigorish
+  )
+
+  const resolverRewardPaid = BigInt(round.resolverRewardPaid || 0n)
+  if (resolverRewardPaid !== 0n) {
+    const share = (resolverRewardPaid * BigInt(prediction.deposit)) / positionpool
+    commission -= share < commission ? share : commission
+  }
+
+  if (unclaimed !== null && BigInt(unclaimed) === 1n) {
+    const prizepool = totalpool - BigInt(released)
+    if (prizepool < payout) payout = prizepool
+    commission = prizepool - payout
+  }
+
+  return { payout, commission }
+
+}
+
+/**
+ * Replays the claims of a resolved round in the order of `predictions`,
+ * which must hold every prediction of the round.
+ * Lost predictions are skipped, as the contract refuses to pay them out.
+ *
+ * @return `{ claims: [{ predictionid, payout, commission }], released }`
+ */
+const simulateClaims = (round, predictions, { vigorish = round.vigorish } = {}) => {
+
+  const unclaimed = {}
+  for (const prediction of predictions) {
+    const position = Number(prediction.position)
+    unclaimed[position] = (unclaimed[position] || 0n) + 1n
+  }
+
+  const resolution = Number(round.resolution)
+  const claims = []
+  let released = BigInt(round.resolverRewardPaid || 0n)
+
+  for (const prediction of predictions) {
+
+    const position = Number(prediction.position)
+    if (resolution !== OUTCOME.NOCONTEST && resolution !== position) continue
+
+    const { payout, commission } = calculatePayout(
+      { ...prediction, claimed: false },
+      round,
+      { unclaimed: unclaimed[position], released, vigorish }
+    )
+
+    unclaimed[position] -= 1n
+    released += payout + commission
+
+    claims.push({ predictionid: prediction.predictionid, payout, commission })
+
+  }
+
+  return { claims, released }
+
+}
+
+/**
+ * Mirrors `OraclyV1Core._calculateResolverReward`: the resolver reward share of the commission on the whole prizepool.
+ *
+ * @param round Round: `prizepools`, `vigorish`, `resolverReward`.
+ */
+const calculateResolverReward = (round) => {
+
+  return (
+    BigInt(round.prizepools.total) * BigInt(round.vigorish) * BigInt(round.resolverReward)
+  ) / (
+    VIGORISH_BASIS_POINTS * RESOLVER_REWARD_BASIS_POINTS
+  )
+
+}
+
+/**
+ * Mirrors `OraclyV1.getProjectedPayout`: payout of a new `amount` deposit on `position` if that position wins
+ * and the prizepools do not change after it is placed, its resolver reward share deducted from the commission.
+ *
+ * @param prizepools Round prizepools: `total`, `down`, `up`, `zero`, and `buckets` for range-bucket rounds.
+ * @param options.vigorish Round vigorish in basis points.
+ * @param options.resolverReward Round resolver reward in basis points of the vigorish, zero by default.
+ */
+const calculatePotentialPayout = (prizepools, position, amount, { vigorish, resolverReward = 0 }) => {
+
+  amount = BigInt(amount)
+
+  const positionpool = getPositionPrizepool(prizepools, position) + amount
+  const total = BigInt(prizepools.total) + amount
+
+  let { payout, commission } = calculatePrize(amount, positionpool, total, vigorish)
+
+  const reward = calculateResolverReward({ prizepools: { total }, vigorish, resolverReward })
+  const share = positionpool === 0n ? 0n : (reward * amount) / positionpool
+  commission -= share < commission ? share : commission
+
+  return { payout, commission }
+
+}
+
+module.exports = {
+  VIGORISH_BASIS_POINTS,
+  RESOLVER_REWARD_BASIS_POINTS,
+
+  ceilDiv,
+  getPositionPrizepool,
+  calculatePrize,
+  calculatePayout,
+  simulateClaims,
+  calculateResolverReward,
+  calculatePotentialPayout,
+}
@@ -0,0 +1,99 @@
+const PREFLIGHT_FAILED = 'PREFLIGHT_FAILED'
+
+const ERC20_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'function allowance(address owner, address spender) view returns (uint256)',
+  'function decimals() view returns (uint8)',
+  'function totalSupply() view returns (uint256)',
+]
+
+/**
+ * Error thrown by client write methods when a preflight check fails.
+ * `reason` is the revert string the contract would fail with.
+ */
+const preflightError = (method, reason) => {
+
+  const error = new Error(`${method} would revert: ${reason}`)
+  error.name = 'PreflightError'
+  error.code = PREFLIGHT_FAILED
+  error.method = method
+  error.reason = reason
+
+  return error
+
+}
+
+const getProvider = (runner) => {
+
+  const provider = runner && (runner.provider || runner)
+  if (!provider || typeof provider.getBlock !== 'function') {
+    throw new Error('Runner must be an ethers provider or a signer connected to a provider')
+  }
+
+  return provider
+
+}
+
+const getSender = async (runner) => {
+
+  if (!runner || typeof runner.getAddress !== 'function') {
+    throw new Error('Runner must be an ethers signer to send transactions')
+  }
+
+  return runner.getAddress()
+
+}
+
+/**
+ * The earliest timestamp a transaction sent now can be mined at,
+ * `block.timestamp` in preflight checks.
+ */
+const nextTimestamp = async (provider) => {
+
+  const block = await provider.getBlock('latest')
+  return block.timestamp + 1
+
+}
+
+/**
+ * Mirrors the `onlyOffChainCallable` modifier for a sender sending its own transaction,
+ * `registry` is the contract holding the allowed smart contract accounts.
+ */
+const checkOffChainCallable = async (provider, sender, registry) => {
+
+  const code = await provider.getCode(sender)
+  if (code === '0x') return null
+
+  return await registry.isContractCallerAllowed(sender) ? null : 'OnlyEOASendersAllowed'
+
+}
+
+/**
+ * Wraps contract methods so that `preflight[method]` runs before sending.
+ * The last argument of a write method may hold `{ preflight: false }`
+ * to skip the checks, any other key is passed on as a transaction override.
+ */
+const createSend = (contract, preflight) => async (method, args, options = {}) => {
+
+  const { preflight: enabled = true, ...overrides } = options
+
+  if (enabled) {
+    const reason = await preflight[method](...args)
+    if (reason) throw preflightError(method, reason)
+  }
+
+  return contract[method](...args, overrides)
+
+}
+
+module.exports = {
+  PREFLIGHT_FAILED,
+  ERC20_ABI,
+
+  preflightError,
+  getProvider,
+  getSender,
+  nextTimestamp,
+  checkOffChainCallable,
+  createSend,
+}
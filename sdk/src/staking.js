@@ -0,0 +1,226 @@
+const { Contract, ZeroAddress, getAddress } = require('ethers')
+
+const StakingOraclyV1ABI = require('../abi/StakingOraclyV1.json')
+
+const { toDeposit, toEpoch } = require('./models')
+const {
+  ERC20_ABI,
+  getProvider,
+  getSender,
+  checkOffChainCallable,
+  createSend,
+} = require('./preflight')
+const { createMetaOraclyV1Client } = require('./meta')
+
+/**
+ * Creates a StakingOraclyV1 client.
+ *
+ * @param address StakingOraclyV1 address.
+ * @param runner ethers provider for reads, signer for writes.
+ */
+const createStakingOraclyV1Client = ({ address, runner }) => {
+
+  const contract = new Contract(address, StakingOraclyV1ABI, runner)
+  const provider = getProvider(runner)
+
+  let meta = null
+  const getMeta = async () => {
+    if (!meta) {
+      meta = createMetaOraclyV1Client({ address: await contract.METAORACLY_CONTRACT(), runner })
+    }
+    return meta
+  }
+
+  const getActualEpochid = () => contract.ACTUAL_EPOCH_ID()
+
+  const getDeposit = async (depositid) => toDeposit(await contract.getDeposit(depositid))
+
+  const getEpoch = async (epochid, erc20) => toEpoch(epochid, await contract.getEpoch(epochid, erc20))
+
+  const getStakerDeposits = async (staker, offset = 0) => {
+    const [deposits, size] = await contract.getStakerDeposits(staker, offset)
+    return { deposits: deposits.map(toDeposit), size: Number(size) }
+  }
+
+  const getStakeOf = (staker) => contract.getStakeOf(staker)
+
+  const getStakerPaidout = (staker, erc20) => contract.getStakerPaidout(staker, erc20)
+
+  const isContractCallerAllowed = async (caller) => (await getMeta()).isContractCallerAllowed(caller)
+
+  const getDepositPaidout = (depositid, erc20) => contract.getDepositPaidout(depositid, erc20)
+
+  const getDepositEpochPaidout = (depositid, erc20, epochid) => {
+    return contract.getDepositEpochPaidout(depositid, erc20, epochid)
+  }
+
+  const checkFunds = async (erc20, sender, amount) => {
+
+    const token = new Contract(erc20, ERC20_ABI, provider)
+    if (await token.balanceOf(sender) < amount) return 'InsufficientFunds'
+    if (await token.allowance(sender, contract.target) < amount) return 'InsufficientAllowance'
+
+    return null
+
+  }
+
+  /**
+   * Mirrors `StakingOraclyV1._exchangeQuote`
+   */
+  const exchangeQuote = async (erc20, amount) => {
+
+    const decimalsIN = await new Contract(erc20, ERC20_ABI, provider).decimals()
+    const decimalsOUT = await new Contract(await contract.STAKING_ERC20_CONTRACT(), ERC20_ABI, provider).decimals()
+
+    if (decimalsIN < decimalsOUT) return amount * 10n**(decimalsOUT - decimalsIN)
+    if (decimalsIN > decimalsOUT) {
+      const unit = 10n**(decimalsIN - decimalsOUT)
+      return (amount + unit - 1n) / unit
+    }
+
+    return amount
+
+  }
+
+  const preflight = {
+
+    stake: async (epochid, amount) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      amount = BigInt(amount)
+
+      const funds = await checkFunds(await contract.STAKING_ERC20_CONTRACT(), sender, amount)
+      if (funds) return funds
+
+      if (amount === 0n) return 'CannotStakeZeroAmount'
+      if (await contract.__FATAL_INSUFFICIENT_STAKEFUNDS_ERROR__()) return 'CannotStakeDepositContractIsBlocked'
+      if (BigInt(epochid) !== await getActualEpochid()) return 'CannotStakeIntoUnactualEpoch'
+
+      return null
+
+    },
+
+    buy4stake: async (erc20, epochid, amount) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      amount = BigInt(amount)
+
+      if (getAddress(erc20) !== await contract.BUY_4_STAKE_ERC20_CONTRACT()) return 'CannotBuy4StakeUnsupportedERC20'
+
+      const funds = await checkFunds(erc20, sender, amount)
+      if (funds) return funds
+
+      if (BigInt(epochid) !== await getActualEpochid()) return 'CannotBuy4stakeIntoUnactualEpoch'
+      if (await contract.BUY_4_STAKEPOOL() < await exchangeQuote(erc20, amount)) return 'InsufficientBuy4Stakepool'
+
+      return null
+
+    },
+
+    unstake: async (epochid, depositid) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      epochid = BigInt(epochid)
+
+      const deposit = await getDeposit(depositid)
+      if (!deposit) return 'CannotUnstakeUnexistDeposit'
+      if (deposit.staker !== sender) return 'CannotUnstakeOtherStakerDeposit'
+      if (deposit.unstaked) return 'CannotUnstakeUnstakedDeposit'
+      if (epochid !== await getActualEpochid()) return 'CannotUnstakeInUnactualEpoch'
+      if (epochid < deposit.inEpochid) return 'CannotUnstakeEpochEarlierStakeEpoch'
+
+      return null
+
+    },
+
+    withdraw: async (depositid) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      const deposit = await getDeposit(depositid)
+      if (!deposit) return 'CannotWithdrawUnexistDeposit'
+      if (deposit.staker !== sender) return 'CannotWithdrawOtherStakerDeposit'
+      if (!deposit.unstaked) return 'CannotWithdrawStakedDeposit'
+      if (deposit.withdrawn) return 'CannotWithdrawWithdrawnDeposit'
+
+      if (
+        deposit.inEpochid !== deposit.outEpochid &&
+        deposit.outEpochid >= await getActualEpochid()
+      ) {
+        return 'CannotWithdrawUntilOutEpochEnd'
+      }
+
+      return null
+
+    },
+
+    // NOTE: CannotClaimAlreadyClaimedReward depends on contract private state,
+    // it is left to the contract
+    claimReward: async (epochid, depositid, erc20) => {
+
+      const sender = await getSender(runner)
+
+      const eoa = await checkOffChainCallable(provider, sender, (await getMeta()).contract)
+      if (eoa) return eoa
+
+      if (getAddress(erc20) === ZeroAddress) return 'InvalidErc20Address'
+
+      epochid = BigInt(epochid)
+
+      const deposit = await getDeposit(depositid)
+      if (!deposit) return 'CannotClaimRewardUnexistDeposit'
+      if (deposit.staker !== sender) return 'CannotClaimRewardOnOtherStakerDeposit'
+      if (epochid <= deposit.inEpochid) return 'CannotClaimRewardEpochEarlierStakeInEpochEnd'
+      if (epochid > await getActualEpochid()) return 'CannotClaimRewardEpochNewerActualEpoch'
+      if (epochid > deposit.outEpochid && deposit.unstaked) return 'CannotClaimRewardEpochAfterStakeOutEpoch'
+      if (!(await getEpoch(epochid, erc20)).created) return 'CannotClaimRewardForUncreatedEpoch'
+
+      return null
+
+    },
+
+  }
+
+  const send = createSend(contract, preflight)
+
+  return {
+    contract,
+    preflight,
+
+    getActualEpochid,
+    getDeposit,
+    getEpoch,
+    getStakerDeposits,
+    getStakeOf,
+    getStakerPaidout,
+    getDepositPaidout,
+    getDepositEpochPaidout,
+    isContractCallerAllowed,
+
+    stake: (epochid, amount, options) => send('stake', [epochid, amount], options),
+    buy4stake: (erc20, epochid, amount, options) => send('buy4stake', [erc20, epochid, amount], options),
+    unstake: (epochid, depositid, options) => send('unstake', [epochid, depositid], options),
+    withdraw: (depositid, options) => send('withdraw', [depositid], options),
+    claimReward: (epochid, depositid, erc20, options) => send('claimReward', [epochid, depositid, erc20], options),
+  }
+
+}
+
+module.exports = {
+  createStakingOraclyV1Client,
+}
@@ -0,0 +1,638 @@
+const fs = require('fs')
+
+const yaml = require('js-yaml')
+const { task, types } = require('hardhat/config')
+
+const { computeGameid, createGameConfig } = require('../sdk/src/ids')
+const { createDepositCaps } = require('../sdk/src/meta')
+const { readPriceSeries } = require('../lib/priceseries')
+const { simulateGame, DEFAULT_POPULATION, PRICE_FEED_DECIMALS } = require('../lib/simulator')
+const { getDeployedAddress, readManifest, manifestPath } = require('../scripts/manifest')
+
+// NOTE: mirrors MetaOraclyV1 internal constants
+const SHORTEST_ROUND = 60n
+const SHORTEST_POSITIONING = 30n
+const SHORTEST_EXPIRATION = 60n * 60n
+const LONGEST_EXPIRATION = 7n * 24n * 60n * 60n
+const LARGEST_VIGORISH = 1000n
+const LARGEST_CANCELLATION_FEE = 1000n
+const SHORTEST_CLAIM_PERIOD = 30n * 24n * 60n * 60n
+const LARGEST_RESOLVER_REWARD = 5000n
+const LARGEST_TOLERANCE = 1000n
+const MOST_BUCKET_EDGES = 15
+const LARGEST_BUCKET_EDGE = 5000n
+
+const UINT16_MAX = 2n**16n - 1n
+
+const DEPOSIT_CAPS = ['maxDeposit', 'bettorRoundCap', 'roundCap']
+
+const AGGREGATOR_ABI = ['function decimals() view returns (uint8)']
+const ERC20_ABI = ['function totalSupply() view returns (uint256)']
+
+/**
+ * Reads a game spec from a JSON or YAML file.
+ * Numbers may be given as YAML/JSON numbers or as integer strings,
+ * use strings for values above 2^53 (e.g. minDeposit of 18 decimals tokens).
+ */
+const readGameSpec = (filepath) => {
+
+  const spec = yaml.load(fs.readFileSync(filepath, 'utf8'))
+  if (!spec || typeof spec !== 'object' || Array.isArray(spec)) {
+    throw new Error(`Game spec ${filepath} must be an object`)
+  }
+
+  return spec
+
+}
+
+const toUint = (value) => {
+
+  if (typeof value === 'number' && !Number.isSafeInteger(value)) return null
+  if (typeof value !== 'number' && typeof value !== 'string' && typeof value !== 'bigint') return null
+  if (!/^\d+$/.test(String(value))) return null
+
+  return BigInt(value)
+
+}
+
+const toInt = (value) => {
+
+  const negative = String(value).startsWith('-')
+  const abs = toUint(negative ? String(value).slice(1) : value)
+
+  return negative && abs !== null ? -abs : abs
+
+}
+
+/**
+ * Normalizes a game spec and checks it against the rules of `MetaOraclyV1.addGame`.
+ * Errors are reported with the same reason the contract would revert with.
+ * The game type settings (`tolerance`, `bucketEdges`, `pairPricefeed`) are optional and default to the classic game,
+ * they are part of the gameid and can't be changed once the game is added.
+ * The deposit caps (`maxDeposit`, `bettorRoundCap`, `roundCap`) are optional and default to no cap, they can be updated with `game:deposit-caps`.
+ */
+const validateGameSpec = (ethers, spec) => {
+
+  const errors = []
+  const game = {}
+
+  for (const field of ['pricefeed', 'erc20']) {
+    try {
+      game[field] = ethers.getAddress(String(spec[field]))
+    } catch (error) {
+      errors.push(`InvalidAddress: ${field} ${spec[field]}`)
+    }
+  }
+
+  for (const field of ['version', 'schedule', 'positioning', 'expiration', 'minDeposit', 'vigorish']) {
+    game[field] = toUint(spec[field])
+    if (game[field] === null) {
+      errors.push(`InvalidInteger: ${field} ${spec[field]}`)
+    }
+  }
+
+  game.tolerance = toUint(spec.tolerance ?? 0)
+  if (game.tolerance === null) {
+    errors.push(`InvalidInteger: tolerance ${spec.tolerance}`)
+  }
+
+  const bucketEdges = spec.bucketEdges ?? []
+  if (Array.isArray(bucketEdges)) {
+    game.bucketEdges = bucketEdges.map(toInt)
+    if (game.bucketEdges.includes(null)) {
+      errors.push(`InvalidInteger: bucketEdges ${bucketEdges}`)
+    }
+  } else {
+    errors.push(`InvalidArray: bucketEdges ${bucketEdges}`)
+  }
+
+  try {
+    game.pairPricefeed = ethers.getAddress(String(spec.pairPricefeed ?? ethers.ZeroAddress))
+  } catch (error) {
+    errors.push(`InvalidAddress: pairPricefeed ${spec.pairPricefeed}`)
+  }
+
+  for (const field of DEPOSIT_CAPS) {
+    game[field] = toUint(spec[field] ?? 0)
+    if (game[field] === null) {
+      errors.push(`InvalidInteger: ${field} ${spec[field]}`)
+    }
+  }
+
+  if (errors.length) return { game, errors }
+
+  if (game.schedule < SHORTEST_ROUND) {
+    errors.push(`CannotAddGameScheduleTooShort: schedule ${game.schedule} < ${SHORTEST_ROUND}`)
+  }
+
+  if (game.positioning < SHORTEST_POSITIONING) {
+    errors.push(`CannotAddGamePositioningTooShort: positioning ${game.positioning} < ${SHORTEST_POSITIONING}`)
+  }
+
+  if (game.positioning > (game.schedule / 2n)) {
+    errors.push(`CannotAddGamePositioningTooLarge: positioning ${game.positioning} > ${game.schedule / 2n}`)
+  }
+
+  if (game.expiration < SHORTEST_EXPIRATION) {
+    errors.push(`CannotAddGameExpirationTooShort: expiration ${game.expiration} < ${SHORTEST_EXPIRATION}`)
+  }
+
+  if (game.expiration > LONGEST_EXPIRATION) {
+    errors.push(`CannotAddGameExpirationTooLarge: expiration ${game.expiration} > ${LONGEST_EXPIRATION}`)
+  }
+
+  if (game.minDeposit === 0n) {
+    errors.push('CannotAddGameMinDepositZero')
+  }
+
+  if (game.version === 0n) {
+    errors.push('CannotAddGameVersionZero')
+  }
+
+  if (game.version > UINT16_MAX) {
+    errors.push(`InvalidInteger: version ${game.version} > ${UINT16_MAX}`)
+  }
+
+  if (game.vigorish > LARGEST_VIGORISH) {
+    errors.push(`CannotAddGameVigorishTooLarge: vigorish ${game.vigorish} > ${LARGEST_VIGORISH}`)
+  }
+
+  if (game.tolerance > LARGEST_TOLERANCE) {
+    errors.push(`CannotAddGameToleranceTooLarge: tolerance ${game.tolerance} > ${LARGEST_TOLERANCE}`)
+  }
+
+  if (game.bucketEdges.length > MOST_BUCKET_EDGES) {
+    errors.push(`CannotAddGameTooManyBucketEdges: ${game.bucketEdges.length} > ${MOST_BUCKET_EDGES}`)
+  }
+
+  if (game.bucketEdges.length !== 0 && game.tolerance !== 0n) {
+    errors.push(`CannotAddGameToleranceWithBucketEdges: tolerance ${game.tolerance}`)
+  }
+
+  for (const [idx, edge] of game.bucketEdges.entries()) {
+    if (edge > LARGEST_BUCKET_EDGE || edge < -LARGEST_BUCKET_EDGE) {
+      errors.push(`CannotAddGameBucketEdgeTooLarge: edge ${edge} out of ±${LARGEST_BUCKET_EDGE}`)
+    }
+    if (idx !== 0 && edge <= game.bucketEdges[idx - 1]) {
+      errors.push(`CannotAddGameBucketEdgesNotAscending: edge ${edge} <= ${game.bucketEdges[idx - 1]}`)
+    }
+  }
+
+  if (game.pairPricefeed === game.pricefeed) {
+    errors.push(`CannotAddGamePairPricefeedIsGamePricefeed: ${game.pairPricefeed}`)
+  }
+
+  for (const field of DEPOSIT_CAPS) {
+    if (game[field] !== 0n && game[field] < game.minDeposit) {
+      errors.push(`CannotAddGameDepositCapBelowMinDeposit: ${field} ${game[field]} < ${game.minDeposit}`)
+    }
+  }
+
+  game.config = createGameConfig(game)
+  game.caps = createDepositCaps(game)
+
+  return { game, errors }
+
+}
+
+const attachMeta = async (hre, address) => {
+
+  address = address || getDeployedAddress(hre.network.name, 'MetaOraclyV1')
+  if (!address) {
+    throw new Error(`MetaOraclyV1 address is unknown for ${hre.network.name}, pass --meta or run scripts/deploy.js`)
+  }
+
+  await hre.run('compile', { quiet: true })
+
+  return hre.ethers.getContractAt('MetaOraclyV1', address)
+
+}
+
+const ensureOwner = async (hre, MetaOraclyV1, errors) => {
+
+  const [signer] = await hre.ethers.getSigners()
+  const owner = await MetaOraclyV1.owner()
+
+  if (owner !== signer.address) {
+    errors.push(`OwnableUnauthorizedAccount: ${signer.address} is not the owner ${owner}`)
+  }
+
+}
+
+const assertValid = (errors) => {
+  if (errors.length) {
+    throw new Error('Game validation failed:\n  ' + errors.join('\n  '))
+  }
+}
+
+const formatGame = (game) => ({
+  gameid: game.gameid,
+  pricefeed: game.pricefeed,
+  erc20: game.erc20,
+  version: Number(game.version),
+  schedule: Number(game.schedule),
+  positioning: Number(game.positioning),
+  expiration: Number(game.expiration),
+  minDeposit: String(game.minDeposit),
+  vigorish: Number(game.vigorish),
+  cancellationFee: Number(game.cancellationFee),
+  claimPeriod: Number(game.claimPeriod),
+  resolverReward: Number(game.resolverReward),
+  tolerance: Number(game.tolerance),
+  bucketEdges: game.bucketEdges.map(Number),
+  pairPricefeed: game.pairPricefeed,
+  maxDeposit: String(game.maxDeposit),
+  bettorRoundCap: String(game.bettorRoundCap),
+  roundCap: String(game.roundCap),
+  blocked: game.blocked,
+})
+
+task('game:add', 'Adds a new game to MetaOraclyV1 from a JSON/YAML spec')
+  .addParam('spec', 'Path to the game spec (pricefeed, erc20, version, schedule, positioning, expiration, minDeposit, vigorish[, tolerance | bucketEdges][, pairPricefeed][, maxDeposit, bettorRoundCap, roundCap])')
+  .addOptionalParam('meta', 'MetaOraclyV1 address, defaults to the network deployment manifest')
+  .addFlag('dryRun', 'Validate the spec and print the gameid without sending a transaction')
+  .setAction(async ({ spec: filepath, meta, dryRun }, hre) => {
+
+    const { ethers } = hre
+
+    const { game, errors } = validateGameSpec(ethers, readGameSpec(filepath))
+    assertValid(errors)
+
+    const MetaOraclyV1 = await attachMeta(hre, meta)
+    const gameid = computeGameid(game.pricefeed, game.erc20, game.version, game.schedule, game.positioning, game.config)
+
+    const pricefeed = new ethers.Contract(game.pricefeed, AGGREGATOR_ABI, ethers.provider)
+    try {
+      if ((await pricefeed.decimals()) === 0n) throw new Error('zero decimals')
+    } catch (error) {
+      errors.push(`CannotAddGameWithInvalidFeedAddress: ${game.pricefeed}`)
+    }
+
+    if (game.pairPricefeed !== ethers.ZeroAddress) {
+      const pairPricefeed = new ethers.Contract(game.pairPricefeed, AGGREGATOR_ABI, ethers.provider)
+      try {
+        if ((await pairPricefeed.decimals()) === 0n) throw new Error('zero decimals')
+      } catch (error) {
+        errors.push(`CannotAddGameWithInvalidPairFeedAddress: ${game.pairPricefeed}`)
+      }
+    }
+
+    const erc20 = new ethers.Contract(game.erc20, ERC20_ABI, ethers.provider)
+    try {
+      if ((await erc20.totalSupply()) === 0n) throw new Error('zero supply')
+    } catch (error) {
+      errors.push(`CannotAddGameERC20TotalSupplyCannotBeZero: ${game.erc20}`)
+    }
+
+    const existing = await MetaOraclyV1.getGame(gameid)
+    if (existing.gameid !== ethers.ZeroHash) {
+      errors.push(`CannotAddGameAlreadyExists: ${gameid}`)
+    }
+
+    await ensureOwner(hre, MetaOraclyV1, errors)
+    assertValid(errors)
+
+    console.log('gameid', gameid)
+    if (dryRun) return gameid
+
+    const tx = await MetaOraclyV1.addGame(
+      game.pricefeed,
+      game.erc20,
+      game.version,
+      game.schedule,
+      game.positioning,
+      game.expiration,
+      game.minDeposit,
+      game.vigorish,
+      game.config,
+      game.caps,
+    )
+    await tx.wait()
+
+    console.log('GameAdded', tx.hash)
+
+    return gameid
+
+  })
+
+task('game:block', 'Blocks a MetaOraclyV1 game')
+  .addParam('gameid', 'ID of the game to block')
+  .addOptionalParam('meta', 'MetaOraclyV1 address, defaults to the network deployment manifest')
+  .setAction(async ({ gameid, meta }, hre) => {
+
+    const MetaOraclyV1 = await attachMeta(hre, meta)
+
+    const errors = []
+    const game = await MetaOraclyV1.getGame(gameid)
+    if (game.gameid === hre.ethers.ZeroHash) {
+      errors.push(`CannotBlockGameDoNotExists: ${gameid}`)
+    } else if (game.blocked) {
+      errors.push(`CannotBlockGameIsAlreadyBlocked: ${gameid}`)
+    }
+
+    await ensureOwner(hre, MetaOraclyV1, errors)
+    assertValid(errors)
+
+    const tx = await MetaOraclyV1.blockGame(gameid)
+    await tx.wait()
+
+    console.log('GameBlocked', tx.hash)
+
+  })
+
+task('game:unblock', 'Unblocks a previously blocked MetaOraclyV1 game')
+  .addParam('gameid', 'ID of the game to unblock')
+  .addOptionalParam('meta', 'MetaOraclyV1 address, defaults to the network deployment manifest')
+  .setAction(async ({ gameid, meta }, hre) => {
+
+    const MetaOraclyV1 = await attachMeta(hre, meta)
+
+    const errors = []
+    const game = await MetaOraclyV1.getGame(gameid)
+    if (game.gameid === hre.ethers.ZeroHash) {
+      errors.push(`CannotUnblockGameDoNotExists: ${gameid}`)
+    } else if (!game.blocked) {
+      errors.push(`CannotUnblockGameIsNotBlocked: ${gameid}`)
+    }
+
+    await ensureOwner(hre, MetaOraclyV1, errors)
+    assertValid(errors)
+
+    const tx = await MetaOraclyV1.unblockGame(gameid)
+    await tx.wait()
+
+    console.log('GameUnblocked', tx.hash)
+
+  })
+
+task('game:vigorish', 'Updates the vigorish of a MetaOraclyV1 game, rounds already created keep theirs')
+  .addParam('gameid', 'ID of the game to update')
+  .addParam('vigorish', 'Vigorish in basis points', undefined, types.int)
+  .addOptionalParam('meta', 'MetaOraclyV1 address, defaults to the network deployment manifest')
+  .setAction(async ({ gameid, vigorish, meta }, hre) => {
+
+    const MetaOraclyV1 = await attachMeta(hre, meta)
+
+    const errors = []
+    const game = await MetaOraclyV1.getGame(gameid)
+    if (game.gameid === hre.ethers.ZeroHash) {
+      errors.push(`CannotUpdateGameDoNotExists: ${gameid}`)
+    }
+    if (BigInt(vigorish) > LARGEST_VIGORISH) {
+      errors.push(`CannotUpdateGameVigorishTooLarge: vigorish ${vigorish} > ${LARGEST_VIGORISH}`)
+    }
+
+    await ensureOwner(hre, MetaOraclyV1, errors)
+    assertValid(errors)
+
+    const tx = await MetaOraclyV1.updateGameVigorish(gameid, vigorish)
+    await tx.wait()
+
+    console.log('GameVigorishUpdated', tx.hash)
+
+  })
+
+task('game:cancellation-fee', 'Updates the fee of a MetaOraclyV1 game on predictions decreased during positioning')
+  .addParam('gameid', 'ID of the game to update')
+  .addParam('fee', 'Cancellation fee in basis points', undefined, types.int)
+  .addOptionalParam('meta', 'MetaOraclyV1 address, defaults to the network deployment manifest')
+  .setAction(async ({ gameid, fee, meta }, hre) => {
+
+    const MetaOraclyV1 = await attachMeta(hre, meta)
+
+    const errors = []
+    const game = await MetaOraclyV1.getGame(gameid)
+    if (game.gameid === hre.ethers.ZeroHash) {
+      errors.push(`CannotUpdateGameDoNotExists: ${gameid}`)
+    }
+    if (BigInt(fee) > LARGEST_CANCELLATION_FEE) {
+      errors.push(`CannotUpdateGameCancellationFeeTooLarge: fee ${fee} > ${LARGEST_CANCELLATION_FEE}`)
+    }
+
+    await ensureOwner(hre, MetaOraclyV1, errors)
+    assertValid(errors)
+
+    const tx = await MetaOraclyV1.updateGameCancellationFee(gameid, fee)
+    await tx.wait()
+
+    console.log('GameCancellationFeeUpdated', tx.hash)
+
+  })
+
+task('game:claim-period', 'Updates the claim period of a MetaOraclyV1 game, rounds already created keep theirs')
+  .addParam('gameid', 'ID of the game to update')
+  .addParam('period', 'Seconds after the round expiration before unclaimed funds can be swept, 0 for no limit', undefined, types.int)
+  .addOptionalParam('meta', 'MetaOraclyV1 address, defaults to the network deployment manifest')
+  .setAction(async ({ gameid, period, meta }, hre) => {
+
+    const MetaOraclyV1 = await attachMeta(hre, meta)
+
+    const errors = []
+    const game = await MetaOraclyV1.getGame(gameid)
+    if (game.gameid === hre.ethers.ZeroHash) {
+      errors.push(`CannotUpdateGameDoNotExists: ${gameid}`)
+    }
+    if (BigInt(period) !== 0n && BigInt(period) < SHORTEST_CLAIM_PERIOD) {
+      errors.push(`CannotUpdateGameClaimPeriodTooShort: period ${period} < ${SHORTEST_CLAIM_PERIOD}`)
+    }
+
+    await ensureOwner(hre, MetaOraclyV1, errors)
+    assertValid(errors)
+
+    const tx = await MetaOraclyV1.updateGameClaimPeriod(gameid, period)
+    await tx.wait()
+
+    console.log('GameClaimPeriodUpdated', tx.hash)
+
+  })
+
+task('game:resolver-reward', 'Updates the share of the vigorish paid to round resolvers of a MetaOraclyV1 game, rounds already created keep theirs')
+  .addParam('gameid', 'ID of the game to update')
+  .addParam('reward', 'Resolver reward in basis points of the vigorish', undefined, types.int)
+  .addOptionalParam('meta', 'MetaOraclyV1 address, defaults to the network deployment manifest')
+  .setAction(async ({ gameid, reward, meta }, hre) => {
+
+    const MetaOraclyV1 = await attachMeta(hre, meta)
+
+    const errors = []
+    const game = await MetaOraclyV1.getGame(gameid)
+    if (game.gameid === hre.ethers.ZeroHash) {
+      errors.push(`CannotUpdateGameDoNotExists: ${gameid}`)
+    }
+    if (BigInt(reward) > LARGEST_RESOLVER_REWARD) {
+      errors.push(`CannotUpdateGameResolverRewardTooLarge: reward ${reward} > ${LARGEST_RESOLVER_REWARD}`)
+    }
+
+    await ensureOwner(hre, MetaOraclyV1, errors)
+    assertValid(errors)
+
+    const tx = await MetaOraclyV1.updateGameResolverReward(gameid, reward)
+    await tx.wait()
+
+    console.log('GameResolverRewardUpdated', tx.hash)
+
+  })
+
+task('game:deposit-caps', 'Updates the deposit caps of a MetaOraclyV1 game, rounds already created keep theirs')
+  .addParam('gameid', 'ID of the game to update')
+  .addOptionalParam('maxDeposit', 'Largest deposit of a single prediction in ERC20 token units, 0 for no cap', '0')
+  .addOptionalParam('bettorRoundCap', 'Largest total deposit of a bettor in a round in ERC20 token units, 0 for no cap', '0')
+  .addOptionalParam('roundCap', 'Largest total prize pool of a round in ERC20 token units, 0 for no cap', '0')
+  .addOptionalParam('meta', 'MetaOraclyV1 address, defaults to the network deployment manifest')
+  .setAction(async ({ gameid, maxDeposit, bettorRoundCap, roundCap, meta }, hre) => {
+
+    const MetaOraclyV1 = await attachMeta(hre, meta)
+
+    const errors = []
+    const caps = { maxDeposit, bettorRoundCap, roundCap }
+    for (const [field, cap] of Object.entries(caps)) {
+      caps[field] = toUint(cap)
+      if (caps[field] === null) {
+        errors.push(`InvalidInteger: ${field} ${cap}`)
+      }
+    }
+    assertValid(errors)
+
+    const game = await MetaOraclyV1.getGame(gameid)
+    if (game.gameid === hre.ethers.ZeroHash) {
+      errors.push(`CannotUpdateGameDoNotExists: ${gameid}`)
+    }
+    for (const [field, cap] of Object.entries(caps)) {
+      if (cap !== 0n && cap < game.minDeposit) {
+        errors.push(`CannotUpdateGameDepositCapBelowMinDeposit: ${field} ${cap} < ${game.minDeposit}`)
+      }
+    }
+
+    await ensureOwner(hre, MetaOraclyV1, errors)
+    assertValid(errors)
+
+    const tx = await MetaOraclyV1.updateGameDepositCaps(gameid, createDepositCaps(caps))
+    await tx.wait()
+
+    console.log('GameDepositCapsUpdated', tx.hash)
+
+  })
+
+task('game:list', 'Lists MetaOraclyV1 games')
+  .addOptionalParam('erc20', 'List only active games of this ERC20 token')
+  .addOptionalParam('meta', 'MetaOraclyV1 address, defaults to the network deployment manifest')
+  .setAction(async ({ erc20, meta }, hre) => {
+
+    const MetaOraclyV1 = await attachMeta(hre, meta)
+
+    const games = []
+
+    if (erc20) {
+
+      let offset = 0
+      let size = 1
+      while (offset < size) {
+        const [page, total] = await MetaOraclyV1.getActiveGames(erc20, offset)
+        size = Number(total)
+        if (page.length === 0) break
+        games.push(...page)
+        offset += page.length
+      }
+
+    } else {
+
+      // every game ever added, including blocked ones
+      const manifest = readManifest(manifestPath(hre.network.name))
+      const deployment = manifest && manifest.contracts.MetaOraclyV1
+      const fromBlock = (deployment && deployment.address === MetaOraclyV1.target) ? deployment.blockNumber : 0
+
+      const events = await MetaOraclyV1.queryFilter(MetaOraclyV1.filters.GameAdded(), fromBlock)
+      for (const event of events) {
+        games.push(await MetaOraclyV1.getGame(event.args.gameid))
+      }
+
+    }
+
+    const list = games.map(formatGame)
+    if (list.length) {
+      console.table(list)
+    } else {
+      console.log('No games found')
+    }
+
+    return list
+
+  })
+
+// parses `up:45,down:45,zero:10`
+const parseWeights = (value) => {
+
+  const weights = {}
+  for (const pair of value.split(',')) {
+    const [key, weight] = pair.split(':').map(part => part.trim())
+    if (!(key in DEFAULT_POPULATION.positions) || !/^\d+$/.test(weight || '')) {
+      throw new Error(`Invalid position weight ${pair}`)
+    }
+    weights[key] = Number(weight)
+  }
+
+  return weights
+
+}
+
+const toPlain = (value) => JSON.parse(JSON.stringify(value, (key, v) => typeof v === 'bigint' ? String(v) : v))
+
+task('game:simulate', 'Replays a historical price series through a game spec on the in-process Hardhat network')
+  .addParam('spec', 'Path to the game spec, only schedule, positioning, expiration, minDeposit and vigorish are used')
+  .addParam('prices', 'Path to a timestamp,price[,phase] CSV price series')
+  .addOptionalParam('decimals', 'Decimals of the prices', PRICE_FEED_DECIMALS, types.int)
+  .addOptionalParam('bettors', 'Number of bettors', DEFAULT_POPULATION.bettors, types.int)
+  .addOptionalParam('mentors', 'Number of mentors', DEFAULT_POPULATION.mentors, types.int)
+  .addOptionalParam('mentored', 'Share of bettors with a mentor', DEFAULT_POPULATION.mentored, types.float)
+  .addOptionalParam('participation', 'Chance of a bettor to predict in a round', DEFAULT_POPULATION.participation, types.float)
+  .addOptionalParam('positions', 'Position weights', 'up:45,down:45,zero:10')
+  .addOptionalParam('maxDeposit', 'Largest deposit, defaults to 100 minDeposit')
+  .addOptionalParam('seed', 'Seed of the bettor population', 'oracly')
+  .addOptionalParam('out', 'Path of a JSON report')
+  .setAction(async (args, hre) => {
+
+    if (hre.network.name !== 'hardhat') {
+      throw new Error(`game:simulate changes the network time, run it on the hardhat network, not ${hre.network.name}`)
+    }
+
+    const { game, errors } = validateGameSpec(hre.ethers, readGameSpec(args.spec))
+    assertValid(errors)
+
+    await hre.run('compile', { quiet: true })
+
+    const report = await simulateGame({
+      ethers: hre.ethers,
+      prices: readPriceSeries(args.prices, { decimals: args.decimals }),
+      game,
+      population: {
+        bettors: args.bettors,
+        mentors: args.mentors,
+        mentored: args.mentored,
+        participation: args.participation,
+        positions: parseWeights(args.positions),
+        deposit: args.maxDeposit ? [game.minDeposit, BigInt(args.maxDeposit)] : null,
+      },
+      seed: args.seed,
+    })
+
+    const plain = toPlain(report)
+
+    console.table({ ...plain.rounds.resolved, noContest: plain.rounds.noContest.total, empty: plain.rounds.empty, unopened: plain.rounds.unopened })
+    console.table(plain.rounds.noContest.reasons)
+    console.table(plain.predictions)
+    console.table({ ...plain.volume, vigorish: plain.vigorish, ...plain.commission })
+    console.table(plain.rates)
+
+    if (args.out) {
+      fs.writeFileSync(args.out, JSON.stringify(plain, null, 2) + '\n')
+      console.log('report', args.out)
+    }
+
+    return report
+
+  })
+
+module.exports = {
+  readGameSpec,
+  validateGameSpec,
+}
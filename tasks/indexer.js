@@ -0,0 +1,68 @@
+const path = require('path')
+
+const { task, types } = require('hardhat/config')
+
+const { createIndexer } = require('../lib/indexer')
+const { readManifest, manifestPath } = require('../scripts/manifest')
+
+const indexerDbPath = (networkName) => {
+  return path.join(path.dirname(manifestPath(networkName)), `${networkName}.sqlite`)
+}
+
+task('indexer:run', 'Indexes OraclyV1, StakingOraclyV1 and MentoringOraclyV1 events into a local SQLite database')
+  .addOptionalParam('db', 'Path of the SQLite database, defaults to deployments/<network>.sqlite')
+  .addOptionalParam('oracly', 'OraclyV1 address, defaults to the network deployment manifest')
+  .addOptionalParam('staking', 'StakingOraclyV1 address, defaults to the network deployment manifest')
+  .addOptionalParam('mentoring', 'MentoringOraclyV1 address, defaults to the network deployment manifest')
+  .addOptionalParam('fromBlock', 'First block to index, defaults to the earliest deployment block', undefined, types.int)
+  .addOptionalParam('interval', 'Polling interval in seconds', 15, types.int)
+  .addOptionalParam('confirmations', 'Blocks to stay behind the chain head', 0, types.int)
+  .addFlag('once', 'Index up to the latest block and exit')
+  .setAction(async ({ db, oracly, staking, mentoring, fromBlock, interval, confirmations, once }, hre) => {
+
+    const manifest = readManifest(manifestPath(hre.network.name))
+    const deployed = (id) => manifest && manifest.contracts[id]
+
+    const addresses = {
+      oraclyv1: oracly || (deployed('OraclyV1') && deployed('OraclyV1').address),
+      staking: staking || (deployed('StakingOraclyV1') && deployed('StakingOraclyV1').address),
+      mentoring: mentoring || (deployed('MentoringOraclyV1') && deployed('MentoringOraclyV1').address),
+    }
+
+    if (!addresses.oraclyv1 && !addresses.staking && !addresses.mentoring) {
+      throw new Error(`Contract addresses are unknown for ${hre.network.name}, pass them or run scripts/deploy.js`)
+    }
+
+    if (fromBlock === undefined) {
+      const blocks = ['OraclyV1', 'StakingOraclyV1', 'MentoringOraclyV1']
+        .filter(id => deployed(id))
+        .map(id => deployed(id).blockNumber)
+      fromBlock = blocks.length ? Math.min(...blocks) : 0
+    }
+
+    const indexer = await createIndexer({
+      provider: hre.ethers.provider,
+      addresses,
+      dbPath: db || indexerDbPath(hre.network.name),
+      fromBlock,
+      confirmations,
+    })
+
+    if (once) {
+      const lastBlock = await indexer.sync()
+      indexer.close()
+      console.log('indexer: indexed up to block', lastBlock)
+      return lastBlock
+    }
+
+    process.once('SIGINT', indexer.stop)
+    process.once('SIGTERM', indexer.stop)
+
+    await indexer.run({ interval })
+    indexer.close()
+
+  })
+
+module.exports = {
+  indexerDbPath,
+}
@@ -0,0 +1,58 @@
+const path = require('path')
+
+const { task, types } = require('hardhat/config')
+
+const { createKeeper } = require('../lib/keeper')
+const { readSdkAbi } = require('./sdk')
+const { getDeployedAddress, readManifest, manifestPath } = require('../scripts/manifest')
+
+const keeperStatePath = (networkName) => {
+  return path.join(path.dirname(manifestPath(networkName)), `${networkName}.keeper.json`)
+}
+
+task('keeper:run', 'Resolves OraclyV1 rounds as soon as their exit price is available')
+  .addOptionalParam('oracly', 'OraclyV1 address, defaults to the network deployment manifest')
+  .addOptionalParam('state', 'Path of the keeper state file, defaults to deployments/<network>.keeper.json')
+  .addOptionalParam('interval', 'Polling interval in seconds', 15, types.int)
+  .addOptionalParam('confirmations', 'Blocks to wait before following a RoundCreated event', 3, types.int)
+  .addFlag('dryRun', 'Simulate resolve calls without sending transactions or writing the state file')
+  .addFlag('once', 'Process due rounds once and exit')
+  .setAction(async ({ oracly, state, interval, confirmations, dryRun, once }, hre) => {
+
+    const address = oracly || getDeployedAddress(hre.network.name, 'OraclyV1')
+    if (!address) {
+      throw new Error(`OraclyV1 address is unknown for ${hre.network.name}, pass --oracly or run scripts/deploy.js`)
+    }
+
+    await hre.run('compile', { quiet: true })
+
+    const [signer] = await hre.ethers.getSigners()
+    const OraclyV1 = await hre.ethers.getContractAt(await readSdkAbi(hre.artifacts, 'OraclyV1'), address, signer)
+
+    // start from the deployment block on a fresh state
+    const manifest = readManifest(manifestPath(hre.network.name))
+    const deployment = manifest && manifest.contracts.OraclyV1
+    const fromBlock = (deployment && deployment.address === address) ? deployment.blockNumber : 0
+
+    const keeper = createKeeper({
+      oraclyv1: OraclyV1,
+      statePath: state || keeperStatePath(hre.network.name),
+      fromBlock,
+      confirmations,
+      dryRun,
+    })
+
+    console.log('keeper: OraclyV1', address, 'resolver', signer.address, dryRun ? '(dry run)' : '')
+
+    if (once) return keeper.tick()
+
+    process.once('SIGINT', keeper.stop)
+    process.once('SIGTERM', keeper.stop)
+
+    await keeper.run({ interval })
+
+  })
+
+module.exports = {
+  keeperStatePath,
+}
@@ -0,0 +1,69 @@
+const fs = require('fs')
+const path = require('path')
+
+const { task } = require('hardhat/config')
+
+const SDK_ABI_DIR = path.join(__dirname, '..', 'sdk', 'abi')
+const SDK_CONTRACTS = ['OraclyV1', 'MetaOraclyV1', 'StakingOraclyV1', 'MentoringOraclyV1']
+
+// NOTE: OraclyV1 serves the OraclyV1Extension and OraclyV1Views functions through its fallback
+const SDK_CONTRACT_EXTENSIONS = {
+  OraclyV1: ['OraclyV1Extension', 'OraclyV1Views'],
+}
+
+const sdkAbiPath = (name) => path.join(SDK_ABI_DIR, `${name}.json`)
+
+const fragmentKey = (fragment) => {
+  return [fragment.type, fragment.name, (fragment.inputs || []).map(input => input.type).join(',')].join(':')
+}
+
+/**
+ * Merges ABIs into one, the first declaration of a fragment wins.
+ */
+const mergeAbis = (abis) => {
+
+  const fragments = new Map()
+
+  for (const abi of abis) {
+    for (const fragment of abi) {
+      const key = fragmentKey(fragment)
+      if (!fragments.has(key)) fragments.set(key, fragment)
+    }
+  }
+
+  return [...fragments.values()]
+
+}
+
+/**
+ * Reads the ABI of a contract together with the ABIs of its extension contracts.
+ */
+const readSdkAbi = async (artifacts, name) => {
+
+  const abis = []
+  for (const contract of [name, ...(SDK_CONTRACT_EXTENSIONS[name] || [])]) {
+    abis.push((await artifacts.readArtifact(contract)).abi)
+  }
+
+  return mergeAbis(abis)
+
+}
+
+task('sdk:abi', 'Exports contract ABIs into the SDK package')
+  .setAction(async (args, hre) => {
+
+    await hre.run('compile', { quiet: true })
+
+    for (const name of SDK_CONTRACTS) {
+      const abi = await readSdkAbi(hre.artifacts, name)
+      fs.writeFileSync(sdkAbiPath(name), JSON.stringify(abi, null, 2) + '\n')
+      console.log('sdk:abi:', path.relative(process.cwd(), sdkAbiPath(name)))
+    }
+
+  })
+
+module.exports = {
+  SDK_CONTRACTS,
+  sdkAbiPath,
+  readSdkAbi,
+}
@@ -1,10 +1,12 @@
-const { ethers } = require('hardhat')
+const { ethers, artifacts } = require('hardhat')
+
+const { readSdkAbi } = require('../../tasks/sdk')
 
 async function deployToken(name, owner, args) {
 
   const token = (
     args
-      ? await ethers.deployContract(name, args, { gasLimit: 1_000_000 })
+      ? await ethers.deployContract(name, args, { gasLimit: 3_000_000 })
       : await ethers.deployContract(name)
   )
   await token.waitForDeployment()
@@ -86,16 +88,37 @@ async function deployOraclyV1(
   mate
 ) {
 
-  const OraclyV1 = await ethers.deployContract('OraclyV1',
+  const OraclyV1Views = await ethers.deployContract('OraclyV1Views', [
+    distributorEOA,
+    staking,
+    mentoring,
+    mate,
+  ])
+  await OraclyV1Views.waitForDeployment()
+
+  const OraclyV1Extension = await ethers.deployContract('OraclyV1Extension', [
+    distributorEOA,
+    staking,
+    mentoring,
+    mate,
+    OraclyV1Views.target,
+  ])
+  await OraclyV1Extension.waitForDeployment()
+
+  const deployed = await ethers.deployContract('OraclyV1',
     [
       distributorEOA,
       staking,
       mentoring,
       mate,
+      OraclyV1Extension.target,
     ],
-    { gasLimit: 5_000_000 }
+    { gasLimit: 6_000_000 }
   )
-  await OraclyV1.waitForDeployment()
+  await deployed.waitForDeployment()
+
+  // NOTE: OraclyV1 serves the OraclyV1Extension and OraclyV1Views functions as well
+  const OraclyV1 = await ethers.getContractAt(await readSdkAbi(artifacts, 'OraclyV1'), deployed.target)
 
   console.log('OraclyV1--------------------')
   console.log(OraclyV1.target)
@@ -106,8 +129,7 @@ async function deployOraclyV1(
 
 async function attachOraclyV1(target) {
 
-  const OraclyV1Factory = await ethers.getContractFactory('OraclyV1')
-  const OraclyV1 = await OraclyV1Factory.attach(target)
+  const OraclyV1 = await ethers.getContractAt(await readSdkAbi(artifacts, 'OraclyV1'), target)
 
   console.log('OraclyV1--------------------')
   console.log(OraclyV1.target)
@@ -116,9 +138,9 @@ async function attachOraclyV1(target) {
   return OraclyV1
 }
 
-async function deployStakingOraclyV1(stakingToken) {
+async function deployStakingOraclyV1(stakingToken, meta) {
 
-  const StakingOraclyV1 = await ethers.deployContract('StakingOraclyV1', [stakingToken, stakingToken])
+  const StakingOraclyV1 = await ethers.deployContract('StakingOraclyV1', [stakingToken, stakingToken, meta])
   await StakingOraclyV1.waitForDeployment()
 
   console.log('Staking-----------------------')
@@ -146,9 +168,9 @@ async function initStakingOraclyV1(contract, gatherer) {
   await contract.setGatherer(gatherer)
 }
 
-async function deployMentoring() {
+async function deployMentoring(meta) {
 
-  const MentoringOraclyV1 = await ethers.deployContract('MentoringOraclyV1')
+  const MentoringOraclyV1 = await ethers.deployContract('MentoringOraclyV1', [meta])
   await MentoringOraclyV1.waitForDeployment()
 
   console.log('Mentoring---------------------')
@@ -1,4 +1,5 @@
-const { keccak256 } = require('../common/utils')
+const { computeGameid, createGameConfig } = require('../../sdk/src/ids')
+const { createDepositCaps } = require('../../sdk/src/meta')
 
 let MetaOraclyV1
 const init = (contract) => {
@@ -6,22 +7,7 @@ const init = (contract) => {
 }
 
 const getGameid = async (mtp) => {
-  return keccak256(
-    [
-      mtp.pricefeed,
-      mtp.erc20,
-      mtp.version,
-      mtp.schedule,
-      mtp.positioning,
-    ],
-    [
-      'address',
-      'address',
-      'uint16',
-      'uint256',
-      'uint256',
-    ]
-  )
+  return computeGameid(mtp.pricefeed, mtp.erc20, mtp.version, mtp.schedule, mtp.positioning, createGameConfig(mtp))
 }
 
 const getActiveGames = async (erc20, offset) => {
@@ -39,6 +25,9 @@ const addGame = async (mtp) => {
     mtp.positioning,
     mtp.expiration,
     mtp.minDeposit,
+    mtp.vigorish,
+    createGameConfig(mtp),
+    createDepositCaps(mtp),
   )
   const game = await MetaOraclyV1.getGame(getGameid(mtp))
 
@@ -1,6 +1,10 @@
 const { ethers } = require('hardhat')
+
 const { getLatestBlock, forwardTime } = require('../common/utils')
-const { keccak256, address } = require('../common/utils')
+const { address } = require('../common/utils')
+const { computeRoundid, computePredictionid, encodePriceid, getRoundAt } = require('../../sdk/src/ids')
+const { calculatePrize } = require('../../sdk/src/payout')
+const { locateRoundExitPrice } = require('../../sdk/src/exitprice')
 
 const PRICE_FEED_TIMESTAMP_OFFSET = 22n
 const RESOLUTION = {
@@ -20,13 +24,7 @@ const init = (contract) => {
 const getFutureRoundId = async (game, future = 1) => {
   const block = await getLatestBlock()
 
-  const now = block.timestamp
-  const round = Number(game.schedule)
-  const sincestart = now % round
-  const startDate = now - sincestart
-  const futureStartDate = startDate + (round*future)
-
-  return getRoundId(game.gameid, futureStartDate)
+  return getRoundAt(game, block.timestamp, future).roundid
 
 }
 
@@ -51,16 +49,7 @@ const forwardTimeToRoundOpen = async (game) => {
 }
 
 const getRoundId = (gameid, startDate) => {
-  return keccak256(
-    [
-      gameid,
-      startDate,
-    ],
-    [
-      'bytes32',
-      'uint',
-    ]
-  )
+  return computeRoundid(gameid, startDate)
 }
 
 const withdraw = async (bettor, roundid, predictionid, token) => {
@@ -96,21 +85,7 @@ const placePrediction = async (bettor, amount, position, gameid, roundid) => {
 }
 
 const getPredictionId = (bettor, roundid, position) => {
-
-  const apiencode = ethers.AbiCoder.defaultAbiCoder().encode(
-    [
-      'bytes32',
-      'address',
-      'uint8',
-    ],
-    [
-      roundid,
-      address(bettor),
-      position,
-    ]
-  )
-
-  return ethers.keccak256(apiencode)
+  return computePredictionid(roundid, address(bettor), position)
 }
 
 const getPrediction = async (bettor, predictionid) => {
@@ -150,9 +125,10 @@ const resolve = async (bettor, roundid) => {
 
 }
 
+// NOTE: MockAggregatorProxy reads the price timestamp from the aggregator round id until prices are pushed
 const calculateRoundid = (phaseId, aggrRoundid, timestamp) => {
 
-  return (phaseId << 64n) | (timestamp << PRICE_FEED_TIMESTAMP_OFFSET) | aggrRoundid
+  return encodePriceid(phaseId, (timestamp << PRICE_FEED_TIMESTAMP_OFFSET) | aggrRoundid)
 
 }
 
@@ -161,6 +137,13 @@ const getExitPriceid = async (roundid) => {
   const [round, prizepool] = await OraclyV1.getRound(roundid)
   if (round.endDate == 0) return 0 // eslint-disable-line
 
+  // scripted price feed, locate the exit price as a resolver would
+  const feed = await ethers.getContractAt('MockAggregatorProxy', round.pricefeed)
+  if (await feed.phaseId() !== 0n) {
+    const { exitPriceid } = await locateRoundExitPrice(OraclyV1, roundid)
+    return exitPriceid || 0
+  }
+
   const phaseId1 = 1n
   const aggrRoundid1 = 111n
   const timestamp1 = (BigInt(round.endDate) - 10n)
@@ -170,11 +153,9 @@ const getExitPriceid = async (roundid) => {
 
 }
 
-const calcPayout = (prizepool, positionpool, deposit, vigorish = 1) => {
+const calcPayout = (prizepool, positionpool, deposit, vigorish = 100) => {
 
-  const prize = Math.floor((prizepool * deposit) / positionpool)
-  const commission = Math.ceil(prize * vigorish / 100)
-  const payout = prize - commission
+  const { payout, commission } = calculatePrize(deposit, positionpool, prizepool, vigorish)
 
   return [ payout, commission ]
 
@@ -216,6 +197,7 @@ module.exports = {
   getPredictionId,
   resolve,
   calculateRoundid,
+  getExitPriceid,
   calcPayout,
 
   getPrediction,
@@ -0,0 +1,99 @@
+const { encodePriceid } = require('../../sdk/src/ids')
+const { parsePriceSeries, readPriceSeries } = require('../../lib/priceseries')
+
+// NOTE: mirrors MockAggregatorProxy.decimals
+const PRICE_FEED_DECIMALS = 8
+
+const PUSH_BATCH_SIZE = 100
+
+const startPhase = async (feed) => {
+
+  await feed.startPhase()
+
+  return Number(await feed.phaseId())
+
+}
+
+/**
+ * Pushes a single round, returns its price feed round id.
+ */
+const pushPrice = async (feed, answer, timestamp) => {
+
+  await feed.pushRound(answer, timestamp)
+
+  return encodePriceid(await feed.phaseId(), await feed.aggregatorRoundId())
+
+}
+
+/**
+ * Pushes `{ answer, timestamp, phase }` rows in order, starting a new phase whenever the row phase grows.
+ * Returns the price feed round ids of the rows.
+ */
+const pushPrices = async (feed, rows) => {
+
+  const roundids = []
+
+  let phaseId = Number(await feed.phaseId())
+  let aggregatorRoundId = await feed.aggregatorRoundId()
+  let batch = []
+
+  const flush = async () => {
+    if (!batch.length) return
+    await feed.pushRounds(batch.map(row => row.answer), batch.map(row => row.timestamp))
+    batch = []
+  }
+
+  for (const row of rows) {
+
+    const phase = row.phase === null || row.phase === undefined ? Math.max(phaseId, 1) : row.phase
+    if (phase < phaseId) throw new Error(`Price series phase ${phase} is older than feed phase ${phaseId}`)
+
+    while (phaseId < phase) {
+      await flush()
+      phaseId = await startPhase(feed)
+      aggregatorRoundId = 0n
+    }
+
+    batch.push(row)
+    if (batch.length === PUSH_BATCH_SIZE) await flush()
+
+    aggregatorRoundId += 1n
+    roundids.push(encodePriceid(phaseId, aggregatorRoundId))
+
+  }
+
+  await flush()
+
+  return roundids
+
+}
+
+/**
+ * Loads a CSV price series file into a MockAggregatorProxy.
+ *
+ * @param options.startAt Shifts the series so its first price is at `startAt`.
+ */
+const loadPriceSeries = async (feed, file, { startAt = null } = {}) => {
+
+  let rows = readPriceSeries(file, { decimals: PRICE_FEED_DECIMALS })
+
+  if (startAt !== null && rows.length) {
+    const shift = BigInt(startAt) - rows[0].timestamp
+    rows = rows.map(row => ({ ...row, timestamp: row.timestamp + shift }))
+  }
+
+  const roundids = await pushPrices(feed, rows)
+
+  return rows.map((row, idx) => ({ ...row, roundid: roundids[idx] }))
+
+}
+
+module.exports = {
+  PRICE_FEED_DECIMALS,
+
+  parsePriceSeries,
+  startPhase,
+  pushPrice,
+  pushPrices,
+  loadPriceSeries,
+}
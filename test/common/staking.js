@@ -1,5 +1,6 @@
 const { getLatestBlock, forwardTime } = require('../common/utils')
-const { keccak256, approve, address } = require('../common/utils')
+const { approve, address } = require('../common/utils')
+const { computeDepositid } = require('../../sdk/src/ids')
 
 let StakingOraclyV1
 const init = (contract) => {
@@ -8,8 +9,7 @@ const init = (contract) => {
 
 const depositId = (staker, epochid) => {
 
-  const depositid = keccak256([epochid, address(staker)], ['uint', 'address'])
-  return depositid
+  return computeDepositid(epochid, address(staker))
 
 }
 
@@ -1,5 +1,7 @@
 const { ethers } = require('hardhat')
 
+const { createRandom } = require('../../lib/random')
+
 const UNIX_SECOND = 1
 const UNIX_MINUTE = 60
 const UNIX_HOUR = 60 * UNIX_MINUTE
@@ -75,6 +77,7 @@ module.exports = {
   keccak256,
   getLatestBlock,
   forwardTime,
+  createRandom,
 
   DEMO_INITIAL_SUPPLY,
   TEST_TOTAL_SUPPLY,
@@ -0,0 +1,125 @@
+require('../common/init')
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const { deploy, readManifest } = require('../../scripts/deploy')
+
+const { address, balanceOf, ORCY_TOTAL_SUPPLY } = require('../common/utils')
+
+describe('Deploy', () => {
+
+  let owner
+  let GROWTH_WALLET
+  let TEAM_WALLET
+  let SEED_WALLET
+  let BUY4STAKE_WALLET
+  let DISTRIBUTOR
+  let addrs // eslint-disable-line
+
+  let manifest
+  let config
+
+  beforeEach(async () => {
+    [owner, GROWTH_WALLET, TEAM_WALLET, SEED_WALLET, BUY4STAKE_WALLET, DISTRIBUTOR, ...addrs] = await ethers.getSigners()
+
+    manifest = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'oracly-')), 'hardhat.json')
+    config = {
+      growth: address(GROWTH_WALLET),
+      team: address(TEAM_WALLET),
+      seed: address(SEED_WALLET),
+      buy4stake: address(BUY4STAKE_WALLET),
+
+      growthBeneficiary: address(GROWTH_WALLET),
+      teamBeneficiary: address(TEAM_WALLET),
+      seedBeneficiary: address(SEED_WALLET),
+
+      distributorEOA: address(DISTRIBUTOR),
+
+      buy4stakeERC20: null,
+    }
+  })
+
+  describe('Protocol', () => {
+
+    it('Deploys all contracts and wires gatherers', async () => {
+
+      const { contracts } = await deploy({ manifest, config })
+
+      const { ORCY, StakingOraclyV1, MentoringOraclyV1, MetaOraclyV1, OraclyV1 } = contracts
+
+      expect(await ORCY.totalSupply()).to.be.equal(ORCY_TOTAL_SUPPLY)
+      expect(await balanceOf(ORCY, contracts.GrowthVestingOraclyV1)).to.be.equal(ORCY_TOTAL_SUPPLY / 10n)
+      expect(await balanceOf(ORCY, contracts.SeedVestingOraclyV1)).to.be.equal(ORCY_TOTAL_SUPPLY / 20n)
+      expect(await balanceOf(ORCY, BUY4STAKE_WALLET)).to.be.equal(ORCY_TOTAL_SUPPLY / 2n)
+
+      expect(await contracts.TeamVestingOraclyV1.owner()).to.be.equal(address(TEAM_WALLET))
+
+      expect(await StakingOraclyV1.STAKING_ERC20_CONTRACT()).to.be.equal(ORCY.target)
+      expect(await StakingOraclyV1.BUY_4_STAKE_ERC20_CONTRACT()).to.be.equal(ORCY.target)
+      expect(await StakingOraclyV1.METAORACLY_CONTRACT()).to.be.equal(MetaOraclyV1.target)
+      expect(await MentoringOraclyV1.METAORACLY_CONTRACT()).to.be.equal(MetaOraclyV1.target)
+
+      expect(await OraclyV1.STAKING_CONTRACT()).to.be.equal(StakingOraclyV1.target)
+      expect(await OraclyV1.MENTORING_CONTRACT()).to.be.equal(MentoringOraclyV1.target)
+      expect(await OraclyV1.METAORACLY_CONTRACT()).to.be.equal(MetaOraclyV1.target)
+      expect(await OraclyV1.DISTRIBUTOR_EOA()).to.be.equal(address(DISTRIBUTOR))
+      expect(await OraclyV1.EXTENSION_CONTRACT()).to.be.equal(contracts.OraclyV1Extension.target)
+      expect(await contracts.OraclyV1Extension.VIEWS_CONTRACT()).to.be.equal(contracts.OraclyV1Views.target)
+
+      expect(await StakingOraclyV1.AUTHORIZED_COMMISSION_GATHERER()).to.be.equal(OraclyV1.target)
+      expect(await MentoringOraclyV1.AUTHORIZED_COMMISSION_GATHERER()).to.be.equal(OraclyV1.target)
+
+      const recorded = readManifest(manifest)
+      expect(Object.keys(recorded.contracts)).to.have.lengthOf(10)
+      expect(recorded.contracts.OraclyV1.address).to.be.equal(OraclyV1.target)
+      expect(recorded.setup['StakingOraclyV1.setGatherer'].transactionHash).not.to.be.equal(null)
+
+    })
+
+    it('Resumes partial deployment from manifest', async () => {
+
+      await deploy({ manifest, config })
+      const deployed = readManifest(manifest)
+
+      // emulate a run that failed right after MetaOraclyV1 deployment
+      const partial = readManifest(manifest)
+      delete partial.contracts.OraclyV1
+      partial.setup = {}
+      fs.writeFileSync(manifest, JSON.stringify(partial))
+
+      const { contracts } = await deploy({ manifest, config })
+      const resumed = readManifest(manifest)
+
+      for (const id of Object.keys(partial.contracts)) {
+        expect(resumed.contracts[id].address).to.be.equal(deployed.contracts[id].address)
+        expect(resumed.contracts[id].transactionHash).to.be.equal(deployed.contracts[id].transactionHash)
+      }
+      expect(resumed.contracts.OraclyV1.address).not.to.be.equal(deployed.contracts.OraclyV1.address)
+
+      expect(await contracts.StakingOraclyV1.AUTHORIZED_COMMISSION_GATHERER()).to.be.equal(contracts.OraclyV1.target)
+      expect(await contracts.MentoringOraclyV1.AUTHORIZED_COMMISSION_GATHERER()).to.be.equal(contracts.OraclyV1.target)
+
+      // nothing left to do
+      await deploy({ manifest, config })
+      expect(readManifest(manifest)).to.be.deep.equal(resumed)
+
+    })
+
+    it('Refuses to reuse contracts deployed with different parameters', async () => {
+
+      await deploy({ manifest, config })
+
+      await expect(
+        deploy({ manifest, config: { ...config, distributorEOA: address(owner) } })
+      ).to.be.rejectedWith('OraclyV1Views was deployed with different parameters')
+
+    })
+
+  })
+
+})
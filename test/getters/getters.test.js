@@ -45,17 +45,17 @@ describe('GETTERS', () => {
   beforeEach(async () => {
     [owner, addr1, addr2, addr3, addr4, addr5, ...addrs] = await ethers.getSigners()
 
-    DEMO = await deployToken('DEMO', owner.address)
-    DEMO2 = await deployToken('DEMO', owner.address)
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    DEMO2 = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
     MockAggregatorProxy = await deployAggregatorProxyMock()
 
-    MetaOraclyV1 = await deployMeta()
     meta.init(MetaOraclyV1)
 
-    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target)
+    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target, MetaOraclyV1.target)
     staking.init(StakingOraclyV1)
 
-    MentoringOraclyV1 = await deployMentoring()
+    MentoringOraclyV1 = await deployMentoring(MetaOraclyV1.target)
     mentoring.init(MentoringOraclyV1)
 
     OraclyV1 = await deployOraclyV1(
@@ -83,7 +83,8 @@ describe('GETTERS', () => {
         positioning: 60,
         expiration: 3600,
         version: 1,
-        minDeposit: 1
+        minDeposit: 1,
+        vigorish: 100
       })
 
       const player = addr1
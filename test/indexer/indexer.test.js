@@ -0,0 +1,275 @@
+require('../common/init')
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { expect } = require('chai')
+const { ethers, network } = require('hardhat')
+
+const { deployToken, deployAggregatorProxyMock } = require('../common')
+const { deployMeta, deployOraclyV1 } = require('../common')
+const { deployStakingOraclyV1, initStakingOraclyV1 } = require('../common')
+const { deployMentoring, initMentoring } = require('../common')
+
+const { approve, send, address, forwardTime } = require('../common/utils')
+
+const { RESOLUTION } = require('../common/oraclyv1')
+
+const staking = require('../common/staking')
+const mentoring = require('../common/mentoring')
+const oraclyv1 = require('../common/oraclyv1')
+const meta = require('../common/meta')
+
+const { createIndexer } = require('../../lib/indexer')
+
+describe('Indexer', () => {
+
+  let MetaOraclyV1
+  let MentoringOraclyV1
+  let MockAggregatorProxy
+  let StakingOraclyV1
+  let OraclyV1
+
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+  let addrs // eslint-disable-line
+
+  let fromBlock
+  let dbPath
+
+  const logger = { log: () => null, error: () => null }
+
+  const openIndexer = () => createIndexer({
+    provider: ethers.provider,
+    addresses: {
+      oraclyv1: OraclyV1.target,
+      staking: StakingOraclyV1.target,
+      mentoring: MentoringOraclyV1.target,
+    },
+    dbPath,
+    fromBlock,
+    logger,
+  })
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, ...addrs] = await ethers.getSigners()
+
+    fromBlock = await ethers.provider.getBlockNumber()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    meta.init(MetaOraclyV1)
+
+    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target, MetaOraclyV1.target)
+    staking.init(StakingOraclyV1)
+
+    MentoringOraclyV1 = await deployMentoring(MetaOraclyV1.target)
+    mentoring.init(MentoringOraclyV1)
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      StakingOraclyV1.target,
+      MentoringOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    await initStakingOraclyV1(StakingOraclyV1, OraclyV1.target)
+    await initMentoring(MentoringOraclyV1, OraclyV1.target)
+
+    dbPath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'oracly-')), 'oracly.sqlite')
+  })
+
+  it('Materializes rounds, predictions, deposits and mentor earnings', async () => {
+
+    const game = await meta.addGame({
+      pricefeed: MockAggregatorProxy.target,
+      erc20: DEMO.target,
+      schedule: 120,
+      positioning: 60,
+      expiration: 3600,
+      version: 1,
+      minDeposit: 1,
+      vigorish: 100
+    })
+
+    await send(owner, DEMO, addr1, 340)
+    await send(owner, DEMO, addr2, 100)
+
+    await mentoring.joinMentor(addr1, addr2)
+
+    const epochid_0 = await staking.ACTUAL_EPOCH_ID()
+    await approve(addr2, DEMO, StakingOraclyV1, 100)
+    await staking.stake(addr2, epochid_0, 100)
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+    await approve(addr1, DEMO, OraclyV1, 340)
+    const predictionid_up = await oraclyv1.placePrediction(addr1, 100, RESOLUTION.UP, game.gameid, roundid)
+    await oraclyv1.placePrediction(addr1, 50, RESOLUTION.UP, game.gameid, roundid)
+    const predictionid_down = await oraclyv1.placePrediction(addr1, 150, RESOLUTION.DOWN, game.gameid, roundid)
+    const predictionid_zero = await oraclyv1.placePrediction(addr1, 40, RESOLUTION.ZERO, game.gameid, roundid)
+
+    await OraclyV1.connect(addr1).decreasePrediction(predictionid_down, 50)
+    await OraclyV1.connect(addr1).cancelPrediction(predictionid_zero)
+
+    await forwardTime(game.schedule)
+    await oraclyv1.resolve(addr1, roundid)
+    await oraclyv1.withdraw(addr1, roundid, predictionid_up, DEMO)
+
+    const indexer = await openIndexer()
+    expect(await indexer.sync()).to.be.equal(await ethers.provider.getBlockNumber())
+
+    const [chainRound, prizepools] = await OraclyV1.getRound(roundid)
+
+    const rounds = indexer.getGameRounds(game.gameid)
+    expect(rounds.length).to.be.equal(1)
+
+    const [round] = rounds
+    expect(round.roundid).to.be.equal(roundid)
+    expect(round.startDate).to.be.equal(chainRound.startDate)
+    expect(round.endDate).to.be.equal(chainRound.endDate)
+    expect(round.entryPriceValue).to.be.equal(chainRound.entryPrice.value)
+    expect(round.prizepoolTotal).to.be.equal(prizepools[0])
+    expect(round.prizepoolDown).to.be.equal(prizepools[1])
+    expect(round.prizepoolUp).to.be.equal(prizepools[2])
+    expect(round.prizepoolZero).to.be.equal(0n)
+    expect(round.resolved).to.be.equal(true)
+    expect(round.resolution).to.be.equal(RESOLUTION.UP)
+    expect(round.exitPriceRoundid).to.be.equal(chainRound.exitPrice.roundid)
+    expect(round.archived).to.be.equal(chainRound.archived)
+
+    expect(indexer.getGameRounds(game.gameid, { from: Number(chainRound.startDate) + 1 })).to.be.deep.equal([])
+
+    const predictions = indexer.getBettorPredictions(address(addr1))
+    expect(predictions.map(p => p.predictionid)).to.have.members([predictionid_up, predictionid_down])
+
+    const up = indexer.getPrediction(predictionid_up)
+    const chainUp = await OraclyV1.getPrediction(predictionid_up)
+    expect(up.deposit).to.be.equal(150n)
+    expect(up.claimed).to.be.equal(true)
+    expect(up.payout).to.be.equal(chainUp.payout)
+    expect(up.commission).to.be.equal(chainUp.commission)
+    expect(up.payout + up.commission).to.be.equal(250n)
+
+    expect(indexer.getPrediction(predictionid_down).claimed).to.be.equal(false)
+    expect(indexer.getPrediction(predictionid_down).deposit).to.be.equal(100n)
+    expect(indexer.getPrediction(predictionid_zero)).to.be.equal(null)
+    expect(indexer.getBettorPredictions(address(addr1), { erc20: MockAggregatorProxy.target })).to.be.deep.equal([])
+
+    const [deposit] = indexer.getStakerDeposits(address(addr2))
+    expect(deposit.depositid).to.be.equal(staking.depositId(addr2, epochid_0))
+    expect(deposit.amount).to.be.equal(100n)
+
+    const epoch = indexer.getEpoch(await staking.ACTUAL_EPOCH_ID())
+    expect(epoch.commissions.length).to.be.equal(1)
+    expect(epoch.commissions[0].erc20).to.be.equal(DEMO.target)
+
+    const earnings = indexer.getMentorEarnings(address(addr2))
+    expect(earnings.proteges).to.be.deep.equal([address(addr1)])
+    expect(earnings.earnings.length).to.be.equal(1)
+    expect(earnings.earnings[0].erc20).to.be.equal(DEMO.target)
+    expect(earnings.earnings[0].earned).to.be.equal((await MentoringOraclyV1.getMentor(address(addr2), DEMO.target)).rewards)
+    expect(earnings.earnings[0].earned + epoch.commissions[0].collected).to.be.equal(up.commission)
+
+    indexer.close()
+
+  })
+
+  it('Rolls back reorged blocks and resumes from the database file', async () => {
+
+    const game = await meta.addGame({
+      pricefeed: MockAggregatorProxy.target,
+      erc20: DEMO.target,
+      schedule: 120,
+      positioning: 60,
+      expiration: 3600,
+      version: 1,
+      minDeposit: 1,
+      vigorish: 100
+    })
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+    await approve(owner, DEMO, OraclyV1, 300)
+    await oraclyv1.placePrediction(owner, 100, RESOLUTION.UP, game.gameid, roundid)
+
+    let indexer = await openIndexer()
+    await indexer.sync()
+    expect(indexer.getRound(roundid).prizepoolTotal).to.be.equal(100n)
+
+    const snapshot = await network.provider.send('evm_snapshot')
+
+    const predictionid_down = await oraclyv1.placePrediction(owner, 200, RESOLUTION.DOWN, game.gameid, roundid)
+    await indexer.sync()
+    expect(indexer.getRound(roundid).prizepoolTotal).to.be.equal(300n)
+    expect(indexer.getPrediction(predictionid_down).deposit).to.be.equal(200n)
+
+    // replace the last block with a different one
+    await network.provider.send('evm_revert', [snapshot])
+    await oraclyv1.placePrediction(owner, 50, RESOLUTION.UP, game.gameid, roundid)
+
+    await indexer.sync()
+    expect(indexer.getRound(roundid).prizepoolTotal).to.be.equal(150n)
+    expect(indexer.getRound(roundid).prizepoolUp).to.be.equal(150n)
+    expect(indexer.getPrediction(predictionid_down)).to.be.equal(null)
+    expect(indexer.getRoundPredictions(roundid).length).to.be.equal(1)
+
+    const lastBlock = indexer.getLastBlock()
+    indexer.close()
+
+    indexer = await openIndexer()
+    expect(indexer.getLastBlock()).to.be.equal(lastBlock)
+    expect(indexer.getRound(roundid).prizepoolTotal).to.be.equal(150n)
+
+    indexer.close()
+
+  })
+
+  it('Rolls back past reorged blocks that had no events', async () => {
+
+    const game = await meta.addGame({
+      pricefeed: MockAggregatorProxy.target,
+      erc20: DEMO.target,
+      schedule: 120,
+      positioning: 60,
+      expiration: 3600,
+      version: 1,
+      minDeposit: 1,
+      vigorish: 100
+    })
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+    await approve(owner, DEMO, OraclyV1, 350)
+    await oraclyv1.placePrediction(owner, 100, RESOLUTION.UP, game.gameid, roundid)
+
+    const indexer = await openIndexer()
+    await indexer.sync()
+
+    const snapshot = await network.provider.send('evm_snapshot')
+
+    // the first reorged block has no events, so its hash is not stored
+    await network.provider.send('evm_mine')
+    const predictionid_down = await oraclyv1.placePrediction(owner, 200, RESOLUTION.DOWN, game.gameid, roundid)
+    await indexer.sync()
+    expect(indexer.getRound(roundid).prizepoolTotal).to.be.equal(300n)
+
+    // the new chain has events in that block instead
+    await network.provider.send('evm_revert', [snapshot])
+    await oraclyv1.placePrediction(owner, 50, RESOLUTION.UP, game.gameid, roundid)
+    await network.provider.send('evm_mine')
+
+    await indexer.sync()
+    expect(indexer.getRound(roundid).prizepoolTotal).to.be.equal(150n)
+    expect(indexer.getRound(roundid).prizepoolUp).to.be.equal(150n)
+    expect(indexer.getPrediction(predictionid_down)).to.be.equal(null)
+
+    indexer.close()
+
+  })
+
+})
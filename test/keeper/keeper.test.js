@@ -0,0 +1,231 @@
+require('../common/init')
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const { deployToken, deployMeta, deployAggregatorProxyMock, deployOraclyV1 } = require('../common')
+const { approve, send, forwardTime, getLatestBlock } = require('../common/utils')
+const { pushPrice } = require('../common/pricefeed')
+
+const {
+  init: initOraclyV1,
+  RESOLUTION,
+  forwardTimeToRoundOpen,
+  placePrediction,
+  getRound,
+} = require('../common/oraclyv1')
+
+const {
+  init: initMeta,
+  addGame,
+} = require('../common/meta')
+
+const { createKeeper, readState, STATUS } = require('../../lib/keeper')
+const { REASON, getRoundStartDate, locateExitPrice } = require('../../sdk')
+
+describe('Keeper', () => {
+
+  let MetaOraclyV1
+  let MockAggregatorProxy
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let addr1
+  let addrs // eslint-disable-line
+
+  let statePath
+
+  const logger = { log: () => null, error: () => null }
+
+  // publishes the exit and the control price of a round
+  const publishExitPrice = async (round) => {
+
+    const exitPriceid = await pushPrice(MockAggregatorProxy, 1010, BigInt(round.endDate) - 10n)
+    await pushPrice(MockAggregatorProxy, 1011, BigInt(round.endDate) + 1n)
+
+    return exitPriceid
+
+  }
+
+  const openRound = async (version, positions, resolverReward = 0) => {
+
+    const game = await addGame({
+      pricefeed: MockAggregatorProxy.target,
+      erc20: DEMO.target,
+      positioning: 60,
+      schedule: 120,
+      expiration: 3600,
+      version,
+      minDeposit: 1,
+      vigorish: 100
+    })
+
+    if (resolverReward) await MetaOraclyV1.updateGameResolverReward(game.gameid, resolverReward)
+
+    const roundid = await forwardTimeToRoundOpen(game)
+
+    const { timestamp } = await getLatestBlock()
+    await pushPrice(MockAggregatorProxy, 1000, getRoundStartDate(game.schedule, timestamp) + 1)
+
+    for (const [bettor, position] of positions) {
+      await approve(bettor, DEMO, OraclyV1, 100)
+      await placePrediction(bettor, 100, position, game.gameid, roundid)
+    }
+
+    return { game, roundid }
+
+  }
+
+  beforeEach(async () => {
+    [owner, addr1, ...addrs] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+    initMeta(MetaOraclyV1)
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    initOraclyV1(OraclyV1)
+
+    await send(owner, DEMO, addr1, 1000)
+
+    statePath = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 'oracly-')), 'keeper.json')
+  })
+
+  it('Resolves a round after its end date and resumes from the state file', async () => {
+
+    const { game, roundid } = await openRound(1, [[owner, RESOLUTION.UP], [addr1, RESOLUTION.DOWN]])
+
+    let keeper = createKeeper({ oraclyv1: OraclyV1, statePath, logger })
+
+    expect(await keeper.tick()).to.be.deep.equal([])
+    expect(Object.keys(readState(statePath).rounds)).to.be.deep.equal([roundid])
+
+    // restart
+    keeper = createKeeper({ oraclyv1: OraclyV1, statePath, logger })
+
+    await forwardTime(game.schedule)
+    const exitPriceid = await publishExitPrice(await getRound(owner, roundid))
+
+    const [report] = await keeper.tick()
+    expect(report.roundid).to.be.equal(roundid)
+    expect(report.status).to.be.equal(STATUS.RESOLVED)
+    expect(report.exitPriceid).to.be.equal(exitPriceid)
+
+    const round = await getRound(owner, roundid)
+    expect(round.resolved).to.be.equal(true)
+    expect(round.resolution).to.be.equal(RESOLUTION.UP)
+
+    expect(readState(statePath).rounds).to.be.deep.equal({})
+    expect(await keeper.tick()).to.be.deep.equal([])
+
+    const running = keeper.run({ interval: 3600 })
+    keeper.stop()
+    await running
+
+  })
+
+  it('Claims the resolver reward of the rounds it resolves', async () => {
+
+    const { game, roundid } = await openRound(1, [[owner, RESOLUTION.UP], [addr1, RESOLUTION.DOWN]], 5000)
+
+    const keeper = createKeeper({ oraclyv1: OraclyV1, statePath, logger })
+    await keeper.tick()
+
+    await forwardTime(game.schedule)
+    await publishExitPrice(await getRound(owner, roundid))
+
+    const [report] = await keeper.tick()
+    expect(report.status).to.be.equal(STATUS.RESOLVED)
+
+    const [event] = await OraclyV1.queryFilter(OraclyV1.filters.ResolverRewardClaimed())
+    expect(event.args.resolver).to.be.equal(owner.address)
+    expect(event.args.erc20).to.be.equal(DEMO.target)
+    expect(event.args.amount).to.be.equal((await getRound(owner, roundid)).resolverRewardPaid)
+    expect(event.args.amount).to.be.above(0)
+
+    expect(await OraclyV1.getResolverReward(owner.address, DEMO.target)).to.be.equal(0)
+    expect(readState(statePath).claims).to.be.deep.equal([])
+
+  })
+
+  it('Backs off while the control price is not available and only simulates in dry run', async () => {
+
+    const { game, roundid } = await openRound(1, [[owner, RESOLUTION.UP], [addr1, RESOLUTION.ZERO]])
+
+    let calls = 0
+    const locate = async (round) => {
+      calls++
+      return locateExitPrice(MockAggregatorProxy, round)
+    }
+
+    const keeper = createKeeper({
+      oraclyv1: OraclyV1,
+      statePath,
+      locate,
+      logger,
+      dryRun: true,
+      backoff: { base: 30, max: 60 },
+    })
+
+    await forwardTime(game.schedule)
+
+    let [report] = await keeper.tick()
+    expect(report.status).to.be.equal(STATUS.RETRY)
+    expect(report.reason).to.be.equal(REASON.CONTROL_PRICE_NOT_AVAILABLE)
+
+    expect(await keeper.tick()).to.be.deep.equal([])
+    expect(calls).to.be.equal(1)
+
+    await forwardTime(30)
+    const exitPriceid = await publishExitPrice(await getRound(owner, roundid))
+
+    ;[report] = await keeper.tick()
+    expect(report.status).to.be.equal(STATUS.DRY_RUN)
+    expect(report.exitPriceid).to.be.equal(exitPriceid)
+
+    expect((await getRound(owner, roundid)).resolved).to.be.equal(false)
+    expect(fs.existsSync(statePath)).to.be.equal(false)
+
+  })
+
+  it('Leaves No Contest rounds to withdraw', async () => {
+
+    const single = await openRound(1, [[owner, RESOLUTION.UP], [addr1, RESOLUTION.UP]])
+    const late = await openRound(2, [[owner, RESOLUTION.UP], [addr1, RESOLUTION.DOWN]])
+
+    const locate = async () => ({ valid: false, retry: true, reason: REASON.CONTROL_PRICE_NOT_AVAILABLE })
+    const keeper = createKeeper({ oraclyv1: OraclyV1, statePath, locate, logger })
+
+    await forwardTime(single.game.schedule * 2n)
+
+    let report = await keeper.tick()
+    expect(report.map(({ roundid, status }) => [roundid, status])).to.be.deep.equal([
+      [single.roundid, STATUS.NO_CONTEST],
+      [late.roundid, STATUS.RETRY],
+    ])
+
+    await forwardTime(late.game.expiration)
+
+    report = await keeper.tick()
+    expect(report.map(({ roundid, status }) => [roundid, status])).to.be.deep.equal([
+      [late.roundid, STATUS.EXPIRED],
+    ])
+
+    expect((await getRound(owner, single.roundid)).resolved).to.be.equal(false)
+    expect((await getRound(owner, late.roundid)).resolved).to.be.equal(false)
+    expect(readState(statePath).rounds).to.be.deep.equal({})
+
+  })
+
+})
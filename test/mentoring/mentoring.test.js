@@ -4,7 +4,7 @@ const { expect } = require('chai')
 const { ethers } = require('hardhat')
 
 const { deployMentoring, initMentoring } = require('../common')
-const { deployToken } = require('../common')
+const { deployToken, deployMeta } = require('../common')
 
 const { joinMentor, expelProtege } = require('../common/mentoring')
 const { calculateReward, collectCommission, claimReward } = require('../common/mentoring')
@@ -19,6 +19,7 @@ require('@openzeppelin/test-helpers/configure')({
 
 describe('Mentoring', () => {
 
+  let MetaOraclyV1
   let MentoringOraclyV1
 
   let DEMO
@@ -34,10 +35,12 @@ describe('Mentoring', () => {
   beforeEach(async () => {
     [owner, addr1, addr2, addr3, addr4, ...addrs] = await ethers.getSigners()
 
-    DEMO = await deployToken('DEMO', owner.address)
-    DEMO2 = await deployToken('DEMO', owner.address)
+    MetaOraclyV1 = await deployMeta()
 
-    MentoringOraclyV1 = await deployMentoring()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    DEMO2 = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+
+    MentoringOraclyV1 = await deployMentoring(MetaOraclyV1.target)
     await initMentoring(MentoringOraclyV1, owner.address)
     init(MentoringOraclyV1)
 
@@ -0,0 +1,209 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs')
+
+const { deployToken, deployMeta, deployAggregatorProxyMock, deployOraclyV1 } = require('../common')
+const { approve, send, forwardTime, getLatestBlock } = require('../common/utils')
+const { pushPrice, PRICE_FEED_DECIMALS } = require('../common/pricefeed')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const {
+  OUTCOME,
+  FIRST_BUCKET_POSITION,
+  computeGameid,
+  createGameConfig,
+  createDepositCaps,
+  calculatePrize,
+  getRoundStartDate,
+  createOraclyV1Client,
+  createMetaOraclyV1Client,
+} = require('../../sdk')
+
+const price = (value) => ethers.parseUnits(value, PRICE_FEED_DECIMALS)
+
+describe('OraclyV1 Range-Bucket Games', () => {
+
+  let MetaOraclyV1
+  let MockAggregatorProxy
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+
+  let game
+
+  let client
+  let meta
+
+  // adds the range-bucket game of `bucketEdges`
+  const addGame = async (bucketEdges) => {
+
+    const config = createGameConfig({ bucketEdges })
+    await meta.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 100, config)
+
+    return await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, config))
+
+  }
+
+  // opens a round on `entry` price
+  const openRound = async (entry) => {
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+
+    const { timestamp } = await getLatestBlock()
+    const startDate = BigInt(getRoundStartDate(game.schedule, timestamp))
+
+    await pushPrice(MockAggregatorProxy, price(entry), startDate + 10n)
+
+    return { roundid, startDate, endDate: startDate + game.schedule }
+
+  }
+
+  beforeEach(async () => {
+    [owner, addr1, addr2] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    for (const bettor of [addr1, addr2]) {
+      await send(owner, DEMO, bettor, 10000)
+    }
+    for (const bettor of [owner, addr1, addr2]) {
+      await approve(bettor, DEMO, OraclyV1, 10000)
+    }
+
+    client = createOraclyV1Client({ address: OraclyV1.target, runner: owner })
+    meta = createMetaOraclyV1Client({ address: MetaOraclyV1.target, runner: owner })
+  })
+
+  it('Validates the bucket edges of a game', async () => {
+
+    const spec = [MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 100]
+    const edges = Array(16).fill(0).map((_, idx) => idx)
+
+    expect(await meta.preflight.addGame(...spec, createGameConfig({ bucketEdges: edges }))).to.be.equal('CannotAddGameTooManyBucketEdges')
+    expect(await meta.preflight.addGame(...spec, createGameConfig({ bucketEdges: [-5001, 0] }))).to.be.equal('CannotAddGameBucketEdgeTooLarge')
+    expect(await meta.preflight.addGame(...spec, createGameConfig({ bucketEdges: [0, 0] }))).to.be.equal('CannotAddGameBucketEdgesNotAscending')
+
+    await expect(MetaOraclyV1.addGame(...spec, createGameConfig({ bucketEdges: [50, -50] }), createDepositCaps())).to.be.revertedWith('CannotAddGameBucketEdgesNotAscending')
+    await expect(MetaOraclyV1.connect(addr1).addGame(...spec, createGameConfig({ bucketEdges: [0] }), createDepositCaps())).to.be.reverted
+
+    // a range-bucket game has no tolerance band
+    const threshold = createGameConfig({ tolerance: 100, bucketEdges: [0] })
+    expect(await meta.preflight.addGame(...spec, threshold)).to.be.equal('CannotAddGameToleranceWithBucketEdges')
+    await expect(MetaOraclyV1.addGame(...spec, threshold, createDepositCaps())).to.be.revertedWith('CannotAddGameToleranceWithBucketEdges')
+
+    const config = createGameConfig({ bucketEdges: [-50, 0, 50] })
+    const gameid = computeGameid(...spec.slice(0, 5), config)
+    await expect(meta.addGame(...spec, config))
+      .to.emit(MetaOraclyV1, 'GameAdded').withArgs(gameid, ...spec, [0n, [-50n, 0n, 50n], ethers.ZeroAddress], [0n, 0n, 0n])
+    expect((await meta.getGame(gameid)).bucketEdges).to.be.deep.equal([-50, 0, 50])
+
+    // the classic game of the same spec is another game
+    expect(gameid).to.not.be.equal(computeGameid(...spec.slice(0, 5)))
+    expect(await meta.preflight.addGame(...spec, createGameConfig())).to.be.equal(null)
+
+  })
+
+  it('Resolves the round to the bucket of the exit price and pays its predictions', async () => {
+
+    game = await addGame([-50, 0, 50])
+
+    const { roundid, startDate, endDate } = await openRound('2000.00')
+
+    // the round is not opened yet, the positions are the buckets of the game
+    expect(await client.getProjectedPayout(game.gameid, roundid, FIRST_BUCKET_POSITION + 3, 100)).to.be.deep.equal(calculatePrize(100, 100, 100, 100))
+    await expect(client.getProjectedPayout(game.gameid, roundid, OUTCOME.UP, 100)).to.be.revertedWith('NotSupportedPosition')
+
+    const bettor = createOraclyV1Client({ address: OraclyV1.target, runner: addr1 })
+    expect(await bettor.preflight.placePrediction(100, OUTCOME.UP, game.gameid, roundid)).to.be.equal('NotSupportedPosition')
+    expect(await bettor.preflight.placePrediction(100, FIRST_BUCKET_POSITION + 4, game.gameid, roundid)).to.be.equal('NotSupportedPosition')
+    await expect(OraclyV1.connect(addr1).placePrediction(100, OUTCOME.UP, game.gameid, roundid)).to.be.revertedWith('NotSupportedPosition')
+
+    // buckets: below -0.5%, from -0.5% below 0, from 0 below 0.5%, from 0.5% up
+    const wonid = await oraclyv1.placePrediction(addr1, 100, FIRST_BUCKET_POSITION + 2, game.gameid, roundid)
+    await oraclyv1.placePrediction(addr2, 200, FIRST_BUCKET_POSITION + 3, game.gameid, roundid)
+    await oraclyv1.placePrediction(owner, 100, FIRST_BUCKET_POSITION, game.gameid, roundid)
+
+    const buckets = await OraclyV1.getRoundBuckets(roundid)
+    expect(buckets.bucketEdges).to.be.deep.equal([-50n, 0n, 50n])
+    expect(buckets.prizepools).to.be.deep.equal([100n, 0n, 100n, 200n])
+    expect(buckets.bettors).to.be.deep.equal([1n, 0n, 1n, 1n])
+    expect(buckets.predictions).to.be.deep.equal([1n, 0n, 1n, 1n])
+
+    const precision = await OraclyV1.MULTIPLIER_PRECISION()
+    expect(await client.getRoundBucketMultipliers(roundid)).to.be.deep.equal([
+      calculatePrize(precision, 100, 400, 100).payout,
+      0n,
+      calculatePrize(precision, 100, 400, 100).payout,
+      calculatePrize(precision, 200, 400, 100).payout,
+    ])
+    expect(await client.getRoundMultipliers(roundid)).to.be.deep.equal({ down: 0n, up: 0n, zero: 0n })
+    expect(await client.getProjectedPayout(game.gameid, roundid, FIRST_BUCKET_POSITION + 1, 100)).to.be.deep.equal(calculatePrize(100, 100, 500, 100))
+
+    const round = await client.getRound(roundid)
+    expect(round.bucketEdges).to.be.deep.equal([-50, 0, 50])
+    expect(round.prizepools).to.be.deep.equal({ total: 400n, down: 0n, up: 0n, zero: 0n, buckets: [100n, 0n, 100n, 200n] })
+
+    // 0.25% up
+    const exitPriceid = await pushPrice(MockAggregatorProxy, price('2005.00'), startDate + 90n)
+    await pushPrice(MockAggregatorProxy, price('2005.00'), endDate + 1n)
+
+    await forwardTime(game.schedule)
+
+    expect(await client.preflight.resolve(roundid, exitPriceid)).to.be.equal(null)
+    await expect(OraclyV1.resolve(roundid, exitPriceid))
+      .to.emit(OraclyV1, 'RoundResolved').withArgs(roundid, anyValue, owner.address, anyValue, FIRST_BUCKET_POSITION + 2, 0, 0)
+
+    expect((await client.getRound(roundid)).resolution).to.be.equal(FIRST_BUCKET_POSITION + 2)
+
+    const { payout, commission } = calculatePrize(100, 100, 400, 100)
+    expect(await client.getClaimable(wonid)).to.be.deep.equal({ payout, commission })
+
+    await expect(OraclyV1.connect(addr1).withdraw(roundid, wonid, DEMO.target))
+      .to.emit(OraclyV1, 'PredictionClaimed').withArgs(wonid, addr1.address, DEMO.target, payout, commission)
+      .and.to.emit(OraclyV1, 'RoundArchived')
+
+    // the last winning claim archives the round
+    expect((await client.getRound(roundid)).archived).to.be.equal(true)
+
+  })
+
+  it('Resolves to the lowest and the highest buckets past the outer edges', async () => {
+
+    game = await addGame([-50, 50])
+
+    for (const [exit, bucket] of [['1989.99', 0], ['2010.00', 2], ['1990.00', 1]]) {
+
+      const { roundid, startDate, endDate } = await openRound('2000.00')
+      for (const [bettor, position] of [[owner, 0], [addr1, 1], [addr2, 2]]) {
+        await oraclyv1.placePrediction(bettor, 100, FIRST_BUCKET_POSITION + position, game.gameid, roundid)
+      }
+
+      const exitPriceid = await pushPrice(MockAggregatorProxy, price(exit), startDate + 90n)
+      await pushPrice(MockAggregatorProxy, price(exit), endDate + 1n)
+
+      await forwardTime(game.schedule)
+
+      await OraclyV1.resolve(roundid, exitPriceid)
+      expect((await client.getRound(roundid)).resolution).to.be.equal(FIRST_BUCKET_POSITION + bucket)
+
+    }
+
+  })
+
+})
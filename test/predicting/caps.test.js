@@ -0,0 +1,152 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const { deployToken, deployMeta, deployAggregatorProxyMock, deployOraclyV1 } = require('../common')
+const { approve, send } = require('../common/utils')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const {
+  OUTCOME,
+  computeGameid,
+  createGameConfig,
+  createDepositCaps,
+  createOraclyV1Client,
+  createMetaOraclyV1Client,
+} = require('../../sdk')
+
+describe('OraclyV1 Deposit Caps', () => {
+
+  let MetaOraclyV1
+  let MockAggregatorProxy
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+
+  let game
+
+  let meta
+
+  beforeEach(async () => {
+    [owner, addr1, addr2] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    for (const bettor of [addr1, addr2]) {
+      await send(owner, DEMO, bettor, 10000)
+    }
+    for (const bettor of [owner, addr1, addr2]) {
+      await approve(bettor, DEMO, OraclyV1, 10000)
+    }
+
+    meta = createMetaOraclyV1Client({ address: MetaOraclyV1.target, runner: owner })
+
+    const caps = createDepositCaps({ maxDeposit: 100, bettorRoundCap: 150, roundCap: 300 })
+    await meta.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 10, 100, createGameConfig(), caps)
+    game = await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60))
+  })
+
+  it('Validates the deposit caps of a game', async () => {
+
+    // the caps are set when the game is added, they are not part of the gameid
+    const spec = [MockAggregatorProxy.target, DEMO.target, 2, 120, 60, 3600, 10, 100, createGameConfig()]
+    const below = createDepositCaps({ roundCap: 9 })
+    expect(await meta.preflight.addGame(...spec, below)).to.be.equal('CannotAddGameDepositCapBelowMinDeposit')
+    await expect(MetaOraclyV1.addGame(...spec, below)).to.be.revertedWith('CannotAddGameDepositCapBelowMinDeposit')
+
+    const gameid = computeGameid(...spec.slice(0, 5))
+    await expect(meta.addGame(...spec, { maxDeposit: 10 }))
+      .to.emit(MetaOraclyV1, 'GameAdded').withArgs(gameid, ...spec.slice(0, 8), [0n, [], ethers.ZeroAddress], [10n, 0n, 0n])
+    expect((await meta.getGame(gameid)).maxDeposit).to.be.equal(10n)
+
+    expect(await meta.preflight.updateGameDepositCaps(ethers.ZeroHash, createDepositCaps())).to.be.equal('CannotUpdateGameDoNotExists')
+    expect(await meta.preflight.updateGameDepositCaps(game.gameid, { bettorRoundCap: 9 })).to.be.equal('CannotUpdateGameDepositCapBelowMinDeposit')
+    await expect(MetaOraclyV1.updateGameDepositCaps(game.gameid, createDepositCaps({ roundCap: 9 })))
+      .to.be.revertedWith('CannotUpdateGameDepositCapBelowMinDeposit')
+    await expect(MetaOraclyV1.connect(addr1).updateGameDepositCaps(game.gameid, createDepositCaps())).to.be.reverted
+
+    const caps = { maxDeposit: 200, bettorRoundCap: 250, roundCap: 500 }
+    expect(await meta.preflight.updateGameDepositCaps(game.gameid, caps)).to.be.equal(null)
+    await expect(meta.updateGameDepositCaps(game.gameid, caps))
+      .to.emit(MetaOraclyV1, 'GameDepositCapsUpdated').withArgs(game.gameid, [200n, 250n, 500n])
+
+    const { maxDeposit, bettorRoundCap, roundCap } = await meta.getGame(game.gameid)
+    expect({ maxDeposit, bettorRoundCap, roundCap }).to.be.deep.equal({ maxDeposit: 200n, bettorRoundCap: 250n, roundCap: 500n })
+
+  })
+
+  it('Rejects predictions exceeding the prediction, bettor and round caps', async () => {
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+
+    const bettor = createOraclyV1Client({ address: OraclyV1.target, runner: addr1 })
+    expect(await bettor.preflight.placePrediction(101, OUTCOME.UP, game.gameid, roundid)).to.be.equal('PredictionDepositCapExceeded')
+    await expect(OraclyV1.connect(addr1).placePrediction(101, OUTCOME.UP, game.gameid, roundid)).to.be.revertedWith('PredictionDepositCapExceeded')
+
+    const upid = await oraclyv1.placePrediction(addr1, 80, OUTCOME.UP, game.gameid, roundid)
+    expect(await bettor.getDepositCapacity(game.gameid, roundid, addr1.address, OUTCOME.UP))
+      .to.be.deep.equal({ prediction: 20n, bettor: 70n, round: 220n })
+    expect(await bettor.getDepositCapacity(game.gameid, roundid, addr1.address, OUTCOME.DOWN))
+      .to.be.deep.equal({ prediction: 100n, bettor: 70n, round: 220n })
+
+    // increases count against the prediction deposit
+    expect(await bettor.preflight.placePrediction(30, OUTCOME.UP, game.gameid, roundid)).to.be.equal('PredictionDepositCapExceeded')
+    await expect(OraclyV1.connect(addr1).placePrediction(30, OUTCOME.UP, game.gameid, roundid)).to.be.revertedWith('PredictionDepositCapExceeded')
+
+    // 80 on Up and 80 on Down is over the bettor cap
+    expect(await bettor.preflight.placePrediction(80, OUTCOME.DOWN, game.gameid, roundid)).to.be.equal('BettorRoundDepositCapExceeded')
+    await expect(OraclyV1.connect(addr1).placePrediction(80, OUTCOME.DOWN, game.gameid, roundid)).to.be.revertedWith('BettorRoundDepositCapExceeded')
+
+    await oraclyv1.placePrediction(addr1, 70, OUTCOME.DOWN, game.gameid, roundid)
+    await oraclyv1.placePrediction(addr2, 100, OUTCOME.ZERO, game.gameid, roundid)
+
+    const client = createOraclyV1Client({ address: OraclyV1.target, runner: owner })
+    const { maxDeposit, bettorRoundCap, roundCap, capacity } = await client.getRound(roundid)
+    expect({ maxDeposit, bettorRoundCap, roundCap, capacity }).to.be.deep.equal({ maxDeposit: 100n, bettorRoundCap: 150n, roundCap: 300n, capacity: 50n })
+    expect(await client.getDepositCapacity(game.gameid, roundid, addr1.address, OUTCOME.UP))
+      .to.be.deep.equal({ prediction: 20n, bettor: 0n, round: 50n })
+
+    expect(await client.preflight.placePrediction(60, OUTCOME.UP, game.gameid, roundid)).to.be.equal('RoundDepositCapExceeded')
+    await expect(OraclyV1.placePrediction(60, OUTCOME.UP, game.gameid, roundid)).to.be.revertedWith('RoundDepositCapExceeded')
+
+    // withdrawn deposits free up the bettor and the round capacity
+    await bettor.decreasePrediction(upid, 30)
+    expect((await client.getRound(roundid)).capacity).to.be.equal(80)
+
+    expect(await bettor.preflight.placePrediction(30, OUTCOME.ZERO, game.gameid, roundid)).to.be.equal(null)
+    expect(await client.preflight.placePrediction(60, OUTCOME.UP, game.gameid, roundid)).to.be.equal(null)
+    await oraclyv1.placePrediction(owner, 60, OUTCOME.UP, game.gameid, roundid)
+
+    // the round keeps its caps, lifting them applies to the rounds created later
+    await meta.updateGameDepositCaps(game.gameid, createDepositCaps())
+    expect((await client.getRound(roundid)).capacity).to.be.equal(20)
+    expect(await client.preflight.placePrediction(30, OUTCOME.DOWN, game.gameid, roundid)).to.be.equal('RoundDepositCapExceeded')
+    await expect(OraclyV1.placePrediction(30, OUTCOME.DOWN, game.gameid, roundid)).to.be.revertedWith('RoundDepositCapExceeded')
+
+    await expect(client.getDepositCapacity(ethers.ZeroHash, roundid, addr1.address, OUTCOME.UP)).to.be.revertedWith('NotSupportedGame')
+
+    const nextid = await oraclyv1.forwardTimeToRoundOpen(game)
+    expect(await client.getDepositCapacity(game.gameid, nextid, addr1.address, OUTCOME.UP))
+      .to.be.deep.equal({ prediction: ethers.MaxUint256, bettor: ethers.MaxUint256, round: ethers.MaxUint256 })
+
+    await oraclyv1.placePrediction(addr1, 500, OUTCOME.UP, game.gameid, nextid)
+    expect((await client.getRound(nextid)).capacity).to.be.equal(ethers.MaxUint256)
+
+  })
+
+})
@@ -0,0 +1,152 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const { deployToken, deployAggregatorProxyMock } = require('../common')
+const { deployMeta, deployOraclyV1 } = require('../common')
+const { deployStakingOraclyV1, initStakingOraclyV1 } = require('../common')
+const { deployMentoring, initMentoring } = require('../common')
+
+const { forwardTime } = require('../common/utils')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const {
+  OUTCOME,
+  computeGameid,
+  createGameConfig,
+  createDepositCaps,
+  createOraclyV1Client,
+  createMetaOraclyV1Client,
+  createStakingOraclyV1Client,
+  createMentoringOraclyV1Client,
+} = require('../../sdk')
+
+describe('Smart contract wallets', () => {
+
+  let MetaOraclyV1
+  let MentoringOraclyV1
+  let MockAggregatorProxy
+  let StakingOraclyV1
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+
+  let wallet
+  let game
+
+  // sends `method(...args)` of `contract` through the wallet
+  const execute = (contract, method, args = []) => {
+    return wallet.connect(addr1).execute(contract.target, contract.interface.encodeFunctionData(method, args))
+  }
+
+  beforeEach(async () => {
+    [owner, addr1, addr2] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target, MetaOraclyV1.target)
+    MentoringOraclyV1 = await deployMentoring(MetaOraclyV1.target)
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      StakingOraclyV1.target,
+      MentoringOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    await initStakingOraclyV1(StakingOraclyV1, OraclyV1.target)
+    await initMentoring(MentoringOraclyV1, OraclyV1.target)
+
+    wallet = await ethers.deployContract('MockContractWallet', addr1)
+    await wallet.waitForDeployment()
+
+    await DEMO.transfer(wallet.target, 500)
+    await DEMO.transfer(addr2.address, 500)
+
+    await MetaOraclyV1.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 100, createGameConfig(), createDepositCaps())
+    game = await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60))
+  })
+
+  it('Plays OraclyV1 once allowed in MetaOraclyV1', async () => {
+
+    const meta = createMetaOraclyV1Client({ address: MetaOraclyV1.target, runner: owner })
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+
+    await execute(DEMO, 'approve', [OraclyV1.target, 500])
+    await expect(execute(OraclyV1, 'placePrediction', [300, OUTCOME.UP, game.gameid, roundid])).to.be.revertedWith('OnlyEOASendersAllowed')
+
+    expect(await meta.preflight.allowContractCaller(ethers.ZeroAddress)).to.be.equal('CannotAllowZeroAddressContractCaller')
+    expect(await meta.preflight.disallowContractCaller(wallet.target)).to.be.equal('ContractCallerIsNotAllowed')
+    await expect(MetaOraclyV1.connect(addr1).allowContractCaller(wallet.target)).to.be.reverted
+
+    await expect(meta.allowContractCaller(wallet.target)).to.emit(MetaOraclyV1, 'ContractCallerAllowed').withArgs(wallet.target)
+    expect(await meta.isContractCallerAllowed(wallet.target)).to.be.equal(true)
+    expect(await meta.preflight.allowContractCaller(wallet.target)).to.be.equal('ContractCallerIsAlreadyAllowed')
+
+    await execute(OraclyV1, 'placePrediction', [300, OUTCOME.UP, game.gameid, roundid])
+    await DEMO.connect(addr2).approve(OraclyV1.target, 200)
+    await OraclyV1.connect(addr2).placePrediction(200, OUTCOME.DOWN, game.gameid, roundid)
+
+    const predictionid = oraclyv1.getPredictionId(wallet, roundid, OUTCOME.UP)
+
+    await forwardTime(game.schedule)
+    const exitPriceid = await oraclyv1.getExitPriceid(roundid)
+
+    await execute(OraclyV1, 'resolve4withdraw', [roundid, predictionid, DEMO.target, exitPriceid])
+
+    const prediction = await createOraclyV1Client({ address: OraclyV1.target, runner: ethers.provider }).getPrediction(predictionid)
+    expect(prediction.claimed).to.be.equal(true)
+    expect(await DEMO.balanceOf(wallet.target)).to.be.equal(200n + prediction.payout)
+
+    await expect(meta.disallowContractCaller(wallet.target)).to.emit(MetaOraclyV1, 'ContractCallerDisallowed').withArgs(wallet.target)
+
+    const next = await oraclyv1.forwardTimeToRoundOpen(game)
+    await expect(execute(OraclyV1, 'placePrediction', [100, OUTCOME.UP, game.gameid, next])).to.be.revertedWith('OnlyEOASendersAllowed')
+
+  })
+
+  it('Stakes, mentors and mints DEMO once allowed in MetaOraclyV1', async () => {
+
+    await execute(DEMO, 'approve', [StakingOraclyV1.target, 100])
+
+    const epochid = await StakingOraclyV1.ACTUAL_EPOCH_ID()
+
+    const actions = [
+      [StakingOraclyV1, 'stake', [epochid, 100]],
+      [MentoringOraclyV1, 'joinMentor', [addr2.address]],
+      [DEMO, 'mint', []],
+    ]
+
+    for (const [contract, method, args] of actions) {
+      expect(await contract.METAORACLY_CONTRACT()).to.be.equal(MetaOraclyV1.target)
+      await expect(execute(contract, method, args)).to.be.revertedWith('OnlyEOASendersAllowed')
+    }
+
+    // the MetaOraclyV1 list applies to the whole protocol
+    await MetaOraclyV1.allowContractCaller(wallet.target)
+
+    const staking = createStakingOraclyV1Client({ address: StakingOraclyV1.target, runner: ethers.provider })
+    const mentoring = createMentoringOraclyV1Client({ address: MentoringOraclyV1.target, runner: ethers.provider })
+    expect(await staking.isContractCallerAllowed(wallet.target)).to.be.equal(true)
+    expect(await mentoring.isContractCallerAllowed(wallet.target)).to.be.equal(true)
+
+    for (const [contract, method, args] of actions) {
+      await execute(contract, method, args)
+    }
+
+    expect((await StakingOraclyV1.getStakeOf(wallet.target))).to.be.equal(100)
+    expect((await MentoringOraclyV1.getProtege(wallet.target, ethers.ZeroAddress)).mentor).to.be.equal(addr2.address)
+    expect(await DEMO.minted(wallet.target)).to.be.equal(ethers.parseUnits('1000', 18))
+
+  })
+
+})
@@ -0,0 +1,146 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const { deployToken, deployAggregatorProxyMock } = require('../common')
+const { deployMeta, deployOraclyV1 } = require('../common')
+const { deployStakingOraclyV1, initStakingOraclyV1 } = require('../common')
+const { deployMentoring, initMentoring } = require('../common')
+
+const { approve, send, forwardTime } = require('../common/utils')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const { OUTCOME, computeGameid, createGameConfig, createDepositCaps, createOraclyV1Client, createMetaOraclyV1Client } = require('../../sdk')
+
+describe('OraclyV1 Prediction Decrease', () => {
+
+  let MetaOraclyV1
+  let MentoringOraclyV1
+  let MockAggregatorProxy
+  let StakingOraclyV1
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+
+  let game
+  let roundid
+
+  let client
+
+  beforeEach(async () => {
+    [owner, addr1, addr2] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target, MetaOraclyV1.target)
+    MentoringOraclyV1 = await deployMentoring(MetaOraclyV1.target)
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      StakingOraclyV1.target,
+      MentoringOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    await initStakingOraclyV1(StakingOraclyV1, OraclyV1.target)
+    await initMentoring(MentoringOraclyV1, OraclyV1.target)
+
+    for (const bettor of [addr1, addr2]) {
+      await send(owner, DEMO, bettor, 10000)
+      await approve(bettor, DEMO, OraclyV1, 10000)
+    }
+
+    await MetaOraclyV1.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 10, 100, createGameConfig(), createDepositCaps())
+    game = await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60))
+
+    roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+
+    client = createOraclyV1Client({ address: OraclyV1.target, runner: addr1 })
+  })
+
+  it('Decreases and cancels predictions unwinding the round and the bettor', async () => {
+
+    const meta = createMetaOraclyV1Client({ address: MetaOraclyV1.target, runner: owner })
+    expect(await meta.preflight.updateGameCancellationFee(game.gameid, 1001)).to.be.equal('CannotUpdateGameCancellationFeeTooLarge')
+    await expect(MetaOraclyV1.connect(addr1).updateGameCancellationFee(game.gameid, 0)).to.be.reverted
+    await expect(meta.updateGameCancellationFee(game.gameid, 200))
+      .to.emit(MetaOraclyV1, 'GameCancellationFeeUpdated').withArgs(game.gameid, 200)
+
+    const upid = await oraclyv1.placePrediction(addr1, 500, OUTCOME.UP, game.gameid, roundid)
+    const downid = await oraclyv1.placePrediction(addr1, 300, OUTCOME.DOWN, game.gameid, roundid)
+    await oraclyv1.placePrediction(addr2, 400, OUTCOME.UP, game.gameid, roundid)
+
+    const balance = await DEMO.balanceOf(addr1.address)
+
+    // 2% of 200 charged as a commission
+    await expect(client.decreasePrediction(upid, 200))
+      .to.emit(OraclyV1, 'DecreasePredictionDeposit').withArgs(upid, 200, 4)
+      .and.to.emit(OraclyV1, 'RoundPrizepoolRemove').withArgs(roundid, DEMO.target, OUTCOME.UP, 200)
+      .and.to.emit(OraclyV1, 'StakersRewardDistributedViaEOA').withArgs(owner.address, addr1.address, DEMO.target, 4)
+
+    expect(await DEMO.balanceOf(addr1.address)).to.be.equal(balance + 196n)
+    expect((await client.getPrediction(upid)).deposit).to.be.equal(300)
+
+    let round = await client.getRound(roundid)
+    expect(round.prizepools).to.be.deep.equal({ total: 1000n, down: 300n, up: 700n, zero: 0n })
+    expect(round.cancellationFee).to.be.equal(200)
+
+    // the round keeps the fee it was created with
+    await meta.updateGameCancellationFee(game.gameid, 1000)
+
+    await expect(client.cancelPrediction(downid))
+      .to.emit(OraclyV1, 'DecreasePredictionDeposit').withArgs(downid, 300, 6)
+      .to.emit(OraclyV1, 'PredictionCancelled').withArgs(downid, roundid, addr1.address)
+
+    expect(await client.getPrediction(downid)).to.be.equal(null)
+    expect(await client.isBettorInRound(addr1.address, roundid)).to.be.equal(true)
+
+    round = await client.getRound(roundid)
+    expect(round.prizepools).to.be.deep.equal({ total: 700n, down: 0n, up: 700n, zero: 0n })
+    expect(round.predictions).to.be.deep.equal({ total: 2n, down: 0n, up: 2n, zero: 0n })
+    expect(round.bettors).to.be.deep.equal({ total: 2n, down: 0n, up: 2n, zero: 0n })
+
+    // the last position of the bettor in the round
+    await client.cancelPrediction(upid)
+
+    expect(await client.isBettorInRound(addr1.address, roundid)).to.be.equal(false)
+    expect((await client.getRound(roundid)).bettors).to.be.deep.equal({ total: 1n, down: 0n, up: 1n, zero: 0n })
+    expect(await client.getBettor(addr1.address, DEMO.target)).to.be.equal(null)
+    expect(await DEMO.balanceOf(addr1.address)).to.be.equal(balance + 196n + 294n + 294n)
+
+    // a cancelled prediction can be placed again
+    expect(await oraclyv1.placePrediction(addr1, 100, OUTCOME.UP, game.gameid, roundid)).to.be.equal(upid)
+    expect((await client.getPrediction(upid)).deposit).to.be.equal(100)
+
+  })
+
+  it('Rejects decreases of others, of invalid amounts and after the round locks', async () => {
+
+    const predictionid = await oraclyv1.placePrediction(addr1, 100, OUTCOME.UP, game.gameid, roundid)
+
+    const other = createOraclyV1Client({ address: OraclyV1.target, runner: addr2 })
+    expect(await other.preflight.cancelPrediction(predictionid)).to.be.equal('BettorPredictionMismatch')
+    await expect(OraclyV1.connect(addr2).cancelPrediction(predictionid)).to.be.revertedWith('BettorPredictionMismatch')
+
+    for (const amount of [0, 95, 101]) {
+      expect(await client.preflight.decreasePrediction(predictionid, amount)).to.be.equal('UnacceptableDecreaseAmount')
+      await expect(OraclyV1.connect(addr1).decreasePrediction(predictionid, amount)).to.be.revertedWith('UnacceptableDecreaseAmount')
+    }
+    expect(await client.preflight.decreasePrediction(predictionid, 90)).to.be.equal(null)
+
+    await forwardTime(game.positioning)
+
+    expect(await client.preflight.cancelPrediction(predictionid)).to.be.equal('CannotDecreasePredictionOutOfPositioningPeriod')
+    await expect(OraclyV1.connect(addr1).cancelPrediction(predictionid)).to.be.revertedWith('CannotDecreasePredictionOutOfPositioningPeriod')
+
+  })
+
+})
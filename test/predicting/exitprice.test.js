@@ -0,0 +1,187 @@
+require('../common/init')
+
+const { expect } = require('chai')
+
+const {
+  REASON,
+  locateExitPrice,
+  isValidResolution,
+  encodePriceid,
+} = require('../../sdk')
+
+// In-memory AggregatorV3 feed, rounds are pushed in order per phase
+const createFeed = () => {
+
+  const rounds = new Map()
+  let latest = null
+
+  return {
+    calls: 0,
+
+    push (phaseId, aggrRoundId, value, timestamp, { answeredInRound } = {}) {
+      const roundId = encodePriceid(phaseId, aggrRoundId)
+      rounds.set(roundId, {
+        roundId,
+        answer: BigInt(value),
+        startedAt: BigInt(timestamp),
+        updatedAt: BigInt(timestamp),
+        answeredInRound: answeredInRound === undefined ? roundId : encodePriceid(phaseId, answeredInRound),
+      })
+      latest = roundId
+      return roundId
+    },
+
+    async getRoundData (roundId) {
+      this.calls++
+      const data = rounds.get(BigInt(roundId))
+      if (!data) throw new Error('No data present')
+      return data
+    },
+
+    async latestRoundData () {
+      return rounds.get(latest)
+    },
+  }
+
+}
+
+describe('Exit price locator', () => {
+
+  const START = 1_700_000_000n
+  const round = (entryPrice) => ({
+    entryPrice,
+    lockDate: START + 60n,
+    endDate: START + 120n,
+  })
+
+  // one price every `interval` seconds, starting at START
+  const fill = (feed, phaseId, from, count, interval, value = 1000n) => {
+    for (let i = 0n; i < count; i++) {
+      feed.push(phaseId, from + i, value, START + i * interval)
+    }
+  }
+
+  const entryOf = (phaseId, aggrRoundId, value = 1000n, timestamp = START) => ({
+    roundid: encodePriceid(phaseId, aggrRoundId),
+    value,
+    timestamp,
+  })
+
+  it('Locates the last price before end date followed by the control price', async () => {
+
+    const feed = createFeed()
+    fill(feed, 3n, 100n, 20n, 10n)
+
+    const resolution = await locateExitPrice(feed, round(entryOf(3n, 100n)))
+
+    expect(resolution.valid).to.be.equal(true)
+    expect(resolution.exitPriceid).to.be.equal(encodePriceid(3n, 111n))
+    expect(resolution.exitPrice.timestamp).to.be.equal(START + 110n)
+    expect(resolution.controlPrice.roundid).to.be.equal(encodePriceid(3n, 112n))
+    expect(resolution.controlPrice.timestamp).to.be.equal(START + 120n)
+
+    const r = round(entryOf(3n, 100n))
+    expect(isValidResolution(r, resolution.exitPrice, resolution.controlPrice)).to.be.equal(true)
+
+  })
+
+  it('Finds the exit price in logarithmic number of calls', async () => {
+
+    const feed = createFeed()
+    fill(feed, 2n, 1n, 5000n, 1n)
+
+    const r = { entryPrice: entryOf(2n, 1n), lockDate: START + 1000n, endDate: START + 3210n }
+    const resolution = await locateExitPrice(feed, r)
+
+    expect(resolution.valid).to.be.equal(true)
+    expect(resolution.exitPriceid).to.be.equal(encodePriceid(2n, 3210n))
+    expect(feed.calls).to.be.below(40)
+
+  })
+
+  it('Asks to retry while the control price is not available', async () => {
+
+    const feed = createFeed()
+    fill(feed, 1n, 1n, 12n, 10n)
+
+    let resolution = await locateExitPrice(feed, round(entryOf(1n, 1n)))
+    expect(resolution.valid).to.be.equal(false)
+    expect(resolution.retry).to.be.equal(true)
+    expect(resolution.reason).to.be.equal(REASON.CONTROL_PRICE_NOT_AVAILABLE)
+
+    feed.push(1n, 13n, 1000n, START + 125n)
+
+    resolution = await locateExitPrice(feed, round(entryOf(1n, 1n)))
+    expect(resolution.valid).to.be.equal(true)
+    expect(resolution.exitPriceid).to.be.equal(encodePriceid(1n, 12n))
+
+  })
+
+  it('Reports a phase change before the round end date', async () => {
+
+    const feed = createFeed()
+    fill(feed, 1n, 1n, 10n, 10n)
+    feed.push(2n, 1n, 1000n, START + 130n)
+
+    const resolution = await locateExitPrice(feed, round(entryOf(1n, 1n)))
+
+    expect(resolution.valid).to.be.equal(false)
+    expect(resolution.retry).to.be.equal(false)
+    expect(resolution.reason).to.be.equal(REASON.PHASE_ENDED_BEFORE_END_DATE)
+
+  })
+
+  it('Resolves within the entry phase when the feed has moved to a new phase', async () => {
+
+    const feed = createFeed()
+    fill(feed, 1n, 1n, 14n, 10n)
+    feed.push(2n, 1n, 1000n, START + 200n)
+
+    const resolution = await locateExitPrice(feed, round(entryOf(1n, 1n)))
+
+    expect(resolution.valid).to.be.equal(true)
+    expect(resolution.exitPriceid).to.be.equal(encodePriceid(1n, 12n))
+
+  })
+
+  it('Reports no price between lock date and end date', async () => {
+
+    const feed = createFeed()
+    feed.push(1n, 1n, 1000n, START)
+    feed.push(1n, 2n, 1000n, START + 30n)
+    feed.push(1n, 3n, 1000n, START + 150n)
+
+    let resolution = await locateExitPrice(feed, round(entryOf(1n, 2n, 1000n, START + 30n)))
+    expect(resolution.reason).to.be.equal(REASON.NO_PRICE_DURING_ROUND)
+
+    resolution = await locateExitPrice(feed, round(entryOf(1n, 1n)))
+    expect(resolution.reason).to.be.equal(REASON.NO_PRICE_DURING_ROUND)
+    expect(resolution.retry).to.be.equal(false)
+
+  })
+
+  it('Reports stale and deviating prices', async () => {
+
+    let feed = createFeed()
+    feed.push(1n, 1n, 1000n, START)
+    feed.push(1n, 2n, 1000n, START + 100n, { answeredInRound: 1n })
+    feed.push(1n, 3n, 1000n, START + 150n)
+
+    let resolution = await locateExitPrice(feed, round(entryOf(1n, 1n)))
+    expect(resolution.reason).to.be.equal(REASON.INVALID_EXIT_PRICE)
+
+    feed = createFeed()
+    feed.push(1n, 1n, 1000n, START)
+    feed.push(1n, 2n, 2000n, START + 100n)
+    feed.push(1n, 3n, 1500n, START + 150n)
+
+    resolution = await locateExitPrice(feed, round(entryOf(1n, 1n)))
+    expect(resolution.reason).to.be.equal(REASON.PRICE_DIFFERENCE_TOO_HIGH)
+    expect(resolution.exitPrice.value).to.be.equal(2000n)
+
+    resolution = await locateExitPrice(feed, round(entryOf(1n, 1n, 0n)))
+    expect(resolution.reason).to.be.equal(REASON.INVALID_ENTRY_PRICE)
+
+  })
+
+})
@@ -0,0 +1,115 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers, artifacts } = require('hardhat')
+
+const { deployMeta, deployOraclyV1 } = require('../common')
+
+const readStorageLayout = async (name) => {
+
+  const source = `contracts/predicting/${name}.sol`
+  const buildInfo = await artifacts.getBuildInfo(`${source}:${name}`)
+  const { storage, types } = buildInfo.output.contracts[source][name].storageLayout
+
+  return storage.map(({ label, slot, offset, type }) => ({ label, slot, offset, type: types[type].label }))
+
+}
+
+describe('OraclyV1 Extension', () => {
+
+  let MetaOraclyV1
+  let OraclyV1
+
+  let owner
+  let other
+
+  beforeEach(async () => {
+    [owner, other] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+  })
+
+  it('Shares the OraclyV1 storage layout', async () => {
+
+    const layout = await readStorageLayout('OraclyV1')
+    expect(layout.map(({ label }) => label)).to.include.members(['_predictions', '_rounds', '_intentNonces'])
+
+    expect(await readStorageLayout('OraclyV1Extension')).to.be.deep.equal(layout)
+    expect(await readStorageLayout('OraclyV1Views')).to.be.deep.equal(layout)
+
+  })
+
+  it('Serves the extension and views functions on the OraclyV1 address', async () => {
+
+    expect(await OraclyV1.getIntentNonce(other.address)).to.be.equal(0)
+
+    const [prediction] = await OraclyV1.getPrediction(ethers.ZeroHash)
+    expect(prediction).to.be.equal(ethers.ZeroHash)
+
+  })
+
+  it('Rejects calls sent to the extension and the views directly', async () => {
+
+    const extension = await ethers.getContractAt('OraclyV1Extension', await OraclyV1.EXTENSION_CONTRACT())
+    const intent = [other.address, 1, 1, ethers.ZeroHash, ethers.ZeroHash, 0, 0]
+    const permit = [0, 0, 0, ethers.ZeroHash, ethers.ZeroHash]
+    await expect(extension.placePredictionBySig(intent, '0x', permit)).to.be.revertedWith('OnlyDelegateCallAllowed')
+
+    // the extension forwards the getters to the views
+    const views = await ethers.getContractAt('OraclyV1Views', await extension.VIEWS_CONTRACT())
+    await expect(views.attach(extension.target).getIntentNonce(other.address)).to.be.revertedWith('OnlyDelegateCallAllowed')
+    await expect(views.getIntentNonce(other.address)).to.be.revertedWith('OnlyDelegateCallAllowed')
+
+  })
+
+  it('Rejects an extension deployed with different parameters', async () => {
+
+    const views = await ethers.deployContract('OraclyV1Views', [
+      owner.address,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+    ])
+
+    await expect(ethers.deployContract('OraclyV1Extension', [
+      other.address,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      views.target,
+    ])).to.be.revertedWith('ViewsContractMismatch')
+
+    const extension = await ethers.deployContract('OraclyV1Extension', [
+      owner.address,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      views.target,
+    ])
+
+    await expect(ethers.deployContract('OraclyV1', [
+      other.address,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      extension.target,
+    ])).to.be.revertedWith('ExtensionContractMismatch')
+
+    await expect(ethers.deployContract('OraclyV1', [
+      owner.address,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      other.address,
+    ])).to.be.revertedWith('CannotUseEOAAsExtensionContract')
+
+  })
+
+})
@@ -0,0 +1,172 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const { deployToken, deployAggregatorProxyMock } = require('../common')
+const { deployMeta, deployOraclyV1 } = require('../common')
+
+const { getLatestBlock } = require('../common/utils')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const {
+  OUTCOME,
+  NO_PERMIT,
+  computeGameid,
+  createGameConfig,
+  createDepositCaps,
+  getDomain,
+  signPermit,
+  signPredictionIntent,
+  createOraclyV1Client,
+} = require('../../sdk')
+
+describe('OraclyV1 Prediction Intents', () => {
+
+  let MetaOraclyV1
+  let MockAggregatorProxy
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let bettor
+  let relayer
+  let other
+
+  let game
+  let roundid
+  let deadline
+
+  let bettorClient
+  let relayerClient
+
+  beforeEach(async () => {
+    [owner, bettor, relayer, other] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    await DEMO.transfer(bettor.address, 1000)
+
+    await MetaOraclyV1.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 10, 100, createGameConfig(), createDepositCaps())
+    game = await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60))
+
+    roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+    deadline = BigInt((await getLatestBlock()).timestamp) + 30n
+
+    bettorClient = createOraclyV1Client({ address: OraclyV1.target, runner: bettor })
+    relayerClient = createOraclyV1Client({ address: OraclyV1.target, runner: relayer })
+  })
+
+  it('Places a signed prediction with a permit on behalf of the bettor', async () => {
+
+    const { intent, signature } = await bettorClient.createPredictionIntent({
+      amount: 300,
+      position: OUTCOME.UP,
+      gameid: game.gameid,
+      roundid,
+      deadline,
+    })
+    expect(intent.bettor).to.be.equal(bettor.address)
+    expect(intent.nonce).to.be.equal(0)
+
+    const permit = await signPermit(bettor, DEMO.target, OraclyV1.target, 300, deadline)
+
+    expect(await relayerClient.preflight.placePredictionBySig(intent, signature, NO_PERMIT)).to.be.equal('InsufficientAllowance')
+    expect(await relayerClient.preflight.placePredictionBySig(intent, signature, permit)).to.be.equal(null)
+
+    const relayerBalance = await DEMO.balanceOf(relayer.address)
+
+    await expect(relayerClient.placePredictionBySig(intent, signature, permit))
+      .to.emit(OraclyV1, 'PredictionIntentUsed').withArgs(bettor.address, 0, relayer.address)
+
+    const prediction = await bettorClient.getPrediction(oraclyv1.getPredictionId(bettor, roundid, OUTCOME.UP))
+    expect(prediction.bettor).to.be.equal(bettor.address)
+    expect(prediction.deposit).to.be.equal(300)
+
+    expect(await DEMO.balanceOf(bettor.address)).to.be.equal(700)
+    expect(await DEMO.balanceOf(relayer.address)).to.be.equal(relayerBalance)
+    expect(await bettorClient.getIntentNonce(bettor.address)).to.be.equal(1)
+
+    // an intent is used once
+    expect(await relayerClient.preflight.placePredictionBySig(intent, signature, permit)).to.be.equal('InvalidPredictionIntentNonce')
+    await expect(OraclyV1.connect(relayer).placePredictionBySig(intent, signature, permit)).to.be.revertedWith('InvalidPredictionIntentNonce')
+
+    // a used permit is skipped, the allowance is checked instead
+    await DEMO.connect(bettor).approve(OraclyV1.target, 100)
+    const next = await bettorClient.createPredictionIntent({ amount: 100, position: OUTCOME.DOWN, gameid: game.gameid, roundid, deadline })
+    await relayerClient.placePredictionBySig(next.intent, next.signature, permit)
+
+    expect((await bettorClient.getRound(roundid)).prizepools.total).to.be.equal(400)
+
+  })
+
+  it('Rejects expired, forged and invalid intents', async () => {
+
+    const domain = await getDomain(OraclyV1)
+    const intent = { bettor: bettor.address, amount: 300, position: OUTCOME.UP, gameid: game.gameid, roundid, deadline, nonce: 0 }
+
+    await DEMO.connect(bettor).approve(OraclyV1.target, 1000)
+
+    const forged = await signPredictionIntent(other, domain, intent)
+    expect(await relayerClient.preflight.placePredictionBySig(intent, forged, NO_PERMIT)).to.be.equal('InvalidPredictionIntentSignature')
+    await expect(OraclyV1.connect(relayer).placePredictionBySig(intent, forged, NO_PERMIT)).to.be.revertedWith('InvalidPredictionIntentSignature')
+
+    const signature = await signPredictionIntent(bettor, domain, intent)
+    await expect(OraclyV1.connect(relayer).placePredictionBySig({ ...intent, amount: 301 }, signature, NO_PERMIT)).to.be.revertedWith('InvalidPredictionIntentSignature')
+
+    const small = { ...intent, amount: 1 }
+    await expect(OraclyV1.connect(relayer).placePredictionBySig(small, await signPredictionIntent(bettor, domain, small), NO_PERMIT)).to.be.revertedWith('UnacceptableDepositAmount')
+
+    // the positioning window applies to the signed round
+    const late = { ...intent, deadline: deadline + 600n }
+    const lateSignature = await signPredictionIntent(bettor, domain, late)
+
+    await ethers.provider.send('evm_increaseTime', [Number(game.positioning)])
+    await ethers.provider.send('evm_mine')
+
+    expect(await relayerClient.preflight.placePredictionBySig(late, lateSignature, NO_PERMIT)).to.be.equal('CannotPlacePredictionOutOfPositioningPeriod')
+    await expect(OraclyV1.connect(relayer).placePredictionBySig(late, lateSignature, NO_PERMIT)).to.be.revertedWith('CannotPlacePredictionOutOfPositioningPeriod')
+
+    expect(await relayerClient.preflight.placePredictionBySig(intent, signature, NO_PERMIT)).to.be.equal('PredictionIntentExpired')
+    await expect(OraclyV1.connect(relayer).placePredictionBySig(intent, signature, NO_PERMIT)).to.be.revertedWith('PredictionIntentExpired')
+
+  })
+
+  it('Accepts ERC-1271 signatures of allowed smart contract wallets', async () => {
+
+    const wallet = await ethers.deployContract('MockContractWallet', bettor)
+    await wallet.waitForDeployment()
+
+    await DEMO.transfer(wallet.target, 500)
+    await wallet.connect(bettor).execute(DEMO.target, DEMO.interface.encodeFunctionData('approve', [OraclyV1.target, 500]))
+
+    const domain = await getDomain(OraclyV1)
+    const intent = { bettor: wallet.target, amount: 200, position: OUTCOME.ZERO, gameid: game.gameid, roundid, deadline, nonce: 0 }
+    const signature = await signPredictionIntent(bettor, domain, intent)
+
+    await expect(OraclyV1.connect(relayer).placePredictionBySig(intent, signature, NO_PERMIT)).to.be.revertedWith('OnlyEOASendersAllowed')
+
+    await MetaOraclyV1.allowContractCaller(wallet.target)
+
+    const forged = await signPredictionIntent(other, domain, intent)
+    await expect(OraclyV1.connect(relayer).placePredictionBySig(intent, forged, NO_PERMIT)).to.be.revertedWith('InvalidPredictionIntentSignature')
+
+    await OraclyV1.connect(relayer).placePredictionBySig(intent, signature, NO_PERMIT)
+
+    const prediction = await bettorClient.getPrediction(oraclyv1.getPredictionId(wallet, roundid, OUTCOME.ZERO))
+    expect(prediction.deposit).to.be.equal(200)
+
+  })
+
+})
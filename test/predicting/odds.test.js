@@ -0,0 +1,161 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const { deployToken, deployAggregatorProxyMock } = require('../common')
+const { deployMeta, deployOraclyV1 } = require('../common')
+const { deployStakingOraclyV1, initStakingOraclyV1 } = require('../common')
+const { deployMentoring, initMentoring } = require('../common')
+
+const { approve, send, forwardTime } = require('../common/utils')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const {
+  OUTCOME,
+  computeGameid,
+  createGameConfig,
+  createDepositCaps,
+  calculatePrize,
+  calculatePotentialPayout,
+  simulateClaims,
+  createOraclyV1Client,
+} = require('../../sdk')
+
+describe('OraclyV1 Odds', () => {
+
+  let MetaOraclyV1
+  let MentoringOraclyV1
+  let MockAggregatorProxy
+  let StakingOraclyV1
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+  let addr3
+
+  let game
+  let roundid
+
+  let client
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target, MetaOraclyV1.target)
+    MentoringOraclyV1 = await deployMentoring(MetaOraclyV1.target)
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      StakingOraclyV1.target,
+      MentoringOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    await initStakingOraclyV1(StakingOraclyV1, OraclyV1.target)
+    await initMentoring(MentoringOraclyV1, OraclyV1.target)
+
+    for (const bettor of [addr1, addr2, addr3]) {
+      await send(owner, DEMO, bettor, 10000)
+      await approve(bettor, DEMO, OraclyV1, 10000)
+    }
+
+    await MetaOraclyV1.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 100, createGameConfig(), createDepositCaps())
+    game = await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60))
+
+    roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+
+    client = createOraclyV1Client({ address: OraclyV1.target, runner: ethers.provider })
+  })
+
+  it('Returns the implied multipliers and projected payouts of a round', async () => {
+
+    const precision = await OraclyV1.MULTIPLIER_PRECISION()
+
+    expect(await client.getRoundMultipliers(roundid)).to.be.deep.equal({ down: 0n, up: 0n, zero: 0n })
+
+    await oraclyv1.placePrediction(addr1, 100, OUTCOME.UP, game.gameid, roundid)
+    await oraclyv1.placePrediction(addr2, 200, OUTCOME.UP, game.gameid, roundid)
+    await oraclyv1.placePrediction(addr3, 334, OUTCOME.DOWN, game.gameid, roundid)
+
+    const round = await client.getRound(roundid)
+
+    expect(await client.getRoundMultipliers(roundid)).to.be.deep.equal({
+      down: calculatePrize(precision, 334, 634, 100).payout,
+      up: calculatePrize(precision, 300, 634, 100).payout,
+      zero: 0n,
+    })
+
+    for (const position of [OUTCOME.DOWN, OUTCOME.UP, OUTCOME.ZERO]) {
+      expect(await client.getProjectedPayout(game.gameid, roundid, position, 50)).to.be.deep.equal(
+        calculatePotentialPayout(round.prizepools, position, 50, { vigorish: round.vigorish })
+      )
+    }
+    expect(await client.getProjectedPayout(game.gameid, roundid, OUTCOME.UP, 0)).to.be.deep.equal({ payout: 0n, commission: 0n })
+
+    await expect(OraclyV1.getProjectedPayout(game.gameid, roundid, OUTCOME.NOCONTEST, 50)).to.be.revertedWith('NotSupportedPosition')
+    await expect(OraclyV1.getProjectedPayout(ethers.ZeroHash, roundid, OUTCOME.UP, 50)).to.be.revertedWith('NotSupportedGame')
+
+  })
+
+  it('Projects the payouts of a round not opened yet with the settings of its game', async () => {
+
+    // the round opens with its first prediction
+    expect(await client.getRound(roundid)).to.be.equal(null)
+
+    // a lone deposit wins its own stake back, less the game vigorish
+    expect(await client.getProjectedPayout(game.gameid, roundid, OUTCOME.UP, 100)).to.be.deep.equal(calculatePrize(100, 100, 100, 100))
+
+    await MetaOraclyV1.updateGameVigorish(game.gameid, 500)
+    expect(await client.getProjectedPayout(game.gameid, roundid, OUTCOME.UP, 100)).to.be.deep.equal(calculatePrize(100, 100, 100, 500))
+
+    await expect(OraclyV1.getProjectedPayout(ethers.ZeroHash, roundid, OUTCOME.UP, 100)).to.be.revertedWith('NotSupportedGame')
+
+  })
+
+  it('Returns the claimable amount including the rounding remainder of the last claim', async () => {
+
+    const firstid = await oraclyv1.placePrediction(addr1, 100, OUTCOME.UP, game.gameid, roundid)
+    const lastid = await oraclyv1.placePrediction(addr2, 200, OUTCOME.UP, game.gameid, roundid)
+    const lostid = await oraclyv1.placePrediction(addr3, 334, OUTCOME.DOWN, game.gameid, roundid)
+
+    const none = { payout: 0n, commission: 0n }
+
+    expect(await client.getClaimable(firstid)).to.be.deep.equal(none)
+    expect(await client.getClaimable(ethers.ZeroHash)).to.be.deep.equal(none)
+
+    await forwardTime(game.schedule)
+    await oraclyv1.resolve(owner, roundid)
+
+    const round = await client.getRound(roundid)
+    expect(round.resolution).to.be.equal(OUTCOME.UP)
+
+    const predictions = await Promise.all([firstid, lastid, lostid].map(client.getPrediction))
+    const { claims: [first, last] } = simulateClaims(round, predictions)
+
+    expect(await client.getClaimable(lostid)).to.be.deep.equal(none)
+    expect(await client.getClaimable(firstid)).to.be.deep.equal({ payout: first.payout, commission: first.commission })
+
+    await oraclyv1.withdraw(addr1, roundid, firstid, DEMO)
+
+    expect(await client.getClaimable(firstid)).to.be.deep.equal(none)
+
+    // 634 * 100 / 300 + 634 * 200 / 300 leaves 1 unreleased
+    const claimable = await client.getClaimable(lastid)
+    expect(claimable).to.be.deep.equal({ payout: last.payout, commission: last.commission })
+    expect(first.payout + first.commission + claimable.payout + claimable.commission).to.be.equal(634)
+
+    await expect(OraclyV1.connect(addr2).withdraw(roundid, lastid, DEMO.target))
+      .to.emit(OraclyV1, 'PredictionClaimed').withArgs(lastid, addr2.address, DEMO.target, claimable.payout, claimable.commission)
+
+  })
+
+})
@@ -49,9 +49,9 @@ describe('Gaming', () => {
   beforeEach(async () => {
     [owner, addr1, addr2, ...addrs] = await ethers.getSigners()
 
-    DEMO = await deployToken('DEMO')
-    MockAggregatorProxy = await deployAggregatorProxyMock()
     MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
     initMeta(MetaOraclyV1)
 
     OraclyV1 = await deployOraclyV1(
@@ -80,7 +80,8 @@ describe('Gaming', () => {
         schedule: 120,
         expiration: 3600,
         version: 1,
-        minDeposit: 1
+        minDeposit: 1,
+        vigorish: 100
       })
 
       const roundid = await forwardTimeToRoundOpen(game)
@@ -124,7 +125,8 @@ describe('Gaming', () => {
         schedule: 180,
         expiration: 3600,
         version: 2,
-        minDeposit: 1
+        minDeposit: 1,
+        vigorish: 100
       })
       const roundid = await forwardTimeToRoundOpen(game)
 
@@ -176,7 +178,8 @@ describe('Gaming', () => {
         schedule: 180,
         expiration: 3600,
         version: 3,
-        minDeposit: 100
+        minDeposit: 100,
+        vigorish: 100
       })
 
       const roundid = await forwardTimeToRoundOpen(game)
@@ -224,7 +227,8 @@ describe('Gaming', () => {
         schedule: 180,
         expiration: 3600,
         version: 1,
-        minDeposit: 20
+        minDeposit: 20,
+        vigorish: 100
       })
 
       await send(owner, DEMO, addr1, 200)
@@ -275,8 +279,8 @@ describe('Gaming', () => {
       const [payout_addr2, com_add2] = calcPayout(321, 220, 20)
       expect(await balanceOf(DEMO, addr2)).to.be.equal(payout_addr2)
 
-      const roundingerror = 321 - (payout_addr1 + payout_addr2 + com_add1 + com_add2)
-      expect(roundingerror).to.be.equal(1)
+      const roundingerror = 321n - (payout_addr1 + payout_addr2 + com_add1 + com_add2)
+      expect(roundingerror).to.be.equal(1n)
 
       expect(await balanceOf(DEMO, OraclyV1)).to.be.equal(0)
 
@@ -304,7 +308,8 @@ describe('Gaming', () => {
         schedule: 180,
         expiration: 3600,
         version: 4,
-        minDeposit: 20
+        minDeposit: 20,
+        vigorish: 100
       })
 
       await approve(owner, DEMO, OraclyV1, 101)
@@ -341,7 +346,8 @@ describe('Gaming', () => {
         schedule: 180,
         expiration: 3600,
         version: 8,
-        minDeposit: 20
+        minDeposit: 20,
+        vigorish: 100
       })
 
       await send(owner, DEMO, addr1, 333)
@@ -389,7 +395,8 @@ describe('Gaming', () => {
         schedule: 180,
         expiration: 3600,
         version: 6,
-        minDeposit: 20
+        minDeposit: 20,
+        vigorish: 100
       })
 
       await approve(owner, DEMO, OraclyV1, 121)
@@ -429,7 +436,8 @@ describe('Gaming', () => {
         schedule: 180,
         expiration: 3600,
         version: 7,
-        minDeposit: 10
+        minDeposit: 10,
+        vigorish: 100
       })
 
       await send(owner, DEMO, addr1, 333)
@@ -467,8 +475,8 @@ describe('Gaming', () => {
       const [payout_addr2, com_add2] = calcPayout(379, 366, 33)
       expect(await balanceOf(DEMO, addr2)).to.be.equal(payout_addr2)
 
-      const roundingerror = 379 - (payout_addr1 + payout_addr2 + com_add1 + com_add2)
-      expect(roundingerror).to.be.equal(1)
+      const roundingerror = 379n - (payout_addr1 + payout_addr2 + com_add1 + com_add2)
+      expect(roundingerror).to.be.equal(1n)
 
       expect(await balanceOf(DEMO, OraclyV1)).to.be.equal(0)
 
@@ -492,7 +500,8 @@ describe('Gaming', () => {
         schedule: 180,
         expiration: 3600,
         version: 9,
-        minDeposit: 10
+        minDeposit: 10,
+        vigorish: 100
       })
 
       const roundid = await getFutureRoundId(game, 4)
@@ -521,7 +530,8 @@ describe('Gaming', () => {
         schedule: 180,
         expiration: 3600,
         version: 10,
-        minDeposit: 10
+        minDeposit: 10,
+        vigorish: 100
       })
 
       await approve(owner, DEMO, OraclyV1, 13)
@@ -555,7 +565,8 @@ describe('Gaming', () => {
         schedule: 180,
         expiration: 3600,
         version: 11,
-        minDeposit: 10
+        minDeposit: 10,
+        vigorish: 100
       })
 
       await approve(owner, DEMO, OraclyV1, 65)
@@ -613,7 +624,8 @@ describe('Gaming', () => {
         schedule: 180,
         expiration: 3600,
         version: 12,
-        minDeposit: 10
+        minDeposit: 10,
+        vigorish: 100
       })
 
       await approve(owner, DEMO, OraclyV1, 65)
@@ -658,7 +670,8 @@ describe('Gaming', () => {
         schedule: 180,
         expiration: 3600,
         version: 13,
-        minDeposit: 10
+        minDeposit: 10,
+        vigorish: 100
       })
 
       await approve(owner, DEMO, OraclyV1, 65)
@@ -705,7 +718,8 @@ describe('Gaming', () => {
         schedule: 180,
         expiration: 3600,
         version: 14,
-        minDeposit: 10
+        minDeposit: 10,
+        vigorish: 100
       })
 
       await approve(owner, DEMO, OraclyV1, 65)
@@ -0,0 +1,237 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs')
+
+const { deployToken, deployMeta, deployAggregatorProxyMock, deployOraclyV1 } = require('../common')
+const { approve, send, forwardTime, getLatestBlock } = require('../common/utils')
+const { pushPrice, PRICE_FEED_DECIMALS } = require('../common/pricefeed')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const {
+  OUTCOME,
+  FIRST_BUCKET_POSITION,
+  computeGameid,
+  createGameConfig,
+  createDepositCaps,
+  getRoundStartDate,
+  createOraclyV1Client,
+  createMetaOraclyV1Client,
+} = require('../../sdk')
+
+const price = (value) => ethers.parseUnits(value, PRICE_FEED_DECIMALS)
+
+describe('OraclyV1 Pair-Performance Games', () => {
+
+  let MetaOraclyV1
+  let MockAggregatorProxy
+  let PairAggregatorProxy
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+
+  let game
+
+  let client
+  let meta
+
+  // adds the game of `config` on both price feeds
+  const addGame = async (config) => {
+
+    config = createGameConfig({ pairPricefeed: PairAggregatorProxy.target, ...config })
+    await meta.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 100, config)
+
+    return await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, config))
+
+  }
+
+  // opens a round on the `entry` and `pairEntry` prices and covers every position
+  const openRound = async (entry, pairEntry, positions = [OUTCOME.UP, OUTCOME.DOWN, OUTCOME.ZERO]) => {
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+
+    const { timestamp } = await getLatestBlock()
+    const startDate = BigInt(getRoundStartDate(game.schedule, timestamp))
+
+    await pushPrice(MockAggregatorProxy, price(entry), startDate + 10n)
+    await pushPrice(PairAggregatorProxy, price(pairEntry), startDate + 10n)
+
+    for (const [idx, bettor] of [owner, addr1, addr2].entries()) {
+      await oraclyv1.placePrediction(bettor, 100, positions[idx], game.gameid, roundid)
+    }
+
+    return { roundid, startDate, endDate: startDate + game.schedule }
+
+  }
+
+  // pushes the exit prices of both price feeds, followed by their control prices
+  const closeRound = async ({ startDate, endDate }, exit, pairExit) => {
+
+    const exitPriceid = await pushPrice(MockAggregatorProxy, price(exit), startDate + 90n)
+    await pushPrice(MockAggregatorProxy, price(exit), endDate + 1n)
+
+    const pairExitPriceid = await pushPrice(PairAggregatorProxy, price(pairExit), startDate + 100n)
+    await pushPrice(PairAggregatorProxy, price(pairExit), endDate + 2n)
+
+    await forwardTime(game.schedule)
+
+    return { exitPriceid, pairExitPriceid }
+
+  }
+
+  beforeEach(async () => {
+    [owner, addr1, addr2] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+    PairAggregatorProxy = await deployAggregatorProxyMock()
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    for (const bettor of [addr1, addr2]) {
+      await send(owner, DEMO, bettor, 10000)
+    }
+    for (const bettor of [owner, addr1, addr2]) {
+      await approve(bettor, DEMO, OraclyV1, 10000)
+    }
+
+    client = createOraclyV1Client({ address: OraclyV1.target, runner: owner })
+    meta = createMetaOraclyV1Client({ address: MetaOraclyV1.target, runner: owner })
+  })
+
+  it('Validates the pair price feed of a game', async () => {
+
+    const spec = [MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 100]
+
+    const same = createGameConfig({ pairPricefeed: MockAggregatorProxy.target })
+    expect(await meta.preflight.addGame(...spec, same)).to.be.equal('CannotAddGamePairPricefeedIsGamePricefeed')
+    await expect(MetaOraclyV1.addGame(...spec, same, createDepositCaps())).to.be.revertedWith('CannotAddGamePairPricefeedIsGamePricefeed')
+
+    const config = createGameConfig({ pairPricefeed: PairAggregatorProxy.target })
+    await expect(MetaOraclyV1.connect(addr1).addGame(...spec, config, createDepositCaps())).to.be.reverted
+
+    const gameid = computeGameid(...spec.slice(0, 5), config)
+    await expect(meta.addGame(...spec, config))
+      .to.emit(MetaOraclyV1, 'GameAdded').withArgs(gameid, ...spec, [0n, [], PairAggregatorProxy.target], [0n, 0n, 0n])
+    expect((await meta.getGame(gameid)).pairPricefeed).to.be.equal(PairAggregatorProxy.target)
+
+    // the single price feed game of the same spec is another game
+    expect(gameid).to.not.be.equal(computeGameid(...spec.slice(0, 5)))
+    expect(await meta.preflight.addGame(...spec, createGameConfig())).to.be.equal(null)
+
+  })
+
+  it('Resolves to the asset that outperformed the other in relative terms', async () => {
+
+    game = await addGame()
+
+    // the game asset moves 1% up in every round
+    const rounds = [
+      ['101.50', OUTCOME.DOWN],
+      ['100.50', OUTCOME.UP],
+      ['101.00', OUTCOME.ZERO],
+      ['99.00', OUTCOME.UP],
+    ]
+
+    for (const [pairExit, resolution] of rounds) {
+
+      const round = await openRound('2000.00', '100.00')
+
+      const { pair } = await client.getRound(round.roundid)
+      expect(pair.pricefeed).to.be.equal(PairAggregatorProxy.target)
+      expect(pair.entryPrice.value).to.be.equal(price('100.00'))
+
+      const { exitPriceid, pairExitPriceid } = await closeRound(round, '2020.00', pairExit)
+
+      expect(await client.preflight.resolve(round.roundid, exitPriceid)).to.be.equal(null)
+      await expect(OraclyV1.resolve(round.roundid, exitPriceid))
+        .to.emit(OraclyV1, 'RoundResolved').withArgs(round.roundid, anyValue, owner.address, anyValue, resolution, 0, 0)
+        .and.to.emit(OraclyV1, 'RoundPairResolved').withArgs(round.roundid, anyValue)
+
+      const resolved = await client.getRound(round.roundid)
+      expect(resolved.resolution).to.be.equal(resolution)
+      expect(resolved.pair.exitPrice.value).to.be.equal(price(pairExit))
+      expect(resolved.pair.exitPrice.roundid).to.be.equal(pairExitPriceid)
+
+    }
+
+  })
+
+  it('Applies the tolerance band to the difference of the relative changes', async () => {
+
+    game = await addGame({ tolerance: 50 })
+
+    // 1% against 0.6% is within the 0.5% band
+    const round = await openRound('2000.00', '100.00')
+    const { exitPriceid } = await closeRound(round, '2020.00', '100.60')
+
+    await expect(OraclyV1.resolve(round.roundid, exitPriceid))
+      .to.emit(OraclyV1, 'RoundResolved').withArgs(round.roundid, anyValue, owner.address, anyValue, OUTCOME.ZERO, 0, 50)
+
+  })
+
+  it('Applies the bucket edges to the difference of the relative changes', async () => {
+
+    game = await addGame({ bucketEdges: [-50, 50] })
+
+    // 1% against 0.4% lands above the 0.5% edge
+    const round = await openRound('2000.00', '100.00', [0, 1, 2].map(bucket => FIRST_BUCKET_POSITION + bucket))
+    const { exitPriceid } = await closeRound(round, '2020.00', '100.40')
+
+    expect(await client.preflight.resolve(round.roundid, exitPriceid)).to.be.equal(null)
+    await expect(OraclyV1.resolve(round.roundid, exitPriceid))
+      .to.emit(OraclyV1, 'RoundResolved').withArgs(round.roundid, anyValue, owner.address, anyValue, FIRST_BUCKET_POSITION + 2, 0, 0)
+
+  })
+
+  it('Rejects resolutions without a valid Exit Price of the pair price feed', async () => {
+
+    game = await addGame()
+
+    const { roundid, startDate, endDate } = await openRound('2000.00', '100.00')
+
+    const exitPriceid = await pushPrice(MockAggregatorProxy, price('2020.00'), startDate + 90n)
+    await pushPrice(MockAggregatorProxy, price('2020.00'), endDate + 1n)
+
+    // the pair price feed has no price between the Entry Price and the end date
+    await pushPrice(PairAggregatorProxy, price('101.00'), endDate + 2n)
+
+    await forwardTime(game.schedule)
+
+    expect(await client.preflight.resolve(roundid, exitPriceid)).to.be.equal('InvalidRoundResolution')
+    await expect(OraclyV1.resolve(roundid, exitPriceid)).to.be.revertedWith('InvalidRoundResolution')
+
+  })
+
+  it('Resolves the single price feed game of the same spec on its own price feed', async () => {
+
+    game = await addGame({ pairPricefeed: ethers.ZeroAddress })
+
+    const { roundid, startDate, endDate } = await openRound('2000.00', '100.00')
+
+    const exitPriceid = await pushPrice(MockAggregatorProxy, price('2020.00'), startDate + 90n)
+    await pushPrice(MockAggregatorProxy, price('2020.00'), endDate + 1n)
+
+    await forwardTime(game.schedule)
+
+    await expect(OraclyV1.resolve(roundid, exitPriceid))
+      .to.emit(OraclyV1, 'RoundResolved').withArgs(roundid, anyValue, owner.address, anyValue, OUTCOME.UP, 0, 0)
+      .and.not.to.emit(OraclyV1, 'RoundPairResolved')
+
+    expect((await client.getRound(roundid)).pair).to.be.equal(null)
+
+  })
+
+})
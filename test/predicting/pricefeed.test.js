@@ -0,0 +1,256 @@
+require('../common/init')
+
+const path = require('path')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const { deployToken, deployMeta, deployAggregatorProxyMock, deployOraclyV1 } = require('../common')
+const { approve, send, forwardTime, getLatestBlock } = require('../common/utils')
+const { loadPriceSeries, pushPrice, pushPrices, PRICE_FEED_DECIMALS } = require('../common/pricefeed')
+
+const {
+  RESOLUTION,
+  init: initOraclyV1,
+  forwardTimeToRoundOpen,
+  placePrediction,
+  getExitPriceid,
+  getRound,
+  resolve,
+} = require('../common/oraclyv1')
+
+const {
+  init: initMeta,
+  addGame,
+} = require('../common/meta')
+
+const { REASON, encodePriceid, getRoundStartDate, locateExitPrice, locateRoundExitPrice } = require('../../sdk')
+
+const ETH_USD = path.join(__dirname, '..', 'common', 'series', 'eth-usd.csv')
+
+const price = (value) => ethers.parseUnits(value, PRICE_FEED_DECIMALS)
+
+describe('MockAggregatorProxy scripted prices', () => {
+
+  let MetaOraclyV1
+  let MockAggregatorProxy
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+
+  let game
+
+  // opens a round on `entry` price and covers every position
+  const openRound = async (entry) => {
+
+    const roundid = await forwardTimeToRoundOpen(game)
+
+    const { timestamp } = await getLatestBlock()
+    const startDate = BigInt(getRoundStartDate(game.schedule, timestamp))
+
+    await pushPrice(MockAggregatorProxy, price(entry), startDate + 10n)
+
+    for (const [bettor, position] of [[owner, RESOLUTION.UP], [addr1, RESOLUTION.DOWN], [addr2, RESOLUTION.ZERO]]) {
+      await approve(bettor, DEMO, OraclyV1, 100)
+      await placePrediction(bettor, 100, position, game.gameid, roundid)
+    }
+
+    return { roundid, startDate, endDate: startDate + game.schedule }
+
+  }
+
+  beforeEach(async () => {
+    [owner, addr1, addr2] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+    initMeta(MetaOraclyV1)
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    initOraclyV1(OraclyV1)
+
+    await send(owner, DEMO, addr1, 1000)
+    await send(owner, DEMO, addr2, 1000)
+
+    game = await addGame({
+      pricefeed: MockAggregatorProxy.target,
+      erc20: DEMO.target,
+      positioning: 60,
+      schedule: 120,
+      expiration: 3600,
+      version: 1,
+      minDeposit: 1,
+      vigorish: 100
+    })
+  })
+
+  it('Loads a price series from a CSV file', async () => {
+
+    const START = 1_700_000_000n
+    const rows = await loadPriceSeries(MockAggregatorProxy, ETH_USD, { startAt: START })
+
+    expect(rows.length).to.be.equal(24)
+    expect(rows[0].roundid).to.be.equal(encodePriceid(1n, 1n))
+    expect(rows[16].roundid).to.be.equal(encodePriceid(2n, 1n))
+    expect(rows[23].timestamp).to.be.equal(START + 23n * 30n)
+
+    const latest = await MockAggregatorProxy.latestRoundData()
+    expect(latest.roundId).to.be.equal(encodePriceid(2n, 8n))
+    expect(latest.answer).to.be.equal(price('3771.95'))
+    expect(latest.answeredInRound).to.be.equal(latest.roundId)
+
+    const last = await MockAggregatorProxy.getRoundData(encodePriceid(1n, 16n))
+    expect(last.answer).to.be.equal(price('3763.05'))
+    expect(last.updatedAt).to.be.equal(START + 15n * 30n)
+
+    await expect(MockAggregatorProxy.getRoundData(encodePriceid(1n, 17n))).to.be.revertedWith('No data present')
+
+    const round = (entry, endDate) => ({
+      entryPrice: { roundid: entry.roundid, value: entry.answer, timestamp: entry.timestamp },
+      lockDate: endDate - 60n,
+      endDate,
+    })
+
+    let resolution = await locateExitPrice(MockAggregatorProxy, round(rows[0], START + 120n))
+    expect(resolution.valid).to.be.equal(true)
+    expect(resolution.exitPriceid).to.be.equal(encodePriceid(1n, 4n))
+    expect(resolution.exitPrice.value).to.be.equal(price('3767.55'))
+
+    // the aggregator changes before the round ends
+    resolution = await locateExitPrice(MockAggregatorProxy, round(rows[13], START + 480n))
+    expect(resolution.valid).to.be.equal(false)
+    expect(resolution.reason).to.be.equal(REASON.PHASE_ENDED_BEFORE_END_DATE)
+
+  })
+
+  it('Resolves rounds Up, Down and Zero from scripted prices', async () => {
+
+    const rounds = [
+      ['2000.50', '2001.00', RESOLUTION.UP],
+      ['2001.00', '1999.99', RESOLUTION.DOWN],
+      ['1999.99', '1999.99', RESOLUTION.ZERO],
+    ]
+
+    for (const [entry, exit, resolution] of rounds) {
+
+      const { roundid, startDate, endDate } = await openRound(entry)
+
+      const exitPriceid = await pushPrice(MockAggregatorProxy, price(exit), startDate + 90n)
+      await pushPrice(MockAggregatorProxy, price(exit), endDate + 1n)
+
+      await forwardTime(game.schedule)
+
+      expect(await getExitPriceid(roundid)).to.be.equal(exitPriceid)
+      await resolve(owner, roundid)
+
+      const round = await getRound(owner, roundid)
+      expect(round.resolved).to.be.equal(true)
+      expect(round.resolution).to.be.equal(resolution)
+      expect(round.exitPrice.value).to.be.equal(price(exit))
+
+    }
+
+  })
+
+  it('Locates the exit price on-chain and resolves with it', async () => {
+
+    const { roundid, startDate, endDate } = await openRound('2000.00')
+
+    // a price every second from the lock date, then a few after the end date
+    const rows = []
+    for (let timestamp = startDate + 60n; timestamp < endDate + 5n; timestamp++) {
+      rows.push({ answer: price('2000.00') + timestamp - startDate, timestamp })
+    }
+    const roundids = await pushPrices(MockAggregatorProxy, rows)
+    const exitPriceid = roundids[rows.findIndex(row => row.timestamp === endDate - 1n)]
+
+    await expect(OraclyV1.locateAndResolve(roundid)).to.be.revertedWith('CannotResolveRoundBeforeEndDate')
+
+    await forwardTime(game.schedule)
+
+    expect(await OraclyV1.locateExitPriceid(roundid)).to.be.equal(exitPriceid)
+    expect((await locateRoundExitPrice(OraclyV1, roundid)).exitPriceid).to.be.equal(exitPriceid)
+
+    await expect(OraclyV1.connect(addr1).locateAndResolve(roundid))
+      .to.emit(OraclyV1, 'RoundResolved')
+
+    const round = await getRound(owner, roundid)
+    expect(round.resolution).to.be.equal(RESOLUTION.UP)
+    expect(round.exitPrice.roundid).to.be.equal(exitPriceid)
+
+    // no price between the entry price and the end date
+    const empty = await openRound('2000.00')
+    await pushPrice(MockAggregatorProxy, price('2001.00'), empty.endDate + 1n)
+
+    await forwardTime(game.schedule)
+
+    expect(await OraclyV1.locateExitPriceid(empty.roundid)).to.be.equal(0)
+    await expect(OraclyV1.locateAndResolve(empty.roundid)).to.be.revertedWith('CannotResolveRoundWithoutPrice')
+
+  })
+
+  it('Does not resolve on stale or reverting prices', async () => {
+
+    const { roundid, startDate, endDate } = await openRound('2000.00')
+
+    const exitPriceid = await pushPrice(MockAggregatorProxy, price('2010.00'), startDate + 90n)
+    const controlPriceid = await pushPrice(MockAggregatorProxy, price('2011.00'), endDate + 1n)
+    await pushPrice(MockAggregatorProxy, price('2012.00'), endDate + 2n)
+
+    await forwardTime(game.schedule)
+
+    await MockAggregatorProxy.setAnsweredInRound(exitPriceid, exitPriceid - 1n)
+
+    let resolution = await locateRoundExitPrice(OraclyV1, roundid)
+    expect(resolution.reason).to.be.equal(REASON.INVALID_EXIT_PRICE)
+    await expect(OraclyV1.resolve(roundid, exitPriceid)).to.be.revertedWith('InvalidRoundResolution')
+
+    await MockAggregatorProxy.setAnsweredInRound(exitPriceid, exitPriceid)
+    await MockAggregatorProxy.setRoundReverts(controlPriceid, true)
+
+    resolution = await locateRoundExitPrice(OraclyV1, roundid)
+    expect(resolution.reason).to.be.equal(REASON.CONTROL_PRICE_NOT_AVAILABLE)
+    await expect(OraclyV1.resolve(roundid, exitPriceid)).to.be.revertedWith('InvalidRoundResolution')
+
+    await MockAggregatorProxy.setRoundReverts(controlPriceid, false)
+
+    await resolve(owner, roundid)
+    expect((await getRound(owner, roundid)).resolution).to.be.equal(RESOLUTION.UP)
+
+    // a new round cannot open on a reverting or stale latest price
+    const next = await forwardTimeToRoundOpen(game)
+    const { timestamp } = await getLatestBlock()
+    const entryPriceid = await pushPrice(MockAggregatorProxy, price('2012.00'), timestamp)
+
+    await approve(owner, DEMO, OraclyV1, 100)
+
+    await MockAggregatorProxy.setLatestReverts(true)
+    await expect(OraclyV1.placePrediction(100, RESOLUTION.UP, game.gameid, next)).to.be.revertedWith('Latest round reverts')
+
+    await MockAggregatorProxy.setLatestReverts(false)
+    await MockAggregatorProxy.setAnsweredInRound(entryPriceid, entryPriceid - 1n)
+    await expect(OraclyV1.placePrediction(100, RESOLUTION.UP, game.gameid, next)).to.be.revertedWith('RoundEntryPriceInInvalid')
+
+    // the new aggregator has no price yet
+    await MockAggregatorProxy.startPhase()
+    await expect(OraclyV1.placePrediction(100, RESOLUTION.UP, game.gameid, next)).to.be.revertedWith('No data present')
+
+    const phasePriceid = await pushPrice(MockAggregatorProxy, price('2012.00'), timestamp)
+    expect(phasePriceid).to.be.equal(encodePriceid(2n, 1n))
+
+    await OraclyV1.placePrediction(100, RESOLUTION.UP, game.gameid, next)
+    const round = await getRound(owner, next)
+    expect(round.entryPrice.roundid).to.be.equal(phasePriceid)
+
+  })
+
+})
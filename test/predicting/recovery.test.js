@@ -0,0 +1,193 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const { deployToken, deployAggregatorProxyMock } = require('../common')
+const { deployMeta, deployOraclyV1 } = require('../common')
+const { deployStakingOraclyV1, initStakingOraclyV1 } = require('../common')
+const { deployMentoring, initMentoring } = require('../common')
+
+const { approve, send, forwardTime, getLatestBlock } = require('../common/utils')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const { OUTCOME, computeGameid, getRoundStartDate, createGameConfig, createDepositCaps, createOraclyV1Client, createMetaOraclyV1Client } = require('../../sdk')
+
+// NOTE: slot of the ERC20 balances mapping, right after the Ownable owner
+const ERC20_BALANCES_SLOT = 0
+
+describe('OraclyV1 Prizepool Recovery', () => {
+
+  let MetaOraclyV1
+  let MentoringOraclyV1
+  let MockAggregatorProxy
+  let StakingOraclyV1
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+  let addr3
+
+  let game
+
+  let meta
+
+  const setBalance = async (token, account, amount) => {
+
+    const slot = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(
+      ['address', 'uint256'],
+      [account, ERC20_BALANCES_SLOT]
+    ))
+    await ethers.provider.send('hardhat_setStorageAt', [token.target, slot, ethers.toBeHex(amount, 32)])
+
+  }
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target, MetaOraclyV1.target)
+    MentoringOraclyV1 = await deployMentoring(MetaOraclyV1.target)
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      StakingOraclyV1.target,
+      MentoringOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    await initStakingOraclyV1(StakingOraclyV1, OraclyV1.target)
+    await initMentoring(MentoringOraclyV1, OraclyV1.target)
+
+    for (const bettor of [addr1, addr2, addr3]) {
+      await send(owner, DEMO, bettor, 10000)
+      await approve(bettor, DEMO, OraclyV1, 10000)
+    }
+
+    await MetaOraclyV1.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 100, createGameConfig(), createDepositCaps())
+    game = await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60))
+
+    meta = createMetaOraclyV1Client({ address: MetaOraclyV1.target, runner: owner })
+  })
+
+  it('Queues unpaid claims and lets bettors re-claim them once a guardian recovers the token', async () => {
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+    const upid = await oraclyv1.placePrediction(addr1, 100, OUTCOME.UP, game.gameid, roundid)
+    await oraclyv1.placePrediction(addr2, 300, OUTCOME.DOWN, game.gameid, roundid)
+
+    await forwardTime(game.schedule)
+    await oraclyv1.resolve(owner, roundid)
+
+    await setBalance(DEMO, OraclyV1.target, 100)
+    expect(await DEMO.balanceOf(OraclyV1.target)).to.be.equal(100)
+
+    // 400 prize, 1% of it commission
+    await expect(OraclyV1.connect(addr1).withdraw(roundid, upid, DEMO.target))
+      .to.emit(OraclyV1, 'FATAL_EVENT_INSUFFICIENT_PRIZEPOOL').withArgs(addr1.address, DEMO.target, 100, 396, 4)
+      .and.to.emit(OraclyV1, 'UnpaidClaimQueued').withArgs(addr1.address, DEMO.target, 396, 4)
+
+    const bettor = createOraclyV1Client({ address: OraclyV1.target, runner: addr1 })
+    expect((await bettor.getPrediction(upid)).claimed).to.be.equal(true)
+    expect(await bettor.getUnpaidClaim(addr1.address, DEMO.target)).to.be.deep.equal({ payout: 396n, commission: 4n })
+    expect(await bettor.getUnpaidBettors(DEMO.target)).to.be.deep.equal({ bettors: [addr1.address], size: 1, total: 400n })
+
+    expect(await bettor.preflight.reclaimUnpaid(DEMO.target)).to.be.equal('CannotReclaimERC20TokenIsBlocked')
+    await expect(OraclyV1.connect(addr1).reclaimUnpaid(DEMO.target)).to.be.revertedWith('CannotReclaimERC20TokenIsBlocked')
+
+    const guardian = createOraclyV1Client({ address: OraclyV1.target, runner: addr3 })
+    expect(await guardian.preflight.recoverPrizepool(DEMO.target, 300)).to.be.equal('OnlyOwnerOrGuardianAllowed')
+    await expect(OraclyV1.connect(addr3).recoverPrizepool(DEMO.target, 300)).to.be.revertedWith('OnlyOwnerOrGuardianAllowed')
+
+    await meta.addGuardian(addr3.address)
+
+    expect(await guardian.preflight.recoverPrizepool(DEMO.target, 100)).to.be.equal('CannotRecoverInsufficientBalance')
+    await expect(OraclyV1.connect(addr3).recoverPrizepool(DEMO.target, 100)).to.be.revertedWith('CannotRecoverInsufficientBalance')
+
+    expect(await guardian.preflight.recoverPrizepool(DEMO.target, 300)).to.be.equal(null)
+    await expect(guardian.recoverPrizepool(DEMO.target, 300))
+      .to.emit(OraclyV1, 'PrizepoolRecovered').withArgs(DEMO.target, addr3.address, 300, 400)
+
+    expect(await OraclyV1.__FATAL_INSUFFICIENT_PRIZEPOOL_ERROR__(DEMO.target)).to.be.equal(false)
+    expect(await guardian.preflight.recoverPrizepool(DEMO.target, 0)).to.be.equal('CannotRecoverERC20TokenIsNotBlocked')
+
+    const other = createOraclyV1Client({ address: OraclyV1.target, runner: addr2 })
+    expect(await other.preflight.reclaimUnpaid(DEMO.target)).to.be.equal('NothingToReclaim')
+    await expect(OraclyV1.connect(addr2).reclaimUnpaid(DEMO.target)).to.be.revertedWith('NothingToReclaim')
+
+    const balance = await DEMO.balanceOf(addr1.address)
+
+    await expect(bettor.reclaimUnpaid(DEMO.target))
+      .to.emit(OraclyV1, 'UnpaidClaimReclaimed').withArgs(addr1.address, DEMO.target, 396, 4)
+      .and.to.emit(OraclyV1, 'StakersRewardDistributedViaEOA').withArgs(owner.address, addr1.address, DEMO.target, 4)
+
+    expect(await DEMO.balanceOf(addr1.address)).to.be.equal(balance + 396n)
+    expect(await bettor.getUnpaidClaim(addr1.address, DEMO.target)).to.be.deep.equal({ payout: 0n, commission: 0n })
+    expect(await bettor.getUnpaidBettors(DEMO.target)).to.be.deep.equal({ bettors: [], size: 0, total: 0n })
+
+    // predictions are accepted again
+    const next = await oraclyv1.forwardTimeToRoundOpen(game)
+    await oraclyv1.placePrediction(addr2, 100, OUTCOME.UP, game.gameid, next)
+
+  })
+
+  it('Requires the balance to also cover the deposits and bonuses of the other rounds', async () => {
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+    const upid = await oraclyv1.placePrediction(addr1, 100, OUTCOME.UP, game.gameid, roundid)
+    await oraclyv1.placePrediction(addr2, 300, OUTCOME.DOWN, game.gameid, roundid)
+
+    await forwardTime(game.schedule)
+    await oraclyv1.resolve(owner, roundid)
+
+    const next = await oraclyv1.forwardTimeToRoundOpen(game)
+    await oraclyv1.placePrediction(addr3, 200, OUTCOME.UP, game.gameid, next)
+    const { timestamp } = await getLatestBlock()
+    await OraclyV1.connect(addr3).sponsorRound(game.gameid, getRoundStartDate(game.schedule, timestamp), 50)
+
+    const guardian = createOraclyV1Client({ address: OraclyV1.target, runner: addr3 })
+    expect(await guardian.getLiabilities(DEMO.target)).to.be.deep.equal({ held: 650n, unpaid: 0n })
+
+    await setBalance(DEMO, OraclyV1.target, 100)
+    await expect(OraclyV1.connect(addr1).withdraw(roundid, upid, DEMO.target))
+      .to.emit(OraclyV1, 'FATAL_EVENT_INSUFFICIENT_PRIZEPOOL')
+
+    expect(await guardian.getLiabilities(DEMO.target)).to.be.deep.equal({ held: 250n, unpaid: 400n })
+
+    await meta.addGuardian(addr3.address)
+
+    // enough for the unpaid claims only
+    expect(await guardian.preflight.recoverPrizepool(DEMO.target, 300)).to.be.equal('CannotRecoverInsufficientBalance')
+    await expect(OraclyV1.connect(addr3).recoverPrizepool(DEMO.target, 300)).to.be.revertedWith('CannotRecoverInsufficientBalance')
+
+    expect(await guardian.preflight.recoverPrizepool(DEMO.target, 550)).to.be.equal(null)
+    await expect(guardian.recoverPrizepool(DEMO.target, 550))
+      .to.emit(OraclyV1, 'PrizepoolRecovered').withArgs(DEMO.target, addr3.address, 550, 400)
+
+  })
+
+  it('Manages the guardians of the recovery', async () => {
+
+    expect(await meta.preflight.addGuardian(ethers.ZeroAddress)).to.be.equal('CannotAddZeroAddressGuardian')
+    await expect(MetaOraclyV1.addGuardian(ethers.ZeroAddress)).to.be.revertedWith('CannotAddZeroAddressGuardian')
+    await expect(MetaOraclyV1.connect(addr1).addGuardian(addr1.address)).to.be.reverted
+
+    await expect(meta.addGuardian(addr1.address)).to.emit(MetaOraclyV1, 'GuardianAdded').withArgs(addr1.address)
+    expect(await meta.isGuardian(addr1.address)).to.be.equal(true)
+    expect(await meta.preflight.addGuardian(addr1.address)).to.be.equal('GuardianIsAlreadyAdded')
+
+    await expect(meta.removeGuardian(addr1.address)).to.emit(MetaOraclyV1, 'GuardianRemoved').withArgs(addr1.address)
+    expect(await meta.isGuardian(addr1.address)).to.be.equal(false)
+    expect(await meta.preflight.removeGuardian(addr1.address)).to.be.equal('GuardianIsNotAdded')
+    await expect(MetaOraclyV1.removeGuardian(addr1.address)).to.be.revertedWith('GuardianIsNotAdded')
+
+  })
+
+})
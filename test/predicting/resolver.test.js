@@ -0,0 +1,180 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs')
+
+const { deployToken, deployAggregatorProxyMock } = require('../common')
+const { deployMeta, deployOraclyV1 } = require('../common')
+const { deployStakingOraclyV1, initStakingOraclyV1 } = require('../common')
+const { deployMentoring, initMentoring } = require('../common')
+
+const { approve, send, forwardTime } = require('../common/utils')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const {
+  OUTCOME,
+  computeGameid,
+  createGameConfig,
+  createDepositCaps,
+  calculatePrize,
+  calculateResolverReward,
+  calculatePotentialPayout,
+  simulateClaims,
+  createOraclyV1Client,
+  createMetaOraclyV1Client,
+} = require('../../sdk')
+
+describe('OraclyV1 Resolver Reward', () => {
+
+  let MetaOraclyV1
+  let MentoringOraclyV1
+  let MockAggregatorProxy
+  let StakingOraclyV1
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+  let addr3
+
+  let game
+
+  let client
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target, MetaOraclyV1.target)
+    MentoringOraclyV1 = await deployMentoring(MetaOraclyV1.target)
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      StakingOraclyV1.target,
+      MentoringOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    await initStakingOraclyV1(StakingOraclyV1, OraclyV1.target)
+    await initMentoring(MentoringOraclyV1, OraclyV1.target)
+
+    for (const bettor of [addr1, addr2, addr3]) {
+      await send(owner, DEMO, bettor, 100000)
+      await approve(bettor, DEMO, OraclyV1, 100000)
+    }
+
+    await MetaOraclyV1.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 100, createGameConfig(), createDepositCaps())
+    game = await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60))
+
+    client = createOraclyV1Client({ address: OraclyV1.target, runner: ethers.provider })
+  })
+
+  it('Credits the resolver a share of the vigorish deducted from the winners commission', async () => {
+
+    const meta = createMetaOraclyV1Client({ address: MetaOraclyV1.target, runner: owner })
+    expect(await meta.preflight.updateGameResolverReward(game.gameid, 5001)).to.be.equal('CannotUpdateGameResolverRewardTooLarge')
+    await expect(MetaOraclyV1.connect(addr1).updateGameResolverReward(game.gameid, 2000)).to.be.reverted
+    await expect(meta.updateGameResolverReward(game.gameid, 2000))
+      .to.emit(MetaOraclyV1, 'GameResolverRewardUpdated').withArgs(game.gameid, 2000)
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+    const firstid = await oraclyv1.placePrediction(addr1, 1000, OUTCOME.UP, game.gameid, roundid)
+    const lastid = await oraclyv1.placePrediction(addr2, 2000, OUTCOME.UP, game.gameid, roundid)
+    const lostid = await oraclyv1.placePrediction(addr3, 3340, OUTCOME.DOWN, game.gameid, roundid)
+
+    expect((await client.getRound(roundid)).resolverReward).to.be.equal(2000)
+
+    // the projected commission leaves out the resolver reward share of the deposit
+    const open = await client.getRound(roundid)
+    const projected = await client.getProjectedPayout(game.gameid, roundid, OUTCOME.UP, 1000)
+    expect(projected).to.be.deep.equal(calculatePotentialPayout(open.prizepools, OUTCOME.UP, 1000, open))
+    expect(projected.payout).to.be.equal(calculatePrize(1000, 4000, 7340, 100).payout)
+    expect(projected.commission).to.be.equal(calculatePrize(1000, 4000, 7340, 100).commission - 3n)
+
+    await forwardTime(game.schedule)
+
+    const balance = await DEMO.balanceOf(addr3.address)
+
+    // 20% of the 1% vigorish on 6340
+    const reward = calculateResolverReward(await client.getRound(roundid))
+    expect(reward).to.be.equal(12)
+
+    await expect(OraclyV1.connect(addr3).resolve(roundid, await oraclyv1.getExitPriceid(roundid)))
+      .to.emit(OraclyV1, 'RoundResolved').withArgs(roundid, anyValue, addr3.address, anyValue, OUTCOME.UP, reward, 0)
+    expect(await DEMO.balanceOf(addr3.address)).to.be.equal(balance)
+    expect(await client.getResolverReward(addr3.address, DEMO.target)).to.be.equal(reward)
+
+    const resolver = createOraclyV1Client({ address: OraclyV1.target, runner: addr3 })
+    expect(await resolver.preflight.claimResolverReward(DEMO.target)).to.be.equal(null)
+    await expect(resolver.claimResolverReward(DEMO.target))
+      .to.emit(OraclyV1, 'ResolverRewardClaimed').withArgs(addr3.address, DEMO.target, reward)
+    expect(await DEMO.balanceOf(addr3.address)).to.be.equal(balance + reward)
+
+    expect(await client.getResolverReward(addr3.address, DEMO.target)).to.be.equal(0)
+    expect(await resolver.preflight.claimResolverReward(DEMO.target)).to.be.equal('NothingToClaim')
+    await expect(OraclyV1.connect(addr3).claimResolverReward(DEMO.target)).to.be.revertedWith('NothingToClaim')
+
+    const round = await client.getRound(roundid)
+    expect(round.resolution).to.be.equal(OUTCOME.UP)
+    expect(round.resolverRewardPaid).to.be.equal(reward)
+
+    const predictions = await Promise.all([firstid, lastid, lostid].map(client.getPrediction))
+    const { claims: [first, last] } = simulateClaims(round, predictions)
+
+    // payouts are unchanged, the reward comes out of the commission
+    expect(first.payout).to.be.equal(calculatePrize(1000, 3000, 6340, 100).payout)
+    expect(last.payout).to.be.equal(calculatePrize(2000, 3000, 6340, 100).payout)
+    expect(first.commission).to.be.equal(calculatePrize(1000, 3000, 6340, 100).commission - 4n)
+
+    expect(await client.getClaimable(firstid)).to.be.deep.equal({ payout: first.payout, commission: first.commission })
+
+    await expect(OraclyV1.connect(addr1).withdraw(roundid, firstid, DEMO.target))
+      .to.emit(OraclyV1, 'PredictionClaimed').withArgs(firstid, addr1.address, DEMO.target, first.payout, first.commission)
+    await expect(OraclyV1.connect(addr2).withdraw(roundid, lastid, DEMO.target))
+      .to.emit(OraclyV1, 'PredictionClaimed').withArgs(lastid, addr2.address, DEMO.target, last.payout, last.commission)
+
+    expect(first.payout + first.commission + last.payout + last.commission + reward).to.be.equal(6340)
+
+  })
+
+  it('Pays no reward for No Contest resolutions', async () => {
+
+    await MetaOraclyV1.updateGameResolverReward(game.gameid, 5000)
+
+    // predictions on a single outcome
+    const single = await oraclyv1.forwardTimeToRoundOpen(game)
+    await oraclyv1.placePrediction(addr1, 1000, OUTCOME.UP, game.gameid, single)
+    await oraclyv1.placePrediction(addr2, 2000, OUTCOME.UP, game.gameid, single)
+
+    await forwardTime(game.schedule)
+
+    const balance = await DEMO.balanceOf(addr3.address)
+
+    await expect(OraclyV1.connect(addr3).resolve(single, 0))
+      .to.emit(OraclyV1, 'RoundResolvedNoContest')
+
+    // nobody predicted the outcome
+    const lost = await oraclyv1.forwardTimeToRoundOpen(game)
+    await oraclyv1.placePrediction(addr1, 1000, OUTCOME.DOWN, game.gameid, lost)
+    await oraclyv1.placePrediction(addr2, 2000, OUTCOME.ZERO, game.gameid, lost)
+
+    await forwardTime(game.schedule)
+
+    await expect(OraclyV1.connect(addr3).resolve(lost, await oraclyv1.getExitPriceid(lost)))
+      .to.emit(OraclyV1, 'RoundResolved').withArgs(lost, anyValue, addr3.address, anyValue, OUTCOME.NOCONTEST, 0, 0)
+
+    expect(await client.getResolverReward(addr3.address, DEMO.target)).to.be.equal(0)
+    for (const roundid of [single, lost]) {
+      expect((await client.getRound(roundid)).resolverRewardPaid).to.be.equal(0)
+    }
+
+  })
+
+})
@@ -0,0 +1,211 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const { deployToken, deployMeta, deployAggregatorProxyMock, deployOraclyV1 } = require('../common')
+const { approve, send, forwardTime, getLatestBlock } = require('../common/utils')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const {
+  OUTCOME,
+  computeGameid,
+  computeRoundid,
+  calculatePrize,
+  getRoundStartDate,
+  createOraclyV1Client,
+  createGameConfig,
+  createDepositCaps,
+} = require('../../sdk')
+
+describe('OraclyV1 Round Sponsorship', () => {
+
+  let MetaOraclyV1
+  let MockAggregatorProxy
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+  let addr3
+
+  let game
+
+  let sponsor
+
+  // start date of the round following the current one
+  const getNextStartDate = async () => {
+
+    const { timestamp } = await getLatestBlock()
+    return getRoundStartDate(game.schedule, timestamp) + Number(game.schedule)
+
+  }
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    for (const bettor of [addr1, addr2, addr3]) {
+      await send(owner, DEMO, bettor, 10000)
+    }
+    for (const account of [owner, addr1, addr2, addr3]) {
+      await approve(account, DEMO, OraclyV1, 10000)
+    }
+
+    await MetaOraclyV1.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 100, createGameConfig(), createDepositCaps())
+    game = await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60))
+
+    sponsor = createOraclyV1Client({ address: OraclyV1.target, runner: owner })
+  })
+
+  it('Validates the sponsored round', async () => {
+
+    const startDate = await getNextStartDate()
+
+    expect(await sponsor.preflight.sponsorRound(ethers.ZeroHash, startDate, 100)).to.be.equal('NotSupportedGame')
+    expect(await sponsor.preflight.sponsorRound(game.gameid, startDate, 0)).to.be.equal('UnacceptableSponsorshipAmount')
+    expect(await sponsor.preflight.sponsorRound(game.gameid, startDate + 1, 100)).to.be.equal('CannotSponsorRoundWithInvalidStartDate')
+    expect(await sponsor.preflight.sponsorRound(game.gameid, startDate - 2 * Number(game.schedule), 100)).to.be.equal('CannotSponsorRoundOutOfPositioningPeriod')
+    await expect(OraclyV1.sponsorRound(game.gameid, startDate + 1, 100)).to.be.revertedWith('CannotSponsorRoundWithInvalidStartDate')
+    await expect(OraclyV1.sponsorRound(game.gameid, startDate, 0)).to.be.revertedWith('UnacceptableSponsorshipAmount')
+
+    await MetaOraclyV1.blockGame(game.gameid)
+    expect(await sponsor.preflight.sponsorRound(game.gameid, startDate, 100)).to.be.equal('CannotSponsorRoundGameIsBlocked')
+    await expect(OraclyV1.sponsorRound(game.gameid, startDate, 100)).to.be.revertedWith('CannotSponsorRoundGameIsBlocked')
+
+  })
+
+  it('Rejects calls sent to the extension and the views directly', async () => {
+
+    const startDate = await getNextStartDate()
+
+    const extension = await ethers.getContractAt('OraclyV1Extension', await OraclyV1.EXTENSION_CONTRACT())
+    await approve(owner, DEMO, extension, 100)
+
+    await expect(extension.sponsorRound(game.gameid, startDate, 100)).to.be.revertedWith('OnlyDelegateCallAllowed')
+
+    // the extension forwards the getters to the views
+    const views = await ethers.getContractAt('OraclyV1Views', await extension.VIEWS_CONTRACT())
+    await expect(views.attach(extension.target).getRoundBonus(ethers.ZeroHash)).to.be.revertedWith('OnlyDelegateCallAllowed')
+    await expect(views.getRoundBonus(ethers.ZeroHash)).to.be.revertedWith('OnlyDelegateCallAllowed')
+
+  })
+
+  it('Splits the bonus among the winners pro rata to their deposits', async () => {
+
+    const startDate = await getNextStartDate()
+    const roundid = computeRoundid(game.gameid, startDate)
+
+    expect(await sponsor.preflight.sponsorRound(game.gameid, startDate, 1001)).to.be.equal(null)
+    await expect(sponsor.sponsorRound(game.gameid, startDate, 1001))
+      .to.emit(OraclyV1, 'RoundSponsored').withArgs(roundid, game.gameid, owner.address, DEMO.target, 1001)
+
+    expect(await sponsor.getRoundBonus(roundid)).to.be.deep.equal({ bonus: 1001n, released: 0n })
+    expect(await sponsor.getRoundSponsorship(roundid, owner.address)).to.be.equal(1001)
+
+    expect(await oraclyv1.forwardTimeToRoundOpen(game)).to.be.equal(roundid)
+    const firstid = await oraclyv1.placePrediction(addr1, 1000, OUTCOME.UP, game.gameid, roundid)
+    const lastid = await oraclyv1.placePrediction(addr2, 2000, OUTCOME.UP, game.gameid, roundid)
+    await oraclyv1.placePrediction(addr3, 3000, OUTCOME.DOWN, game.gameid, roundid)
+
+    // the bonus is not part of the prize pool
+    expect((await sponsor.getRound(roundid)).prizepools.total).to.be.equal(6000)
+
+    await forwardTime(game.schedule)
+    await oraclyv1.resolve(owner, roundid)
+    expect((await sponsor.getRound(roundid)).resolution).to.be.equal(OUTCOME.UP)
+
+    expect(await sponsor.preflight.reclaimSponsorship(game.gameid, startDate)).to.be.equal('CannotReclaimSponsorshipRoundIsNotNoContest')
+    await expect(OraclyV1.reclaimSponsorship(game.gameid, startDate)).to.be.revertedWith('CannotReclaimSponsorshipRoundIsNotNoContest')
+
+    expect(await sponsor.getClaimableBonus(firstid)).to.be.equal(333)
+    expect(await sponsor.getClaimableBonus(lastid)).to.be.equal(667)
+
+    const first = calculatePrize(1000, 3000, 6000, 100)
+    const balance = await DEMO.balanceOf(addr1.address)
+
+    await expect(OraclyV1.connect(addr1).withdraw(roundid, firstid, DEMO.target))
+      .to.emit(OraclyV1, 'PredictionClaimed').withArgs(firstid, addr1.address, DEMO.target, first.payout, first.commission)
+      .and.to.emit(OraclyV1, 'PredictionBonusClaimed').withArgs(firstid, addr1.address, DEMO.target, 333)
+    expect(await DEMO.balanceOf(addr1.address)).to.be.equal(balance + first.payout + 333n)
+
+    // the last winner collects the rounding remainder of the bonus
+    expect(await sponsor.getClaimableBonus(lastid)).to.be.equal(668)
+    await expect(OraclyV1.connect(addr2).withdraw(roundid, lastid, DEMO.target))
+      .to.emit(OraclyV1, 'PredictionBonusClaimed').withArgs(lastid, addr2.address, DEMO.target, 668)
+
+    expect(await sponsor.getRoundBonus(roundid)).to.be.deep.equal({ bonus: 1001n, released: 1001n })
+    expect(await sponsor.getClaimableBonus(lastid)).to.be.equal(0)
+
+  })
+
+  it('Returns the bonus of a No Contest round to its sponsors', async () => {
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+    const { timestamp } = await getLatestBlock()
+    const startDate = getRoundStartDate(game.schedule, timestamp)
+
+    await sponsor.sponsorRound(game.gameid, startDate, 500)
+    await OraclyV1.connect(addr3).sponsorRound(game.gameid, startDate, 100)
+
+    const upid = await oraclyv1.placePrediction(addr1, 1000, OUTCOME.UP, game.gameid, roundid)
+    await oraclyv1.placePrediction(addr2, 2000, OUTCOME.UP, game.gameid, roundid)
+
+    expect(await sponsor.preflight.reclaimSponsorship(game.gameid, startDate)).to.be.equal('CannotReclaimSponsorshipRoundIsNotNoContest')
+
+    await forwardTime(game.schedule)
+    await expect(OraclyV1.resolve(roundid, 0)).to.emit(OraclyV1, 'RoundResolvedNoContest')
+
+    // refunds leave the bonus out
+    expect(await sponsor.getClaimableBonus(upid)).to.be.equal(0)
+    await expect(OraclyV1.connect(addr1).withdraw(roundid, upid, DEMO.target))
+      .to.emit(OraclyV1, 'PredictionClaimed').withArgs(upid, addr1.address, DEMO.target, 1000, 0)
+      .and.not.to.emit(OraclyV1, 'PredictionBonusClaimed')
+
+    const balance = await DEMO.balanceOf(owner.address)
+
+    expect(await sponsor.preflight.reclaimSponsorship(game.gameid, startDate)).to.be.equal(null)
+    await expect(sponsor.reclaimSponsorship(game.gameid, startDate))
+      .to.emit(OraclyV1, 'RoundSponsorshipReturned').withArgs(roundid, owner.address, DEMO.target, 500)
+    expect(await DEMO.balanceOf(owner.address)).to.be.equal(balance + 500n)
+
+    expect(await sponsor.getRoundSponsorship(roundid, owner.address)).to.be.equal(0)
+    expect(await sponsor.getRoundBonus(roundid)).to.be.deep.equal({ bonus: 600n, released: 500n })
+
+    expect(await sponsor.preflight.reclaimSponsorship(game.gameid, startDate)).to.be.equal('NothingToReclaim')
+    await expect(OraclyV1.reclaimSponsorship(game.gameid, startDate)).to.be.revertedWith('NothingToReclaim')
+
+  })
+
+  it('Returns the bonus of a round nobody predicted in once its positioning is over', async () => {
+
+    const startDate = await getNextStartDate()
+    const roundid = computeRoundid(game.gameid, startDate)
+
+    await sponsor.sponsorRound(game.gameid, startDate, 500)
+
+    await oraclyv1.forwardTimeToRoundOpen(game)
+    expect(await sponsor.preflight.reclaimSponsorship(game.gameid, startDate)).to.be.equal('CannotReclaimSponsorshipRoundIsNotNoContest')
+    await expect(OraclyV1.reclaimSponsorship(game.gameid, startDate)).to.be.revertedWith('CannotReclaimSponsorshipRoundIsNotNoContest')
+
+    await forwardTime(game.positioning)
+
+    await expect(sponsor.reclaimSponsorship(game.gameid, startDate))
+      .to.emit(OraclyV1, 'RoundSponsorshipReturned').withArgs(roundid, owner.address, DEMO.target, 500)
+
+  })
+
+})
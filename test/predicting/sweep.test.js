@@ -0,0 +1,157 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const { deployToken, deployAggregatorProxyMock } = require('../common')
+const { deployMeta, deployOraclyV1 } = require('../common')
+const { deployStakingOraclyV1, initStakingOraclyV1 } = require('../common')
+const { deployMentoring, initMentoring } = require('../common')
+
+const { approve, send, forwardTime, getLatestBlock } = require('../common/utils')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const { OUTCOME, computeGameid, createGameConfig, createDepositCaps, createOraclyV1Client, createMetaOraclyV1Client } = require('../../sdk')
+
+const CLAIM_PERIOD = 30 * 24 * 60 * 60
+
+describe('OraclyV1 Round Sweep', () => {
+
+  let MetaOraclyV1
+  let MentoringOraclyV1
+  let MockAggregatorProxy
+  let StakingOraclyV1
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+  let addr3
+
+  let game
+
+  let client
+
+  const forwardTimePastClaimDeadline = async (roundid) => {
+
+    const { claimDeadline } = await client.getRound(roundid)
+    const { timestamp } = await getLatestBlock()
+
+    await forwardTime(claimDeadline - timestamp + 1)
+
+  }
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, addr3] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target, MetaOraclyV1.target)
+    MentoringOraclyV1 = await deployMentoring(MetaOraclyV1.target)
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      StakingOraclyV1.target,
+      MentoringOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    await initStakingOraclyV1(StakingOraclyV1, OraclyV1.target)
+    await initMentoring(MentoringOraclyV1, OraclyV1.target)
+
+    for (const bettor of [addr1, addr2, addr3]) {
+      await send(owner, DEMO, bettor, 10000)
+      await approve(bettor, DEMO, OraclyV1, 10000)
+    }
+
+    await MetaOraclyV1.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 100, createGameConfig(), createDepositCaps())
+    game = await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60))
+
+    client = createOraclyV1Client({ address: OraclyV1.target, runner: addr3 })
+  })
+
+  it('Sweeps unclaimed winnings and rounding dust to stakers after the claim deadline', async () => {
+
+    const meta = createMetaOraclyV1Client({ address: MetaOraclyV1.target, runner: owner })
+    expect(await meta.preflight.updateGameClaimPeriod(game.gameid, 60)).to.be.equal('CannotUpdateGameClaimPeriodTooShort')
+    await expect(MetaOraclyV1.connect(addr1).updateGameClaimPeriod(game.gameid, CLAIM_PERIOD)).to.be.reverted
+    await expect(meta.updateGameClaimPeriod(game.gameid, CLAIM_PERIOD))
+      .to.emit(MetaOraclyV1, 'GameClaimPeriodUpdated').withArgs(game.gameid, CLAIM_PERIOD)
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+    const firstid = await oraclyv1.placePrediction(addr1, 100, OUTCOME.UP, game.gameid, roundid)
+    const unclaimedid = await oraclyv1.placePrediction(addr2, 200, OUTCOME.UP, game.gameid, roundid)
+    await oraclyv1.placePrediction(addr3, 334, OUTCOME.DOWN, game.gameid, roundid)
+
+    const round = await client.getRound(roundid)
+    expect(round.claimDeadline).to.be.equal(round.expirationDate + CLAIM_PERIOD)
+
+    await forwardTime(game.schedule)
+    await oraclyv1.resolve(owner, roundid)
+    await oraclyv1.withdraw(addr1, roundid, firstid, DEMO)
+
+    const { payout, commission } = await client.getPrediction(firstid)
+
+    expect(await client.preflight.sweepRound(roundid)).to.be.equal('CannotSweepRoundBeforeClaimDeadline')
+    await expect(OraclyV1.connect(addr3).sweepRound(roundid)).to.be.revertedWith('CannotSweepRoundBeforeClaimDeadline')
+
+    await forwardTimePastClaimDeadline(roundid)
+
+    const balance = await DEMO.balanceOf(OraclyV1.target)
+    const unreleased = 634n - payout - commission
+
+    expect(await client.preflight.sweepRound(roundid)).to.be.equal(null)
+    const tx = await client.sweepRound(roundid)
+    const { timestamp } = await getLatestBlock()
+
+    await expect(tx).to.emit(OraclyV1, 'RoundSwept').withArgs(roundid, DEMO.target, unreleased, addr3.address, timestamp)
+    await expect(tx).to.emit(OraclyV1, 'RoundArchived').withArgs(roundid, timestamp)
+    expect(await DEMO.balanceOf(OraclyV1.target)).to.be.equal(balance - unreleased)
+
+    expect((await client.getRound(roundid)).archived).to.be.equal(true)
+    expect(await client.getClaimable(unclaimedid)).to.be.deep.equal({ payout: 0n, commission: 0n })
+
+    const unclaimed = createOraclyV1Client({ address: OraclyV1.target, runner: addr2 })
+    expect(await unclaimed.preflight.withdraw(roundid, unclaimedid, DEMO.target)).to.be.equal('CannotClaimPredictionArchivedRound')
+    await expect(OraclyV1.connect(addr2).withdraw(roundid, unclaimedid, DEMO.target)).to.be.revertedWith('CannotClaimPredictionArchivedRound')
+
+    expect(await client.preflight.sweepRound(roundid)).to.be.equal('CannotSweepArchivedRound')
+    await expect(OraclyV1.connect(addr3).sweepRound(roundid)).to.be.revertedWith('CannotSweepArchivedRound')
+
+  })
+
+  it('Resolves unresolved rounds as No Contest and skips rounds without a claim deadline', async () => {
+
+    expect(await client.preflight.sweepRound(ethers.ZeroHash)).to.be.equal('CannotSweepUnopenedRound')
+
+    const before = await oraclyv1.forwardTimeToRoundOpen(game)
+    await oraclyv1.placePrediction(addr1, 100, OUTCOME.UP, game.gameid, before)
+
+    await MetaOraclyV1.updateGameClaimPeriod(game.gameid, CLAIM_PERIOD)
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+    await oraclyv1.placePrediction(addr1, 100, OUTCOME.UP, game.gameid, roundid)
+    await oraclyv1.placePrediction(addr2, 150, OUTCOME.DOWN, game.gameid, roundid)
+
+    await forwardTimePastClaimDeadline(roundid)
+
+    // rounds keep the claim period of their game at creation
+    expect((await client.getRound(before)).claimDeadline).to.be.equal(0)
+    await expect(OraclyV1.connect(addr3).sweepRound(before)).to.be.revertedWith('CannotSweepRoundWithoutClaimDeadline')
+
+    await expect(OraclyV1.connect(addr3).sweepRound(roundid))
+      .to.emit(OraclyV1, 'RoundResolvedNoContest')
+      .and.to.emit(OraclyV1, 'RoundSwept')
+
+    const round = await client.getRound(roundid)
+    expect(round.resolution).to.be.equal(OUTCOME.NOCONTEST)
+    expect(round.archived).to.be.equal(true)
+
+  })
+
+})
@@ -0,0 +1,151 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+const { anyValue } = require('@nomicfoundation/hardhat-chai-matchers/withArgs')
+
+const { deployToken, deployMeta, deployAggregatorProxyMock, deployOraclyV1 } = require('../common')
+const { approve, send, forwardTime, getLatestBlock } = require('../common/utils')
+const { pushPrice, PRICE_FEED_DECIMALS } = require('../common/pricefeed')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const {
+  OUTCOME,
+  computeGameid,
+  createGameConfig,
+  createDepositCaps,
+  getRoundStartDate,
+  createOraclyV1Client,
+  createMetaOraclyV1Client,
+} = require('../../sdk')
+
+const price = (value) => ethers.parseUnits(value, PRICE_FEED_DECIMALS)
+
+describe('OraclyV1 Threshold Games', () => {
+
+  let MetaOraclyV1
+  let MockAggregatorProxy
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+
+  let game
+
+  let client
+  let meta
+
+  // opens a round of `game` on `entry` price and covers every position
+  const openRound = async (game, entry) => {
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+
+    const { timestamp } = await getLatestBlock()
+    const startDate = BigInt(getRoundStartDate(game.schedule, timestamp))
+
+    await pushPrice(MockAggregatorProxy, price(entry), startDate + 10n)
+
+    for (const [bettor, position] of [[owner, OUTCOME.UP], [addr1, OUTCOME.DOWN], [addr2, OUTCOME.ZERO]]) {
+      await oraclyv1.placePrediction(bettor, 100, position, game.gameid, roundid)
+    }
+
+    return { roundid, startDate, endDate: startDate + game.schedule }
+
+  }
+
+  beforeEach(async () => {
+    [owner, addr1, addr2] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    for (const bettor of [addr1, addr2]) {
+      await send(owner, DEMO, bettor, 10000)
+    }
+    for (const bettor of [owner, addr1, addr2]) {
+      await approve(bettor, DEMO, OraclyV1, 10000)
+    }
+
+    client = createOraclyV1Client({ address: OraclyV1.target, runner: owner })
+    meta = createMetaOraclyV1Client({ address: MetaOraclyV1.target, runner: owner })
+
+    const config = createGameConfig({ tolerance: 50 })
+    await meta.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 100, config)
+    game = await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, config))
+  })
+
+  it('Resolves price moves within the tolerance band to Zero', async () => {
+
+    expect(game.tolerance).to.be.equal(50)
+
+    const config = createGameConfig({ tolerance: 1001 })
+    expect(await meta.preflight.addGame(MockAggregatorProxy.target, DEMO.target, 2, 120, 60, 3600, 1, 100, config))
+      .to.be.equal('CannotAddGameToleranceTooLarge')
+    await expect(MetaOraclyV1.addGame(MockAggregatorProxy.target, DEMO.target, 2, 120, 60, 3600, 1, 100, config, createDepositCaps()))
+      .to.be.revertedWith('CannotAddGameToleranceTooLarge')
+
+    // 0.5% of 2000.00 is 10.00
+    const rounds = [
+      ['2010.00', OUTCOME.ZERO],
+      ['1990.00', OUTCOME.ZERO],
+      ['2010.01', OUTCOME.UP],
+      ['1989.99', OUTCOME.DOWN],
+    ]
+
+    for (const [exit, resolution] of rounds) {
+
+      const { roundid, startDate, endDate } = await openRound(game, '2000.00')
+      expect((await client.getRound(roundid)).tolerance).to.be.equal(50)
+
+      const exitPriceid = await pushPrice(MockAggregatorProxy, price(exit), startDate + 90n)
+      await pushPrice(MockAggregatorProxy, price(exit), endDate + 1n)
+
+      await forwardTime(game.schedule)
+
+      expect(await client.preflight.resolve(roundid, exitPriceid)).to.be.equal(null)
+      await expect(OraclyV1.resolve(roundid, exitPriceid))
+        .to.emit(OraclyV1, 'RoundResolved').withArgs(roundid, anyValue, owner.address, anyValue, resolution, 0, 50)
+
+      expect((await client.getRound(roundid)).resolution).to.be.equal(resolution)
+
+    }
+
+  })
+
+  it('Adds the classic game of the same spec as a separate game', async () => {
+
+    await meta.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 100, createGameConfig())
+    const classic = await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60))
+
+    expect(classic.gameid).to.not.be.equal(game.gameid)
+    expect(classic.tolerance).to.be.equal(0)
+
+    const { roundid, startDate, endDate } = await openRound(classic, '2000.00')
+
+    const exitPriceid = await pushPrice(MockAggregatorProxy, price('2000.01'), startDate + 90n)
+    await pushPrice(MockAggregatorProxy, price('2000.01'), endDate + 1n)
+
+    await forwardTime(classic.schedule)
+
+    await expect(OraclyV1.resolve(roundid, exitPriceid))
+      .to.emit(OraclyV1, 'RoundResolved').withArgs(roundid, anyValue, owner.address, anyValue, OUTCOME.UP, 0, 0)
+
+    const round = await client.getRound(roundid)
+    expect(round.tolerance).to.be.equal(0)
+    expect(round.resolution).to.be.equal(OUTCOME.UP)
+
+  })
+
+})
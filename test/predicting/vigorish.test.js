@@ -0,0 +1,113 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const { deployToken, deployAggregatorProxyMock } = require('../common')
+const { deployMeta, deployOraclyV1 } = require('../common')
+const { deployStakingOraclyV1, initStakingOraclyV1 } = require('../common')
+const { deployMentoring, initMentoring } = require('../common')
+
+const { approve, send, forwardTime } = require('../common/utils')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const { OUTCOME, computeGameid, createGameConfig, createDepositCaps, calculatePrize, createOraclyV1Client } = require('../../sdk')
+
+describe('OraclyV1 Game Vigorish', () => {
+
+  let MetaOraclyV1
+  let MentoringOraclyV1
+  let MockAggregatorProxy
+  let StakingOraclyV1
+  let OraclyV1
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+
+  let client
+
+  beforeEach(async () => {
+    [owner, addr1, addr2] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target, MetaOraclyV1.target)
+    MentoringOraclyV1 = await deployMentoring(MetaOraclyV1.target)
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      StakingOraclyV1.target,
+      MentoringOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    await initStakingOraclyV1(StakingOraclyV1, OraclyV1.target)
+    await initMentoring(MentoringOraclyV1, OraclyV1.target)
+
+    for (const bettor of [addr1, addr2]) {
+      await send(owner, DEMO, bettor, 10000)
+      await approve(bettor, DEMO, OraclyV1, 10000)
+    }
+
+    client = createOraclyV1Client({ address: OraclyV1.target, runner: ethers.provider })
+  })
+
+  it('Validates and updates the game vigorish', async () => {
+
+    await expect(
+      MetaOraclyV1.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 1001, createGameConfig(), createDepositCaps())
+    ).to.be.revertedWith('CannotAddGameVigorishTooLarge')
+
+    await expect(MetaOraclyV1.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 1000, createGameConfig(), createDepositCaps()))
+      .to.emit(MetaOraclyV1, 'GameAdded')
+
+    const gameid = computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60)
+    expect((await MetaOraclyV1.getGame(gameid)).vigorish).to.be.equal(1000)
+
+    await expect(MetaOraclyV1.connect(addr1).updateGameVigorish(gameid, 0)).to.be.reverted
+    await expect(MetaOraclyV1.updateGameVigorish(ethers.ZeroHash, 0)).to.be.revertedWith('CannotUpdateGameDoNotExists')
+    await expect(MetaOraclyV1.updateGameVigorish(gameid, 1001)).to.be.revertedWith('CannotUpdateGameVigorishTooLarge')
+
+    await expect(MetaOraclyV1.updateGameVigorish(gameid, 0))
+      .to.emit(MetaOraclyV1, 'GameVigorishUpdated').withArgs(gameid, 0)
+    expect((await MetaOraclyV1.getGame(gameid)).vigorish).to.be.equal(0)
+
+  })
+
+  it('Keeps the vigorish of the game at the round creation', async () => {
+
+    await MetaOraclyV1.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 250, createGameConfig(), createDepositCaps())
+    const game = await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60))
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+    const upid = await oraclyv1.placePrediction(addr1, 300, OUTCOME.UP, game.gameid, roundid)
+    await oraclyv1.placePrediction(addr2, 700, OUTCOME.DOWN, game.gameid, roundid)
+
+    // applies to rounds created from now on only
+    await MetaOraclyV1.updateGameVigorish(game.gameid, 500)
+
+    expect((await client.getRound(roundid)).vigorish).to.be.equal(250)
+
+    await forwardTime(game.schedule)
+    await oraclyv1.resolve4withdraw(addr1, roundid, upid, DEMO)
+
+    // 1000 * 300 / 300 = 1000, 2.5% of it
+    const prediction = await client.getPrediction(upid)
+    expect(prediction.commission).to.be.equal(25)
+    expect(prediction.payout).to.be.equal(975)
+    expect(calculatePrize(300, 300, 1000, 250)).to.be.deep.equal({ payout: 975n, commission: 25n })
+
+    const next = await oraclyv1.forwardTimeToRoundOpen(game)
+    await oraclyv1.placePrediction(addr1, 100, OUTCOME.UP, game.gameid, next)
+
+    expect((await client.getRound(next)).vigorish).to.be.equal(500)
+
+  })
+
+})
@@ -0,0 +1,215 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const { deployToken, deployAggregatorProxyMock } = require('../common')
+const { deployMeta, deployOraclyV1 } = require('../common')
+const { deployStakingOraclyV1, initStakingOraclyV1 } = require('../common')
+const { deployMentoring, initMentoring } = require('../common')
+
+const { approve, send, forwardTime } = require('../common/utils')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const { OUTCOME, computeGameid, createGameConfig, createDepositCaps, createOraclyV1Client } = require('../../sdk')
+
+describe('OraclyV1 Batch Withdraw', () => {
+
+  let MetaOraclyV1
+  let MentoringOraclyV1
+  let MockAggregatorProxy
+  let StakingOraclyV1
+  let OraclyV1
+
+  let DEMO
+  let DEMO2
+
+  let owner
+  let addr1
+  let addr2
+
+  let client
+
+  const addGame = async (token, schedule) => {
+
+    await MetaOraclyV1.addGame(MockAggregatorProxy.target, token.target, 1, schedule, 60, 3600, 1, 100, createGameConfig(), createDepositCaps())
+    return MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, token.target, 1, schedule, 60))
+
+  }
+
+  const getEvents = async (tx, contract, name) => {
+
+    const receipt = await tx.wait()
+
+    return receipt.logs
+      .filter(log => log.address === contract.target)
+      .map(log => contract.interface.parseLog(log))
+      .filter(event => event && event.name === name)
+      .map(event => event.args)
+
+  }
+
+  beforeEach(async () => {
+    [owner, addr1, addr2] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    DEMO2 = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target, MetaOraclyV1.target)
+    MentoringOraclyV1 = await deployMentoring(MetaOraclyV1.target)
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      StakingOraclyV1.target,
+      MentoringOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    await initStakingOraclyV1(StakingOraclyV1, OraclyV1.target)
+    await initMentoring(MentoringOraclyV1, OraclyV1.target)
+
+    for (const token of [DEMO, DEMO2]) {
+      for (const bettor of [addr1, addr2]) {
+        await send(owner, token, bettor, 10000)
+        await approve(bettor, token, OraclyV1, 10000)
+      }
+    }
+
+    client = createOraclyV1Client({ address: OraclyV1.target, runner: addr1 })
+  })
+
+  it('Claims predictions across rounds and tokens with one transfer per token', async () => {
+
+    const demo = await addGame(DEMO, 120)
+    const demo2 = await addGame(DEMO2, 180)
+
+    // a won round, resolved by the batch
+    const won = await oraclyv1.forwardTimeToRoundOpen(demo)
+    const wonid = await oraclyv1.placePrediction(addr1, 300, OUTCOME.UP, demo.gameid, won)
+    const lostid = await oraclyv1.placePrediction(addr1, 100, OUTCOME.DOWN, demo.gameid, won)
+    const otherid = await oraclyv1.placePrediction(addr2, 200, OUTCOME.UP, demo.gameid, won)
+
+    // a single outcome round, resolved as NoContest by the batch
+    await forwardTime(demo.schedule)
+    const refund = await oraclyv1.forwardTimeToRoundOpen(demo2)
+    const refundid = await oraclyv1.placePrediction(addr1, 500, OUTCOME.ZERO, demo2.gameid, refund)
+
+    // a won round, already resolved
+    const resolved = await oraclyv1.forwardTimeToRoundOpen(demo2)
+    const resolvedid = await oraclyv1.placePrediction(addr1, 400, OUTCOME.UP, demo2.gameid, resolved)
+    await oraclyv1.placePrediction(addr2, 400, OUTCOME.DOWN, demo2.gameid, resolved)
+
+    await forwardTime(demo2.schedule)
+    await oraclyv1.resolve(owner, resolved)
+
+    const items = [
+      [won, wonid, await oraclyv1.getExitPriceid(won)],
+      [won, lostid, 0],
+      [won, otherid, 0],
+      [refund, refundid, 0],
+      [resolved, resolvedid, 0],
+      [resolved, resolvedid, 0],
+    ]
+    const args = [items.map(item => item[0]), items.map(item => item[1]), items.map(item => item[2])]
+
+    expect(await client.previewWithdrawBatch(...args)).to.be.deep.equal([
+      null,
+      'CannotClaimLostPrediction',
+      'BettorPredictionMismatch',
+      null,
+      null,
+      'CannotClaimClaimedPrediction',
+    ])
+
+    const before = { demo: await DEMO.balanceOf(addr1.address), demo2: await DEMO2.balanceOf(addr1.address) }
+
+    const tx = await client.withdrawBatch(...args)
+
+    const failed = await getEvents(tx, OraclyV1, 'PredictionWithdrawFailed')
+    expect(failed.map(event => [event.predictionid, event.bettor, event.reason])).to.be.deep.equal([
+      [lostid, addr1.address, 'CannotClaimLostPrediction'],
+      [otherid, addr1.address, 'BettorPredictionMismatch'],
+      [resolvedid, addr1.address, 'CannotClaimClaimedPrediction'],
+    ])
+
+    expect((await client.getRound(won)).resolution).to.be.equal(OUTCOME.UP)
+    expect((await client.getRound(refund)).resolution).to.be.equal(OUTCOME.NOCONTEST)
+
+    const claimed = await Promise.all([wonid, refundid, resolvedid].map(client.getPrediction))
+    for (const prediction of claimed) {
+      expect(prediction.claimed).to.be.equal(true)
+    }
+    expect((await client.getPrediction(lostid)).claimed).to.be.equal(false)
+    expect((await client.getPrediction(otherid)).claimed).to.be.equal(false)
+
+    const [wonPrediction, refundPrediction, resolvedPrediction] = claimed
+    expect(refundPrediction.payout).to.be.equal(500)
+    expect(refundPrediction.commission).to.be.equal(0)
+
+    // one payout transfer per token
+    for (const [token, payout, key] of [
+      [DEMO, wonPrediction.payout, 'demo'],
+      [DEMO2, refundPrediction.payout + resolvedPrediction.payout, 'demo2'],
+    ]) {
+      const transfers = (await getEvents(tx, token, 'Transfer')).filter(event => event.to === addr1.address)
+      expect(transfers.length).to.be.equal(1)
+      expect(transfers[0].value).to.be.equal(payout)
+      expect(await token.balanceOf(addr1.address)).to.be.equal(before[key] + payout)
+    }
+
+    // one commission distribution per token
+    const distributed = [
+      ...await getEvents(tx, OraclyV1, 'StakersRewardDistributedViaContract'),
+      ...await getEvents(tx, OraclyV1, 'StakersRewardDistributedViaEOA'),
+    ]
+    expect(distributed.map(event => [event.erc20, event.amount])).to.have.deep.members([
+      [DEMO.target, wonPrediction.commission],
+      [DEMO2.target, resolvedPrediction.commission],
+    ])
+
+  })
+
+  it('Reports rounds that cannot be resolved', async () => {
+
+    const demo = await addGame(DEMO, 120)
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(demo)
+    const upid = await oraclyv1.placePrediction(addr1, 100, OUTCOME.UP, demo.gameid, roundid)
+    await oraclyv1.placePrediction(addr2, 100, OUTCOME.DOWN, demo.gameid, roundid)
+
+    const unknown = ethers.ZeroHash
+
+    const tx = await OraclyV1.connect(addr1).withdrawBatch([roundid, unknown], [upid, upid], [0, 0])
+    const failed = await getEvents(tx, OraclyV1, 'PredictionWithdrawFailed')
+
+    expect(failed.map(event => [event.roundid, event.reason])).to.be.deep.equal([
+      [roundid, 'CannotResolveRoundBeforeEndDate'],
+      [unknown, 'CannotResolveUnopenedRound'],
+    ])
+    expect((await client.getRound(roundid)).resolved).to.be.equal(false)
+
+    await forwardTime(demo.schedule)
+
+    expect(await client.previewWithdrawBatch([roundid], [upid], [0])).to.be.deep.equal(['CannotResolveRoundWithoutPrice'])
+
+    await expect(client.withdrawBatch([roundid], [upid], [])).to.be.rejectedWith('withdrawBatch would revert: BatchLengthMismatch')
+    await expect(OraclyV1.connect(addr1).withdrawBatch([roundid], [upid], [])).to.be.revertedWith('BatchLengthMismatch')
+
+    // the largest price id has no control price, the item fails without reverting the batch
+    const largest = 2n ** 80n - 1n
+    expect(await client.previewWithdrawBatch([roundid], [upid], [largest])).to.be.deep.equal(['InvalidRoundResolution'])
+
+    const exitPriceid = await oraclyv1.getExitPriceid(roundid)
+    const resolved = await OraclyV1.connect(addr1).withdrawBatch([roundid, roundid], [upid, upid], [largest, exitPriceid])
+    await expect(resolved).to.emit(OraclyV1, 'PredictionClaimed')
+
+    const invalid = await getEvents(resolved, OraclyV1, 'PredictionWithdrawFailed')
+    expect(invalid.map(event => [event.roundid, event.reason])).to.be.deep.equal([[roundid, 'InvalidRoundResolution']])
+
+  })
+
+})
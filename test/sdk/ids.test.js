@@ -0,0 +1,207 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers, network } = require('hardhat')
+
+const { deployToken, deployAggregatorProxyMock } = require('../common')
+const { deployMeta, deployOraclyV1 } = require('../common')
+const { deployStakingOraclyV1, initStakingOraclyV1 } = require('../common')
+
+const { approve, send, address, getLatestBlock, createRandom } = require('../common/utils')
+
+const {
+  computeGameid,
+  createGameConfig,
+  createDepositCaps,
+  computePredictionid,
+  computeDepositid,
+  encodePriceid,
+  decodePriceid,
+  getRoundStartDate,
+  getRoundAt,
+  getCurrentRound,
+  getNextRound,
+  getPreviousRound,
+} = require('../../sdk')
+
+describe('SDK IDs', () => {
+
+  let MetaOraclyV1
+  let MockAggregatorProxy
+  let StakingOraclyV1
+  let OraclyV1
+
+  let DEMO
+
+  let owner
+  let bettors
+
+  const RUNS = 12
+
+  beforeEach(async () => {
+    [owner, ...bettors] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target, MetaOraclyV1.target)
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      StakingOraclyV1.target,
+      MetaOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+
+    await initStakingOraclyV1(StakingOraclyV1, OraclyV1.target)
+  })
+
+  it('Encodes and decodes price feed round ids', async () => {
+
+    const random = createRandom('priceid')
+
+    for (let i = 0; i < 200; i++) {
+
+      const phaseId = random.bigint(0n, 2n**16n - 1n)
+      const aggregatorRoundId = random.bigint(0n, 2n**64n - 1n)
+
+      const priceid = encodePriceid(phaseId, aggregatorRoundId)
+      expect(priceid < 2n**80n).to.be.equal(true)
+      expect(decodePriceid(priceid)).to.be.deep.equal({ phaseId, aggregatorRoundId })
+
+      const uint80 = random.bigint(0n, 2n**80n - 1n)
+      const decoded = decodePriceid(uint80)
+      expect(encodePriceid(decoded.phaseId, decoded.aggregatorRoundId)).to.be.equal(uint80)
+
+    }
+
+  })
+
+  it('Derives game ids as MetaOraclyV1 does', async () => {
+
+    const random = createRandom('gameid')
+
+    for (let i = 0; i < RUNS; i++) {
+
+      const schedule = random.int(60, 7 * 24 * 60 * 60)
+      const spec = [
+        MockAggregatorProxy.target,
+        DEMO.target,
+        random.int(1, 2**16 - 1),
+        schedule,
+        random.int(30, Math.floor(schedule / 2)),
+      ]
+
+      // a third of the games have a tolerance band and a third bucket edges, same spec with another game type is another game
+      const edge = random.int(1, 5000)
+      const config = createGameConfig({
+        tolerance: i % 3 === 1 ? random.int(1, 1000) : 0,
+        bucketEdges: i % 3 === 2 ? [-edge, edge] : [],
+      })
+
+      await MetaOraclyV1.addGame(...spec, 3600, 1, 100, config, createDepositCaps())
+
+      const gameid = computeGameid(...spec, config)
+      const game = await MetaOraclyV1.getGame(gameid)
+      expect(game.gameid).to.be.equal(gameid)
+      expect([game.pricefeed, game.erc20, game.version, game.schedule, game.positioning]).to.be.deep.equal(spec.map(
+        value => typeof value === 'number' ? BigInt(value) : value
+      ))
+      expect(game.tolerance).to.be.equal(config.tolerance)
+      expect(game.bucketEdges).to.be.deep.equal(config.bucketEdges.map(BigInt))
+
+      if (config.tolerance === 0 && config.bucketEdges.length === 0) {
+        expect(computeGameid(...spec)).to.be.equal(gameid)
+      } else {
+        expect(computeGameid(...spec)).to.not.be.equal(gameid)
+      }
+
+    }
+
+  })
+
+  it('Derives round and prediction ids as OraclyV1 does', async () => {
+
+    const random = createRandom('roundid')
+
+    for (const bettor of bettors) {
+      await send(owner, DEMO, bettor, 1000)
+      await approve(bettor, DEMO, OraclyV1, 1000)
+    }
+
+    for (let i = 0; i < RUNS; i++) {
+
+      const schedule = random.int(60, 2 * 60 * 60)
+      const game = {
+        pricefeed: MockAggregatorProxy.target,
+        erc20: DEMO.target,
+        version: i + 1,
+        schedule,
+        positioning: random.int(30, Math.floor(schedule / 2)),
+        expiration: random.int(3600, 7 * 24 * 60 * 60),
+      }
+      game.gameid = computeGameid(game.pricefeed, game.erc20, game.version, game.schedule, game.positioning)
+
+      await MetaOraclyV1.addGame(
+        game.pricefeed, game.erc20, game.version, game.schedule, game.positioning, game.expiration, 1, 100, createGameConfig(), createDepositCaps()
+      )
+
+      const { timestamp } = await getLatestBlock()
+      const next = getNextRound(game, timestamp)
+      expect(getCurrentRound(game, next.startDate - 1).endDate).to.be.equal(next.startDate)
+      expect(getPreviousRound(game, next.startDate)).to.be.deep.equal(getCurrentRound(game, timestamp))
+      expect(getRoundAt(game, timestamp, 3)).to.be.deep.equal(getNextRound(game, next.startDate + 2 * schedule - 1))
+
+      // place a prediction at a random moment of the positioning period
+      const placedAt = next.startDate + random.int(0, game.positioning - 1)
+      expect(getRoundStartDate(schedule, placedAt)).to.be.equal(next.startDate)
+
+      const round = getCurrentRound(game, placedAt)
+      expect(round).to.be.deep.equal(next)
+
+      const bettor = random.pick(bettors)
+      const position = random.pick([1, 2, 3])
+
+      await network.provider.send('evm_setNextBlockTimestamp', [placedAt])
+      await OraclyV1.connect(bettor).placePrediction(random.int(1, 100), position, game.gameid, round.roundid)
+
+      const [chainRound] = await OraclyV1.getRound(round.roundid)
+      expect(chainRound.roundid).to.be.equal(round.roundid)
+      expect(chainRound.startDate).to.be.equal(BigInt(round.startDate))
+      expect(chainRound.lockDate).to.be.equal(BigInt(round.lockDate))
+      expect(chainRound.endDate).to.be.equal(BigInt(round.endDate))
+      expect(chainRound.expirationDate).to.be.equal(BigInt(round.expirationDate))
+
+      const [[prediction]] = await OraclyV1.getRoundPredictions(round.roundid, 0, 0)
+      expect(prediction.predictionid).to.be.equal(computePredictionid(round.roundid, address(bettor), position))
+
+    }
+
+  })
+
+  it('Derives deposit ids as StakingOraclyV1 does', async () => {
+
+    const random = createRandom('depositid')
+
+    for (let i = 0; i < RUNS; i++) {
+
+      const staker = random.pick(bettors)
+      const amount = random.int(1, 100)
+
+      await send(owner, DEMO, staker, amount)
+      await approve(staker, DEMO, StakingOraclyV1, amount)
+
+      const epochid = await StakingOraclyV1.ACTUAL_EPOCH_ID()
+      await StakingOraclyV1.connect(staker).stake(epochid, amount)
+
+      const depositid = computeDepositid(epochid, address(staker))
+      const deposit = await StakingOraclyV1.getDeposit(depositid)
+      expect(deposit.depositid).to.be.equal(depositid)
+      expect(deposit.staker).to.be.equal(address(staker))
+
+    }
+
+  })
+
+})
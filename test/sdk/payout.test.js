@@ -0,0 +1,173 @@
+require('../common/init')
+
+const { expect } = require('chai')
+const { ethers } = require('hardhat')
+
+const { deployToken, deployAggregatorProxyMock } = require('../common')
+const { deployMeta, deployOraclyV1 } = require('../common')
+const { deployStakingOraclyV1, initStakingOraclyV1 } = require('../common')
+const { deployMentoring, initMentoring } = require('../common')
+
+const { approve, send, forwardTime, createRandom } = require('../common/utils')
+
+const oraclyv1 = require('../common/oraclyv1')
+
+const {
+  OUTCOME,
+  ceilDiv,
+  calculatePrize,
+  calculatePayout,
+  simulateClaims,
+  calculatePotentialPayout,
+  createOraclyV1Client,
+  computeGameid,
+  createGameConfig,
+  createDepositCaps,
+} = require('../../sdk')
+
+describe('SDK Payout', () => {
+
+  let MetaOraclyV1
+  let MentoringOraclyV1
+  let MockAggregatorProxy
+  let StakingOraclyV1
+  let OraclyV1
+
+  let DEMO
+
+  let owner
+  let bettors
+
+  let client
+
+  const RUNS = 8
+
+  beforeEach(async () => {
+    [owner, ...bettors] = await ethers.getSigners()
+    bettors = bettors.slice(0, 8)
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target, MetaOraclyV1.target)
+    MentoringOraclyV1 = await deployMentoring(MetaOraclyV1.target)
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      StakingOraclyV1.target,
+      MentoringOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    await initStakingOraclyV1(StakingOraclyV1, OraclyV1.target)
+    await initMentoring(MentoringOraclyV1, OraclyV1.target)
+
+    for (const bettor of bettors) {
+      await send(owner, DEMO, bettor, 10n**20n)
+      await approve(bettor, DEMO, OraclyV1, 10n**20n)
+    }
+
+    client = createOraclyV1Client({ address: OraclyV1.target, runner: ethers.provider })
+  })
+
+  it('Computes prizes with integer division and a rounded up vigorish', async () => {
+
+    expect(ceilDiv(0n, 100n)).to.be.equal(0n)
+    expect(ceilDiv(1n, 100n)).to.be.equal(1n)
+    expect(ceilDiv(100n, 100n)).to.be.equal(1n)
+    expect(ceilDiv(101n, 100n)).to.be.equal(2n)
+
+    // 321 * 200 / 220 = 291.8
+    expect(calculatePrize(200, 220, 321, 100)).to.be.deep.equal({ payout: 288n, commission: 3n })
+    expect(calculatePrize(200, 220, 321, 250)).to.be.deep.equal({ payout: 283n, commission: 8n })
+    expect(calculatePrize(10n**30n, 10n**30n, 3n * 10n**30n, 100)).to.be.deep.equal({
+      payout: 297n * 10n**28n,
+      commission: 3n * 10n**28n,
+    })
+    expect(calculatePrize(200, 220, 321, 0)).to.be.deep.equal({ payout: 291n, commission: 0n })
+
+    const round = {
+      resolved: true,
+      resolution: OUTCOME.UP,
+      prizepools: { total: 321n, down: 0n, up: 220n, zero: 101n },
+      vigorish: 100,
+    }
+
+    expect(calculatePayout({ deposit: 20n, position: OUTCOME.UP, claimed: false }, round)).to.be.deep.equal({ payout: 28n, commission: 1n })
+    // the last claimer sweeps the rounding remainder
+    expect(calculatePayout({ deposit: 20n, position: OUTCOME.UP, claimed: false }, round, { unclaimed: 1, released: 292n })).to.be.deep.equal({ payout: 28n, commission: 1n })
+    expect(calculatePayout({ deposit: 20n, position: OUTCOME.UP, claimed: false }, round, { unclaimed: 1, released: 290n })).to.be.deep.equal({ payout: 28n, commission: 3n })
+    expect(calculatePayout({ deposit: 101n, position: OUTCOME.ZERO, claimed: false }, round)).to.be.deep.equal({ payout: 0n, commission: 0n })
+    expect(calculatePayout({ deposit: 20n, position: OUTCOME.UP, claimed: true }, round)).to.be.deep.equal({ payout: 0n, commission: 0n })
+    expect(calculatePayout({ deposit: 20n, position: OUTCOME.UP, claimed: false }, { ...round, resolved: false })).to.be.deep.equal({ payout: 0n, commission: 0n })
+    expect(calculatePayout({ deposit: 101n, position: OUTCOME.ZERO, claimed: false }, { ...round, resolution: OUTCOME.NOCONTEST })).to.be.deep.equal({ payout: 101n, commission: 0n })
+
+    expect(calculatePotentialPayout(round.prizepools, OUTCOME.ZERO, 99n, { vigorish: 100 })).to.be.deep.equal(calculatePrize(99n, 200n, 420n, 100))
+
+  })
+
+  it('Matches OraclyV1 payouts in any claim order', async () => {
+
+    const random = createRandom('payout')
+
+    await MetaOraclyV1.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 1, 250, createGameConfig(), createDepositCaps())
+    const game = await MetaOraclyV1.getGame(computeGameid(MockAggregatorProxy.target, DEMO.target, 1, 120, 60))
+
+    for (let i = 0; i < RUNS; i++) {
+
+      const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+
+      const count = random.int(2, 10)
+      for (let p = 0; p < count; p++) {
+
+        const bettor = random.pick(bettors)
+        const position = random.pick([OUTCOME.DOWN, OUTCOME.UP, OUTCOME.ZERO])
+        const amount = random.bigint(1n, 10n**random.bigint(1n, 18n))
+
+        const before = await client.getRound(roundid)
+        const potential = before && calculatePotentialPayout(before.prizepools, position, amount, { vigorish: before.vigorish })
+
+        const predictionid = await oraclyv1.placePrediction(bettor, amount, position, game.gameid, roundid)
+
+        // NOTE: holds for a first deposit on the position until the next prediction
+        const placed = await client.getPrediction(predictionid)
+        if (potential && placed.deposit === amount) {
+          const after = await client.getRound(roundid)
+          expect(calculatePayout(placed, { ...after, resolved: true, resolution: position })).to.be.deep.equal(potential)
+        }
+
+      }
+
+      await forwardTime(game.schedule)
+      await oraclyv1.resolve(owner, roundid)
+
+      const round = await client.getRound(roundid)
+      expect(round.resolved).to.be.equal(true)
+
+      const { predictions } = await client.getRoundPredictions(roundid)
+      const order = random.shuffle(predictions)
+      const { claims, released } = simulateClaims(round, order)
+
+      for (const claim of claims) {
+
+        const prediction = order.find(prediction => prediction.predictionid === claim.predictionid)
+        const signer = bettors.find(bettor => bettor.address === prediction.bettor)
+        await oraclyv1.withdraw(signer, roundid, claim.predictionid, DEMO)
+
+        const claimed = await client.getPrediction(claim.predictionid)
+        expect({ payout: claimed.payout, commission: claimed.commission }).to.be.deep.equal({
+          payout: claim.payout,
+          commission: claim.commission,
+        })
+
+      }
+
+      expect(released).to.be.equal(claims.length ? round.prizepools.total : 0n)
+
+    }
+
+  })
+
+})
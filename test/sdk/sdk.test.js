@@ -0,0 +1,342 @@
+require('../common/init')
+
+const fs = require('fs')
+
+const { expect } = require('chai')
+const { ethers, artifacts } = require('hardhat')
+
+const { deployToken, deployAggregatorProxyMock } = require('../common')
+const { deployMeta, deployOraclyV1 } = require('../common')
+const { deployStakingOraclyV1, initStakingOraclyV1 } = require('../common')
+const { deployMentoring, initMentoring } = require('../common')
+
+const { approve, send, address, forwardTime } = require('../common/utils')
+
+const oraclyv1 = require('../common/oraclyv1')
+const staking = require('../common/staking')
+const meta = require('../common/meta')
+
+const { SDK_CONTRACTS, sdkAbiPath, readSdkAbi } = require('../../tasks/sdk')
+
+const {
+  OUTCOME,
+  PREFLIGHT_FAILED,
+  createOraclyV1Client,
+  createMetaOraclyV1Client,
+  createStakingOraclyV1Client,
+  createMentoringOraclyV1Client,
+  computeGameid,
+  createGameConfig,
+} = require('../../sdk')
+
+describe('SDK', () => {
+
+  let MetaOraclyV1
+  let MentoringOraclyV1
+  let MockAggregatorProxy
+  let StakingOraclyV1
+  let OraclyV1
+
+  let DEMO
+
+  let owner
+  let addr1
+  let addr2
+  let addrs // eslint-disable-line
+
+  const expectPreflightError = async (promise, reason) => {
+
+    let error = null
+    try {
+      await promise
+    } catch (e) {
+      error = e
+    }
+
+    expect(error).to.not.be.equal(null)
+    expect(error.code).to.be.equal(PREFLIGHT_FAILED)
+    expect(error.reason).to.be.equal(reason)
+
+  }
+
+  beforeEach(async () => {
+    [owner, addr1, addr2, ...addrs] = await ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    meta.init(MetaOraclyV1)
+
+    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target, MetaOraclyV1.target)
+    staking.init(StakingOraclyV1)
+
+    MentoringOraclyV1 = await deployMentoring(MetaOraclyV1.target)
+
+    OraclyV1 = await deployOraclyV1(
+      owner.address,
+      StakingOraclyV1.target,
+      MentoringOraclyV1.target,
+      MetaOraclyV1.target,
+    )
+    oraclyv1.init(OraclyV1)
+
+    await initStakingOraclyV1(StakingOraclyV1, OraclyV1.target)
+    await initMentoring(MentoringOraclyV1, OraclyV1.target)
+  })
+
+  it('Ships ABIs matching the compiled contracts', async () => {
+
+    for (const name of SDK_CONTRACTS) {
+      const abi = await readSdkAbi(artifacts, name)
+      expect(JSON.parse(fs.readFileSync(sdkAbiPath(name), 'utf8'))).to.be.deep.equal(abi)
+    }
+
+  })
+
+  it('Places, resolves and withdraws predictions with preflight checks', async () => {
+
+    const game = await meta.addGame({
+      pricefeed: MockAggregatorProxy.target,
+      erc20: DEMO.target,
+      schedule: 120,
+      positioning: 60,
+      expiration: 3600,
+      version: 1,
+      minDeposit: 10,
+      vigorish: 100
+    })
+
+    await send(owner, DEMO, addr1, 110)
+
+    const client1 = createOraclyV1Client({ address: OraclyV1.target, runner: addr1 })
+    const client2 = createOraclyV1Client({ address: OraclyV1.target, runner: addr2 })
+    const reader = createOraclyV1Client({ address: OraclyV1.target, runner: ethers.provider })
+
+    const roundid = await oraclyv1.forwardTimeToRoundOpen(game)
+
+    expect(await client1.preflight.placePrediction(100, OUTCOME.UP, ethers.ZeroHash, roundid)).to.be.equal('NotSupportedGame')
+    expect(await client1.preflight.placePrediction(100, OUTCOME.NOCONTEST, game.gameid, roundid)).to.be.equal('NotSupportedPosition')
+    expect(await client1.preflight.placePrediction(9, OUTCOME.UP, game.gameid, roundid)).to.be.equal('UnacceptableDepositAmount')
+    expect(await client1.preflight.placePrediction(111, OUTCOME.UP, game.gameid, roundid)).to.be.equal('InsufficientFunds')
+    expect(await client2.preflight.placePrediction(100, OUTCOME.UP, game.gameid, roundid)).to.be.equal('InsufficientFunds')
+    expect(await client1.preflight.placePrediction(100, OUTCOME.UP, game.gameid, roundid)).to.be.equal('InsufficientAllowance')
+
+    await expectPreflightError(client1.placePrediction(100, OUTCOME.UP, game.gameid, roundid), 'InsufficientAllowance')
+    await expect(
+      client1.placePrediction(100, OUTCOME.UP, game.gameid, roundid, { preflight: false })
+    ).to.be.revertedWith('InsufficientAllowance')
+
+    await approve(addr1, DEMO, OraclyV1, 100)
+    await approve(owner, DEMO, OraclyV1, 100)
+
+    const futureid = await oraclyv1.getFutureRoundId(game)
+    expect(await client1.preflight.placePrediction(100, OUTCOME.UP, game.gameid, futureid)).to.be.equal('CannotPlacePredictionIntoUnactualRound')
+    expect(await client1.preflight.placePrediction(100, OUTCOME.UP, game.gameid, roundid)).to.be.equal(null)
+
+    await client1.placePrediction(100, OUTCOME.UP, game.gameid, roundid)
+    await oraclyv1.placePrediction(owner, 100, OUTCOME.DOWN, game.gameid, roundid)
+
+    await forwardTime(game.positioning)
+    expect(await client1.preflight.placePrediction(10, OUTCOME.UP, game.gameid, roundid)).to.be.equal('InsufficientAllowance')
+    await approve(addr1, DEMO, OraclyV1, 10)
+    expect(await client1.preflight.placePrediction(10, OUTCOME.UP, game.gameid, roundid)).to.be.equal('CannotPlacePredictionOutOfPositioningPeriod')
+
+    const round = await reader.getRound(roundid)
+    expect(round.roundid).to.be.equal(roundid)
+    expect(round.gameid).to.be.equal(game.gameid)
+    expect(round.erc20).to.be.equal(DEMO.target)
+    expect(round.resolved).to.be.equal(false)
+    expect(round.prizepools).to.be.deep.equal({ total: 200n, down: 100n, up: 100n, zero: 0n })
+    expect(round.bettors).to.be.deep.equal({ total: 2n, down: 1n, up: 1n, zero: 0n })
+    expect(round.endDate - round.startDate).to.be.equal(Number(game.schedule))
+    expect(await reader.getRound(ethers.ZeroHash)).to.be.equal(null)
+
+    const { predictions: [prediction], size } = await reader.getBettorPredictions(address(addr1))
+    expect(size).to.be.equal(1)
+    expect(prediction.bettor).to.be.equal(address(addr1))
+    expect(prediction.position).to.be.equal(OUTCOME.UP)
+    expect(prediction.deposit).to.be.equal(100n)
+    expect(await reader.getPrediction(prediction.predictionid)).to.be.deep.equal(prediction)
+    expect((await reader.getRoundPredictions(roundid, OUTCOME.DOWN)).predictions[0].bettor).to.be.equal(address(owner))
+    expect(await reader.getGameRounds(game.gameid)).to.be.deep.equal({ roundids: [roundid], size: 1 })
+
+    const bettor = await reader.getBettor(address(addr1), DEMO.target)
+    expect(bettor.deposits).to.be.deep.equal({ total: 100n, down: 0n, up: 100n, zero: 0n })
+    expect(await reader.getBettor(address(addr2), DEMO.target)).to.be.equal(null)
+
+    const predictionid = prediction.predictionid
+    const exitPriceid = oraclyv1.calculateRoundid(1n, 111n, BigInt(round.endDate) - 10n)
+
+    expect(await client1.preflight.resolve(roundid, exitPriceid)).to.be.equal('CannotResolveRoundBeforeEndDate')
+    expect(await client1.preflight.withdraw(roundid, predictionid, DEMO.target)).to.be.equal('CannotClaimPredictionUnresolvedRound')
+    expect(await client2.preflight.withdraw(roundid, predictionid, DEMO.target)).to.be.equal('BettorPredictionMismatch')
+    expect(await client1.preflight.withdraw(roundid, predictionid, MockAggregatorProxy.target)).to.be.equal('ERC20PredictionRoundMismatch')
+
+    await forwardTime(game.schedule)
+
+    expect(await client1.preflight.resolve(roundid, 0)).to.be.equal('CannotResolveRoundWithoutPrice')
+    expect(await client1.preflight.resolve(roundid, oraclyv1.calculateRoundid(1n, 111n, BigInt(round.endDate) + 10n))).to.be.equal('InvalidRoundResolution')
+    expect(await client1.preflight.resolve(roundid, exitPriceid)).to.be.equal(null)
+
+    const ownerClient = createOraclyV1Client({ address: OraclyV1.target, runner: owner })
+    const [lost] = (await reader.getRoundPredictions(roundid, OUTCOME.DOWN)).predictions
+    expect(await ownerClient.preflight.resolve4withdraw(roundid, lost.predictionid, DEMO.target, exitPriceid)).to.be.equal('CannotClaimLostPrediction')
+    expect(await client1.preflight.resolve4withdraw(roundid, predictionid, DEMO.target, exitPriceid)).to.be.equal(null)
+
+    await client1.resolve4withdraw(roundid, predictionid, DEMO.target, exitPriceid)
+
+    const resolved = await reader.getRound(roundid)
+    expect(resolved.resolved).to.be.equal(true)
+    expect(resolved.resolution).to.be.equal(OUTCOME.UP)
+    expect(await client1.preflight.resolve(roundid, exitPriceid)).to.be.equal('CannotResolveResolvedRound')
+    expect(await client1.preflight.withdraw(roundid, predictionid, DEMO.target)).to.be.equal('CannotClaimClaimedPrediction')
+    expect(await ownerClient.preflight.withdraw(roundid, lost.predictionid, DEMO.target)).to.be.equal('CannotClaimLostPrediction')
+
+    const claimed = await reader.getPrediction(predictionid)
+    expect(claimed.claimed).to.be.equal(true)
+    expect(claimed.payout + claimed.commission).to.be.equal(200n)
+
+  })
+
+  it('Reads games and checks game administration', async () => {
+
+    const spec = [MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 10, 150]
+
+    const admin = createMetaOraclyV1Client({ address: MetaOraclyV1.target, runner: owner })
+    const other = createMetaOraclyV1Client({ address: MetaOraclyV1.target, runner: addr1 })
+
+    expect(await other.preflight.addGame(...spec)).to.be.equal('OwnableUnauthorizedAccount')
+    expect(await admin.preflight.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 61, 3600, 10, 150)).to.be.equal('CannotAddGamePositioningTooLarge')
+    expect(await admin.preflight.addGame(MockAggregatorProxy.target, DEMO.target, 1, 120, 60, 3600, 10, 1001)).to.be.equal('CannotAddGameVigorishTooLarge')
+    expect(await admin.preflight.addGame(...spec, createGameConfig({ tolerance: 1001 }))).to.be.equal('CannotAddGameToleranceTooLarge')
+    expect(await admin.preflight.addGame(...spec)).to.be.equal(null)
+
+    await admin.addGame(...spec)
+    await expectPreflightError(admin.addGame(...spec), 'CannotAddGameAlreadyExists')
+
+    const gameid = computeGameid(...spec.slice(0, 5))
+
+    expect(await other.getGame(gameid)).to.be.deep.equal({
+      gameid,
+      pricefeed: MockAggregatorProxy.target,
+      erc20: DEMO.target,
+      version: 1,
+      schedule: 120,
+      positioning: 60,
+      expiration: 3600,
+      minDeposit: 10n,
+      vigorish: 150,
+      cancellationFee: 0,
+      claimPeriod: 0,
+      resolverReward: 0,
+      tolerance: 0,
+      bucketEdges: [],
+      pairPricefeed: ethers.ZeroAddress,
+      maxDeposit: 0n,
+      bettorRoundCap: 0n,
+      roundCap: 0n,
+      blocked: false,
+    })
+    expect(await other.getGame(ethers.ZeroHash)).to.be.equal(null)
+    expect((await other.getActiveGames(DEMO.target)).size).to.be.equal(1)
+
+    expect(await other.preflight.updateGameVigorish(gameid, 200)).to.be.equal('OwnableUnauthorizedAccount')
+    expect(await admin.preflight.updateGameVigorish(ethers.ZeroHash, 200)).to.be.equal('CannotUpdateGameDoNotExists')
+    expect(await admin.preflight.updateGameVigorish(gameid, 1001)).to.be.equal('CannotUpdateGameVigorishTooLarge')
+    await expect(admin.updateGameVigorish(gameid, 200)).to.emit(MetaOraclyV1, 'GameVigorishUpdated').withArgs(gameid, 200)
+    expect((await other.getGame(gameid)).vigorish).to.be.equal(200)
+
+    expect(await admin.preflight.unblockGame(gameid)).to.be.equal('CannotUnblockGameIsNotBlocked')
+    expect(await admin.preflight.blockGame(ethers.ZeroHash)).to.be.equal('CannotBlockGameDoNotExists')
+    await admin.blockGame(gameid)
+    expect(await admin.preflight.blockGame(gameid)).to.be.equal('CannotBlockGameIsAlreadyBlocked')
+    expect((await other.getGame(gameid)).blocked).to.be.equal(true)
+
+  })
+
+  it('Stakes, unstakes and withdraws deposits with preflight checks', async () => {
+
+    const client1 = createStakingOraclyV1Client({ address: StakingOraclyV1.target, runner: addr1 })
+    const client2 = createStakingOraclyV1Client({ address: StakingOraclyV1.target, runner: addr2 })
+
+    await send(owner, DEMO, addr1, 100)
+
+    const epochid = await client1.getActualEpochid()
+
+    expect(await client1.preflight.stake(epochid, 0)).to.be.equal('CannotStakeZeroAmount')
+    expect(await client1.preflight.stake(epochid, 101)).to.be.equal('InsufficientFunds')
+    expect(await client1.preflight.stake(epochid, 100)).to.be.equal('InsufficientAllowance')
+
+    await approve(addr1, DEMO, StakingOraclyV1, 100)
+    expect(await client1.preflight.stake(epochid + 1n, 100)).to.be.equal('CannotStakeIntoUnactualEpoch')
+
+    await client1.stake(epochid, 100)
+
+    const depositid = staking.depositId(addr1, epochid)
+    const deposit = await client1.getDeposit(depositid)
+    expect(deposit.depositid).to.be.equal(depositid)
+    expect(deposit.staker).to.be.equal(address(addr1))
+    expect(deposit.inEpochid).to.be.equal(epochid)
+    expect(deposit.amount).to.be.equal(100n)
+    expect(deposit.unstaked).to.be.equal(false)
+    expect(await client1.getDeposit(ethers.ZeroHash)).to.be.equal(null)
+    expect(await client1.getStakerDeposits(address(addr1))).to.be.deep.equal({ deposits: [deposit], size: 1 })
+
+    const epoch = await client1.getEpoch(epochid, DEMO.target)
+    expect(epoch.epochid).to.be.equal(epochid)
+    expect(epoch.created).to.be.equal(false)
+    expect(epoch.stakes).to.be.deep.equal({ total: 0n, pendingIn: 1n, pendingOut: 0n })
+    expect(epoch.stakepool).to.be.deep.equal({ total: 0n, pendingIn: 100n, pendingOut: 0n })
+    expect(epoch.rewards).to.be.deep.equal({ rewardpool: 0n, released: 0n })
+
+    expect(await client2.preflight.unstake(epochid, depositid)).to.be.equal('CannotUnstakeOtherStakerDeposit')
+    expect(await client1.preflight.withdraw(depositid)).to.be.equal('CannotWithdrawStakedDeposit')
+    expect(await client1.preflight.claimReward(epochid, depositid, DEMO.target)).to.be.equal('CannotClaimRewardEpochEarlierStakeInEpochEnd')
+    expect(await client1.preflight.unstake(epochid, depositid)).to.be.equal(null)
+
+    await client1.unstake(epochid, depositid)
+
+    expect(await client1.preflight.unstake(epochid, depositid)).to.be.equal('CannotUnstakeUnstakedDeposit')
+    expect(await client1.preflight.withdraw(depositid)).to.be.equal(null)
+
+    await client1.withdraw(depositid)
+
+    expect(await client1.preflight.withdraw(depositid)).to.be.equal('CannotWithdrawWithdrawnDeposit')
+    expect((await client1.getDeposit(depositid)).withdrawn).to.be.equal(true)
+
+  })
+
+  it('Joins mentors and claims rewards with preflight checks', async () => {
+
+    const protege = createMentoringOraclyV1Client({ address: MentoringOraclyV1.target, runner: addr1 })
+    const mentor = createMentoringOraclyV1Client({ address: MentoringOraclyV1.target, runner: addr2 })
+
+    expect(await protege.preflight.joinMentor(ethers.ZeroAddress)).to.be.equal('MentorAddressCannotBeZero')
+    expect(await protege.preflight.joinMentor(address(addr1))).to.be.equal('CannotJoinToSelf')
+    expect(await protege.getProtege(address(addr1))).to.be.equal(null)
+
+    await protege.joinMentor(address(addr2))
+
+    expect(await protege.preflight.joinMentor(address(owner))).to.be.equal('CannotRejoinProtege')
+    expect(await mentor.preflight.joinMentor(address(owner))).to.be.equal('MentorCannotBecomeProtege')
+
+    const record = await protege.getProtege(address(addr1), DEMO.target)
+    expect(record.protegeid).to.be.equal(address(addr1))
+    expect(record.mentor).to.be.equal(address(addr2))
+    expect(record.earned).to.be.equal(0n)
+
+    expect((await mentor.getMentor(address(addr2))).circle).to.be.equal(1)
+    expect(await mentor.getMentorProteges(address(addr2))).to.be.deep.equal({ proteges: [address(addr1)], size: 1 })
+
+    await expectPreflightError(mentor.claimReward(DEMO.target), 'NothingToWithdraw')
+    expect(await protege.preflight.expelProtege(address(addr1))).to.be.equal('CannotRemoveUnmentoredProtege')
+    expect(await mentor.preflight.expelProtege(address(addr1))).to.be.equal(null)
+
+    await mentor.expelProtege(address(addr1))
+
+    expect((await protege.getProtege(address(addr1))).mentor).to.be.equal(ethers.ZeroAddress)
+
+  })
+
+})
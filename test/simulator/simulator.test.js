@@ -0,0 +1,118 @@
+require('../common/init')
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { expect } = require('chai')
+const hre = require('hardhat')
+
+const { readPriceSeries } = require('../../lib/priceseries')
+const { simulateGame, NO_CONTEST } = require('../../lib/simulator')
+const { REASON } = require('../../sdk')
+
+const ETH_USD = path.join(__dirname, '..', 'common', 'series', 'eth-usd.csv')
+
+describe('Simulator', () => {
+
+  const logger = { log: () => null }
+
+  const game = {
+    schedule: 60,
+    positioning: 30,
+    expiration: 3600,
+    minDeposit: 1_000_000,
+    vigorish: 100,
+  }
+
+  const population = { bettors: 6, participation: 0.6 }
+
+  it('Accounts for every deposit of a replayed price series', async () => {
+
+    const report = await simulateGame({
+      ethers: hre.ethers,
+      prices: readPriceSeries(ETH_USD),
+      game,
+      population,
+      seed: 'eth-usd',
+      logger,
+    })
+
+    const { rounds, predictions, volume, commission } = report
+
+    // 24 prices, 30 seconds apart
+    expect(rounds.total).to.be.equal(12)
+    expect(rounds.empty + rounds.unopened + rounds.resolved.up + rounds.resolved.down + rounds.resolved.zero + rounds.noContest.total)
+      .to.be.equal(rounds.total)
+    expect(rounds.resolved.up + rounds.resolved.down).to.be.above(0)
+
+    // the aggregator changes within the series, the last round has no control price
+    expect(rounds.noContest.reasons[REASON.PHASE_ENDED_BEFORE_END_DATE]).to.be.equal(1)
+    expect(rounds.noContest.reasons[REASON.CONTROL_PRICE_NOT_AVAILABLE]).to.be.equal(1)
+    expect(rounds.noContest.reasons[NO_CONTEST.SINGLE_OUTCOME]).to.be.above(0)
+
+    expect(predictions.total).to.be.above(0)
+    expect(predictions.failed).to.be.equal(0)
+    expect(predictions.unclaimed).to.be.equal(0)
+    expect(predictions.won + predictions.lost + predictions.refunded).to.be.equal(predictions.total)
+
+    // every prizepool is released
+    expect(volume.payouts + volume.refunds + report.vigorish).to.be.equal(volume.deposits)
+    expect(report.vigorish).to.be.above(0n)
+    expect(commission.staking + commission.mentoring).to.be.equal(report.vigorish)
+    expect(commission.stakingEOA + commission.mentoringEOA).to.be.equal(0n)
+    expect(commission.mentoring).to.be.above(0n)
+
+    expect(report.rates.win).to.be.equal(predictions.won / predictions.total)
+
+  })
+
+  it('Simulates a game spec from the game:simulate task', async () => {
+
+    const tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracly-'))
+    const spec = path.join(tmpdir, 'game.yaml')
+    const out = path.join(tmpdir, 'report.json')
+
+    const [owner] = await hre.ethers.getSigners()
+    fs.writeFileSync(spec, [
+      `pricefeed: "${owner.address}"`,
+      `erc20: "${owner.address}"`,
+      'version: 1',
+      `schedule: ${game.schedule}`,
+      `positioning: ${game.positioning}`,
+      `expiration: ${game.expiration}`,
+      `minDeposit: ${game.minDeposit}`,
+      `vigorish: ${game.vigorish}`,
+    ].join('\n'))
+
+    const report = await hre.run('game:simulate', {
+      spec,
+      prices: ETH_USD,
+      bettors: population.bettors,
+      participation: population.participation,
+      positions: 'up:1,down:1',
+      seed: 'eth-usd',
+      out,
+    })
+
+    expect(report.rounds.total).to.be.equal(12)
+    expect(report.rounds.resolved.zero).to.be.equal(0)
+
+    const saved = JSON.parse(fs.readFileSync(out, 'utf8'))
+    expect(saved.vigorish).to.be.equal(String(report.vigorish))
+    expect(saved.predictions).to.be.deep.equal(report.predictions)
+
+    // simulations of the same seed are reproducible
+    const again = await simulateGame({
+      ethers: hre.ethers,
+      prices: readPriceSeries(ETH_USD),
+      game,
+      population: { ...population, positions: { up: 1, down: 1 } },
+      seed: 'eth-usd',
+      logger,
+    })
+    expect(again).to.be.deep.equal(report)
+
+  })
+
+})
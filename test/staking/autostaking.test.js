@@ -4,7 +4,7 @@ const { expect } = require('chai')
 const { ethers } = require('hardhat')
 
 const { deployStakingOraclyV1, initStakingOraclyV1 } = require('../common')
-const { deployToken } = require('../common')
+const { deployToken, deployMeta } = require('../common')
 
 const { stake, unstake, withdraw } = require('../common/staking')
 const { collectCommission, claimReward, setGatherer } = require('../common/staking')
@@ -34,6 +34,7 @@ describe('Staking', () => {
   const TEST_DEC = 10n**TEST_DECIMALS
   const TEST2_DEC = 10n**TEST2_DECIMALS
 
+  let MetaOraclyV1
   let StakingOraclyV1
 
   let DEMO
@@ -48,11 +49,13 @@ describe('Staking', () => {
   beforeEach(async () => {
     [owner, addr1, addr2, ...addrs] = await ethers.getSigners()
 
-    DEMO = await deployToken('DEMO', address(address))
+    MetaOraclyV1 = await deployMeta()
+
+    DEMO = await deployToken('DEMO', address(address), [MetaOraclyV1.target])
     TEST = await deployToken('TEST', address(address), [TEST_TOTAL_SUPPLY, TEST_DECIMALS]) // 6 decimals
     TEST2 = await deployToken('TEST', address(address), [TEST2_TOTAL_SUPPLY, TEST2_DECIMALS]) // 26 decimals
 
-    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target)
+    StakingOraclyV1 = await deployStakingOraclyV1(DEMO.target, MetaOraclyV1.target)
     await initStakingOraclyV1(StakingOraclyV1, address(owner))
     init(StakingOraclyV1)
 
@@ -0,0 +1,329 @@
+require('../common/init')
+
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+
+const { expect } = require('chai')
+const hre = require('hardhat')
+
+const { deployToken, deployMeta, deployAggregatorProxyMock } = require('../common')
+const { getGameid } = require('../common/meta')
+const { address } = require('../common/utils')
+
+describe('Tasks', () => {
+
+  let MetaOraclyV1
+  let MockAggregatorProxy
+  let DEMO
+
+  let owner
+  let addr1
+  let addrs // eslint-disable-line
+
+  let tmpdir
+
+  const writeSpec = (name, content) => {
+    const filepath = path.join(tmpdir, name)
+    fs.writeFileSync(filepath, content)
+    return filepath
+  }
+
+  beforeEach(async () => {
+    [owner, addr1, ...addrs] = await hre.ethers.getSigners()
+
+    MetaOraclyV1 = await deployMeta()
+    DEMO = await deployToken('DEMO', owner.address, [MetaOraclyV1.target])
+    MockAggregatorProxy = await deployAggregatorProxyMock()
+
+    tmpdir = fs.mkdtempSync(path.join(os.tmpdir(), 'oracly-'))
+  })
+
+  describe('Game administration', () => {
+
+    it('Adds game from YAML spec with the same gameid as MetaOraclyV1', async () => {
+
+      const mtp = {
+        pricefeed: MockAggregatorProxy.target,
+        erc20: DEMO.target,
+        version: 1,
+        schedule: 300,
+        positioning: 120,
+        expiration: 3600,
+        minDeposit: '1000000000000000000',
+        vigorish: 150,
+      }
+
+      const spec = writeSpec('game.yaml', [
+        `pricefeed: "${mtp.pricefeed}"`,
+        `erc20: "${mtp.erc20}"`,
+        `version: ${mtp.version}`,
+        `schedule: ${mtp.schedule}`,
+        `positioning: ${mtp.positioning}`,
+        `expiration: ${mtp.expiration}`,
+        `minDeposit: "${mtp.minDeposit}"`,
+        `vigorish: ${mtp.vigorish}`,
+      ].join('\n'))
+
+      const dryrun = await hre.run('game:add', { spec, meta: MetaOraclyV1.target, dryRun: true })
+      expect(dryrun).to.be.equal(await getGameid(mtp))
+
+      let [games, size] = await MetaOraclyV1.getActiveGames(address(DEMO), 0)
+      expect(size).to.be.equal(0)
+
+      const gameid = await hre.run('game:add', { spec, meta: MetaOraclyV1.target })
+      expect(gameid).to.be.equal(await getGameid(mtp))
+
+      ;[games, size] = await MetaOraclyV1.getActiveGames(address(DEMO), 0)
+      expect(size).to.be.equal(1)
+      expect(games[0].gameid).to.be.equal(gameid)
+      expect(games[0].minDeposit).to.be.equal(mtp.minDeposit)
+      expect(games[0].vigorish).to.be.equal(mtp.vigorish)
+
+      await expect(
+        hre.run('game:add', { spec, meta: MetaOraclyV1.target })
+      ).to.be.rejectedWith('CannotAddGameAlreadyExists')
+
+    })
+
+    it('Adds game with a tolerance band as a separate game', async () => {
+
+      const mtp = {
+        pricefeed: MockAggregatorProxy.target,
+        erc20: DEMO.target,
+        version: 1,
+        schedule: 300,
+        positioning: 120,
+        expiration: 3600,
+        minDeposit: '1000000000000000000',
+        vigorish: 150,
+      }
+
+      const classic = await hre.run('game:add', { spec: writeSpec('classic.json', JSON.stringify(mtp)), meta: MetaOraclyV1.target })
+      expect(classic).to.be.equal(await getGameid(mtp))
+
+      const spec = writeSpec('threshold.json', JSON.stringify({ ...mtp, tolerance: 50 }))
+      const gameid = await hre.run('game:add', { spec, meta: MetaOraclyV1.target })
+      expect(gameid).to.be.equal(await getGameid({ ...mtp, tolerance: 50 }))
+      expect(gameid).to.not.be.equal(classic)
+
+      expect((await MetaOraclyV1.getGame(classic)).tolerance).to.be.equal(0)
+      expect((await MetaOraclyV1.getGame(gameid)).tolerance).to.be.equal(50)
+
+      const invalid = writeSpec('invalid.json', JSON.stringify({ ...mtp, version: 2, tolerance: 1001 }))
+      await expect(
+        hre.run('game:add', { spec: invalid, meta: MetaOraclyV1.target })
+      ).to.be.rejectedWith('CannotAddGameToleranceTooLarge')
+
+    })
+
+    it('Adds range-bucket game from YAML spec', async () => {
+
+      const mtp = {
+        pricefeed: MockAggregatorProxy.target,
+        erc20: DEMO.target,
+        version: 1,
+        schedule: 300,
+        positioning: 120,
+        expiration: 3600,
+        minDeposit: '1000000000000000000',
+        vigorish: 150,
+      }
+
+      const spec = writeSpec('buckets.yaml', [
+        ...Object.entries(mtp).map(([key, value]) => `${key}: "${value}"`),
+        'bucketEdges: [-50, 0, 50]',
+      ].join('\n'))
+
+      const gameid = await hre.run('game:add', { spec, meta: MetaOraclyV1.target })
+      expect(gameid).to.be.equal(await getGameid({ ...mtp, bucketEdges: [-50, 0, 50] }))
+      expect((await MetaOraclyV1.getGame(gameid)).bucketEdges).to.be.deep.equal([-50n, 0n, 50n])
+
+      const error = await hre.run('game:add', {
+        spec: writeSpec('invalid.json', JSON.stringify({ ...mtp, tolerance: 50, bucketEdges: [50, -5001] })),
+        meta: MetaOraclyV1.target,
+      }).catch(error => error)
+
+      expect(error.message).to.contain('CannotAddGameToleranceWithBucketEdges')
+      expect(error.message).to.contain('CannotAddGameBucketEdgeTooLarge')
+      expect(error.message).to.contain('CannotAddGameBucketEdgesNotAscending')
+
+    })
+
+    it('Adds pair-performance game from JSON spec', async () => {
+
+      const PairAggregatorProxy = await deployAggregatorProxyMock()
+
+      const mtp = {
+        pricefeed: MockAggregatorProxy.target,
+        erc20: DEMO.target,
+        version: 1,
+        schedule: 300,
+        positioning: 120,
+        expiration: 3600,
+        minDeposit: '1000000000000000000',
+        vigorish: 150,
+      }
+
+      const spec = writeSpec('pair.json', JSON.stringify({ ...mtp, tolerance: 50, pairPricefeed: PairAggregatorProxy.target }))
+      const gameid = await hre.run('game:add', { spec, meta: MetaOraclyV1.target })
+      expect(gameid).to.be.equal(await getGameid({ ...mtp, tolerance: 50, pairPricefeed: PairAggregatorProxy.target }))
+      expect((await MetaOraclyV1.getGame(gameid)).pairPricefeed).to.be.equal(PairAggregatorProxy.target)
+
+      await expect(hre.run('game:add', {
+        spec: writeSpec('same.json', JSON.stringify({ ...mtp, pairPricefeed: MockAggregatorProxy.target })),
+        meta: MetaOraclyV1.target,
+      })).to.be.rejectedWith('CannotAddGamePairPricefeedIsGamePricefeed')
+
+      await expect(hre.run('game:add', {
+        spec: writeSpec('invalid.json', JSON.stringify({ ...mtp, pairPricefeed: address(addr1) })),
+        meta: MetaOraclyV1.target,
+      })).to.be.rejectedWith('CannotAddGameWithInvalidPairFeedAddress')
+
+    })
+
+    it('Adds game with deposit caps and updates them', async () => {
+
+      const mtp = {
+        pricefeed: MockAggregatorProxy.target,
+        erc20: DEMO.target,
+        version: 1,
+        schedule: 300,
+        positioning: 120,
+        expiration: 3600,
+        minDeposit: '100',
+        vigorish: 150,
+      }
+
+      // the caps are not part of the gameid
+      const spec = writeSpec('caps.json', JSON.stringify({ ...mtp, maxDeposit: '500', roundCap: '5000' }))
+      const gameid = await hre.run('game:add', { spec, meta: MetaOraclyV1.target })
+      expect(gameid).to.be.equal(await getGameid(mtp))
+
+      let game = await MetaOraclyV1.getGame(gameid)
+      expect([game.maxDeposit, game.bettorRoundCap, game.roundCap]).to.be.deep.equal([500n, 0n, 5000n])
+
+      await expect(hre.run('game:add', {
+        spec: writeSpec('invalid.json', JSON.stringify({ ...mtp, version: 2, bettorRoundCap: 99 })),
+        meta: MetaOraclyV1.target,
+      })).to.be.rejectedWith('CannotAddGameDepositCapBelowMinDeposit')
+
+      await hre.run('game:deposit-caps', { gameid, bettorRoundCap: '2000', meta: MetaOraclyV1.target })
+      await expect(
+        hre.run('game:deposit-caps', { gameid, maxDeposit: '99', meta: MetaOraclyV1.target })
+      ).to.be.rejectedWith('CannotUpdateGameDepositCapBelowMinDeposit')
+      await expect(
+        hre.run('game:deposit-caps', { gameid: hre.ethers.ZeroHash, roundCap: '1000', meta: MetaOraclyV1.target })
+      ).to.be.rejectedWith('CannotUpdateGameDoNotExists')
+
+      game = await MetaOraclyV1.getGame(gameid)
+      expect([game.maxDeposit, game.bettorRoundCap, game.roundCap]).to.be.deep.equal([0n, 2000n, 0n])
+
+    })
+
+    it('Rejects invalid JSON spec before sending any transaction', async () => {
+
+      const spec = writeSpec('game.json', JSON.stringify({
+        pricefeed: address(addr1),
+        erc20: DEMO.target,
+        version: 0,
+        schedule: 59,
+        positioning: 40,
+        expiration: 8 * 24 * 3600,
+        minDeposit: 0,
+        vigorish: 1001,
+      }))
+
+      const error = await hre.run('game:add', { spec, meta: MetaOraclyV1.target }).catch(error => error)
+
+      expect(error.message).to.contain('CannotAddGameScheduleTooShort')
+      expect(error.message).to.contain('CannotAddGamePositioningTooLarge')
+      expect(error.message).to.contain('CannotAddGameExpirationTooLarge')
+      expect(error.message).to.contain('CannotAddGameMinDepositZero')
+      expect(error.message).to.contain('CannotAddGameVersionZero')
+      expect(error.message).to.contain('CannotAddGameVigorishTooLarge')
+
+      const invalid = writeSpec('invalid.json', JSON.stringify({
+        pricefeed: address(addr1),
+        erc20: DEMO.target,
+        version: 1,
+        schedule: 120,
+        positioning: 30,
+        expiration: 3600,
+        minDeposit: 1,
+        vigorish: 100,
+      }))
+
+      await expect(
+        hre.run('game:add', { spec: invalid, meta: MetaOraclyV1.target })
+      ).to.be.rejectedWith('CannotAddGameWithInvalidFeedAddress')
+
+      const [games, size] = await MetaOraclyV1.getActiveGames(address(DEMO), 0)
+      expect(size).to.be.equal(0)
+
+    })
+
+    it('Blocks, unblocks and lists games', async () => {
+
+      const spec = (version) => writeSpec(`game${version}.json`, JSON.stringify({
+        pricefeed: MockAggregatorProxy.target,
+        erc20: DEMO.target,
+        version,
+        schedule: 120,
+        positioning: 60,
+        expiration: 3600,
+        minDeposit: 1,
+        vigorish: 100,
+      }))
+
+      const gameid1 = await hre.run('game:add', { spec: spec(1), meta: MetaOraclyV1.target })
+      const gameid2 = await hre.run('game:add', { spec: spec(2), meta: MetaOraclyV1.target })
+
+      await hre.run('game:block', { gameid: gameid1, meta: MetaOraclyV1.target })
+      await expect(
+        hre.run('game:block', { gameid: gameid1, meta: MetaOraclyV1.target })
+      ).to.be.rejectedWith('CannotBlockGameIsAlreadyBlocked')
+
+      let active = await hre.run('game:list', { erc20: DEMO.target, meta: MetaOraclyV1.target })
+      expect(active.map(game => game.gameid)).to.be.deep.equal([gameid2])
+
+      const all = await hre.run('game:list', { meta: MetaOraclyV1.target })
+      expect(all.map(game => [game.gameid, game.blocked])).to.be.deep.equal([[gameid1, true], [gameid2, false]])
+
+      await hre.run('game:unblock', { gameid: gameid1, meta: MetaOraclyV1.target })
+      await expect(
+        hre.run('game:unblock', { gameid: gameid1, meta: MetaOraclyV1.target })
+      ).to.be.rejectedWith('CannotUnblockGameIsNotBlocked')
+
+      active = await hre.run('game:list', { erc20: DEMO.target, meta: MetaOraclyV1.target })
+      expect(active.map(game => game.gameid)).to.have.members([gameid1, gameid2])
+
+      await hre.run('game:vigorish', { gameid: gameid2, vigorish: 200, meta: MetaOraclyV1.target })
+      await expect(
+        hre.run('game:vigorish', { gameid: gameid2, vigorish: 1001, meta: MetaOraclyV1.target })
+      ).to.be.rejectedWith('CannotUpdateGameVigorishTooLarge')
+      expect((await MetaOraclyV1.getGame(gameid2)).vigorish).to.be.equal(200)
+
+      await hre.run('game:cancellation-fee', { gameid: gameid2, fee: 50, meta: MetaOraclyV1.target })
+      await expect(
+        hre.run('game:cancellation-fee', { gameid: gameid2, fee: 1001, meta: MetaOraclyV1.target })
+      ).to.be.rejectedWith('CannotUpdateGameCancellationFeeTooLarge')
+      expect((await MetaOraclyV1.getGame(gameid2)).cancellationFee).to.be.equal(50)
+
+      await hre.run('game:claim-period', { gameid: gameid2, period: 30 * 24 * 60 * 60, meta: MetaOraclyV1.target })
+      await expect(
+        hre.run('game:claim-period', { gameid: gameid2, period: 60, meta: MetaOraclyV1.target })
+      ).to.be.rejectedWith('CannotUpdateGameClaimPeriodTooShort')
+      expect((await MetaOraclyV1.getGame(gameid2)).claimPeriod).to.be.equal(30 * 24 * 60 * 60)
+
+      await hre.run('game:resolver-reward', { gameid: gameid2, reward: 2000, meta: MetaOraclyV1.target })
+      await expect(
+        hre.run('game:resolver-reward', { gameid: gameid2, reward: 5001, meta: MetaOraclyV1.target })
+      ).to.be.rejectedWith('CannotUpdateGameResolverRewardTooLarge')
+      expect((await MetaOraclyV1.getGame(gameid2)).resolverReward).to.be.equal(2000)
+
+    })
+
+  })
+
+})
@@ -3,7 +3,7 @@ require('../common/init')
 const { expect } = require('chai')
 const { ethers } = require('hardhat')
 
-const { deployToken } = require('../common')
+const { deployToken, deployMeta } = require('../common')
 const { DEMO_INITIAL_SUPPLY, address } = require('../common/utils')
 
 require('@openzeppelin/test-helpers/configure')({
@@ -12,6 +12,8 @@ require('@openzeppelin/test-helpers/configure')({
 
 describe('Token DEMO', () => {
 
+  let MetaOraclyV1
+
   let DEMO
   let DEMOaddr1
   let DEMOaddr2
@@ -24,7 +26,9 @@ describe('Token DEMO', () => {
   beforeEach(async () => {
     [owner, addr1, addr2, ...addrs] = await ethers.getSigners()
 
-    DEMO = await deployToken('DEMO', address(owner))
+    MetaOraclyV1 = await deployMeta()
+
+    DEMO = await deployToken('DEMO', address(owner), [MetaOraclyV1.target])
 
     DEMOaddr1 = DEMO.connect(addr1)
     DEMOaddr2 = DEMO.connect(addr2)